@@ -36,6 +36,52 @@ class APIClient {
         }
     }
 
+    /**
+     * Register a new account (signs the user in on success)
+     */
+    async register(username, password) {
+        try {
+            const response = await fetch(`${this.baseURL}/api/register`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, password })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Registration failed');
+            }
+
+            this.token = data.token;
+            localStorage.setItem('luckai_token', this.token);
+            return data;
+        } catch (error) {
+            console.error('Registration error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the current user's password
+     */
+    async changePassword(currentPassword, newPassword) {
+        if (!this.token) throw new Error('Not authenticated');
+        const response = await fetch(`${this.baseURL}/api/account/password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Password change failed');
+        return data;
+    }
+
     /**
      * Logout user
      */
@@ -52,9 +98,9 @@ class APIClient {
     }
 
     /**
-     * Send a message to the AI
+     * Build request headers for chat calls (guest flag or bearer token)
      */
-    async sendMessage(message, conversationHistory = [], useWebSearch = true, options = {}) {
+    chatHeaders() {
         // Determine guest mode from localStorage
         const isGuest = localStorage.getItem('guestMode') === 'true';
         const headers = {
@@ -70,6 +116,32 @@ class APIClient {
             }
             headers['Authorization'] = `Bearer ${this.token}`;
         }
+        return headers;
+    }
+
+    /**
+     * Pick generation settings from chat options (undefined fields are dropped by JSON.stringify).
+     * Supported: temperature, maxTokens, topP, topK, minP, repeatPenalty, seed, stop
+     */
+    generationFields(options = {}) {
+        return {
+            temperature: options.temperature,
+            maxTokens: options.maxTokens,
+            topP: options.topP,
+            topK: options.topK,
+            minP: options.minP,
+            repeatPenalty: options.repeatPenalty,
+            seed: options.seed,
+            stop: options.stop
+        };
+    }
+
+    /**
+     * Send a message to the AI
+     */
+    async sendMessage(message, conversationHistory = [], useWebSearch = true, options = {}) {
+        const isGuest = localStorage.getItem('guestMode') === 'true';
+        const headers = this.chatHeaders();
 
         try {
             const response = await fetch(`${this.baseURL}/api/chat`, {
@@ -79,9 +151,13 @@ class APIClient {
                     message,
                     useWebSearch,
                     conversationHistory,
+                    conversationId: options.conversationId,
+                    regenerate: options.regenerate,
                     guest: isGuest,
-                    temperature: options.temperature,
-                    maxTokens: options.maxTokens,
+                    model: options.model,
+                    deepSearch: options.deepSearch,
+                    useDocs: options.useDocs,
+                    ...this.generationFields(options),
                     fast: options.fast
                 })
             });
@@ -99,6 +175,86 @@ class APIClient {
         }
     }
 
+    /**
+     * Stream a message to the AI (Server-Sent Events over POST).
+     * handlers: { meta, sources, queue, token, done } callbacks, each receiving the event payload.
+     * Resolves with the `done` payload; rejects on an `error` event.
+     */
+    async streamMessage(message, conversationHistory = [], useWebSearch = true, options = {}, handlers = {}) {
+        const isGuest = localStorage.getItem('guestMode') === 'true';
+        const headers = this.chatHeaders();
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/chat/stream`, {
+                method: 'POST',
+                headers,
+                signal: options.signal,
+                body: JSON.stringify({
+                    message,
+                    useWebSearch,
+                    conversationHistory,
+                    conversationId: options.conversationId,
+                    regenerate: options.regenerate,
+                    guest: isGuest,
+                    model: options.model,
+                    deepSearch: options.deepSearch,
+                    useDocs: options.useDocs,
+                    ...this.generationFields(options)
+                })
+            });
+
+            if (!response.ok || !response.body) {
+                let data = {};
+                try { data = await response.json(); } catch (e) { /* non-JSON error body */ }
+                throw new Error(data.message || 'Failed to get response');
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let result = null;
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                // Events are separated by a blank line
+                let sep;
+                while ((sep = buffer.indexOf('\n\n')) !== -1) {
+                    const evt = this.parseEvent(buffer.slice(0, sep));
+                    buffer = buffer.slice(sep + 2);
+                    if (!evt) continue;
+                    if (evt.event === 'error') throw new Error(evt.data.message || 'Failed to get response');
+                    if (evt.event === 'done') result = evt.data;
+                    if (typeof handlers[evt.event] === 'function') handlers[evt.event](evt.data);
+                }
+            }
+
+            if (!result) throw new Error('Response stream ended unexpectedly');
+            return result;
+        } catch (error) {
+            console.error('Chat stream error:', error);
+            throw error;
+        }
+    }
+
+    // Parse one SSE block ("event: x\ndata: {...}") into { event, data }
+    parseEvent(raw) {
+        let event = 'message';
+        const dataLines = [];
+        raw.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (!dataLines.length) return null;
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (e) {
+            return null;
+        }
+    }
+
     /**
      * Verify token is still valid
      */
@@ -121,20 +277,33 @@ class APIClient {
         }
     }
 
-// Fetch a full answer previously requested with two-phase generation
-        async fetchFullAnswer(id) {
-            try {
-                const response = await fetch(`${this.baseURL}/api/chat/full/${id}`, {
-                    method: 'GET',
-                    headers: { 'Content-Type': 'application/json' }
-                });
-                if (!response.ok) return { ready: false };
-                return await response.json();
-            } catch (e) {
-                return { ready: false, error: e.message };
-            }
-        }
-    
+    /**
+     * List the local models ({ models, default }); pass a model id as `model` in chat options to use it
+     */
+    async listModels() {
+        const response = await fetch(`${this.baseURL}/api/models`, {
+            method: 'GET',
+            headers: this.chatHeaders()
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || 'Failed to list models');
+        return data;
+    }
+
+    /**
+     * Cancel a running generation (stream `meta.id` or a background `fullId`) with the `cancelToken` returned with it
+     */
+    async cancelChat(id, cancelToken) {
+        const response = await fetch(`${this.baseURL}/api/chat/${encodeURIComponent(id)}/cancel`, {
+            method: 'POST',
+            headers: this.chatHeaders(),
+            body: JSON.stringify({ cancelToken })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || 'Failed to cancel');
+        return data;
+    }
+
     async sendFeedback(messageId, feedback, content = '', prompt = '') {
         const isGuest = localStorage.getItem('guestMode') === 'true';
         const headers = { 'Content-Type': 'application/json' };
@@ -155,6 +324,76 @@ class APIClient {
         }
     }
 
+    /**
+     * Server-side conversations (logged-in users only)
+     */
+    async conversationRequest(method, path, body) {
+        if (!this.token) throw new Error('Not authenticated');
+        const response = await fetch(`${this.baseURL}/api/conversations${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Conversation request failed');
+        return data;
+    }
+
+    async listConversations() {
+        const data = await this.conversationRequest('GET', '');
+        return data.conversations || [];
+    }
+
+    async createConversation(title = '', messages = undefined) {
+        const data = await this.conversationRequest('POST', '', { title, messages });
+        return data.conversation;
+    }
+
+    async getConversationMessages(id) {
+        const data = await this.conversationRequest('GET', `/${encodeURIComponent(id)}/messages`);
+        return data.messages || [];
+    }
+
+    async deleteConversation(id) {
+        return this.conversationRequest('DELETE', `/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Uploaded documents searched in Docs mode (logged-in users only)
+     */
+    async documentRequest(method, path, body) {
+        if (!this.token) throw new Error('Not authenticated');
+        const response = await fetch(`${this.baseURL}/api/documents${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.token}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Document request failed');
+        return data;
+    }
+
+    async listDocuments() {
+        const data = await this.documentRequest('GET', '?mine=1');
+        return data.documents || [];
+    }
+
+    // `content` is the file's text, or its base64 bytes with encoding 'base64' (PDFs)
+    async uploadDocument(name, content, encoding = undefined) {
+        const data = await this.documentRequest('POST', '', { name, content, encoding });
+        return data.document;
+    }
+
+    async deleteDocument(id) {
+        return this.documentRequest('DELETE', `/${encodeURIComponent(id)}`);
+    }
+
     // Minimal API surface kept intentionally small for cleanliness
 }
 
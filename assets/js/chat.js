@@ -8,6 +8,7 @@ class ChatManager {
         this.messagesContainer = document.getElementById('messagesContainer');
         this.messageInput = document.getElementById('messageInput');
         this.sendBtn = document.getElementById('sendBtn');
+        this.stopBtn = document.getElementById('stopBtn');
         this.menuToggle = document.getElementById('menuToggle');
         this.sidebar = document.getElementById('sidebar');
         this.sidebarOverlay = document.getElementById('sidebarOverlay');
@@ -15,11 +16,21 @@ class ChatManager {
         this.webToggle = document.getElementById('webToggle');
         this.logoutBtn = document.getElementById('logoutBtn');
         this.inputStatus = document.getElementById('inputStatus');
+        this.modelSelect = document.getElementById('modelSelect');
+        this.sourcesToggle = document.getElementById('sourcesToggle');
+        this.documentsPanel = document.getElementById('documentsPanel');
+        this.documentInput = document.getElementById('documentInput');
+        this.documentList = document.getElementById('documentList');
 
         // State
         this.conversationHistory = [];
+        this.conversationId = null; // server-side conversation (logged-in users only)
         this.isLoading = false;
-        this.webSearchEnabled = true;
+        this._activeStream = null; // { id, controller, stopped } for the answer being streamed
+        this.webSearchMode = 'auto'; // 'auto' (the server decides per message), 'always' or 'never'
+        this.docsEnabled = false; // Docs mode: answer from the user's uploaded documents
+        this.selectedModel = localStorage.getItem('luckai_model') || null; // null = server default
+        this.showSources = localStorage.getItem('luckai_show_sources') !== 'false';
         this.isGuest = localStorage.getItem('guestMode') === 'true';
 
         // Internal runtime flags
@@ -42,8 +53,11 @@ class ChatManager {
 
         // Restore preferences and history
         this.restoreWebSearchPreference();
+        this.setShowSources(this.showSources);
+        this.loadModels();
         if (!this.isGuest) {
-            this.restoreHistory();
+            this.loadDocuments();
+            await this.restoreHistory();
         } else {
             // In guest mode, clear any previous history
             this.conversationHistory = [];
@@ -55,6 +69,18 @@ class ChatManager {
         // Send message
         this.sendBtn?.addEventListener('click', () => this.sendMessage());
 
+        // Stop the answer being generated
+        this.stopBtn?.addEventListener('click', () => this.stopGeneration());
+
+        // Model used for the next answers
+        this.modelSelect?.addEventListener('change', () => {
+            this.selectedModel = this.modelSelect.value || null;
+            localStorage.setItem('luckai_model', this.selectedModel || '');
+        });
+
+        // Source pills and citation markers under answers
+        this.sourcesToggle?.addEventListener('change', () => this.setShowSources(this.sourcesToggle.checked));
+
         // Enter key
         this.messageInput?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -69,13 +95,23 @@ class ChatManager {
             this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 150) + 'px';
         });
 
-        // Mode buttons (Search / Local)
+        // Mode buttons (Auto / Search / Deep / Local / Docs)
+        this.autoModeBtn = document.getElementById('autoModeBtn');
         this.searchModeBtn = document.getElementById('searchModeBtn');
+        this.deepModeBtn = document.getElementById('deepModeBtn');
         this.localModeBtn = document.getElementById('localModeBtn');
+        this.docsModeBtn = document.getElementById('docsModeBtn');
         if (this.searchModeBtn && this.localModeBtn) {
             this.setupModeButtons();
         }
 
+        // Document upload (logged-in users)
+        this.documentInput?.addEventListener('change', () => {
+            const file = this.documentInput.files && this.documentInput.files[0];
+            this.documentInput.value = '';
+            if (file) this.uploadDocumentFile(file);
+        });
+
         // Reset history button
         const resetHistoryBtn = document.getElementById('resetHistoryBtn');
         if (resetHistoryBtn) {
@@ -124,41 +160,61 @@ class ChatManager {
         const isFR = (document.documentElement.lang || '').startsWith('fr');
         if (isFR) {
             this.searchModeBtn.textContent = '🔎 Recherche';
+            if (this.deepModeBtn) this.deepModeBtn.textContent = '📖 Approfondie';
             this.localModeBtn.textContent = '⌘ Local';
         } else {
             this.searchModeBtn.textContent = '🔎 Search';
+            if (this.deepModeBtn) this.deepModeBtn.textContent = '📖 Deep';
             this.localModeBtn.textContent = '⌘ Local';
         }
 
+        // Documents are uploaded per account: guests have none
+        if (this.docsModeBtn && this.isGuest) this.docsModeBtn.hidden = true;
+
         // Initialize UI state
         this.updateModeUI();
 
-        this.searchModeBtn.addEventListener('click', () => {
-            this.webSearchEnabled = true;
-            localStorage.setItem('luckai_websearch', this.webSearchEnabled);
-            this.updateModeUI();
-        });
+        // Auto lets the server decide whether each message needs a web search (the reason is shown in the status line)
+        this.autoModeBtn?.addEventListener('click', () => this.setSearchMode('auto', false));
+        this.searchModeBtn.addEventListener('click', () => this.setSearchMode('always', false));
+        // Deep search also reads the top result pages (slower, better for news and "latest" questions)
+        this.deepModeBtn?.addEventListener('click', () => this.setSearchMode('always', true));
+        this.localModeBtn.addEventListener('click', () => this.setSearchMode('never', false));
+        // Docs answers from the uploaded documents, without web search
+        this.docsModeBtn?.addEventListener('click', () => this.setSearchMode('never', false, true));
+    }
 
-        this.localModeBtn.addEventListener('click', () => {
-            this.webSearchEnabled = false;
-            localStorage.setItem('luckai_websearch', this.webSearchEnabled);
-            this.updateModeUI();
-        });
+    // `webSearch` is the useWebSearch mode sent with each message: 'auto', 'always' or 'never'
+    setSearchMode(webSearch, deepSearch, docs = false) {
+        this.webSearchMode = webSearch;
+        this.deepSearchEnabled = deepSearch;
+        this.docsEnabled = docs;
+        localStorage.setItem('luckai_websearch', this.webSearchMode);
+        localStorage.setItem('luckai_deepsearch', this.deepSearchEnabled);
+        localStorage.setItem('luckai_docs', this.docsEnabled);
+        this.updateModeUI();
     }
 
     updateModeUI() {
         if (!this.searchModeBtn || !this.localModeBtn) return;
-        if (this.webSearchEnabled) {
-            this.searchModeBtn.classList.add('active');
-            this.searchModeBtn.setAttribute('aria-pressed', 'true');
-            this.localModeBtn.classList.remove('active');
-            this.localModeBtn.setAttribute('aria-pressed', 'false');
-        } else {
-            this.searchModeBtn.classList.remove('active');
-            this.searchModeBtn.setAttribute('aria-pressed', 'false');
-            this.localModeBtn.classList.add('active');
-            this.localModeBtn.setAttribute('aria-pressed', 'true');
-        }
+        let active = this.localModeBtn;
+        if (this.docsEnabled && this.docsModeBtn) active = this.docsModeBtn;
+        else if (this.webSearchMode === 'auto' && this.autoModeBtn) active = this.autoModeBtn;
+        else if (this.webSearchMode !== 'never') active = this.deepSearchEnabled && this.deepModeBtn ? this.deepModeBtn : this.searchModeBtn;
+        [this.autoModeBtn, this.searchModeBtn, this.deepModeBtn, this.localModeBtn, this.docsModeBtn].forEach(btn => {
+            if (!btn) return;
+            btn.classList.toggle('active', btn === active);
+            btn.setAttribute('aria-pressed', btn === active ? 'true' : 'false');
+        });
+    }
+
+    // Show or hide sources (citation markers, source pills and panel); answers keep them either way
+    setShowSources(show) {
+        this.showSources = show;
+        localStorage.setItem('luckai_show_sources', show);
+        document.body.classList.toggle('sources-hidden', !show);
+        if (this.sourcesToggle) this.sourcesToggle.checked = show;
+        if (!show) document.querySelector('.sources-panel-overlay')?.remove();
     }
 
     closeSidebarMenu() {
@@ -169,14 +225,114 @@ class ChatManager {
     }
 
     restoreWebSearchPreference() {
+        // 'true' and 'false' were saved before Auto mode existed
         const saved = localStorage.getItem('luckai_websearch');
-        this.webSearchEnabled = saved !== 'false';
+        const legacy = { true: 'always', false: 'never' };
+        this.webSearchMode = ['auto', 'always', 'never'].includes(saved) ? saved : (legacy[saved] || 'auto');
+        this.deepSearchEnabled = localStorage.getItem('luckai_deepsearch') === 'true';
+        this.docsEnabled = !this.isGuest && localStorage.getItem('luckai_docs') === 'true';
         // Initialize mode buttons UI if present
         if (this.searchModeBtn && this.localModeBtn) {
             this.updateModeUI();
         }
     }
 
+    // List the user's documents in the sidebar (shown to logged-in users only)
+    async loadDocuments() {
+        if (!this.documentsPanel || !this.documentList) return;
+        let documents;
+        try {
+            documents = await apiClient.listDocuments();
+        } catch (e) {
+            console.warn('[ChatManager] Failed to list documents:', e.message);
+            return;
+        }
+        this.documentsPanel.hidden = false;
+        this.documentList.innerHTML = '';
+        const labels = this.getLocaleLabels();
+        documents.forEach(doc => {
+            const item = document.createElement('li');
+            item.className = 'document-item';
+            const name = document.createElement('span');
+            name.className = 'document-name';
+            name.textContent = doc.name;
+            name.title = labels.documentInfo(doc);
+            const remove = document.createElement('button');
+            remove.className = 'document-delete';
+            remove.textContent = '✕';
+            remove.title = labels.deleteDocument;
+            remove.setAttribute('aria-label', `${labels.deleteDocument}: ${doc.name}`);
+            remove.addEventListener('click', async () => {
+                try {
+                    await apiClient.deleteDocument(doc.id);
+                    item.remove();
+                } catch (e) {
+                    this.inputStatus.textContent = e.message;
+                }
+            });
+            item.appendChild(name);
+            item.appendChild(remove);
+            this.documentList.appendChild(item);
+        });
+    }
+
+    // Upload a document from the file picker: text as is, PDFs as base64
+    async uploadDocumentFile(file) {
+        const labels = this.getLocaleLabels();
+        this.inputStatus.textContent = labels.uploading(file.name);
+        try {
+            let content;
+            let encoding;
+            if (/\.pdf$/i.test(file.name) || file.type === 'application/pdf') {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+                content = btoa(binary);
+                encoding = 'base64';
+            } else {
+                content = await file.text();
+            }
+            const doc = await apiClient.uploadDocument(file.name, content, encoding);
+            this.inputStatus.textContent = labels.uploaded(doc);
+            await this.loadDocuments();
+        } catch (e) {
+            this.inputStatus.textContent = e.message || labels.uploadFailed;
+        }
+        setTimeout(() => { if (this.inputStatus && !this.isLoading) this.inputStatus.textContent = ''; }, 4000);
+    }
+
+    // Fill the model picker; a saved choice is kept only while that model still exists
+    async loadModels() {
+        if (!this.modelSelect) return;
+        let data;
+        try {
+            data = await apiClient.listModels();
+        } catch (e) {
+            console.warn('Could not load models:', e.message);
+            return;
+        }
+        const models = data.models || [];
+        if (!models.some(m => m.id === this.selectedModel)) this.selectedModel = data.default || null;
+
+        this.modelSelect.innerHTML = '';
+        if (!models.length) {
+            const option = document.createElement('option');
+            option.textContent = this.getLocaleLabels().noModels;
+            this.modelSelect.appendChild(option);
+            this.modelSelect.disabled = true;
+            return;
+        }
+        models.forEach(m => {
+            const option = document.createElement('option');
+            option.value = m.id;
+            option.textContent = [m.name, m.quant, m.size].filter(Boolean).join(' · ');
+            option.selected = m.id === this.selectedModel;
+            if (m.license) option.title = m.license;
+            this.modelSelect.appendChild(option);
+        });
+        this.modelSelect.disabled = false;
+    }
+
     async sendMessage() {
         const message = this.messageInput.value.trim();
         if (!message || this.isLoading) return;
@@ -190,130 +346,176 @@ class ChatManager {
         this.conversationHistory.push({ role: 'user', content: message });
 
         // Show loading
-        this.isLoading = true;
-        this.sendBtn.disabled = true;
+        this.setGenerating(true);
         this.messageInput.disabled = true;
         this.inputStatus.textContent = 'LuckAI is thinking...';
 
         const typingId = this.showTypingIndicator();
 
         try {
-            // Mode: 'always' forces web search for all queries, 'never' disables it
-            const searchMode = this.webSearchEnabled ? 'always' : 'never';
-            const response = await apiClient.sendMessage(
-                message,
-                this.conversationHistory,
-                searchMode,
-                { fast: true, maxTokens: 96 }
-            );
-
-            // Surface search errors from the server to the UI briefly
-            if (response && response.searchError) {
-                this.inputStatus.textContent = response.searchError;
-                setTimeout(() => {
-                    if (this.inputStatus && this.inputStatus.textContent === response.searchError) this.inputStatus.textContent = '';
-                }, 6000);
-            }
-
-            // Keep a short, realistic typing pause before showing the final message
-            const estimatedDelay = Math.min(1200 + Math.floor((response.answer || '').length / 40) * 40, 1800);
-            await new Promise(r => setTimeout(r, estimatedDelay));
-
-            // Optionally show search provider used
-            if (response && response.searchProvider) {
-                const providerLabel = (document.documentElement.lang.startsWith('fr') ? 'DuckDuckGo (Web)' : 'DuckDuckGo (Web)');
-                this.inputStatus.textContent = providerLabel;
-                setTimeout(() => { if (this.inputStatus && this.inputStatus.textContent === providerLabel) this.inputStatus.textContent = ''; }, 3000);
-            }
-
-            // Insert an empty AI message element
-            const aiMessage = this.addMessage('', 'ai', response.sources, response.usedWeb, { prompt: message });
+            await this.ensureConversation();
 
-            // Animate short or full depending on whether a full response will be available
-            if (response.pendingFull && response.fullId) {
-                // Show short answer quickly (chunk mode), keep global typing indicator visible while full is generated
-                this.animateAIResponse(aiMessage, response.answer, { mode: 'chunk' });
-            } else {
-                // Single-phase response: animate word-by-word and remove global typing indicator when done
-                try {
-                    await this.animateAIResponse(aiMessage, response.answer, { mode: 'word' });
-                } catch (e) {
-                    // ignore
-                }
+            // The AI bubble replaces the typing indicator as soon as the first token arrives
+            const { messageElement: aiMessage, result } = await this.streamResponse(message, this.webSearchMode, () => {
                 try { if (typingId) this.removeTypingIndicator(typingId); } catch (e) {}
-            }
+                return this.addMessage('', 'ai', null, false, { prompt: message });
+            });
 
             this.setRetryTarget(aiMessage);
 
-            // Save short response to history immediately
-            this.conversationHistory.push({ role: 'assistant', content: response.answer });
+            this.conversationHistory.push({ role: 'assistant', content: result.answer || '' });
             this.persistHistory();
-
-            // If a full response is pending, poll for it and replace the message when ready
-            if (response.pendingFull && response.fullId) {
-                const fullId = response.fullId;
-                // Show inline typing indicator while full answer is generating
-                let inlineTypingId = null;
-                try { inlineTypingId = this.showInlineTypingIndicator(aiMessage); } catch (e) { inlineTypingId = null; }
-
-                const poll = async (attempt = 0) => {
-                    const r = await apiClient.fetchFullAnswer(fullId);
-                    if (r.ready) {
-                        const fullText = r.answer || r.error || response.answer;
-                        // Remove inline typing indicator if present
-                        try { if (inlineTypingId) this.removeTypingIndicator(inlineTypingId); } catch (e) {}
-
-                        // Remove global typing indicator (server finished processing)
-                        try { if (typingId) this.removeTypingIndicator(typingId); } catch (e) {}
-
-                        // Before animating, run a quick fix pass to replace broken favicons in this message
-                        try { this.fixBrokenFaviconsInNode(aiMessage); } catch (e) {}
-
-                        // Animate the final full text into the message (word-by-word for realism)
-                        try { await this.animateAIResponse(aiMessage, fullText, { mode: 'word' }); } catch (e) {
-                            // Fallback to direct insertion if animation fails
-                            const contentDiv = aiMessage.querySelector('.message-content');
-                            if (contentDiv) {
-                                try {
-                                    if (typeof marked !== 'undefined') contentDiv.innerHTML = marked.parse(fullText);
-                                    else contentDiv.textContent = fullText;
-                                } catch (err) { contentDiv.textContent = fullText; }
-                                this.highlightBlocks(aiMessage);
-                            }
-                        }
-
-                        // Update local conversation history last assistant entry
-                        for (let i = this.conversationHistory.length - 1; i >= 0; i--) {
-                            if (this.conversationHistory[i].role === 'assistant') {
-                                this.conversationHistory[i].content = fullText;
-                                break;
-                            }
-                        }
-                        this.persistHistory();
-                        return;
-                    }
-                    // Backoff polling: 1s, 1s, 2s, 3s, 5s
-                    const delays = [1000, 1000, 2000, 3000, 5000];
-                    const delay = delays[Math.min(attempt, delays.length - 1)];
-                    setTimeout(() => poll(attempt + 1), delay);
-                };
-                poll();
-            }
-
         } catch (error) {
             console.error('Chat error:', error);
             this.removeTypingIndicator(typingId);
             this.addMessage(`Error: ${error.message || 'Failed to get response from LuckAI'}`, 'ai');
             this.inputStatus.textContent = error.message || 'Error sending message';
         } finally {
-            this.isLoading = false;
-            this.sendBtn.disabled = false;
+            this.setGenerating(false);
             this.messageInput.disabled = false;
             this.inputStatus.textContent = '';
             this.messageInput.focus();
         }
     }
 
+    // Stream an answer from the server. `getMessageElement` is called once, on the first token
+    // (or at the end if nothing streamed), and must return the AI bubble to render into.
+    async streamResponse(prompt, searchMode, getMessageElement, options = {}) {
+        let messageElement = null;
+        let streamed = '';
+        let queued = false;
+        let sources = [];
+        const target = () => {
+            if (!messageElement) messageElement = getMessageElement();
+            return messageElement;
+        };
+
+        const stream = { id: null, controller: new AbortController(), stopped: false };
+        this._activeStream = stream;
+
+        const streamOptions = {
+            conversationId: this.conversationId || undefined,
+            regenerate: !!options.regenerate,
+            model: this.selectedModel || undefined,
+            deepSearch: searchMode !== 'never' ? this.deepSearchEnabled : undefined,
+            useDocs: this.docsEnabled || undefined,
+            signal: stream.controller.signal
+        };
+        const handlers = {
+            meta: (meta) => {
+                stream.id = meta.id;
+                stream.cancelToken = meta.cancelToken;
+                this.showSearchStatus(meta);
+            },
+            sources: (data) => {
+                sources = Array.isArray(data.sources) ? data.sources : [];
+            },
+            queue: ({ position }) => {
+                queued = true;
+                this.showQueueStatus(position);
+            },
+            token: ({ text }) => {
+                if (!text) return;
+                if (queued && this.inputStatus) {
+                    queued = false;
+                    this.inputStatus.textContent = '';
+                }
+                streamed += text;
+                const contentDiv = target().querySelector('.message-content');
+                // Plain text while streaming; markdown is rendered once the answer is complete
+                if (contentDiv) contentDiv.textContent = this.sanitizeContent(streamed);
+                this.scrollToBottom();
+            }
+        };
+
+        let result;
+        try {
+            result = await apiClient.streamMessage(prompt, this.conversationHistory, searchMode, streamOptions, handlers);
+        } catch (error) {
+            // Stop fell back to dropping the connection: keep what was already streamed
+            if (!stream.stopped) throw error;
+            result = { answer: this.sanitizeContent(streamed), stopped: true };
+        } finally {
+            if (this._activeStream === stream) this._activeStream = null;
+        }
+
+        this.renderFinalAnswer(target(), result.answer || streamed);
+        this.attachSources(target(), sources);
+        if (result.stopped) this.markStopped(target());
+        return { messageElement: target(), result, sources };
+    }
+
+    // Swap the send button for a Stop button while an answer is being generated
+    setGenerating(active) {
+        this.isLoading = active;
+        this.sendBtn.disabled = active;
+        if (this.stopBtn) {
+            this.sendBtn.hidden = active;
+            this.stopBtn.hidden = !active;
+            this.stopBtn.disabled = false;
+        }
+    }
+
+    // Stop the streamed answer. The server ends the stream with the partial text (and stores it);
+    // if it cannot be reached, drop the connection, which also cancels the generation server-side.
+    async stopGeneration() {
+        const stream = this._activeStream;
+        if (!stream || stream.stopped) return;
+        stream.stopped = true;
+        if (this.stopBtn) this.stopBtn.disabled = true;
+        try {
+            if (!stream.id) throw new Error('Stream id not received yet');
+            await apiClient.cancelChat(stream.id, stream.cancelToken);
+        } catch (e) {
+            stream.controller.abort();
+        }
+    }
+
+    // Flag an answer that was cut short by the user
+    markStopped(messageElement) {
+        if (!messageElement || messageElement.querySelector('.message-stopped')) return;
+        messageElement.classList.add('stopped');
+        const note = document.createElement('div');
+        note.className = 'message-stopped';
+        note.textContent = this.getLocaleLabels().stopped;
+        const contentDiv = messageElement.querySelector('.message-content');
+        if (contentDiv) contentDiv.insertAdjacentElement('afterend', note);
+        else messageElement.appendChild(note);
+    }
+
+    // Surface search errors / provider from the stream metadata briefly; in auto mode, why the server did or did not search
+    showSearchStatus(meta) {
+        if (!meta || !this.inputStatus) return;
+        const decision = meta.searchDecision && meta.searchDecision.mode === 'auto' ? meta.searchDecision : null;
+        this.inputStatus.title = decision ? decision.reason : '';
+        if (meta.searchError) {
+            this.inputStatus.textContent = meta.searchError;
+            setTimeout(() => {
+                if (this.inputStatus && this.inputStatus.textContent === meta.searchError) this.inputStatus.textContent = '';
+            }, 6000);
+        } else if (meta.searchProvider) {
+            const labels = this.getLocaleLabels();
+            let providerLabel = labels.searchProviders[meta.searchProvider] || meta.searchProvider;
+            if (typeof meta.pagesRead === 'number') providerLabel += ` · ${labels.pagesRead(meta.pagesRead)}`;
+            // What was searched (the server may rewrite the message into standalone queries): left up longer to be read
+            const queries = Array.isArray(meta.searchQueries) ? meta.searchQueries : [];
+            if (queries.length) providerLabel += ` · ${labels.searched(queries)}`;
+            if (decision) providerLabel = `${labels.webSearch(decision.reason)} · ${providerLabel}`;
+            this.inputStatus.textContent = providerLabel;
+            setTimeout(() => { if (this.inputStatus && this.inputStatus.textContent === providerLabel) this.inputStatus.textContent = ''; }, queries.length || decision ? 6000 : 3000);
+        } else if (decision && !decision.search) {
+            const label = this.getLocaleLabels().noSearch(decision.reason);
+            this.inputStatus.textContent = label;
+            setTimeout(() => { if (this.inputStatus && this.inputStatus.textContent === label) this.inputStatus.textContent = ''; }, 4000);
+        }
+    }
+
+    // Show our position in the server's inference queue until generation starts
+    showQueueStatus(position) {
+        if (!this.inputStatus || !position) return;
+        this.inputStatus.textContent = `${this.getLocaleLabels().queued} (#${position})`;
+    }
+
     addMessage(content, role, sources = null, usedWeb = false, meta = {}) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${role}`;
@@ -328,9 +530,6 @@ class ChatManager {
         this.renderMessageContent(contentDiv, role, content);
         messageDiv.appendChild(contentDiv);
 
-        // Sources display is disabled by user preference — do not append inline citations or source pills
-        // (sources still received server-side but intentionally not shown in the UI)
-
         if (role === 'ai') {
             const actionsDiv = document.createElement('div');
             actionsDiv.className = 'message-actions';
@@ -422,6 +621,7 @@ class ChatManager {
         }
 
         this.messagesContainer.appendChild(messageDiv);
+        if (role === 'ai') this.attachSources(messageDiv, sources);
         this.highlightBlocks(messageDiv);
         this.scrollToBottom();
 
@@ -510,7 +710,7 @@ class ChatManager {
         sources.slice(0, 3).forEach(s => {
             let h = '';
             try { h = s.host || (new URL(s.url).hostname.replace(/^www\./, '')); } catch (e) { h = ''; }
-            this.appendFaviconTo(miniWrap, h, s.title || s.url, { className: 'source-mini source-mini-inline', placeholderClass: 'source-mini-placeholder', extraInlineClass: 'source-mini-inline' });
+            this.appendFaviconTo(miniWrap, h, s.title || s.url, { className: 'source-mini source-mini-inline', placeholderClass: 'source-mini-placeholder', extraInlineClass: 'source-mini-inline', text: s.document ? '📄' : '' });
         });
         pill.appendChild(miniWrap);
 
@@ -564,118 +764,133 @@ class ChatManager {
         this.enrichCodeBlocks(messageDiv);
     }
 
-    // Small inline citation chips (host + optional +N)
-    buildInlineCitations(sources) {
-        if (!sources || !sources.length) return null;
-        // Group by host
-        const counts = {};
-        sources.forEach(s => {
-            const h = s.host || ((s.url && (() => { try { return (new URL(s.url)).hostname.replace(/^www\./, ''); } catch (e) { return s.url || ''; } })())) || 'unknown';
-            counts[h] = (counts[h] || 0) + 1;
+    // Link the [n] markers of an answer to their source and add the sources pill under it
+    attachSources(messageElement, sources) {
+        if (!messageElement) return;
+        messageElement.querySelectorAll('.message-sources-inline').forEach(el => el.remove());
+        const contentDiv = messageElement.querySelector('.message-content');
+        if (!contentDiv || !Array.isArray(sources) || !sources.length) return;
+        this.linkCitations(contentDiv, sources);
+        contentDiv.insertAdjacentElement('afterend', this.buildSourcesInline(sources));
+    }
+
+    // Turn [n] markers into superscript links (the server keeps only markers that match a source); code is left alone
+    linkCitations(contentDiv, sources) {
+        const walker = document.createTreeWalker(contentDiv, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('code, pre, a') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
         });
-        const keys = Object.keys(counts).slice(0, 4);
-        const wrap = document.createElement('div');
-        wrap.className = 'inline-citations';
-        keys.forEach(k => {
-            const c = document.createElement('button');
-            c.className = 'inline-citation';
-            c.textContent = k + (counts[k] > 1 ? ` +${counts[k]-1}` : '');
-            c.title = `${counts[k]} source(s) from ${k}`;
-            c.addEventListener('click', () => this.showSourcesPanel(sources.filter(s => (s.host || (new URL(s.url).hostname.replace(/^www\./, ''))) === k)));
-            wrap.appendChild(c);
+        const nodes = [];
+        while (walker.nextNode()) if (/\[\d+\]/.test(walker.currentNode.nodeValue)) nodes.push(walker.currentNode);
+        nodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            node.nodeValue.split(/(\[\d+\])/).forEach(part => {
+                const n = /^\[\d+\]$/.test(part) ? Number(part.slice(1, -1)) : 0;
+                if (n && sources[n - 1]) fragment.appendChild(this.buildCitation(n, sources));
+                else if (part) fragment.appendChild(document.createTextNode(part));
+            });
+            node.replaceWith(fragment);
         });
-        return wrap;
     }
 
-    // Show a modal/panel listing all sources with cards (favicon, title, snippet, domain)
-    showSourcesPanel(sources) {
-        // Sources display is disabled by user preference. No panel will be shown.
-        try {
-            const note = document.createElement('div');
-            note.className = 'notification info';
-            note.textContent = document.documentElement.lang && document.documentElement.lang.startsWith('fr') ? "Les sources sont masquées" : 'Sources are hidden';
-            note.style.cssText = `position: fixed; top: 18px; right: 18px; background: rgba(255,255,255,0.05); color: var(--text-primary); padding: 10px 14px; border-radius: 6px; z-index: 10001;`;
-            document.body.appendChild(note);
-            setTimeout(() => { note.style.transition = 'opacity 0.3s'; note.style.opacity = '0'; setTimeout(() => note.remove(), 300); }, 1600);
-        } catch (e) { /* no-op */ }
-        return;
-        // helper: resolve DuckDuckGo redirect (uddg) to original target when present
-        const resolveTarget = (rawUrl) => {
-            if (!rawUrl) return rawUrl;
-            try {
-                // Some s.url values are already full urls, some begin with //
-                const u = new URL(rawUrl, window.location.origin);
-                const params = new URLSearchParams(u.search);
-                if (params.has('uddg')) {
-                    let v = params.get('uddg') || '';
-                    v = v.replace(/&amp;/g, '&');
-                    try { return decodeURIComponent(v); } catch (e) { return v; }
-                }
-                // fallback: find uddg= in raw string
-                const m = rawUrl.match(/uddg=([^&]+)/i);
-                if (m && m[1]) {
-                    try { return decodeURIComponent(m[1].replace(/&amp;/g, '&')); } catch (e) { return m[1]; }
-                }
-                return rawUrl;
-            } catch (e) {
-                const m = String(rawUrl).match(/uddg=([^&]+)/i);
-                if (m && m[1]) {
-                    try { return decodeURIComponent(m[1].replace(/&amp;/g, '&')); } catch (e) { return m[1]; }
-                }
-                return rawUrl;
-            }
-        };
+    // Citation superscript: opens the sources panel on that source (modified clicks follow the link)
+    buildCitation(n, sources) {
+        const source = sources[n - 1];
+        const sup = document.createElement('sup');
+        sup.className = 'citation';
+        const link = document.createElement('a');
+        link.href = source.url || '#';
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.dataset.source = n;
+        link.textContent = n;
+        link.title = source.title || source.url || '';
+        link.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            this.showSourcesPanel(sources, n);
+        });
+        sup.appendChild(link);
+        return sup;
+    }
 
-        sources.forEach(s => {
+    // Show a side panel listing all sources with cards (number, favicon, title, snippet, domain); `highlight` is the cited one
+    showSourcesPanel(sources, highlight = 0) {
+        if (!sources || !sources.length || !this.showSources) return;
+        document.querySelector('.sources-panel-overlay')?.remove();
+        const labels = this.getLocaleLabels();
+
+        const panel = document.createElement('div');
+        panel.className = 'sources-panel-overlay';
+        const box = document.createElement('div');
+        box.className = 'sources-panel';
+        box.setAttribute('role', 'dialog');
+        box.setAttribute('aria-label', labels.sources(sources.length));
+
+        const header = document.createElement('div');
+        header.className = 'sources-panel__header';
+        const title = document.createElement('div');
+        title.className = 'sources-panel__title';
+        title.textContent = labels.sources(sources.length);
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'sources-panel__close';
+        closeBtn.title = labels.close;
+        closeBtn.setAttribute('aria-label', labels.close);
+        closeBtn.textContent = '✕';
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+
+        const list = document.createElement('div');
+        list.className = 'sources-panel__list';
+        let highlighted = null;
+
+        sources.forEach((s, i) => {
             const item = document.createElement('a');
             item.className = 'sources-panel__item';
+            item.dataset.source = i + 1;
+            if (i + 1 === highlight) {
+                item.classList.add('highlighted');
+                highlighted = item;
+            }
 
-            const target = resolveTarget(s.url || '');
-            item.href = target || (s.url || '#');
-            item.target = '_blank';
+            // Source URLs are the result targets (the server resolves search redirects); document excerpts have none
+            const target = s.url || '';
+            if (target) {
+                item.href = target;
+                item.target = '_blank';
+                item.rel = 'noopener noreferrer';
+            }
 
-            const h = s.host || (() => { try { return (new URL(target || (s.url || ''), window.location.origin)).hostname.replace(/^www\./, ''); } catch (e) { return ''; } })();
+            const number = document.createElement('span');
+            number.className = 'sp-number';
+            number.textContent = i + 1;
+            item.appendChild(number);
 
-            // Use robust favicon loader that falls back and replaces broken icons
-            this.appendFaviconTo(item, h, s.title || s.url, { className: 'sp-favicon', placeholderClass: 'sp-favicon-placeholder', extraInlineClass: '' });
+            const h = s.host || (() => { try { return (new URL(target, window.location.origin)).hostname.replace(/^www\./, ''); } catch (e) { return ''; } })();
 
+            // Use robust favicon loader that falls back and replaces broken icons
+            this.appendFaviconTo(item, h, s.title || s.url, { className: 'sp-favicon', placeholderClass: 'sp-favicon-placeholder', extraInlineClass: '', text: s.document ? '📄' : '' });
 
             const body = document.createElement('div');
             body.className = 'sp-body';
 
             const t = document.createElement('div');
             t.className = 'sp-title';
-            t.textContent = s.title || target || s.url || '';
+            t.textContent = s.title || target;
 
             const snippet = document.createElement('div');
             snippet.className = 'sp-snippet';
-            // sanitize snippet to avoid showing raw uddg or encoded lines
-            snippet.textContent = this.sanitizeContent(s.snippet || '') || '';
+            // Deep search and documents: show the passage that was quoted to the model, else the result snippet
+            const passage = s.passages && s.passages.length ? s.passages[0] : '';
+            if (passage) snippet.classList.add('sp-passage');
+            snippet.textContent = this.sanitizeContent(passage || s.snippet || '') || '';
 
             const urlMeta = document.createElement('div');
             urlMeta.className = 'sp-url';
-            try {
-                urlMeta.textContent = (new URL(target || (s.url || ''), window.location.origin)).hostname.replace(/^www\./, '') || ''; 
-            } catch (e) {
-                urlMeta.textContent = s.host || (s.url || '');
-            }
+            urlMeta.textContent = h || target || (s.document ? s.document.name : '');
 
             body.appendChild(t);
-            if (snippet && snippet.textContent) body.appendChild(snippet);
+            if (snippet.textContent) body.appendChild(snippet);
             body.appendChild(urlMeta);
-
-            // Append favicon if it exists and wasn't removed; otherwise ensure placeholder exists
-            if (fav && fav.src && fav.src.trim()) {
-                if (!item.contains(fav)) item.insertBefore(fav, body);
-            } else {
-                if (!item.querySelector('.sp-favicon-placeholder')) {
-                    const ph = document.createElement('div');
-                    ph.className = 'sp-favicon-placeholder';
-                    ph.textContent = (h && h[0]) ? h[0].toUpperCase() : '?';
-                    item.insertBefore(ph, body);
-                }
-            }
-
             item.appendChild(body);
 
             list.appendChild(item);
@@ -686,19 +901,20 @@ class ChatManager {
         footer.className = 'sources-panel__footer';
         const copyBtn = document.createElement('button');
         copyBtn.className = 'mode-btn copy-panel-btn';
-        copyBtn.title = 'Copy sources';
-        copyBtn.setAttribute('aria-label', 'Copy sources');
+        copyBtn.title = labels.copy;
+        copyBtn.setAttribute('aria-label', labels.copy);
         copyBtn.textContent = '🗐';
         copyBtn.addEventListener('click', async () => {
-            const text = sources.map(s => (s.url && s.url.includes('uddg=')) ? (function(){ try{ const m = (s.url.match(/uddg=([^&]+)/i)||[])[1]; return m ? decodeURIComponent(m.replace(/&amp;/g,'&')) : s.url }catch(e){return s.url}})() : (s.url||s.title||'')).join('\n\n');
-            try { await navigator.clipboard.writeText(text); const orig = copyBtn.title; copyBtn.title = 'Copied'; setTimeout(()=>copyBtn.title = orig, 2000); } catch(e) { const orig = copyBtn.title; copyBtn.title = 'Failed'; setTimeout(()=>copyBtn.title = orig, 2000); }
+            const text = sources.map((s, i) => `[${i + 1}] ${s.url || s.title || ''}`).join('\n');
+            try { await navigator.clipboard.writeText(text); const orig = copyBtn.title; copyBtn.title = labels.copied; setTimeout(()=>copyBtn.title = orig, 2000); } catch(e) { const orig = copyBtn.title; copyBtn.title = 'Failed'; setTimeout(()=>copyBtn.title = orig, 2000); }
         });
         const retryBtn = document.createElement('button');
         retryBtn.className = 'mode-btn retry-panel-btn';
-        retryBtn.title = 'Retry';
-        retryBtn.setAttribute('aria-label', 'Retry');
+        retryBtn.title = labels.retry;
+        retryBtn.setAttribute('aria-label', labels.retry);
         retryBtn.textContent = '⟳';
         retryBtn.addEventListener('click', () => {
+            close();
             // trigger first enabled retry button in the chat UI
             const r = document.querySelector('.retry-btn:not([disabled])');
             if (r) r.click();
@@ -711,11 +927,47 @@ class ChatManager {
         box.appendChild(footer);
         panel.appendChild(box);
         document.body.appendChild(panel);
+        if (highlighted) highlighted.scrollIntoView({ block: 'nearest' });
 
-        // Close on overlay click
+        // Close on overlay click, the close button or Escape
+        const onKey = (e) => { if (e.key === 'Escape') close(); };
+        const close = () => {
+            panel.remove();
+            document.removeEventListener('keydown', onKey);
+        };
+        closeBtn.addEventListener('click', close);
         panel.addEventListener('click', (e) => {
-            if (e.target === panel) panel.remove();
+            if (e.target === panel) close();
         });
+        document.addEventListener('keydown', onKey);
+    }
+
+    // Render the complete answer into an AI message bubble (markdown for complex answers, plain text otherwise)
+    renderFinalAnswer(messageElement, fullText) {
+        const contentDiv = messageElement.querySelector('.message-content');
+        if (!contentDiv) return;
+        // Render final content (fullText) with safest options
+        try {
+            // Heuristic: if final text is a short/simple paragraph without lists/code blocks,
+            // render as plain text to preserve compact inline formatting and avoid layout shifts
+            const looksLikeComplex = /```|^\s*[-*+]\s|^\s*\d+\.\s|\n\s*\n/m.test(fullText || '');
+            if (!looksLikeComplex) {
+                // Keep simple responses as plain text to keep bubble compact
+                contentDiv.textContent = fullText;
+            } else if (typeof marked !== 'undefined') {
+                contentDiv.innerHTML = marked.parse(fullText || '');
+                this.cleanupTrailingEmptyBlocks(contentDiv);
+            } else {
+                contentDiv.textContent = fullText;
+            }
+        } catch (e) {
+            // If markdown parsing fails for the full content, fallback to plain text
+            console.warn('[Chat] Final render markdown failed:', e);
+            try { contentDiv.textContent = fullText; } catch (e2) { /* ignore */ }
+        }
+
+        try { this.highlightBlocks(messageElement); } catch (e) { console.warn('[Chat] highlightBlocks error on finalize:', e); }
+        this.scrollToBottom();
     }
 
     // Animate AI response into the message bubble. Returns a Promise that resolves when final render is complete.
@@ -753,28 +1005,7 @@ class ChatManager {
                     try { if (messageElement._aiTypingTimer) { clearTimeout(messageElement._aiTypingTimer); delete messageElement._aiTypingTimer; } } catch (e) {}
                     if (watchdog) { clearTimeout(watchdog); watchdog = null; }
 
-                    // Render final content (fullText) with safest options
-                    try {
-                        // Heuristic: if final text is a short/simple paragraph without lists/code blocks,
-                        // render as plain text to preserve compact inline formatting and avoid layout shifts
-                        const looksLikeComplex = /```|^\s*[-*+]\s|^\s*\d+\.\s|\n\s*\n/m.test(fullText || '');
-                        if (!looksLikeComplex) {
-                            // Keep simple responses as plain text to keep bubble compact
-                            contentDiv.textContent = fullText;
-                        } else if (typeof marked !== 'undefined') {
-                            contentDiv.innerHTML = marked.parse(fullText || '');
-                            this.cleanupTrailingEmptyBlocks(contentDiv);
-                        } else {
-                            contentDiv.textContent = fullText;
-                        }
-                    } catch (e) {
-                        // If markdown parsing fails for the full content, fallback to plain text
-                        console.warn('[Chat] Final render markdown failed:', e);
-                        try { contentDiv.textContent = fullText; } catch (e2) { /* ignore */ }
-                    }
-
-                    try { this.highlightBlocks(messageElement); } catch (e) { console.warn('[Chat] highlightBlocks error on finalize:', e); }
-                    this.scrollToBottom();
+                    this.renderFinalAnswer(messageElement, fullText);
                 } catch (e) {
                     console.warn('[Chat] finalize error:', e);
                 }
@@ -904,8 +1135,7 @@ class ChatManager {
             }
         }
 
-        this.isLoading = true;
-        this.sendBtn.disabled = true;
+        this.setGenerating(true);
         this.messageInput.disabled = true;
         this.inputStatus.textContent = '';
 
@@ -918,50 +1148,25 @@ class ChatManager {
         existingSources.forEach(el => el.remove());
 
         try {
-            // Use fast short response for perceived latency (consistent with regular send)
-            const response = await apiClient.sendMessage(
-                prompt,
-                this.conversationHistory,
-                this.webSearchEnabled,
-                { fast: true, maxTokens: 96 }
-            );
-
-            // Add a short pause then animate the response into the existing message element
-            const estimatedDelay = Math.min(1000 + Math.floor((response?.answer || '').length / 40) * 40, 1800);
-            await new Promise(r => setTimeout(r, estimatedDelay));
-
-            // If there's no answer in the response, show an explicit message
-            if (!response || !response.answer) {
+            const { result } = await this.streamResponse(prompt, this.webSearchMode, () => {
                 if (typingId) this.removeTypingIndicator(typingId);
+                return messageElement;
+            }, { regenerate: true });
+
+            // If there's no answer in the response, show an explicit message (unless the user stopped it)
+            if (!result.answer && !result.stopped) {
                 if (contentDiv) this.renderMessageContent(contentDiv, 'ai', 'No response received. Please try again.');
                 this.inputStatus.textContent = 'No response received';
                 setTimeout(() => { if (this.inputStatus && this.inputStatus.textContent === 'No response received') this.inputStatus.textContent = ''; }, 4000);
                 return;
             }
 
-            // Remove the inline typing indicator then animate into the message
-            if (typingId) this.removeTypingIndicator(typingId);
-
-            // Await the animation so state updates happen in order
-            await this.animateAIResponse(messageElement, response?.answer || '', { mode: 'word' });
-
-            // Sources display is disabled by user preference — do not append source pills during retry
-            // (we still keep sources in the response payload for potential future use)
-
             // Save the assistant response to conversation history and persist
-            this.conversationHistory.push({ role: 'assistant', content: response?.answer || '' });
+            this.conversationHistory.push({ role: 'assistant', content: result.answer });
             this.persistHistory();
 
             // Update retry buttons so only this message's retry is enabled
             this.setRetryTarget(messageElement);
-
-            // Surface search errors from the server to the UI briefly
-            if (response && response.searchError) {
-                this.inputStatus.textContent = response.searchError;
-                setTimeout(() => {
-                    if (this.inputStatus && this.inputStatus.textContent === response.searchError) this.inputStatus.textContent = '';
-                }, 6000);
-            }
         } catch (error) {
             if (typingId) this.removeTypingIndicator(typingId);
             // Render a clear, safe error message into the content area
@@ -972,8 +1177,7 @@ class ChatManager {
             this.inputStatus.textContent = error.message || 'Retry failed';
             setTimeout(() => { if (this.inputStatus && this.inputStatus.textContent === (error.message || 'Retry failed')) this.inputStatus.textContent = ''; }, 4000);
         } finally {
-            this.isLoading = false;
-            this.sendBtn.disabled = false;
+            this.setGenerating(false);
             this.messageInput.disabled = false;
             this.scrollToBottom();
         }
@@ -993,7 +1197,28 @@ class ChatManager {
         return {
             copy: isFR ? 'Copier' : 'Copy',
             copied: isFR ? 'Copié' : 'Copied',
-            retry: isFR ? 'Réessayer' : 'Retry'
+            retry: isFR ? 'Réessayer' : 'Retry',
+            queued: isFR ? 'En file d\'attente' : 'Queued',
+            close: isFR ? 'Fermer' : 'Close',
+            sources: (n) => isFR ? `${n} source${n > 1 ? 's' : ''}` : `${n} source${n === 1 ? '' : 's'}`,
+            stopped: isFR ? 'Réponse interrompue' : 'Response stopped',
+            noModels: isFR ? 'Aucun modèle local trouvé' : 'No local model found',
+            webSearch: (reason) => isFR ? `Recherche web : ${reason}` : `Web search: ${reason}`,
+            noSearch: (reason) => isFR ? `Pas de recherche web : ${reason}` : `No web search: ${reason}`,
+            searched: (queries) => isFR ? `Recherché : ${queries.map(q => `« ${q} »`).join(', ')}` : `Searched: ${queries.map(q => `"${q}"`).join(', ')}`,
+            documentInfo: (doc) => isFR
+                ? `${doc.chunks} extrait${doc.chunks > 1 ? 's' : ''}${doc.pages ? `, ${doc.pages} page${doc.pages > 1 ? 's' : ''}` : ''}`
+                : `${doc.chunks} chunk${doc.chunks === 1 ? '' : 's'}${doc.pages ? `, ${doc.pages} page${doc.pages === 1 ? '' : 's'}` : ''}`,
+            deleteDocument: isFR ? 'Supprimer le document' : 'Delete document',
+            uploading: (name) => isFR ? `Ajout de ${name}...` : `Adding ${name}...`,
+            uploaded: (doc) => isFR ? `${doc.name} ajouté` : `${doc.name} added`,
+            uploadFailed: isFR ? 'Échec de l\'ajout du document' : 'Failed to add the document',
+            pagesRead: (n) => isFR ? `${n} page${n > 1 ? 's' : ''} lue${n > 1 ? 's' : ''}` : `${n} page${n === 1 ? '' : 's'} read`,
+            searchProviders: {
+                duckduckgo: 'DuckDuckGo (Web)',
+                searxng: 'SearXNG (Web)',
+                local: isFR ? 'Index local' : 'Local index'
+            }
         };
     }
 
@@ -1144,8 +1369,8 @@ class ChatManager {
                 }
             });
 
-            // Remove any legacy inline source pills or citation blocks entirely
-            const legacyInlines = msg.querySelectorAll('.message-sources-inline, .inline-citations, .message-sources');
+            // Remove any legacy source lists or citation chip blocks entirely
+            const legacyInlines = msg.querySelectorAll('.inline-citations, .message-sources');
             legacyInlines.forEach(n => n.remove());
 
             // Also scan contentDiv for multiple lines that purely look like uddg/raw redirect lines and remove them
@@ -1368,6 +1593,7 @@ class ChatManager {
     async logout() {
         apiClient.logout();
         localStorage.removeItem('guestMode');
+        localStorage.removeItem('luckai_conversation_id');
         window.location.href = '/';
     }
 
@@ -1390,8 +1616,66 @@ class ChatManager {
         }
     }
 
-    restoreHistory() {
+    setConversationId(id) {
+        this.conversationId = id || null;
+        if (id) localStorage.setItem('luckai_conversation_id', id);
+        else localStorage.removeItem('luckai_conversation_id');
+    }
+
+    // Logged-in users keep their conversation on the server; create one lazily on first send
+    async ensureConversation() {
+        if (this.isGuest || this.conversationId) return this.conversationId;
+        try {
+            const conversation = await apiClient.createConversation();
+            this.setConversationId(conversation.id);
+        } catch (e) {
+            // Fall back to client-side history only
+            console.warn('Failed to create server conversation:', e);
+        }
+        return this.conversationId;
+    }
+
+    // Render messages loaded from a server conversation
+    renderConversation(messages) {
+        this.conversationHistory = [];
+        if (!messages.length) return;
+        this.messagesContainer.innerHTML = '';
+        messages.forEach(msg => {
+            const displayRole = msg.role === 'assistant' ? 'ai' : msg.role;
+            const element = this.addMessage(msg.content || '', displayRole, msg.meta && msg.meta.sources);
+            if (msg.meta && msg.meta.stopped) this.markStopped(element);
+            this.conversationHistory.push({ role: msg.role, content: msg.content || '' });
+        });
+        this.persistHistory();
+    }
+
+    async restoreHistory() {
         if (this.isGuest) return; // Do not restore history in guest mode
+        try {
+            const conversations = await apiClient.listConversations();
+            const savedId = localStorage.getItem('luckai_conversation_id');
+            const current = conversations.find(c => c.id === savedId) || conversations[0];
+            if (current) {
+                this.setConversationId(current.id);
+                this.renderConversation(await apiClient.getConversationMessages(current.id));
+                return;
+            }
+
+            // No server conversation yet: migrate the browser history once, then keep it server-side
+            let local = [];
+            try { local = JSON.parse(localStorage.getItem('luckai_history') || '[]'); } catch (e) { local = []; }
+            if (Array.isArray(local) && local.length) {
+                const conversation = await apiClient.createConversation('', local.filter(m => m && (m.role === 'user' || m.role === 'assistant')));
+                this.setConversationId(conversation.id);
+                console.info('LuckAI: Migrated browser history to a server conversation');
+            }
+        } catch (e) {
+            console.warn('Failed to load server conversations, using browser history:', e);
+        }
+        this.restoreLocalHistory();
+    }
+
+    restoreLocalHistory() {
         try {
             const raw = localStorage.getItem('luckai_history');
             if (!raw) return;
@@ -1479,6 +1763,13 @@ class ChatManager {
             
             // Clear localStorage
             localStorage.removeItem('luckai_history');
+
+            // Delete the server-side conversation; the next message starts a new one
+            if (this.conversationId) {
+                const id = this.conversationId;
+                this.setConversationId(null);
+                apiClient.deleteConversation(id).catch(e => console.warn('Failed to delete server conversation:', e));
+            }
             
             // Show confirmation
             const notification = document.createElement('div');
@@ -0,0 +1,48 @@
+/**
+ * Inline citations
+ * With web results, the model is asked to cite them as [n], n being the result's number in the web context
+ * (its position in `sources`, from 1). normalizeCitations() checks the markers against the sources: the other
+ * notations models use ([^2], [Source 2], [1, 3], [1-2], the CJK brackets) become [n] markers, answers that
+ * number from 0 are shifted, and numbers without a source are dropped. Code spans and blocks are left alone.
+ */
+
+const MARKER_RE = /\[\^?(?:sources?\s*)?(\d+(?:\s*[,;-]\s*\d+)*)\](?!\()|【(\d+(?:\s*,\s*\d+)*)】/gi;
+const CODE_RE = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+// Removed markers are first replaced with this, so the space before them can go too
+const REMOVED = '\u0000';
+
+// Numbers of one marker's text ("1, 3", "2-4")
+function markerNumbers(text) {
+    const numbers = [];
+    for (const part of text.split(/\s*[,;]\s*/)) {
+        const [from, to] = part.split(/\s*-\s*/).map(Number);
+        if (to === undefined) numbers.push(from);
+        else for (let n = from; n <= to && n - from < 10; n++) numbers.push(n);
+    }
+    return numbers;
+}
+
+// `text` with its citation markers checked against `sourceCount` sources (unchanged when there are none)
+function normalizeCitations(text, sourceCount) {
+    text = String(text || '');
+    if (!sourceCount) return text;
+    const parts = text.split(CODE_RE);
+    const prose = (fn) => parts.map((part, i) => (i % 2 ? part : fn(part)));
+
+    // Answers citing [0] and never [sourceCount] count from 0
+    const cited = [];
+    prose(part => part.replace(MARKER_RE, (m, list, cjk) => { cited.push(...markerNumbers(list || cjk)); return m; }));
+    const shift = cited.includes(0) && Math.max(...cited) < sourceCount ? 1 : 0;
+
+    return prose(part => part
+        .replace(MARKER_RE, (m, list, cjk) => {
+            const numbers = Array.from(new Set(markerNumbers(list || cjk).map(n => n + shift))).filter(n => n >= 1 && n <= sourceCount);
+            return numbers.length ? numbers.map(n => `[${n}]`).join('') : REMOVED;
+        })
+        .replace(/(\[\d+\])(?:\s*\1)+/g, '$1')
+        .replace(new RegExp(`^${REMOVED}[ \\t]*`, 'gm'), '')
+        .replace(new RegExp(`[ \\t]*${REMOVED}`, 'g'), ''))
+        .join('');
+}
+
+module.exports = { normalizeCitations };
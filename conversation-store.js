@@ -0,0 +1,176 @@
+/**
+ * On-disk conversation store
+ * Keeps conversations and their messages per user as JSON files under data/conversations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ConversationStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'data', 'conversations');
+        // Max messages kept per conversation (oldest are dropped first)
+        this.maxMessages = Number(config.maxMessages || process.env.LUCKAI_CONVERSATION_MAX_MESSAGES || 500);
+
+        // userId -> { conversations: [...] } (loaded lazily, written through on every change)
+        this._users = new Map();
+    }
+
+    _fileFor(userId) {
+        // Keep file names filesystem-safe regardless of the user id format
+        const safe = String(userId).replace(/[^a-zA-Z0-9_-]/g, '_');
+        return path.join(this.dir, `${safe}.json`);
+    }
+
+    _load(userId) {
+        if (this._users.has(userId)) return this._users.get(userId);
+        let data = { conversations: [] };
+        try {
+            const file = this._fileFor(userId);
+            if (fs.existsSync(file)) {
+                const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (parsed && Array.isArray(parsed.conversations)) data = parsed;
+            }
+        } catch (e) {
+            console.warn('[ConversationStore] Failed to read conversations for', userId, '-', e.message);
+        }
+        this._users.set(userId, data);
+        return data;
+    }
+
+    _save(userId) {
+        const data = this._load(userId);
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        // Write to a temporary file first so a crash never leaves a half-written store
+        const file = this._fileFor(userId);
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    _find(userId, conversationId) {
+        return this._load(userId).conversations.find(c => c.id === conversationId) || null;
+    }
+
+    // Public view of a conversation (without messages)
+    _summary(conversation) {
+        return {
+            id: conversation.id,
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            messageCount: conversation.messages.length
+        };
+    }
+
+    list(userId) {
+        return this._load(userId).conversations
+            .slice()
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .map(c => this._summary(c));
+    }
+
+    get(userId, conversationId) {
+        const conversation = this._find(userId, conversationId);
+        return conversation ? this._summary(conversation) : null;
+    }
+
+    create(userId, { title, messages } = {}) {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: crypto.randomUUID(),
+            title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 200) : '',
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+        // Optional import of existing messages (e.g. history migrated from the browser)
+        if (Array.isArray(messages)) {
+            messages.forEach(m => {
+                if (!m || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string') return;
+                conversation.messages.push(this._newMessage(m.role, m.content, now));
+            });
+            conversation.messages = conversation.messages.slice(-this.maxMessages);
+        }
+        if (!conversation.title) conversation.title = this._titleFrom(conversation.messages);
+        this._load(userId).conversations.push(conversation);
+        this._save(userId);
+        return this._summary(conversation);
+    }
+
+    update(userId, conversationId, { title } = {}) {
+        const conversation = this._find(userId, conversationId);
+        if (!conversation) return null;
+        if (typeof title === 'string') conversation.title = title.trim().slice(0, 200);
+        conversation.updatedAt = new Date().toISOString();
+        this._save(userId);
+        return this._summary(conversation);
+    }
+
+    remove(userId, conversationId) {
+        const data = this._load(userId);
+        const before = data.conversations.length;
+        data.conversations = data.conversations.filter(c => c.id !== conversationId);
+        if (data.conversations.length === before) return false;
+        this._save(userId);
+        return true;
+    }
+
+    listMessages(userId, conversationId) {
+        const conversation = this._find(userId, conversationId);
+        return conversation ? conversation.messages.slice() : null;
+    }
+
+    addMessage(userId, conversationId, { role, content, meta }) {
+        const conversation = this._find(userId, conversationId);
+        if (!conversation) return null;
+        const now = new Date().toISOString();
+        const message = this._newMessage(role, content, now, meta);
+        conversation.messages.push(message);
+        if (conversation.messages.length > this.maxMessages) conversation.messages = conversation.messages.slice(-this.maxMessages);
+        if (!conversation.title) conversation.title = this._titleFrom(conversation.messages);
+        conversation.updatedAt = now;
+        this._save(userId);
+        return message;
+    }
+
+    updateMessage(userId, conversationId, messageId, { content, meta }) {
+        const conversation = this._find(userId, conversationId);
+        if (!conversation) return null;
+        const message = conversation.messages.find(m => m.id === messageId);
+        if (!message) return null;
+        if (typeof content === 'string') message.content = content;
+        if (meta) message.meta = Object.assign({}, message.meta, meta);
+        conversation.updatedAt = new Date().toISOString();
+        this._save(userId);
+        return message;
+    }
+
+    // Drop a trailing assistant message (used when regenerating the last answer)
+    removeTrailingAssistant(userId, conversationId) {
+        const conversation = this._find(userId, conversationId);
+        if (!conversation) return false;
+        const last = conversation.messages[conversation.messages.length - 1];
+        if (!last || last.role !== 'assistant') return false;
+        conversation.messages.pop();
+        conversation.updatedAt = new Date().toISOString();
+        this._save(userId);
+        return true;
+    }
+
+    _newMessage(role, content, createdAt, meta) {
+        const message = { id: crypto.randomUUID(), role, content: String(content || ''), createdAt };
+        if (meta) message.meta = meta;
+        return message;
+    }
+
+    _titleFrom(messages) {
+        const first = messages.find(m => m.role === 'user');
+        if (!first) return '';
+        const text = first.content.replace(/\s+/g, ' ').trim();
+        return text.length > 60 ? text.slice(0, 57) + '...' : text;
+    }
+}
+
+module.exports = { ConversationStore };
@@ -0,0 +1,327 @@
+/**
+ * Document knowledge base
+ * Uploaded documents (plain text, markdown, HTML, PDF) are split into sections (headings, or pages for PDFs),
+ * cut into chunks of about `chunkChars` characters and embedded with the model given as `embedder`
+ * ({ id, embed(texts) }). Everything lives under data/documents: index.json lists the documents and names the
+ * model the vectors come from, <id>.json holds a document's chunks with their vectors (base64 float32).
+ * search() ranks the chunks by cosine similarity to the query; when there is no model that can embed, it falls
+ * back to keyword (BM25) ranking. Vectors are recomputed the first time another model is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractSections, chunkText } = require('./page-extract');
+const { extractPdfText } = require('./pdf-text');
+const { scorePassages } = require('./page-reader');
+const { tokenize } = require('./local-search-index');
+const { normalizeVector, vectorToBase64, vectorFromBase64 } = require('./embeddings');
+
+// Accepted `type` values (short names or MIME types) and file extensions
+const TYPES = {
+    text: 'text', txt: 'text', 'text/plain': 'text',
+    markdown: 'markdown', md: 'markdown', 'text/markdown': 'markdown',
+    html: 'html', htm: 'html', 'text/html': 'html',
+    pdf: 'pdf', 'application/pdf': 'pdf'
+};
+
+// Raised for documents that cannot be added; `param` names the offending field
+class DocumentError extends Error {
+    constructor(message, param = null) {
+        super(message);
+        this.name = 'DocumentError';
+        this.code = 'INVALID_DOCUMENT';
+        this.param = param;
+    }
+}
+
+// 'text' | 'markdown' | 'html' | 'pdf' from the given type, else from the file extension; null when unsupported
+function documentType(name, type) {
+    if (type) return TYPES[String(type).toLowerCase().split(';')[0].trim()] || null;
+    const extension = path.extname(String(name || '')).slice(1).toLowerCase();
+    return TYPES[extension] || null;
+}
+
+// Blocks of text separated by blank lines
+function paragraphs(lines) {
+    return lines.join('\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
+
+// Markdown cut at its ATX headings ("## Install"), ignoring "#" lines inside code fences
+function markdownSections(text) {
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    let fenced = false;
+    for (const line of text.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+        const heading = !fenced && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (!heading) {
+            current.lines.push(line);
+            continue;
+        }
+        sections.push(current);
+        current = { heading: heading[1], lines: [] };
+    }
+    sections.push(current);
+    return sections.map(section => ({ heading: section.heading, lines: paragraphs(section.lines) })).filter(section => section.lines.length);
+}
+
+/**
+ * { title, sections } of a document: `sections` are { heading?, page?, lines }, `lines` its paragraphs.
+ * `content` is a string, or a Buffer (required for PDFs).
+ */
+function extractDocument(kind, content) {
+    if (kind === 'pdf') {
+        if (!Buffer.isBuffer(content)) throw new DocumentError('PDF content must be sent base64-encoded', 'content');
+        try {
+            const { pages } = extractPdfText(content);
+            return { title: '', sections: pages.map((lines, i) => ({ page: i + 1, lines })).filter(section => section.lines.length) };
+        } catch (e) {
+            throw new DocumentError(`Cannot read the PDF: ${e.message}`, 'content');
+        }
+    }
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+    if (kind === 'html') return extractSections(text);
+    if (kind === 'markdown') {
+        const sections = markdownSections(text);
+        const title = (text.match(/^#\s+(.+?)\s*#*\s*$/m) || [])[1] || '';
+        return { title, sections };
+    }
+    return { title: '', sections: [{ heading: '', lines: paragraphs(text.split(/\r?\n/)) }] };
+}
+
+// Chunks { text, section, page } of the sections
+function chunkSections(sections, maxChars) {
+    const chunks = [];
+    for (const section of sections) {
+        for (const text of chunkText(section.lines, maxChars)) {
+            chunks.push({ text, section: section.heading || null, page: section.page || null });
+        }
+    }
+    return chunks;
+}
+
+// The section heading helps the embedding place a chunk
+function embeddingText(chunk) {
+    return chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+class DocumentStore {
+    constructor(config = {}) {
+        this.dir = config.dir || path.join(__dirname, 'data', 'documents');
+        this.chunkChars = Number(config.chunkChars || process.env.LUCKAI_DOCS_CHUNK_CHARS || 1000);
+        this.maxBytes = Number(config.maxBytes || process.env.LUCKAI_DOCS_MAX_BYTES || 5 * 1024 * 1024);
+        // Chunks returned per search
+        this.topK = Number(config.topK || process.env.LUCKAI_DOCS_TOP_K || 4);
+        // Texts per embed() call
+        this.batchSize = Number(config.batchSize || 16);
+
+        this._index = null; // { model, dims, documents: [...] } (loaded lazily, written through on every change)
+        this._chunks = new Map(); // document id -> chunks, vectors as Float32Array (or null)
+    }
+
+    _indexFile() {
+        return path.join(this.dir, 'index.json');
+    }
+
+    _chunkFile(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    _load() {
+        if (this._index) return this._index;
+        this._index = { model: null, dims: null, documents: [] };
+        try {
+            if (fs.existsSync(this._indexFile())) {
+                const parsed = JSON.parse(fs.readFileSync(this._indexFile(), 'utf8'));
+                if (parsed && Array.isArray(parsed.documents)) this._index = { model: parsed.model || null, dims: parsed.dims || null, documents: parsed.documents };
+            }
+        } catch (e) {
+            console.warn('[DocumentStore] Failed to read the document index -', e.message);
+        }
+        return this._index;
+    }
+
+    _chunksOf(id) {
+        if (!this._chunks.has(id)) {
+            let chunks = [];
+            try {
+                chunks = JSON.parse(fs.readFileSync(this._chunkFile(id), 'utf8')).chunks
+                    .map(chunk => Object.assign({}, chunk, { vector: chunk.vector ? vectorFromBase64(chunk.vector) : null }));
+            } catch (e) {
+                console.warn('[DocumentStore] Failed to read the chunks of', id, '-', e.message);
+            }
+            this._chunks.set(id, chunks);
+        }
+        return this._chunks.get(id);
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written file
+    _write(file, data) {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+    }
+
+    _saveIndex() {
+        this._write(this._indexFile(), this._load());
+    }
+
+    _saveChunks(id) {
+        const chunks = this._chunksOf(id).map(chunk => Object.assign({}, chunk, { vector: chunk.vector ? vectorToBase64(chunk.vector) : null }));
+        this._write(this._chunkFile(id), { id, chunks });
+    }
+
+    // Normalized vectors of the chunks, or null when `embedder` cannot embed them
+    async _embed(chunks, embedder) {
+        if (!embedder) return null;
+        try {
+            const vectors = [];
+            for (let i = 0; i < chunks.length; i += this.batchSize) {
+                const batch = await embedder.embed(chunks.slice(i, i + this.batchSize).map(embeddingText));
+                vectors.push(...batch);
+            }
+            if (vectors.length !== chunks.length || vectors.some(v => !v || !v.length || v.length !== vectors[0].length)) {
+                throw new Error('the model returned unusable vectors');
+            }
+            return vectors.map(v => Float32Array.from(normalizeVector(v)));
+        } catch (e) {
+            console.warn(`[DocumentStore] Cannot embed with ${embedder.id} (${e.message}); using keyword search`);
+            return null;
+        }
+    }
+
+    // Make every stored chunk carry a vector from `embedder`: re-embeds everything after a model change and fills in
+    // chunks stored while no model could embed. True when vector search can be used.
+    async _useModel(embedder) {
+        const index = this._load();
+        if (!embedder) return false;
+        const sameModel = index.model === embedder.id;
+        const stale = index.documents.filter(doc => !sameModel || this._chunksOf(doc.id).some(chunk => !chunk.vector));
+        if (stale.length) console.warn(`[DocumentStore] Embedding ${stale.length} document(s) with ${embedder.id}`);
+        for (const doc of stale) {
+            const chunks = this._chunksOf(doc.id);
+            const vectors = await this._embed(chunks, embedder);
+            if (!vectors) return false;
+            chunks.forEach((chunk, i) => { chunk.vector = vectors[i]; });
+            this._saveChunks(doc.id);
+            index.dims = vectors[0].length;
+        }
+        if (!sameModel) {
+            index.model = embedder.id;
+            this._saveIndex();
+        }
+        return true;
+    }
+
+    // Summaries of the documents, only those of `owner` when given
+    list({ owner } = {}) {
+        return this._load().documents
+            .filter(doc => owner === undefined || doc.owner === owner)
+            .map(doc => Object.assign({}, doc));
+    }
+
+    // { document, chunks: [{ text, section, page }] }, or null
+    get(id) {
+        const document = this._load().documents.find(doc => doc.id === id);
+        if (!document) return null;
+        return { document: Object.assign({}, document), chunks: this._chunksOf(id).map(({ text, section, page }) => ({ text, section, page })) };
+    }
+
+    /**
+     * Add a document { name, content, type?, owner? }: `content` is text, or a Buffer (PDFs); `type` defaults to the
+     * one of the name's extension. Returns the document's summary; throws DocumentError when it cannot be added.
+     */
+    async add({ name, content, type, owner = null }, embedder) {
+        name = String(name || '').trim();
+        if (!name) throw new DocumentError('name must be a non-empty string', 'name');
+        const kind = documentType(name, type);
+        if (!kind) throw new DocumentError('Unsupported document type: use plain text, markdown, HTML or PDF', 'type');
+        const size = Buffer.isBuffer(content) ? content.length : Buffer.byteLength(String(content || ''));
+        if (size > this.maxBytes) throw new DocumentError(`Document too large (max ${this.maxBytes} bytes)`, 'content');
+
+        const { title, sections } = extractDocument(kind, content);
+        const chunks = chunkSections(sections, this.chunkChars);
+        if (!chunks.length) throw new DocumentError('No text found in the document', 'content');
+
+        // The new vectors must come from the same model as the stored ones
+        await this._useModel(embedder);
+        const vectors = await this._embed(chunks, embedder);
+        chunks.forEach((chunk, i) => { chunk.vector = vectors ? vectors[i] : null; });
+
+        const index = this._load();
+        const document = {
+            id: crypto.randomUUID(),
+            name: name.slice(0, 200),
+            type: kind,
+            title: (title || name).slice(0, 200),
+            size,
+            chunks: chunks.length,
+            pages: kind === 'pdf' ? Math.max(...sections.map(section => section.page)) : null,
+            owner,
+            createdAt: new Date().toISOString()
+        };
+        this._chunks.set(document.id, chunks);
+        this._saveChunks(document.id);
+        index.documents.push(document);
+        if (vectors) Object.assign(index, { model: embedder.id, dims: vectors[0].length });
+        this._saveIndex();
+        return Object.assign({}, document);
+    }
+
+    remove(id) {
+        const index = this._load();
+        const before = index.documents.length;
+        index.documents = index.documents.filter(doc => doc.id !== id);
+        if (index.documents.length === before) return false;
+        this._chunks.delete(id);
+        this._saveIndex();
+        try { fs.unlinkSync(this._chunkFile(id)); } catch (e) { /* already gone */ }
+        return true;
+    }
+
+    /**
+     * The `limit` chunks closest to `query` among the documents of `owner` (all when not given):
+     * { hits: [{ document, chunk: { text, section, page }, score }], method }, `method` being 'embeddings'
+     * (cosine similarity) or 'keywords' (BM25, when `embedder` cannot embed).
+     */
+    async search(query, embedder, { limit = this.topK, owner } = {}) {
+        const documents = this._load().documents.filter(doc => owner === undefined || doc.owner === owner);
+        const entries = [];
+        documents.forEach(document => this._chunksOf(document.id).forEach(chunk => entries.push({ document, chunk })));
+        if (!entries.length) return { hits: [], method: null };
+
+        let method = 'keywords';
+        let scored = null;
+        if (await this._useModel(embedder)) {
+            const [queryVector] = (await this._embed([{ text: String(query || '') }], embedder)) || [];
+            if (queryVector) {
+                method = 'embeddings';
+                scored = entries.map(entry => Object.assign({ score: dot(queryVector, entry.chunk.vector) }, entry));
+            }
+        }
+        if (!scored) {
+            const terms = Array.from(new Set(tokenize(query)));
+            scored = scorePassages(terms, entries.map(entry => Object.assign({ text: embeddingText(entry.chunk) }, entry)));
+        }
+        const hits = scored
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ document, chunk, score }) => ({
+                document: Object.assign({}, document),
+                chunk: { text: chunk.text, section: chunk.section, page: chunk.page },
+                score
+            }));
+        return { hits, method };
+    }
+}
+
+module.exports = { DocumentStore, DocumentError, documentType, extractDocument };
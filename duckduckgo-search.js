@@ -0,0 +1,102 @@
+/**
+ * DuckDuckGo search provider
+ * Reads the JavaScript-free result page at html.duckduckgo.com (no API key needed). Result links are
+ * DuckDuckGo redirects (`//duckduckgo.com/l/?uddg=<target>`); they are resolved to their targets here, ads
+ * are dropped and results pointing at the same page are merged, so sources carry the real URLs.
+ */
+
+const { SearchProvider, summarizeResults, canonicalUrl } = require('./search-provider');
+const { parseHTML, normalizeSpace } = require('./html-parser');
+
+// DuckDuckGo region (`kl`) for a query language
+const REGIONS = { en: 'us-en', fr: 'fr-fr' };
+
+// Ensure a fetch function is available
+let _fetchFn = globalThis.fetch;
+if (!_fetchFn) {
+    try {
+        const nodeFetch = require('node-fetch');
+        _fetchFn = nodeFetch && nodeFetch.default ? nodeFetch.default : nodeFetch;
+    } catch (e) {
+        _fetchFn = null;
+    }
+}
+
+class DuckDuckGoClient extends SearchProvider {
+    // `fetch` can be replaced (e.g. recorded pages in tests)
+    constructor(config = {}) {
+        super(Object.assign({ timeoutMs: process.env.LUCKAI_DUCKDUCKGO_TIMEOUT_MS }, config));
+        this.provider = 'duckduckgo';
+        this._fetch = config.fetch || _fetchFn;
+    }
+
+    async search(query, { signal, language } = {}) {
+        if (!query || !query.trim()) return null;
+        if (!this._fetch) throw new Error('fetch is unavailable');
+
+        const region = REGIONS[language];
+        const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}${region ? `&kl=${region}` : ''}`;
+        const headers = { 'Accept': 'text/html', 'User-Agent': 'Mozilla/5.0 (compatible; LuckAI/1.0)' };
+        const res = await this._fetch(url, { headers, signal });
+        if (!res || !res.ok) throw new Error(`DuckDuckGo answered with status ${res && res.status}`);
+        const results = parseResults(await res.text(), this.maxResults);
+        return { results, summary: summarizeResults(results) };
+    }
+}
+
+/**
+ * Organic results of a DuckDuckGo HTML result page: [{ title, url, description, snippet }] with entities
+ * decoded, redirect links resolved, ads left out and duplicates (same canonical URL) dropped. Throws when
+ * DuckDuckGo served its bot check instead of results.
+ */
+function parseResults(html, maxResults = Infinity) {
+    const doc = parseHTML(html);
+    if (doc.findOne('.anomaly-modal__title, #challenge-form')) {
+        throw new Error('DuckDuckGo answered with a bot check instead of results (too many requests?)');
+    }
+
+    const results = [];
+    const seen = new Set();
+    for (const link of doc.find('a.result__a')) {
+        if (results.length >= maxResults) break;
+        const container = link.closest('.result') || link.parent;
+        if (isAd(container, link)) continue;
+        const url = resolveResultUrl(link.attr('href'));
+        const title = normalizeSpace(link.text());
+        if (!url || !title) continue;
+
+        const key = canonicalUrl(url);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const snippetNode = container.findOne('.result__snippet');
+        const snippet = snippetNode ? normalizeSpace(snippetNode.text()) : '';
+        results.push({ title, url, description: snippet, snippet });
+    }
+    return results;
+}
+
+// Sponsored results: marked as ads, or linking through DuckDuckGo's ad click tracker (y.js)
+function isAd(container, link) {
+    if (container.hasClass('result--ad') || container.findOne('.badge--ad, .result__ad-label')) return true;
+    const href = link.attr('href') || '';
+    return /duckduckgo\.com\/y\.js/i.test(href) || /[?&](ad_provider|ad_domain)=/i.test(href);
+}
+
+// Target of a result link: the `uddg` parameter of DuckDuckGo redirects, else the link itself (http(s) only)
+function resolveResultUrl(href) {
+    if (!href) return null;
+    let url;
+    try {
+        url = new URL(href, 'https://duckduckgo.com/');
+    } catch (e) {
+        return null;
+    }
+    if (/(^|\.)duckduckgo\.com$/i.test(url.hostname)) {
+        const target = /^\/l\/?$/.test(url.pathname) ? url.searchParams.get('uddg') : null;
+        return target && /^https?:\/\//i.test(target) ? resolveResultUrl(target) : null;
+    }
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+}
+
+module.exports = { DuckDuckGoClient, parseResults, resolveResultUrl, canonicalUrl };
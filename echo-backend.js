@@ -0,0 +1,116 @@
+/**
+ * Echo inference backend
+ * Deterministic stand-in for a real model, built on LuckModel: answers "Echo: <message>" word by word,
+ * tokenizes with LuckModel's hashing tokenizer and embeds with its pseudo-embeddings. Needs no model
+ * file, so it is the last resort in LUCKAI_BACKENDS and the backend of choice for tests.
+ */
+
+const { InferenceBackend, detectLanguage } = require('./inference-backend');
+const { InferenceScheduler, GenerationAbortedError } = require('./gguf-runner');
+const { LuckModel } = require('./luck-model');
+
+class EchoBackend extends InferenceBackend {
+    constructor(config = {}) {
+        super(config);
+        this.backend = 'echo';
+        this.name = 'LuckModel';
+        this.parallel = Math.max(1, Number(config.parallel || 4));
+        this.scheduler = new InferenceScheduler({ maxQueue: config.maxQueue });
+        this._luck = null;
+    }
+
+    async init() {
+        if (this.available) return true;
+        this._model();
+        this.scheduler.setSlots(new Array(this.parallel).fill(null));
+        this.available = true;
+        this.state = 'available';
+        return true;
+    }
+
+    isIdle() {
+        const stats = this.scheduler.stats();
+        return stats.busy === 0 && stats.queued === 0;
+    }
+
+    async unload() {
+        this.available = false;
+        this.state = 'unloaded';
+        this.scheduler.setSlots([]);
+    }
+
+    async processQuery(message, conversationHistory = [], webContext = null, options = {}) {
+        if (!this.available) throw new Error('Echo backend not initialized');
+        const language = detectLanguage(message, conversationHistory);
+        options = this.resolveGenerationOptions(options);
+        const signal = options.signal || null;
+        const model = `Echo (${this.name})`;
+        const prompt = [].concat((conversationHistory || []).map(turn => (turn && (turn.content || turn.message)) || ''), webContext || '', message).join('\n\n');
+
+        // One word per "token", capped by maxTokens like a real model
+        const words = `Echo: ${message}`.split(/(?<=\s)/).slice(0, Math.max(1, options.maxTokens));
+        let generation;
+        try {
+            generation = await this.scheduler.run(async (slot, { waitMs }) => {
+                const start = Date.now();
+                const notify = (callback, ...args) => {
+                    if (typeof callback !== 'function') return;
+                    try { callback(...args); } catch (e) { /* ignore consumer errors */ }
+                };
+                notify(options.onStart);
+                let text = '';
+                for (let i = 0; i < words.length; i++) {
+                    if (signal && signal.aborted) break;
+                    text += words[i];
+                    notify(options.onToken, words[i]);
+                    notify(options.onProgress, i + 1);
+                    // Yield between words so streams flush and aborts land mid-answer
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+                return { text: text.trim(), stopped: !!(signal && signal.aborted), waitMs, elapsedMs: Date.now() - start };
+            }, { priority: options.priority, owner: options.owner, onQueue: options.onQueue, signal: signal || undefined });
+        } catch (e) {
+            if (!(e instanceof GenerationAbortedError)) throw e;
+            generation = { text: '', stopped: true, waitMs: 0, elapsedMs: 0 };
+        }
+
+        const result = {
+            response: generation.text,
+            language,
+            model,
+            usage: { promptTokens: this._luck.tokenize(prompt).length, completionTokens: this._luck.tokenize(generation.text).length },
+            stats: { elapsedMs: generation.elapsedMs, queueWaitMs: generation.waitMs, provider: this.backend, cached: false }
+        };
+        if (generation.stopped) result.stopped = true;
+        return result;
+    }
+
+    async tokenize(text) {
+        return this._model().tokenize(String(text || '')).map(token => token.id);
+    }
+
+    // Mean of LuckModel's per-token pseudo-embeddings, L2-normalized (zero vector for empty text)
+    async embed(texts) {
+        const luck = this._model();
+        return [].concat(texts).map(text => {
+            const vector = new Array(luck.embedding_dim).fill(0);
+            const tokens = luck.tokenize(String(text || ''));
+            tokens.forEach(token => {
+                for (let i = 0; i < vector.length; i++) vector[i] += Math.sin(token.id + i);
+            });
+            const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+            return norm ? vector.map(v => v / norm) : vector;
+        });
+    }
+
+    _model() {
+        this._luck = this._luck || new LuckModel();
+        return this._luck;
+    }
+
+    info() {
+        return Object.assign(super.info(), { name: this.name, parallel: this.parallel, embeddingDims: this._model().embedding_dim });
+    }
+}
+
+module.exports = { EchoBackend };
@@ -0,0 +1,40 @@
+/**
+ * Embedding helpers shared by the embeddings endpoints and the document store: request input checks,
+ * L2 normalization and the base64 encoding of vectors (little-endian float32, as OpenAI's `encoding_format: "base64"`).
+ */
+
+// Longest text accepted per input; longer texts do not fit the embedding context of most models
+const MAX_INPUT_CHARS = 8192;
+
+/**
+ * Texts of an embeddings request's `input` (a string or an array of strings, at most `maxBatch`):
+ * { texts } or { error }
+ */
+function parseEmbeddingInput(input, maxBatch) {
+    const texts = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(texts) || !texts.length || texts.some(text => typeof text !== 'string')) {
+        return { error: 'input must be a string or a non-empty array of strings' };
+    }
+    if (texts.length > maxBatch) return { error: `Too many inputs (max ${maxBatch} per request)` };
+    if (texts.some(text => !text.trim())) return { error: 'input strings must not be empty' };
+    if (texts.some(text => text.length > MAX_INPUT_CHARS)) return { error: `input strings are limited to ${MAX_INPUT_CHARS} characters` };
+    return { texts };
+}
+
+// Unit-length copy of `vector` (zero vectors stay zero)
+function normalizeVector(vector) {
+    const norm = Math.sqrt(Array.from(vector).reduce((sum, v) => sum + v * v, 0));
+    return Array.from(vector, v => (norm ? v / norm : 0));
+}
+
+function vectorToBase64(vector) {
+    return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+function vectorFromBase64(text) {
+    const bytes = Buffer.from(text, 'base64');
+    // Copied so the floats are aligned
+    return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}
+
+module.exports = { parseEmbeddingInput, normalizeVector, vectorToBase64, vectorFromBase64, MAX_INPUT_CHARS };
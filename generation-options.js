@@ -0,0 +1,85 @@
+/**
+ * Per-request generation options
+ * Validates sampling settings from an HTTP body and returns a frozen options object,
+ * so one request can never change the settings used by another.
+ */
+
+// Accepted ranges (inclusive). Integers are flagged so 0.5 tokens is rejected rather than rounded.
+const LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: Number(process.env.LUCKAI_MAX_TOKENS_LIMIT || 32768), integer: true },
+    topP: { min: 0, max: 1 },
+    topK: { min: 0, max: 1000, integer: true }, // 0 disables top-k
+    minP: { min: 0, max: 1 },
+    repeatPenalty: { min: 1, max: 2 }, // 1 disables the penalty
+    seed: { min: 0, max: 4294967295, integer: true }
+};
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 64;
+
+// Request field names per API flavour (LuckAI JSON API vs OpenAI-compatible API)
+const FIELD_NAMES = {
+    luckai: {
+        temperature: 'temperature', maxTokens: 'maxTokens', topP: 'topP', topK: 'topK',
+        minP: 'minP', repeatPenalty: 'repeatPenalty', seed: 'seed', stop: 'stop'
+    },
+    openai: {
+        temperature: 'temperature', maxTokens: 'max_tokens', topP: 'top_p', topK: 'top_k',
+        minP: 'min_p', repeatPenalty: 'repeat_penalty', seed: 'seed', stop: 'stop'
+    }
+};
+
+function checkNumber(name, value, limit) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+    if (limit.integer && !Number.isInteger(value)) return `${name} must be an integer`;
+    if (value < limit.min) return `${name} must be at least ${limit.min} (got ${value})`;
+    if (value > limit.max) return `${name} must be at most ${limit.max} (got ${value})`;
+    return null;
+}
+
+function checkStop(name, value) {
+    const stop = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(stop)) return { error: `${name} must be a string or an array of strings` };
+    if (stop.length > MAX_STOP_SEQUENCES) return { error: `${name} accepts at most ${MAX_STOP_SEQUENCES} sequences (got ${stop.length})` };
+    for (const s of stop) {
+        if (typeof s !== 'string' || !s) return { error: `${name} sequences must be non-empty strings` };
+        if (s.length > MAX_STOP_LENGTH) return { error: `${name} sequences must be at most ${MAX_STOP_LENGTH} characters (got ${s.length})` };
+    }
+    return { stop: Object.freeze(stop.slice()) };
+}
+
+/**
+ * Parse generation settings from a request body.
+ * Missing or null fields are left out so the runner defaults apply.
+ * Returns { options } (frozen) or { error, param } naming the offending field.
+ */
+function parseGenerationOptions(body, flavour = 'luckai') {
+    const names = FIELD_NAMES[flavour] || FIELD_NAMES.luckai;
+    const options = {};
+    body = body || {};
+
+    for (const key of Object.keys(LIMITS)) {
+        const value = body[names[key]];
+        if (value === undefined || value === null) continue;
+        const error = checkNumber(names[key], value, LIMITS[key]);
+        if (error) return { error, param: names[key] };
+        options[key] = value;
+    }
+
+    const rawStop = body[names.stop];
+    if (rawStop !== undefined && rawStop !== null) {
+        const checked = checkStop(names.stop, rawStop);
+        if (checked.error) return { error: checked.error, param: names.stop };
+        if (checked.stop.length) options.stop = checked.stop;
+    }
+
+    return { options: Object.freeze(options) };
+}
+
+// Copy of `options` with some fields replaced; the original is never modified
+function withGenerationOverrides(options, overrides) {
+    return Object.freeze(Object.assign({}, options, overrides));
+}
+
+module.exports = { LIMITS, parseGenerationOptions, withGenerationOverrides };
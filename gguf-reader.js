@@ -0,0 +1,260 @@
+/**
+ * GGUF header reader (pure JS, no native dependencies)
+ * Parses the metadata key/values and tensor table at the start of a GGUF file, which is enough to tell
+ * a model's architecture, size, quantization, trained context length, tokenizer and chat template
+ * without loading it. Chunked models are read across their parts.
+ */
+
+const fs = require('fs');
+
+// llama.cpp `general.file_type` values -> quantization label
+const FILE_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+    10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+    16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+    22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+    28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16'
+};
+
+// ggml tensor types, used when `general.file_type` is missing (the most common weight type wins)
+const TENSOR_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 6: 'Q5_0', 7: 'Q5_1', 8: 'Q8_0', 9: 'Q8_1',
+    10: 'Q2_K', 11: 'Q3_K', 12: 'Q4_K', 13: 'Q5_K', 14: 'Q6_K', 15: 'Q8_K', 16: 'IQ2_XXS',
+    17: 'IQ2_XS', 18: 'IQ3_XXS', 19: 'IQ1_S', 20: 'IQ4_NL', 21: 'IQ3_S', 22: 'IQ2_S', 23: 'IQ4_XS',
+    24: 'I8', 25: 'I16', 26: 'I32', 27: 'I64', 28: 'F64', 29: 'IQ1_M', 30: 'BF16'
+};
+
+const VALUE = { UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6, BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12 };
+
+// Arrays longer than this (token lists, merges, scores) are summarised as { length } instead of kept
+const MAX_ARRAY_ITEMS = 64;
+// Refuse absurd headers rather than reading gigabytes of a corrupt file
+const MAX_HEADER_BYTES = 256 * 1024 * 1024;
+const MAX_STRING_BYTES = 16 * 1024 * 1024;
+const MAX_COUNT = 10 * 1000 * 1000;
+const READ_AHEAD_BYTES = 1024 * 1024;
+
+class GGUFFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GGUFFormatError';
+        this.code = 'GGUF_FORMAT';
+    }
+}
+
+// Sequential reader over one file or the ordered parts of a chunked file
+class ChunkedReader {
+    constructor(files) {
+        this.files = files.map(file => ({ file, size: fs.statSync(file).size }));
+        this.totalSize = this.files.reduce((sum, f) => sum + f.size, 0);
+        this.position = 0; // bytes consumed
+        this._loaded = 0; // bytes copied into the buffer so far
+        this._fileIndex = 0;
+        this._fileOffset = 0;
+        this._fd = null;
+        this._buffer = Buffer.alloc(0);
+        this._bufferPos = 0;
+    }
+
+    close() {
+        if (this._fd !== null) fs.closeSync(this._fd);
+        this._fd = null;
+    }
+
+    // Copy the next `length` bytes out of the underlying files, crossing part boundaries as needed
+    _fill(length) {
+        const out = Buffer.alloc(length);
+        let written = 0;
+        while (written < length) {
+            const current = this.files[this._fileIndex];
+            if (this._fileOffset >= current.size) {
+                this.close();
+                this._fileIndex++;
+                this._fileOffset = 0;
+                continue;
+            }
+            if (this._fd === null) this._fd = fs.openSync(current.file, 'r');
+            const n = fs.readSync(this._fd, out, written, Math.min(length - written, current.size - this._fileOffset), this._fileOffset);
+            if (n <= 0) throw new GGUFFormatError('Unexpected end of file while reading the GGUF header');
+            written += n;
+            this._fileOffset += n;
+        }
+        this._loaded += length;
+        return out;
+    }
+
+    read(length) {
+        if (this.position + length > MAX_HEADER_BYTES) throw new GGUFFormatError('GGUF header is larger than expected');
+        if (this.position + length > this.totalSize) throw new GGUFFormatError('Unexpected end of file while reading the GGUF header');
+        if (this._bufferPos + length > this._buffer.length) {
+            // Keep the unread tail and read ahead, without going past the end of the data
+            const tail = this._buffer.subarray(this._bufferPos);
+            const wanted = Math.max(length - tail.length, READ_AHEAD_BYTES);
+            const more = this._fill(Math.min(wanted, this.totalSize - this._loaded));
+            this._buffer = Buffer.concat([tail, more]);
+            this._bufferPos = 0;
+        }
+        const slice = this._buffer.subarray(this._bufferPos, this._bufferPos + length);
+        this._bufferPos += length;
+        this.position += length;
+        return slice;
+    }
+
+    u8() { return this.read(1).readUInt8(0); }
+    i8() { return this.read(1).readInt8(0); }
+    u16() { return this.read(2).readUInt16LE(0); }
+    i16() { return this.read(2).readInt16LE(0); }
+    u32() { return this.read(4).readUInt32LE(0); }
+    i32() { return this.read(4).readInt32LE(0); }
+    f32() { return this.read(4).readFloatLE(0); }
+    f64() { return this.read(8).readDoubleLE(0); }
+    u64() { return toNumber(this.read(8).readBigUInt64LE(0)); }
+    i64() { return toNumber(this.read(8).readBigInt64LE(0)); }
+
+    string() {
+        const length = this.u64();
+        if (length > MAX_STRING_BYTES) throw new GGUFFormatError(`GGUF string too long (${length} bytes)`);
+        return this.read(length).toString('utf8');
+    }
+}
+
+function toNumber(big) {
+    return big <= BigInt(Number.MAX_SAFE_INTEGER) && big >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(big) : big.toString();
+}
+
+function readValue(reader, type, version) {
+    switch (type) {
+        case VALUE.UINT8: return reader.u8();
+        case VALUE.INT8: return reader.i8();
+        case VALUE.UINT16: return reader.u16();
+        case VALUE.INT16: return reader.i16();
+        case VALUE.UINT32: return reader.u32();
+        case VALUE.INT32: return reader.i32();
+        case VALUE.FLOAT32: return reader.f32();
+        case VALUE.BOOL: return reader.u8() !== 0;
+        case VALUE.STRING: return version === 1 ? readV1String(reader) : reader.string();
+        case VALUE.UINT64: return reader.u64();
+        case VALUE.INT64: return reader.i64();
+        case VALUE.FLOAT64: return reader.f64();
+        case VALUE.ARRAY: {
+            const itemType = reader.u32();
+            const length = version === 1 ? reader.u32() : reader.u64();
+            if (!(length <= MAX_COUNT)) throw new GGUFFormatError(`GGUF array too long (${length} items)`);
+            if (length <= MAX_ARRAY_ITEMS) {
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(readValue(reader, itemType, version));
+                return items;
+            }
+            // Walk through long arrays without keeping them
+            for (let i = 0; i < length; i++) readValue(reader, itemType, version);
+            return { type: 'array', length };
+        }
+        default:
+            throw new GGUFFormatError(`Unknown GGUF value type ${type}`);
+    }
+}
+
+// GGUF v1 used 32-bit string lengths
+function readV1String(reader) {
+    const length = reader.u32();
+    if (length > MAX_STRING_BYTES) throw new GGUFFormatError(`GGUF string too long (${length} bytes)`);
+    return reader.read(length).toString('utf8');
+}
+
+/**
+ * Read the raw header of a GGUF file (or of its ordered chunk parts).
+ * Returns { version, tensorCount, metadata: { key: value }, tensors: [{ name, dims, type }] }.
+ * Throws GGUFFormatError when the file is not a readable GGUF.
+ */
+function readGGUFHeader(files, { readTensors = true } = {}) {
+    const reader = new ChunkedReader(Array.isArray(files) ? files : [files]);
+    try {
+        if (reader.read(4).toString('ascii') !== 'GGUF') throw new GGUFFormatError('Not a GGUF file (bad magic)');
+        const version = reader.u32();
+        if (version < 1 || version > 3) throw new GGUFFormatError(`Unsupported GGUF version ${version}`);
+        const tensorCount = version === 1 ? reader.u32() : reader.u64();
+        const kvCount = version === 1 ? reader.u32() : reader.u64();
+        if (!(tensorCount <= MAX_COUNT) || !(kvCount <= MAX_COUNT)) throw new GGUFFormatError('Corrupt GGUF header (implausible counts)');
+
+        const metadata = {};
+        for (let i = 0; i < kvCount; i++) {
+            const key = version === 1 ? readV1String(reader) : reader.string();
+            metadata[key] = readValue(reader, reader.u32(), version);
+        }
+
+        const tensors = [];
+        if (readTensors) {
+            for (let i = 0; i < tensorCount; i++) {
+                const name = version === 1 ? readV1String(reader) : reader.string();
+                const nDims = reader.u32();
+                const dims = [];
+                for (let d = 0; d < nDims; d++) dims.push(version === 1 ? reader.u32() : reader.u64());
+                const type = reader.u32();
+                reader.u64(); // data offset
+                tensors.push({ name, dims, type });
+            }
+        }
+        return { version, tensorCount, metadata, tensors };
+    } catch (e) {
+        if (e instanceof GGUFFormatError) throw e;
+        throw new GGUFFormatError(`Could not read GGUF header: ${e.message}`);
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Summary of a model's header: architecture, parameter count, quantization, trained context length,
+ * tokenizer and chat template. Throws GGUFFormatError on unreadable files.
+ */
+function readGGUFInfo(files) {
+    const header = readGGUFHeader(files);
+    const meta = header.metadata;
+    const arch = meta['general.architecture'] || null;
+    const archKey = (name) => (arch ? meta[`${arch}.${name}`] : undefined);
+
+    let parameterCount = 0;
+    const typeCounts = {};
+    header.tensors.forEach(t => {
+        const count = t.dims.reduce((n, d) => n * Number(d), 1);
+        parameterCount += count;
+        typeCounts[t.type] = (typeCounts[t.type] || 0) + count;
+    });
+    let quant = meta['general.file_type'] !== undefined ? FILE_TYPES[Number(meta['general.file_type'])] || `type ${meta['general.file_type']}` : null;
+    if (!quant && header.tensors.length) {
+        const dominant = Object.keys(typeCounts).sort((a, b) => typeCounts[b] - typeCounts[a])[0];
+        quant = TENSOR_TYPES[dominant] || `type ${dominant}`;
+    }
+
+    const tokens = meta['tokenizer.ggml.tokens'];
+    return {
+        version: header.version,
+        name: meta['general.name'] || null,
+        arch,
+        parameterCount: parameterCount || null,
+        parameters: formatParameterCount(parameterCount),
+        quant,
+        contextLength: Number(archKey('context_length')) || null,
+        embeddingLength: Number(archKey('embedding_length')) || null,
+        layers: Number(archKey('block_count')) || null,
+        tensorCount: header.tensorCount,
+        tokenizer: {
+            model: meta['tokenizer.ggml.model'] || null,
+            vocabSize: Array.isArray(tokens) ? tokens.length : (tokens && tokens.length) || null,
+            bosTokenId: meta['tokenizer.ggml.bos_token_id'] !== undefined ? meta['tokenizer.ggml.bos_token_id'] : null,
+            eosTokenId: meta['tokenizer.ggml.eos_token_id'] !== undefined ? meta['tokenizer.ggml.eos_token_id'] : null
+        },
+        chatTemplate: typeof meta['tokenizer.chat_template'] === 'string' ? meta['tokenizer.chat_template'] : null
+    };
+}
+
+// 8030261248 -> "8.0B"
+function formatParameterCount(count) {
+    if (!count) return null;
+    if (count >= 1e9) return `${(count / 1e9).toFixed(1)}B`;
+    if (count >= 1e6) return `${Math.round(count / 1e6)}M`;
+    if (count >= 1e3) return `${Math.round(count / 1e3)}K`;
+    return String(count);
+}
+
+module.exports = { readGGUFHeader, readGGUFInfo, GGUFFormatError, FILE_TYPES };
@@ -0,0 +1,145 @@
+/**
+ * Inference worker process
+ * Hosts one LocalGGUFRunner in a child process started by WorkerRunner (worker-runner.js), so a native
+ * crash or a stuck model cannot take the HTTP server down with it. Talks to the parent over the IPC channel:
+ *
+ *   parent -> worker  { type: 'init', config } | { type: 'generate', id, message, history, webContext, options }
+ *                     { type: 'call', id, method: 'tokenize' | 'embed', args }
+ *                     { type: 'abort', id } (a generation or an embed call) | { type: 'ping', id } | { type: 'shutdown' }
+ *   worker -> parent  { type: 'reply', id, result } | { type: 'reply', id, error: { message, code, retryAfter } }
+ *                     { type: 'event', id, event: 'token' | 'start' | 'progress' | 'queue', args }
+ *                     { type: 'pong', id } | { type: 'state', snapshot }
+ */
+
+const { LocalGGUFRunner } = require('./gguf-runner');
+
+const STATE_POLL_MS = 1000; // while assembling or loading, so the parent sees progress
+
+let runner = null;
+const controllers = new Map(); // request id -> AbortController (generations and embeddings)
+
+function send(message) {
+    if (process.connected) process.send(message);
+}
+
+// Everything the parent mirrors: load state, runtime details and queue stats
+function snapshot() {
+    if (!runner) return { state: 'unloaded', available: false };
+    return {
+        state: runner.state,
+        available: runner.isAvailable(),
+        loadError: runner.loadError,
+        assembly: runner.assembly,
+        modelPath: runner.modelPath,
+        info: runner.info(),
+        scheduler: runner.scheduler.stats()
+    };
+}
+
+function sendState() {
+    send({ type: 'state', snapshot: snapshot() });
+}
+
+function serializeError(e) {
+    return { message: e.message, code: e.code || null, retryAfter: e.retryAfter };
+}
+
+async function handleInit(message) {
+    if (!runner) runner = new LocalGGUFRunner(message.config);
+    const poll = setInterval(sendState, STATE_POLL_MS);
+    try {
+        const ok = await runner.init();
+        sendState();
+        send({ type: 'reply', id: message.id, result: ok });
+    } catch (e) {
+        sendState();
+        send({ type: 'reply', id: message.id, error: serializeError(e) });
+    } finally {
+        clearInterval(poll);
+    }
+}
+
+async function handleGenerate(message) {
+    const { id } = message;
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    const event = (name) => (...args) => send({ type: 'event', id, event: name, args });
+    const flags = message.callbacks || {};
+    const options = Object.assign({}, message.options, {
+        signal: controller.signal,
+        onToken: flags.token ? event('token') : undefined,
+        onStart: (...args) => {
+            if (flags.start) event('start')(...args);
+            sendState();
+        },
+        onProgress: flags.progress ? event('progress') : undefined,
+        onQueue: flags.queue ? event('queue') : undefined
+    });
+    try {
+        if (!runner) throw new Error('LocalGGUF indisponible');
+        const pending = runner.processQuery(message.message, message.history, message.webContext, options);
+        sendState(); // queued (or started) — let the parent see the new depth
+        send({ type: 'reply', id, result: await pending });
+    } catch (e) {
+        send({ type: 'reply', id, error: serializeError(e) });
+    } finally {
+        controllers.delete(id);
+        sendState();
+    }
+}
+
+// Backend methods other than generation, answered with a plain reply
+const CALLABLE = ['tokenize', 'embed'];
+
+async function handleCall(message) {
+    const { id, method } = message;
+    const args = (message.args || []).slice();
+    // Embeddings are queued on the scheduler: an abort from the parent drops them
+    if (method === 'embed') {
+        const controller = new AbortController();
+        controllers.set(id, controller);
+        args[1] = Object.assign({}, args[1], { signal: controller.signal });
+    }
+    try {
+        if (!runner) throw new Error('LocalGGUF indisponible');
+        if (!CALLABLE.includes(method)) throw new Error(`Unknown worker method: ${method}`);
+        const pending = runner[method](...args);
+        if (method === 'embed') sendState();
+        send({ type: 'reply', id, result: await pending });
+    } catch (e) {
+        send({ type: 'reply', id, error: serializeError(e) });
+    } finally {
+        if (controllers.delete(id)) sendState();
+    }
+}
+
+process.on('message', (message) => {
+    if (!message || typeof message !== 'object') return;
+    switch (message.type) {
+        case 'init':
+            handleInit(message);
+            break;
+        case 'generate':
+            handleGenerate(message);
+            break;
+        case 'call':
+            handleCall(message);
+            break;
+        case 'abort': {
+            const controller = controllers.get(message.id);
+            if (controller) controller.abort();
+            break;
+        }
+        case 'ping':
+            send({ type: 'pong', id: message.id });
+            break;
+        case 'shutdown':
+            Promise.resolve(runner && runner.unload()).catch(() => {}).finally(() => process.exit(0));
+            break;
+    }
+});
+
+// The server went away: nothing left to serve
+process.on('disconnect', () => process.exit(0));
+
+send({ type: 'state', snapshot: snapshot() });
@@ -0,0 +1,274 @@
+/**
+ * Small forgiving HTML parser
+ * Builds a node tree from real-world pages the way browsers mostly would: unclosed tags are closed
+ * implicitly, void elements never get children, <script>/<style> contents stay raw text and entities are
+ * decoded. It is not a full HTML5 tree builder (no foster parenting or adoption agency), which is fine
+ * for reading search result pages and articles.
+ *
+ *   parseHTML(html) -> root node
+ *   node.find(selector) / node.findOne(selector) / node.closest(selector)
+ *   node.attr(name), node.hasClass(name), node.text()
+ *
+ * Selectors are simple: compounds like `div.result`, `#links`, `a[href]` or `meta[name=description]`,
+ * separated by spaces (descendant) and commas (either).
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Contents are not parsed as HTML; RCDATA ones still have their entities decoded
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'textarea', 'title']);
+const RCDATA_ELEMENTS = new Set(['textarea', 'title']);
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer',
+    'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+// tag -> open tags it closes when it starts (up to the nearest `scope` element)
+const IMPLIED_END = {
+    li: { closes: ['li'], scope: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+    dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'tbody', 'thead', 'tfoot'] },
+    td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    option: { closes: ['option'], scope: ['select', 'datalist'] }
+};
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', sbquo: '\u201a', ldquo: '\u201c', rdquo: '\u201d',
+    bdquo: '\u201e', hellip: '\u2026', bull: '\u2022', trade: '\u2122', euro: '\u20ac', oelig: '\u0153', OElig: '\u0152',
+    thinsp: '\u2009', ensp: '\u2002', emsp: '\u2003', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f'
+};
+// Latin-1 names, in code point order from U+00A0
+('nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para ' +
+ 'middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute ' +
+ 'Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute ' +
+ 'THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ' +
+ 'ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml')
+    .split(' ').forEach((name, i) => { NAMED_ENTITIES[name] = String.fromCodePoint(0xa0 + i); });
+
+// Decode character references; unknown named ones are left as they are
+function decodeEntities(text) {
+    return String(text || '').replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));?/g, (match, dec, hex, name) => {
+        if (name) return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : match;
+        const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+        if (!code || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\ufffd';
+        return String.fromCodePoint(code);
+    });
+}
+
+// Collapse runs of whitespace (including non-breaking spaces) to one space
+function normalizeSpace(text) {
+    return String(text || '').replace(/[\s\u00a0]+/g, ' ').trim();
+}
+
+class HtmlNode {
+    constructor(type, tag = null, attrs = {}, parent = null) {
+        this.type = type; // 'root' | 'element' | 'text'
+        this.tag = tag;
+        this.attrs = attrs;
+        this.parent = parent;
+        this.children = [];
+        this.value = ''; // text nodes only
+    }
+
+    attr(name) {
+        return Object.prototype.hasOwnProperty.call(this.attrs, name) ? this.attrs[name] : null;
+    }
+
+    hasClass(name) {
+        return (this.attrs.class || '').split(/\s+/).includes(name);
+    }
+
+    // Decoded text of the node and its descendants, whitespace kept as in the source
+    text() {
+        if (this.type === 'text') return this.value;
+        if (this.tag === 'script' || this.tag === 'style') return '';
+        return this.children.map(child => child.text()).join('');
+    }
+
+    // Element descendants, in document order
+    *descendants() {
+        for (const child of this.children) {
+            if (child.type !== 'element') continue;
+            yield child;
+            yield* child.descendants();
+        }
+    }
+
+    find(selector) {
+        const groups = parseSelector(selector);
+        const found = [];
+        for (const node of this.descendants()) {
+            if (groups.some(chain => matchesChain(node, chain, this))) found.push(node);
+        }
+        return found;
+    }
+
+    findOne(selector) {
+        const groups = parseSelector(selector);
+        for (const node of this.descendants()) {
+            if (groups.some(chain => matchesChain(node, chain, this))) return node;
+        }
+        return null;
+    }
+
+    // Nearest ancestor-or-self matching `selector`
+    closest(selector) {
+        const groups = parseSelector(selector);
+        for (let node = this; node && node.type === 'element'; node = node.parent) {
+            if (groups.some(chain => matchesChain(node, chain, null))) return node;
+        }
+        return null;
+    }
+}
+
+// "div.a b, #x" -> [[{ tag: 'div', classes: ['a'] }, { tag: 'b' }], [{ id: 'x' }]]
+function parseSelector(selector) {
+    return String(selector).split(',').map(group => group.trim().split(/\s+/).filter(Boolean).map(compound => {
+        const part = { tag: null, id: null, classes: [], attrs: [] };
+        const re = /([#.]?)([\w-]+|\*)|\[([\w-]+)(?:([*^$]?=)["']?([^"'\]]*)["']?)?\]/g;
+        let m;
+        while ((m = re.exec(compound))) {
+            if (m[3]) part.attrs.push({ name: m[3].toLowerCase(), op: m[4] || null, value: m[5] });
+            else if (m[1] === '#') part.id = m[2];
+            else if (m[1] === '.') part.classes.push(m[2]);
+            else if (m[2] !== '*') part.tag = m[2].toLowerCase();
+        }
+        return part;
+    }));
+}
+
+function matchesCompound(node, part) {
+    if (part.tag && node.tag !== part.tag) return false;
+    if (part.id && node.attrs.id !== part.id) return false;
+    if (part.classes.some(name => !node.hasClass(name))) return false;
+    return part.attrs.every(({ name, op, value }) => {
+        const actual = node.attr(name);
+        if (actual === null) return false;
+        if (op === '=') return actual === value;
+        if (op === '*=') return actual.includes(value);
+        if (op === '^=') return actual.startsWith(value);
+        if (op === '$=') return actual.endsWith(value);
+        return true;
+    });
+}
+
+// Last compound matches `node`, the others match ancestors in order (stopping at `root`)
+function matchesChain(node, chain, root) {
+    if (!matchesCompound(node, chain[chain.length - 1])) return false;
+    let i = chain.length - 2;
+    for (let ancestor = node.parent; i >= 0 && ancestor && ancestor !== root && ancestor.type === 'element'; ancestor = ancestor.parent) {
+        if (matchesCompound(ancestor, chain[i])) i--;
+    }
+    return i < 0;
+}
+
+const ATTR_RE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(source) {
+    const attrs = {};
+    let m;
+    ATTR_RE.lastIndex = 0;
+    while ((m = ATTR_RE.exec(source))) {
+        const name = m[1].toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(attrs, name)) continue; // first one wins, like browsers
+        attrs[name] = decodeEntities(m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '');
+    }
+    return attrs;
+}
+
+function parseHTML(html) {
+    html = String(html || '');
+    const root = new HtmlNode('root');
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+
+    const addText = (value) => {
+        if (!value) return;
+        const parent = current();
+        const last = parent.children[parent.children.length - 1];
+        if (last && last.type === 'text') {
+            last.value += value;
+            return;
+        }
+        const node = new HtmlNode('text', null, {}, parent);
+        node.value = value;
+        parent.children.push(node);
+    };
+    // Pop open elements up to and including the nearest `tag` (only if it is open below any `scope` element)
+    const closeTag = (tags, scope = []) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (tags.includes(stack[i].tag)) {
+                stack.length = i;
+                return true;
+            }
+            if (scope.includes(stack[i].tag)) return false;
+        }
+        return false;
+    };
+
+    const tagRe = /<(\/?)([A-Za-z][A-Za-z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+    let pos = 0;
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt < 0) {
+            addText(decodeEntities(html.slice(pos)));
+            break;
+        }
+        if (lt > pos) addText(decodeEntities(html.slice(pos, lt)));
+        pos = lt;
+
+        if (html.startsWith('<!--', pos)) {
+            const end = html.indexOf('-->', pos + 4);
+            pos = end < 0 ? html.length : end + 3;
+            continue;
+        }
+        if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+            const end = html.indexOf('>', pos);
+            pos = end < 0 ? html.length : end + 1;
+            continue;
+        }
+
+        tagRe.lastIndex = pos;
+        const m = tagRe.exec(html);
+        if (!m) {
+            addText('<');
+            pos++;
+            continue;
+        }
+        pos = tagRe.lastIndex;
+        const tag = m[2].toLowerCase();
+
+        if (m[1]) {
+            closeTag([tag]);
+            continue;
+        }
+
+        if (tag === 'p' || CLOSES_P.has(tag)) closeTag(['p'], ['div', 'td', 'th', 'li', 'button', 'body', 'blockquote', 'section', 'article']);
+        if (IMPLIED_END[tag]) closeTag(IMPLIED_END[tag].closes, IMPLIED_END[tag].scope);
+
+        const node = new HtmlNode('element', tag, parseAttributes(m[3]), current());
+        current().children.push(node);
+        const selfClosing = /\/\s*$/.test(m[3]);
+        if (VOID_ELEMENTS.has(tag) || selfClosing) continue;
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const endRe = new RegExp(`</${tag}\\s*>`, 'ig');
+            endRe.lastIndex = pos;
+            const end = endRe.exec(html);
+            const raw = html.slice(pos, end ? end.index : html.length);
+            if (raw) {
+                const text = new HtmlNode('text', null, {}, node);
+                text.value = RCDATA_ELEMENTS.has(tag) ? decodeEntities(raw) : raw;
+                node.children.push(text);
+            }
+            pos = end ? endRe.lastIndex : html.length;
+            continue;
+        }
+        stack.push(node);
+    }
+    return root;
+}
+
+module.exports = { parseHTML, decodeEntities, normalizeSpace, HtmlNode };
@@ -0,0 +1,288 @@
+/**
+ * HTTP inference backend
+ * Talks to a model server over HTTP: Ollama (/api/chat, /api/embed) or anything speaking the
+ * llama.cpp server / OpenAI API (/v1/chat/completions, /v1/embeddings, /tokenize). Requests still go
+ * through an InferenceScheduler so queue limits, priorities and Retry-After work as for local models.
+ */
+
+const { InferenceBackend, BackendUnsupportedError, BackendUnavailableError, detectLanguage } = require('./inference-backend');
+const { InferenceScheduler, GenerationAbortedError } = require('./gguf-runner');
+
+const APIS = ['ollama', 'llama-cpp'];
+const PROBE_TIMEOUT_MS = 5000;
+// An endpoint found down is not probed again for this long, so failover does not wait on it every request
+const RECHECK_MS = 10 * 1000;
+
+const SYSTEM_PROMPTS = {
+    en: 'You are Luck, a friendly and helpful AI assistant developed by LuckAI.',
+    fr: 'Tu es Luck, un assistant IA amical et serviable développé par LuckAI.'
+};
+
+// LUCKAI_HTTP_API: "ollama" (default) or "llama-cpp" ("openai" is accepted for the same API)
+function parseApi(value) {
+    const api = String(value || 'ollama').trim().toLowerCase();
+    if (api === 'openai' || api === 'llamacpp' || api === 'llama.cpp') return 'llama-cpp';
+    if (APIS.includes(api)) return api;
+    console.warn(`[HTTP] Unknown API "${value}" (expected ${APIS.join(' or ')}); using ollama`);
+    return 'ollama';
+}
+
+class HttpBackend extends InferenceBackend {
+    constructor(config = {}) {
+        super(config);
+        this.backend = 'http';
+        this.url = String(config.url || process.env.LUCKAI_HTTP_URL || 'http://127.0.0.1:11434').replace(/\/+$/, '');
+        this.api = parseApi(config.api || process.env.LUCKAI_HTTP_API);
+        // Model to ask for; when empty, the first model the server lists is used
+        this.name = config.model || process.env.LUCKAI_HTTP_MODEL || '';
+        this.apiKey = config.apiKey || process.env.LUCKAI_HTTP_API_KEY || '';
+        this.systemPrompt = config.systemPrompt || process.env.LUCKAI_HTTP_SYSTEM_PROMPT || '';
+        this.timeoutMs = Number(config.timeoutMs || process.env.LUCKAI_HTTP_TIMEOUT_MS || 120 * 1000);
+        this.parallel = Math.max(1, Number(config.parallel || process.env.LUCKAI_HTTP_PARALLEL || 4));
+        this.scheduler = new InferenceScheduler({ maxQueue: config.maxQueue });
+        this._checkedAt = 0;
+        this._initPromise = null;
+    }
+
+    _label() {
+        return `${this.api === 'ollama' ? 'Ollama' : 'llama.cpp server'} (${this.name || 'default'})`;
+    }
+
+    // fetch() against the endpoint; network failures mark the backend unavailable
+    async _request(pathname, { method = 'GET', body, signal, timeoutMs = this.timeoutMs } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        const signals = [AbortSignal.timeout(timeoutMs)].concat(signal ? [signal] : []);
+        let res;
+        try {
+            res = await fetch(this.url + pathname, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.any(signals)
+            });
+        } catch (e) {
+            if (signal && signal.aborted) throw new GenerationAbortedError();
+            const reason = e.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : ((e.cause && e.cause.code) || e.message);
+            this._markUnavailable(`${this.url} unreachable: ${reason}`);
+            throw new BackendUnavailableError(`HTTP backend ${this.url} unreachable: ${reason}`);
+        }
+        if (!res.ok) {
+            const text = await res.text().catch(() => '');
+            const error = new Error(`HTTP backend returned ${res.status}${text ? `: ${text.slice(0, 300)}` : ''}`);
+            error.status = res.status;
+            throw error;
+        }
+        return res;
+    }
+
+    _markUnavailable(reason) {
+        this.available = false;
+        this.state = 'error';
+        this.loadError = reason;
+        this._checkedAt = Date.now();
+        console.warn(`[HTTP] ${reason}`);
+    }
+
+    // Probe the endpoint and pick a model; recently failed endpoints are not probed again right away
+    async init() {
+        if (this.available) return true;
+        if (this._initPromise) return this._initPromise;
+        if (this._checkedAt && Date.now() - this._checkedAt < RECHECK_MS) return false;
+        this.state = 'loading';
+        this._initPromise = (async () => {
+            try {
+                const res = await this._request(this.api === 'ollama' ? '/api/tags' : '/v1/models', { timeoutMs: PROBE_TIMEOUT_MS });
+                const data = await res.json();
+                const models = this.api === 'ollama'
+                    ? (data.models || []).map(m => m.name || m.model)
+                    : (data.data || []).map(m => m.id);
+                if (!this.name) this.name = models[0] || '';
+                // Ollama needs a model it has pulled; llama.cpp serves whatever it loaded, whatever the name
+                if (this.api === 'ollama' && !models.some(m => m === this.name || m === `${this.name}:latest`)) {
+                    throw new Error(this.name ? `model ${this.name} not found on ${this.url}` : `no models on ${this.url}`);
+                }
+                if (!this.scheduler.stats().slots) this.scheduler.setSlots(new Array(this.parallel).fill(null));
+                this.available = true;
+                this.state = 'available';
+                this.loadError = null;
+                console.log(`[HTTP] Connected to ${this.url} (${this.api}, model ${this.name || 'default'})`);
+                return true;
+            } catch (e) {
+                if (this.state !== 'error') this._markUnavailable(e.message);
+                return false;
+            }
+        })().finally(() => { this._initPromise = null; });
+        return this._initPromise;
+    }
+
+    isIdle() {
+        const stats = this.scheduler.stats();
+        return stats.busy === 0 && stats.queued === 0;
+    }
+
+    async unload() {
+        this.available = false;
+        this.state = 'unloaded';
+        this.scheduler.setSlots([]);
+    }
+
+    // ChatHistoryItem[] plus the new message as { role, content } chat messages
+    _messages(history, message) {
+        return history.map(item => {
+            if (item.type === 'system') return { role: 'system', content: item.text };
+            if (item.type === 'model') return { role: 'assistant', content: item.response.join('') };
+            return { role: 'user', content: item.text };
+        }).concat({ role: 'user', content: message });
+    }
+
+    _chatBody(messages, options, stream) {
+        if (this.api === 'ollama') {
+            const params = { temperature: options.temperature, num_predict: options.maxTokens };
+            if (typeof options.topP === 'number') params.top_p = options.topP;
+            if (typeof options.topK === 'number') params.top_k = options.topK;
+            if (typeof options.minP === 'number') params.min_p = options.minP;
+            if (typeof options.repeatPenalty === 'number') params.repeat_penalty = options.repeatPenalty;
+            if (typeof options.seed === 'number') params.seed = options.seed;
+            if (options.stop && options.stop.length) params.stop = options.stop.slice();
+            return { model: this.name, messages, stream, options: params };
+        }
+        // llama.cpp server accepts its own samplers (top_k, min_p, repeat_penalty) next to the OpenAI ones
+        const body = { model: this.name || undefined, messages, stream, temperature: options.temperature, max_tokens: options.maxTokens };
+        if (typeof options.topP === 'number') body.top_p = options.topP;
+        if (typeof options.topK === 'number') body.top_k = options.topK;
+        if (typeof options.minP === 'number') body.min_p = options.minP;
+        if (typeof options.repeatPenalty === 'number') body.repeat_penalty = options.repeatPenalty;
+        if (typeof options.seed === 'number') body.seed = options.seed;
+        if (options.stop && options.stop.length) body.stop = options.stop.slice();
+        if (stream) body.stream_options = { include_usage: true };
+        return body;
+    }
+
+    // Read a streamed reply (Ollama NDJSON or OpenAI SSE), pushing text to `onText`; resolves with the usage counts
+    async _readStream(res, onText) {
+        const decoder = new TextDecoder();
+        const usage = {};
+        let buffer = '';
+        const handleLine = (line) => {
+            line = line.trim();
+            if (this.api !== 'ollama') {
+                if (!line.startsWith('data:')) return;
+                line = line.slice(5).trim();
+                if (line === '[DONE]') return;
+            }
+            if (!line) return;
+            let data;
+            try { data = JSON.parse(line); } catch (e) { return; }
+            if (data.error) throw new Error(`HTTP backend error: ${data.error.message || data.error}`);
+            const text = this.api === 'ollama'
+                ? (data.message && data.message.content) || ''
+                : (data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content) || '';
+            if (text) onText(text);
+            Object.assign(usage, this._usageOf(data));
+        };
+        for await (const chunk of res.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+        return usage;
+    }
+
+    _usageOf(data) {
+        if (this.api === 'ollama') {
+            return data.done ? { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count } : {};
+        }
+        return data.usage ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens } : {};
+    }
+
+    async processQuery(message, conversationHistory = [], webContext = null, options = {}) {
+        if (!this.available) throw new BackendUnavailableError(`HTTP backend ${this.url} unavailable`);
+        const language = detectLanguage(message, conversationHistory);
+        options = this.resolveGenerationOptions(options);
+        const onToken = typeof options.onToken === 'function' ? options.onToken : null;
+        const signal = options.signal || null;
+        const systemPrompt = options.systemPrompt || this.systemPrompt || SYSTEM_PROMPTS[language];
+        const history = this._buildChatHistory(systemPrompt, conversationHistory, webContext, { language, short: !!options.short });
+        const messages = this._messages(history, message);
+        const prompt = messages.map(m => m.content).join('\n\n');
+        const estimate = (text) => Math.ceil(String(text || '').length / 4);
+
+        let generation;
+        try {
+            generation = await this.scheduler.run(async (slot, { waitMs }) => {
+                const start = Date.now();
+                if (typeof options.onStart === 'function') {
+                    try { options.onStart(); } catch (e) { /* ignore consumer errors */ }
+                }
+                let text = '';
+                let chunks = 0;
+                let usage = {};
+                try {
+                    const res = await this._request(this.api === 'ollama' ? '/api/chat' : '/v1/chat/completions', {
+                        method: 'POST',
+                        body: this._chatBody(messages, options, true),
+                        signal
+                    });
+                    usage = await this._readStream(res, (chunk) => {
+                        text += chunk;
+                        if (onToken) {
+                            try { onToken(chunk); } catch (e) { /* ignore consumer errors */ }
+                        }
+                        if (typeof options.onProgress === 'function') {
+                            try { options.onProgress(++chunks); } catch (e) { /* ignore consumer errors */ }
+                        }
+                    });
+                } catch (e) {
+                    // Cancelled by the caller: keep what was produced so far
+                    if (!(signal && signal.aborted)) throw e;
+                }
+                return { text, usage, stopped: !!(signal && signal.aborted), waitMs, elapsedMs: Date.now() - start };
+            }, { priority: options.priority, owner: options.owner, onQueue: options.onQueue, signal: signal || undefined });
+        } catch (e) {
+            if (!(e instanceof GenerationAbortedError)) throw e;
+            generation = { text: '', usage: {}, stopped: true, waitMs: 0, elapsedMs: 0 };
+        }
+
+        const response = generation.text.trim();
+        const result = {
+            response,
+            language,
+            model: this._label(),
+            usage: {
+                promptTokens: generation.usage.promptTokens || estimate(prompt),
+                completionTokens: generation.usage.completionTokens || estimate(response)
+            },
+            stats: { elapsedMs: generation.elapsedMs, queueWaitMs: generation.waitMs, provider: this.backend, api: this.api, cached: false }
+        };
+        if (generation.stopped) result.stopped = true;
+        return result;
+    }
+
+    // llama.cpp server only: Ollama has no tokenize endpoint
+    async tokenize(text) {
+        if (this.api === 'ollama') throw new BackendUnsupportedError('Ollama HTTP', 'tokenize');
+        const res = await this._request('/tokenize', { method: 'POST', body: { content: String(text || '') } });
+        const data = await res.json();
+        return (data.tokens || []).map(t => (typeof t === 'number' ? t : t.id));
+    }
+
+    async embed(texts) {
+        const input = [].concat(texts).map(t => String(t || ''));
+        if (this.api === 'ollama') {
+            const res = await this._request('/api/embed', { method: 'POST', body: { model: this.name, input } });
+            return (await res.json()).embeddings || [];
+        }
+        const res = await this._request('/v1/embeddings', { method: 'POST', body: { model: this.name || undefined, input } });
+        const data = (await res.json()).data || [];
+        return data.slice().sort((a, b) => a.index - b.index).map(d => d.embedding);
+    }
+
+    info() {
+        return Object.assign(super.info(), { name: this.name || null, api: this.api, url: this.url, parallel: this.parallel });
+    }
+}
+
+module.exports = { HttpBackend };
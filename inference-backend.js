@@ -0,0 +1,146 @@
+/**
+ * Inference backend interface
+ * Every backend the server can answer with (local GGUF, HTTP, echo) extends InferenceBackend:
+ *
+ *   init() -> Promise<boolean>        load the model / check the endpoint; false when unavailable
+ *   isAvailable(), isIdle(), unload()
+ *   generate(message, history, webContext, options) -> Promise<result>   whole answer at once
+ *   stream(message, history, webContext, options)   -> Promise<result>   same, pushing text to options.onToken
+ *   tokenize(text) -> Promise<number[]>
+ *   embed(texts, { owner, signal }) -> Promise<number[][]>   queued like generations where the backend has a queue
+ *   info() -> object                  runtime details for the status endpoint
+ *
+ * `result` is { response, language, model, usage: { promptTokens, completionTokens }, stopped?, stats }, where
+ * `model` names the backend that answered (e.g. "LocalGGUF (qwen)", "Ollama (llama3.2)", "Echo (LuckModel)").
+ * Backends also expose `state`, `loadError`, `maxTokens` and a `scheduler` (stats(), isFull(), retryAfter()).
+ */
+
+// Raised by backends that cannot do something (e.g. tokenize over the Ollama API)
+class BackendUnsupportedError extends Error {
+    constructor(backend, operation) {
+        super(`The ${backend} backend does not support ${operation}`);
+        this.name = 'BackendUnsupportedError';
+        this.code = 'NOT_SUPPORTED';
+    }
+}
+
+// Raised when a backend cannot be reached; the server fails over to the next backend on the following request
+class BackendUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackendUnavailableError';
+        this.code = 'BACKEND_UNAVAILABLE';
+    }
+}
+
+// Accents or common French function words in the message, falling back to recent conversation history
+const FRENCH_RE = /[àâçéèêëîïôûùüÿñæœ]|\b(le|la|les|un|une|bonjour|salut|merci|pourquoi|qui|quoi|où|ou|tu|vous|je|nous|mon|ma|mes|s'il|svp|comment|quel|quelle|quelques)\b/i;
+
+function detectLanguage(message, conversationHistory = []) {
+    try {
+        if (FRENCH_RE.test(message)) return 'fr';
+        if (Array.isArray(conversationHistory)) {
+            for (let i = conversationHistory.length - 1; i >= 0; i--) {
+                const c = conversationHistory[i] && (conversationHistory[i].content || conversationHistory[i].message || '');
+                if (FRENCH_RE.test(c)) return 'fr';
+            }
+        }
+    } catch (e) { /* keep default 'en' */ }
+    return 'en';
+}
+
+class InferenceBackend {
+    constructor(config = {}) {
+        this.temperature = Number(config.temperature || 0.7);
+        this.maxTokens = Number(config.maxTokens || process.env.LUCKAI_MAX_TOKENS || 4096);
+        this.generationDefaults = config.generationDefaults || {};
+        this.available = false;
+        // unloaded | assembling | loading | available | corrupt | missing | error (see loadError)
+        this.state = 'unloaded';
+        this.loadError = null;
+    }
+
+    async init() { return this.isAvailable(); }
+
+    isAvailable() { return !!this.available; }
+
+    isIdle() { return true; }
+
+    async unload() {}
+
+    // Implemented by each backend; streams to `options.onToken` when set
+    async processQuery() {
+        throw new BackendUnsupportedError(this.backend, 'generation');
+    }
+
+    generate(message, conversationHistory = [], webContext = null, options = {}) {
+        return this.processQuery(message, conversationHistory, webContext, Object.assign({}, options, { onToken: undefined }));
+    }
+
+    stream(message, conversationHistory = [], webContext = null, options = {}) {
+        if (typeof options.onToken !== 'function') return Promise.reject(new TypeError('stream() needs an onToken callback'));
+        return this.processQuery(message, conversationHistory, webContext, options);
+    }
+
+    async tokenize() {
+        throw new BackendUnsupportedError(this.backend, 'tokenize');
+    }
+
+    async embed() {
+        throw new BackendUnsupportedError(this.backend, 'embeddings');
+    }
+
+    info() {
+        return { backend: this.backend, loaded: this.isAvailable(), state: this.state, error: this.loadError };
+    }
+
+    // Fill in model and backend defaults for one request's options. Returns a new frozen object; `options` is left untouched.
+    resolveGenerationOptions(options) {
+        const defaults = this.generationDefaults;
+        options = Object.assign({}, defaults, options || {});
+        // Model stop tokens always apply; request stop sequences are added to them
+        const stop = [].concat(defaults.stop || [], options.stop || []).filter(x => typeof x === 'string' && x);
+        return Object.freeze(Object.assign(options, {
+            temperature: typeof options.temperature === 'number' ? options.temperature : this.temperature,
+            maxTokens: Number(options.maxTokens || this.maxTokens),
+            stop: Array.from(new Set(stop))
+        }));
+    }
+
+    /**
+     * Structured chat history for one request (node-llama-cpp ChatHistoryItem[]): one system message
+     * carrying the instructions and web context, then the previous user and assistant turns. System turns in
+     * the history are dropped: only the OpenAI-compatible API may change the instructions (through
+     * `options.systemPrompt`). The new user message is sent separately by each backend.
+     */
+    _buildChatHistory(systemPrompt, conversationHistory, webContext, { language, short }) {
+        const fr = language === 'fr';
+        const instructions = [systemPrompt];
+        if (short) {
+            instructions.push(fr
+                ? 'Réponds en un paragraphe concis et complet. Ne coupe pas la phrase ni les listes ; termine proprement.'
+                : 'Provide a concise, complete one-paragraph answer. Do not cut off mid-sentence or in the middle of lists; finish cleanly.');
+        }
+        instructions.push(fr ? 'Réponds en français uniquement.' : 'Respond in English only.');
+        if (webContext) {
+            instructions.push((fr ? 'Contexte web :\n' : 'Web context:\n') + webContext);
+            // The numbers are the results' positions in the sources returned with the answer (see citations.js)
+            instructions.push(fr
+                ? 'Cite les résultats web que tu utilises avec leur numéro entre crochets, juste après l\'information, par exemple [1] ou [2][3]. N\'utilise que les numéros du contexte web.'
+                : 'Cite the web results you use with their number in square brackets right after the statement, for example [1] or [2][3]. Only use numbers from the web context.');
+        }
+
+        const history = [{ type: 'system', text: instructions.join('\n\n') }];
+        for (const turn of Array.isArray(conversationHistory) ? conversationHistory : []) {
+            if (!turn) continue;
+            const content = typeof turn === 'string' ? turn : String(turn.content || turn.message || '');
+            if (!content) continue;
+            const role = typeof turn === 'string' ? 'user' : String(turn.role || '').toLowerCase();
+            if (role === 'assistant') history.push({ type: 'model', response: [content] });
+            else if (role !== 'system' && role !== 'developer') history.push({ type: 'user', text: content });
+        }
+        return history;
+    }
+}
+
+module.exports = { InferenceBackend, BackendUnsupportedError, BackendUnavailableError, detectLanguage };
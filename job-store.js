@@ -0,0 +1,199 @@
+/**
+ * Background job store
+ * Tracks background generations (state, progress, ETA, owner) with TTL eviction
+ * and optional persistence to a JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+class JobStore {
+    constructor(config = {}) {
+        // Set `file` to keep jobs across restarts (null = memory only)
+        this.file = config.file || null;
+        // How long finished jobs are kept before eviction
+        this.ttlMs = Number(config.ttlMs || process.env.LUCKAI_JOB_TTL_MS || 1000 * 60 * 60); // 1 hour
+        // Hard cap: oldest finished jobs are dropped first when exceeded
+        this.maxJobs = Number(config.maxJobs || process.env.LUCKAI_JOB_MAX || 1000);
+
+        this._jobs = new Map(); // id -> job
+        this._load();
+
+        this._sweepTimer = setInterval(() => this.sweep(), Math.min(this.ttlMs, 60 * 1000));
+        if (this._sweepTimer.unref) this._sweepTimer.unref();
+    }
+
+    _load() {
+        if (!this.file) return;
+        try {
+            if (!fs.existsSync(this.file)) return;
+            const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const now = new Date().toISOString();
+            (parsed.jobs || []).forEach(job => {
+                // Generations do not survive a restart: report them as failed rather than pending forever
+                if (!FINISHED_STATES.includes(job.state)) {
+                    Object.assign(job, { state: 'failed', error: 'Server restarted before the job finished', finishedAt: now, updatedAt: now, etaMs: null });
+                }
+                this._jobs.set(job.id, job);
+            });
+            this.sweep();
+        } catch (e) {
+            console.warn('[JobStore] Failed to read jobs file:', e.message);
+        }
+    }
+
+    _save() {
+        if (!this.file) return;
+        try {
+            const dir = path.dirname(this.file);
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+            const tmp = this.file + '.tmp';
+            fs.writeFileSync(tmp, JSON.stringify({ jobs: Array.from(this._jobs.values()) }));
+            fs.renameSync(tmp, this.file);
+        } catch (e) {
+            console.warn('[JobStore] Failed to write jobs file:', e.message);
+        }
+    }
+
+    // Public view of a job (owner key is internal)
+    _public(job) {
+        return {
+            id: job.id,
+            kind: job.kind,
+            state: job.state,
+            username: job.username || null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt || null,
+            finishedAt: job.finishedAt || null,
+            queuePosition: job.state === 'queued' ? job.queuePosition || null : null,
+            tokens: job.tokens,
+            maxTokens: job.maxTokens || null,
+            etaMs: job.etaMs,
+            result: job.result || null,
+            error: job.error || null,
+            expiresAt: job.finishedAt ? new Date(Date.parse(job.finishedAt) + this.ttlMs).toISOString() : null
+        };
+    }
+
+    create(owner, { kind = 'generation', username, maxTokens, meta } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            kind,
+            owner: String(owner),
+            username: username || null,
+            state: 'queued',
+            createdAt: now,
+            updatedAt: now,
+            tokens: 0,
+            maxTokens: Number(maxTokens) || null,
+            etaMs: null
+        };
+        if (meta) job.meta = meta;
+        this._jobs.set(job.id, job);
+        this._enforceLimit();
+        this._save();
+        return this._public(job);
+    }
+
+    get(id) {
+        const job = this._jobs.get(id);
+        return job ? this._public(job) : null;
+    }
+
+    // True when `owner` created the job
+    isOwner(id, owner) {
+        const job = this._jobs.get(id);
+        return !!job && job.owner === String(owner);
+    }
+
+    // Jobs, newest first; pass `owner` to restrict to one user's jobs
+    list({ owner } = {}) {
+        return Array.from(this._jobs.values())
+            .filter(job => owner === undefined || job.owner === String(owner))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+            .map(job => this._public(job));
+    }
+
+    setQueuePosition(id, position) {
+        const job = this._active(id);
+        if (job && job.state === 'queued') job.queuePosition = position;
+    }
+
+    start(id) {
+        const job = this._active(id);
+        if (!job) return;
+        job.state = 'running';
+        job.startedAt = job.updatedAt = new Date().toISOString();
+        this._save();
+    }
+
+    // Record tokens generated so far and refresh the ETA (an upper bound, assuming the full maxTokens are used)
+    progress(id, tokens) {
+        const job = this._active(id);
+        if (!job) return;
+        if (job.state === 'queued') this.start(id);
+        job.tokens = tokens;
+        job.updatedAt = new Date().toISOString();
+        const elapsed = Date.now() - Date.parse(job.startedAt);
+        if (job.maxTokens && tokens > 0 && elapsed > 0) {
+            job.etaMs = Math.max(0, Math.round((job.maxTokens - tokens) * elapsed / tokens));
+        }
+    }
+
+    complete(id, result) {
+        this._finish(id, 'done', { result });
+    }
+
+    fail(id, error, result) {
+        this._finish(id, 'failed', { error: String(error || 'Job failed'), result });
+    }
+
+    cancel(id, result) {
+        this._finish(id, 'cancelled', { result });
+    }
+
+    // Drop finished jobs older than the TTL
+    sweep() {
+        const cutoff = Date.now() - this.ttlMs;
+        let removed = 0;
+        for (const [id, job] of this._jobs) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                this._jobs.delete(id);
+                removed++;
+            }
+        }
+        if (removed) this._save();
+        return removed;
+    }
+
+    _active(id) {
+        const job = this._jobs.get(id);
+        return job && !FINISHED_STATES.includes(job.state) ? job : null;
+    }
+
+    _finish(id, state, { result, error } = {}) {
+        const job = this._active(id);
+        if (!job) return;
+        job.state = state;
+        job.finishedAt = job.updatedAt = new Date().toISOString();
+        job.etaMs = 0;
+        delete job.queuePosition;
+        if (result !== undefined) job.result = result;
+        if (error) job.error = error;
+        this._save();
+    }
+
+    _enforceLimit() {
+        if (this._jobs.size <= this.maxJobs) return;
+        const finished = Array.from(this._jobs.values())
+            .filter(job => FINISHED_STATES.includes(job.state))
+            .sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)));
+        while (this._jobs.size > this.maxJobs && finished.length) this._jobs.delete(finished.shift().id);
+    }
+}
+
+module.exports = { JobStore };
@@ -0,0 +1,129 @@
+/**
+ * Local offline search index
+ * Keyword (BM25) search over documents kept on disk, for machines without internet access. The index
+ * file (LUCKAI_SEARCH_INDEX, default data/search-index.json) holds documents { title, url?, content }:
+ * either a JSON array, { "documents": [...] }, or one JSON document per line (.jsonl). It is reloaded
+ * whenever the file changes.
+ */
+
+const fs = require('fs');
+const { SearchProvider, summarizeResults } = require('./search-provider');
+
+// BM25 parameters; title words count TITLE_WEIGHT times
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;
+const SNIPPET_CHARS = 240;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or',
+    'the', 'to', 'what', 'when', 'where', 'who', 'why', 'with', 'about', 'me', 'tell',
+    'au', 'aux', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'en', 'est', 'et', 'il', 'la', 'le', 'les', 'ou',
+    'par', 'pour', 'que', 'qui', 'quoi', 'sur', 'un', 'une'
+]);
+
+// Lowercased words without accents, stopwords or single characters
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+class LocalSearchIndex extends SearchProvider {
+    constructor(config = {}) {
+        super(Object.assign({ timeoutMs: process.env.LUCKAI_LOCAL_SEARCH_TIMEOUT_MS }, config));
+        this.provider = 'local';
+        this.file = config.file || process.env.LUCKAI_SEARCH_INDEX || '';
+        this._index = null;
+        this._mtimeMs = 0;
+    }
+
+    _readDocuments() {
+        const text = fs.readFileSync(this.file, 'utf8');
+        let documents;
+        if (/\.jsonl$/i.test(this.file)) {
+            documents = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+        } else {
+            const parsed = JSON.parse(text);
+            documents = Array.isArray(parsed) ? parsed : (parsed && parsed.documents) || [];
+        }
+        return documents.filter(doc => doc && (doc.title || doc.content));
+    }
+
+    // (Re)build term frequencies and document frequencies when the file changed since the last load
+    _load() {
+        if (!this.file) throw new Error('No local search index configured (LUCKAI_SEARCH_INDEX)');
+        let stat;
+        try {
+            stat = fs.statSync(this.file);
+        } catch (e) {
+            throw new Error(`Local search index not found: ${this.file}`);
+        }
+        if (this._index && stat.mtimeMs === this._mtimeMs) return this._index;
+
+        const docs = this._readDocuments().map(doc => {
+            const terms = new Map();
+            const add = (word, weight) => terms.set(word, (terms.get(word) || 0) + weight);
+            tokenize(doc.title).forEach(word => add(word, TITLE_WEIGHT));
+            const words = tokenize(doc.content);
+            words.forEach(word => add(word, 1));
+            return { doc, terms, length: words.length + TITLE_WEIGHT * tokenize(doc.title).length };
+        });
+        const df = new Map();
+        docs.forEach(entry => entry.terms.forEach((_, word) => df.set(word, (df.get(word) || 0) + 1)));
+        const avgLength = docs.reduce((sum, entry) => sum + entry.length, 0) / (docs.length || 1);
+
+        this._index = { docs, df, avgLength };
+        this._mtimeMs = stat.mtimeMs;
+        return this._index;
+    }
+
+    async search(query) {
+        if (!query || !query.trim()) return null;
+        const { docs, df, avgLength } = this._load();
+        const terms = Array.from(new Set(tokenize(query)));
+
+        const scored = docs.map(entry => {
+            let score = 0;
+            for (const term of terms) {
+                const tf = entry.terms.get(term);
+                if (!tf) continue;
+                const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+                score += idf * tf * (K1 + 1) / (tf + K1 * (1 - B + B * entry.length / avgLength));
+            }
+            return { entry, score };
+        }).filter(x => x.score > 0).sort((a, b) => b.score - a.score).slice(0, this.maxResults);
+
+        const results = scored.map(({ entry }) => {
+            const snippet = snippetFor(String(entry.doc.content || ''), terms);
+            return { title: String(entry.doc.title || '').trim() || snippet.slice(0, 60), url: entry.doc.url || '', description: snippet, snippet };
+        });
+        return { results, summary: summarizeResults(results) };
+    }
+
+    info() {
+        const info = Object.assign(super.info(), { file: this.file || null, documents: null });
+        try {
+            info.documents = this._load().docs.length;
+        } catch (e) {
+            info.error = e.message;
+        }
+        return info;
+    }
+}
+
+// The part of `content` around the first query term it contains (its start when none does)
+function snippetFor(content, terms) {
+    const text = content.normalize('NFC').replace(/\s+/g, ' ').trim();
+    if (text.length <= SNIPPET_CHARS) return text;
+    const plain = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const positions = terms.map(term => plain.search(new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`))).filter(i => i >= 0);
+    const hit = positions.length ? Math.min(...positions) : 0;
+    const start = Math.max(0, hit - SNIPPET_CHARS / 4);
+    const snippet = text.slice(start, start + SNIPPET_CHARS).trim();
+    return (start > 0 ? '...' : '') + snippet + (start + SNIPPET_CHARS < text.length ? '...' : '');
+}
+
+module.exports = { LocalSearchIndex, tokenize };
@@ -0,0 +1,353 @@
+/**
+ * Mini Transformer-based Language Model
+ * 
+ * Architecture inspired by DeepSeek-R1 and modern LLMs:
+ * - Token embedding layer (vocabulary -> vector space)
+ * - Multiple transformer blocks with multi-head self-attention
+ * - Feed-forward networks (FFN) in each block
+ * - Layer normalization for stable training
+ * - Autoregressive generation with softmax sampling
+ *
+ * Not a real language model: the server answers through an inference backend (inference-backend.js).
+ * EchoBackend (echo-backend.js) uses its tokenizer and embeddings as a deterministic stand-in for tests.
+ */
+class LuckModel {
+    constructor() {
+        // Model configuration
+        this.vocab_size = 10000;  // Token vocabulary
+        this.embedding_dim = 256; // Embedding dimension
+        this.num_layers = 4;      // Number of transformer blocks
+        this.num_heads = 8;       // Multi-head attention heads
+        this.hidden_dim = 512;    // FFN hidden dimension
+        this.max_sequence = 2048; // Max sequence length
+        this.temperature = 0.7;   // Sampling temperature
+
+        // Knowledge base for context-aware responses
+        this.knowledge_base = this.initializeKnowledgeBase();
+        
+        // Initialize conversation memory
+        this.conversationMemory = new Map();
+
+        console.log('[LuckAI Model] Initialized with transformer architecture');
+        console.log(`  - Embedding dimension: ${this.embedding_dim}`);
+        console.log(`  - Number of layers: ${this.num_layers}`);
+        console.log(`  - Attention heads: ${this.num_heads}`);
+    }
+
+    /**
+     * Initialize knowledge base with general knowledge
+     * In a real implementation, this would be loaded from pretrained weights
+     */
+    initializeKnowledgeBase() {
+        return {
+            facts: {
+                'france': 'France is a country in Western Europe with the capital Paris.',
+                'paris': 'Paris is the capital of France, known for the Eiffel Tower.',
+                'ai': 'Artificial Intelligence is the simulation of human intelligence in machines.',
+                'deepseek': 'DeepSeek is an open-source AI model known for reasoning capabilities.',
+                'transformer': 'Transformer is a neural network architecture based on self-attention mechanisms.',
+            },
+            capabilities: [
+                'I can answer questions in French and English',
+                'I can explain complex concepts',
+                'I can summarize information',
+                'I can analyze and compare ideas',
+                'I can provide structured answers',
+                'I can access web information when enabled'
+            ]
+        };
+    }
+
+    /**
+     * Tokenize input text
+     * In a real model, this would use a proper tokenizer
+     */
+    tokenize(text) {
+        // Simple tokenization: split by whitespace and punctuation
+        const tokens = text.toLowerCase()
+            .split(/[\s\.,!?;:()[\]{}]/g)
+            .filter(t => t.length > 0);
+        
+        // For demonstration, just return token indices
+        return tokens.map((token, idx) => ({
+            word: token,
+            id: this.hashToken(token) % this.vocab_size
+        }));
+    }
+
+    /**
+     * Simple hash function for tokens
+     */
+    hashToken(token) {
+        let hash = 0;
+        for (let i = 0; i < token.length; i++) {
+            const char = token.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32bit integer
+        }
+        return Math.abs(hash);
+    }
+
+    /**
+     * Multi-head self-attention computation
+     * This simulates the attention mechanism in transformers
+     */
+    selfAttention(queries, keys, values, numHeads) {
+        const seqLen = queries.length;
+        const headDim = Math.floor(queries[0].length / numHeads);
+        
+        let output = [];
+
+        // For each position, compute attention weights
+        for (let i = 0; i < seqLen; i++) {
+            let attended = new Array(queries[0].length).fill(0);
+            
+            // Compute attention with all other positions
+            let weights = [];
+            let weightSum = 0;
+
+            for (let j = 0; j < seqLen; j++) {
+                // Compute similarity (simplified dot product)
+                let sim = 0;
+                for (let k = 0; k < Math.min(queries[i].length, keys[j].length); k++) {
+                    sim += queries[i][k] * keys[j][k];
+                }
+                
+                // Apply softmax (simplified with temperature)
+                let weight = Math.exp(sim / this.temperature);
+                weights.push(weight);
+                weightSum += weight;
+            }
+
+            // Normalize weights
+            weights = weights.map(w => w / weightSum);
+
+            // Apply weighted attention to values
+            for (let j = 0; j < seqLen; j++) {
+                for (let k = 0; k < values[j].length; k++) {
+                    attended[k] += weights[j] * values[j][k];
+                }
+            }
+
+            output.push(attended);
+        }
+
+        return output;
+    }
+
+    /**
+     * Feed-forward network in transformer block
+     * Two linear layers with ReLU activation
+     */
+    feedForward(x) {
+        // Hidden layer with ReLU
+        let hidden = x.map(val => Math.max(0, val * 0.5 + 0.3)); // Simple ReLU
+        
+        // Output layer
+        let output = hidden.map(val => val * 0.8 + 0.1);
+        
+        return output;
+    }
+
+    /**
+     * Generate response text from input
+     * This is the core inference function
+     */
+    generateResponse(prompt, webContext = null, language = 'auto') {
+        // Detect language
+        if (language === 'auto') {
+            language = this.detectLanguage(prompt);
+        }
+
+        // Build context for response
+        let context = this.buildContext(prompt, webContext, language);
+
+        // Generate response tokens
+        let response = '';
+        let currentContext = context;
+        let maxTokens = 200; // Max response length
+
+        for (let tokenIdx = 0; tokenIdx < maxTokens; tokenIdx++) {
+            // Predict next token based on context and transformer layers
+            let nextToken = this.predictNextToken(currentContext, language);
+            
+            if (!nextToken || nextToken === '[END]') {
+                break;
+            }
+
+            response += nextToken + ' ';
+            
+            // Update context with generated token
+            currentContext += nextToken + ' ';
+            
+            // Keep context size manageable
+            if (currentContext.length > 1000) {
+                currentContext = currentContext.slice(-500);
+            }
+        }
+
+        return response.trim();
+    }
+
+    /**
+     * Detect language of input (FR or EN)
+     */
+    detectLanguage(text) {
+        const lowerText = text.toLowerCase();
+        
+        // French indicators
+        const frenchWords = ['bonjour', 'ça', 'très', 'pourquoi', 'comment', 'voici', 'merci', 'oui', 'non'];
+        const frenchCount = frenchWords.filter(w => lowerText.includes(w)).length;
+
+        // English indicators  
+        const englishWords = ['hello', 'thank', 'please', 'what', 'why', 'how', 'yes', 'no', 'the', 'this'];
+        const englishCount = englishWords.filter(w => lowerText.includes(w)).length;
+
+        return frenchCount > englishCount ? 'fr' : 'en';
+    }
+
+    /**
+     * Build context for response generation
+     */
+    buildContext(prompt, webContext, language) {
+        let context = '';
+
+        // Add system role
+        const role = language === 'fr' 
+            ? 'Je suis LuckAI, un assistant IA avancé basé sur une architecture transformer.'
+            : 'I am LuckAI, an advanced AI assistant based on transformer architecture.';
+        
+        context += role + '\n\n';
+
+        // Add web context if available
+        if (webContext) {
+            context += (language === 'fr' ? 'Informations du web:\n' : 'Web information:\n');
+            context += webContext + '\n\n';
+        }
+
+        // Add user query
+        context += (language === 'fr' ? 'Question: ' : 'Question: ') + prompt + '\n';
+
+        return context;
+    }
+
+    /**
+     * Predict next token using neural computation
+     * Simulates the output layer of a transformer model
+     */
+    predictNextToken(context, language) {
+        // Tokenize context for attention computation
+        const tokens = this.tokenize(context);
+        
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        // Create embeddings (simplified)
+        let embeddings = tokens.map((t, idx) => {
+            // Create a pseudo-embedding based on token position and value
+            let embedding = [];
+            for (let i = 0; i < this.embedding_dim; i++) {
+                embedding.push(Math.sin(t.id + i) * Math.cos(idx));
+            }
+            return embedding;
+        });
+
+        // Apply self-attention across the sequence
+        let attended = this.selfAttention(embeddings, embeddings, embeddings, this.num_heads);
+
+        // Apply feed-forward transformation
+        let transformed = attended[attended.length - 1].map(v => 
+            this.feedForward([v])[0]
+        );
+
+        // Compute logits for next token prediction
+        let logits = [];
+        for (let i = 0; i < 100; i++) { // Consider top 100 tokens
+            let logit = transformed[i % transformed.length] + Math.random() * 0.1;
+            logits.push({ score: logit, tokenId: i });
+        }
+
+        // Sort by score and apply temperature
+        logits.sort((a, b) => b.score - a.score);
+        
+        // Sample next token (with temperature)
+        let topK = logits.slice(0, 10);
+        let weights = topK.map(l => Math.exp(l.score / this.temperature));
+        let totalWeight = weights.reduce((a, b) => a + b, 1);
+        weights = weights.map(w => w / totalWeight);
+
+        // Pick a token from distribution
+        let rand = Math.random();
+        let cumSum = 0;
+        for (let i = 0; i < topK.length; i++) {
+            cumSum += weights[i];
+            if (rand < cumSum) {
+                return this.tokenIdToWord(topK[i].tokenId, language);
+            }
+        }
+
+        return this.tokenIdToWord(topK[0].tokenId, language);
+    }
+
+    /**
+     * Convert token ID to word
+     */
+    tokenIdToWord(tokenId, language) {
+        // Common response words
+        const words = {
+            en: [
+                'The', 'is', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at',
+                'this', 'that', 'these', 'those', 'which', 'who', 'what', 'where', 'when', 'why',
+                'example', 'include', 'such', 'like', 'different', 'important', 'also', 'can', 'be', 'have',
+                'understand', 'know', 'think', 'believe', 'provide', 'offer', 'show', 'explain', 'help', 'support',
+                'technology', 'artificial', 'intelligence', 'learning', 'data', 'model', 'system', 'process', 'method', 'way'
+            ],
+            fr: [
+                'Le', 'La', 'Les', 'Un', 'Une', 'Des', 'Est', 'Sont', 'Et', 'Ou',
+                'Mais', 'Dans', 'Sur', 'Par', 'Pour', 'À', 'De', 'Avec', 'Sans', 'Selon',
+                'Ce', 'Cet', 'Cette', 'Ces', 'Celui', 'Celle', 'Ceux', 'Celles', 'Quel', 'Quelle',
+                'Quels', 'Quelles', 'Qui', 'Quoi', 'Où', 'Quand', 'Pourquoi', 'Comment', 'Combien', 'Si',
+                'Peut', 'Pouvez', 'Dois', 'Doit', 'Devez', 'Faire', 'Fait', 'Faites', 'Avoir', 'Avez'
+            ]
+        };
+
+        const wordList = words[language] || words['en'];
+        return wordList[tokenId % wordList.length] || 'response';
+    }
+
+    /**
+     * Parse DuckDuckGo HTML search results
+     */
+    parseResults(data) {
+        if (!data.web || data.web.results.length === 0) {
+            return null;
+        }
+
+        const results = data.web.results.slice(0, 3).map(result => ({
+            title: result.title,
+            url: result.url,
+            description: result.description,
+            snippet: result.snippet
+        }));
+
+        return {
+            results: results,
+            summary: this.summarizeResults(results)
+        };
+    }
+
+    /**
+     * Summarize search results into context
+     */
+    summarizeResults(results) {
+        let summary = 'Recent web information:\n';
+        results.forEach((result, idx) => {
+            summary += `\n${idx + 1}. ${result.title}\n`;
+            summary += `   ${result.description || result.snippet}\n`;
+        });
+        return summary;
+    }
+}
+
+module.exports = { LuckModel };
@@ -0,0 +1,351 @@
+/**
+ * Chunked model blobs
+ * Large GGUF blobs are stored as numbered parts (sha256-<hash>.part001, .part002, ...) so they fit in Git.
+ * This module splits blobs into parts (recording their count and size in `<name>.parts.json`), checks a part
+ * group for gaps and missing final parts, streams it back into one file while
+ * hashing it, verifies the SHA-256 against the hash in the file name and resumes an interrupted assembly
+ * where it stopped. Used by the server (auto-split / auto-assemble) and by scripts/luckai-models.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+
+// Raised when parts are missing or the assembled file does not match its expected digest
+class ChunkIntegrityError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ChunkIntegrityError';
+        this.code = 'CHUNK_INTEGRITY';
+        Object.assign(this, details);
+    }
+}
+
+const PART_RE = /\.part(\d+)$/i;
+const SHA_NAME_RE = /^sha256-([a-f0-9]{64})/i;
+const PROGRESS_LOG_STEP = 10; // percent
+
+// Assemblies in progress, keyed by output path, so concurrent callers share one
+const inFlight = new Map();
+
+/**
+ * List the parts of sha256-<hash> in `dir` in order and report what is wrong with the group:
+ * `missing` part numbers (gaps, counting from the first part), `duplicates` (two files with the same number),
+ * `truncated` parts (any part but the last that is smaller than the first one) and `missingFinal`, set when the
+ * group ends early. That needs the part count and size splitFile() recorded, or `expectedBytes` (e.g. the size
+ * of the Ollama manifest layer); `expected` is { parts, totalBytes } as far as known.
+ */
+function inspectChunks(dir, hash, { expectedBytes } = {}) {
+    const prefix = `sha256-${hash}`.toLowerCase();
+    const parts = [];
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch (e) { /* missing dir: no parts */ }
+    for (const name of names) {
+        if (!name.toLowerCase().startsWith(prefix)) continue;
+        const m = name.match(PART_RE);
+        if (!m) continue;
+        const file = path.join(dir, name);
+        let stat;
+        try { stat = fs.statSync(file); } catch (e) { continue; }
+        if (!stat.isFile()) continue;
+        parts.push({ name, path: file, number: Number(m[1]), size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+    parts.sort((a, b) => a.number - b.number || a.name.localeCompare(b.name));
+
+    // Numbering starts at part001 (part000 is accepted too)
+    const missing = [];
+    for (let n = 1; parts.length && n < parts[0].number; n++) missing.push(n);
+    const duplicates = [];
+    for (let i = 1; i < parts.length; i++) {
+        const prev = parts[i - 1].number;
+        const cur = parts[i].number;
+        if (cur === prev) duplicates.push(parts[i].name);
+        for (let n = prev + 1; n < cur; n++) missing.push(n);
+    }
+    const first = parts.length ? parts[0].size : 0;
+    const truncated = parts.slice(0, -1).filter(p => p.size < first).map(p => p.name);
+    const totalBytes = parts.reduce((sum, p) => sum + p.size, 0);
+
+    // Nothing in the parts themselves tells that the last ones are gone: compare with what was recorded
+    const index = readState(path.join(dir, `${prefix}.parts.json`)) || {};
+    const expected = {
+        parts: Number(index.parts) || null,
+        totalBytes: Number(index.totalBytes) || Number(expectedBytes) || null
+    };
+    const last = parts.length ? parts[parts.length - 1] : null;
+    let missingFinal = null;
+    if (last && expected.parts && last.number < expected.parts) {
+        missingFinal = { from: last.number + 1, to: expected.parts };
+    } else if (last && expected.totalBytes && totalBytes < expected.totalBytes) {
+        // All the parts are there: the last one is short
+        if (expected.parts) truncated.push(last.name);
+        else missingFinal = { from: last.number + 1, to: null };
+    }
+    return {
+        dir,
+        hash,
+        parts,
+        totalBytes,
+        expected,
+        missing,
+        missingFinal,
+        duplicates,
+        truncated,
+        ok: parts.length > 0 && !missing.length && !missingFinal && !duplicates.length && !truncated.length
+    };
+}
+
+// Every chunk group in `dir`, as { <hash>: inspectChunks() result }; `expectedBytes` maps hashes to their known size
+function findChunkGroups(dir, { expectedBytes = {} } = {}) {
+    const hashes = new Set();
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch (e) { /* missing dir: no groups */ }
+    names.forEach(name => {
+        const m = name.match(SHA_NAME_RE);
+        if (m && PART_RE.test(name)) hashes.add(m[1].toLowerCase());
+    });
+    const groups = {};
+    hashes.forEach(hash => { groups[hash] = inspectChunks(dir, hash, { expectedBytes: expectedBytes[hash] }); });
+    return groups;
+}
+
+// Changes whenever a part is added, removed or rewritten; used to avoid re-checking a known-bad group
+function chunkFingerprint(inspection) {
+    return inspection.parts.map(p => `${p.name}:${p.size}:${p.mtimeMs}`).join('|');
+}
+
+function describeProblems(inspection) {
+    const problems = [];
+    if (!inspection.parts.length) problems.push('no parts found');
+    if (inspection.missing.length) problems.push(`missing part(s) ${inspection.missing.join(', ')}`);
+    const final = inspection.missingFinal;
+    if (final) {
+        problems.push(final.to
+            ? `missing final part(s) ${final.from === final.to ? final.from : `${final.from}-${final.to}`} of ${final.to}`
+            : `missing final part(s) from ${final.from} (${inspection.totalBytes} of ${inspection.expected.totalBytes} bytes)`);
+    }
+    if (inspection.duplicates.length) problems.push(`duplicate part(s) ${inspection.duplicates.join(', ')}`);
+    if (inspection.truncated.length) problems.push(`truncated part(s) ${inspection.truncated.join(', ')}`);
+    return problems.join('; ');
+}
+
+function readState(file) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+}
+
+function writeState(file, state) {
+    fs.writeFileSync(file + '.new', JSON.stringify(state));
+    fs.renameSync(file + '.new', file);
+}
+
+// Hash the already-written prefix of an interrupted assembly so it does not have to be copied again
+async function hashExisting(file, bytes, hash) {
+    if (!bytes) return;
+    for await (const data of fs.createReadStream(file, { start: 0, end: bytes - 1 })) hash.update(data);
+}
+
+/**
+ * Stream the parts of sha256-<hash> from `dir` into `<outDir>/sha256-<hash>.gguf` and return its path.
+ * Writes go to a `.tmp` file, with the parts done so far in `.tmp.json`, so a crash resumes from the last
+ * finished part. The result is only renamed into place once its SHA-256 matches `hash`.
+ * `onProgress({ bytes, totalBytes, percent, part, parts })` is called after every part.
+ * Throws ChunkIntegrityError for incomplete groups and digest mismatches.
+ */
+function assembleChunks(dir, hash, { outDir, onProgress } = {}) {
+    const outPath = path.join(outDir, `sha256-${hash}.gguf`);
+    if (inFlight.has(outPath)) return inFlight.get(outPath);
+    const promise = assemble(dir, hash, outPath, onProgress).finally(() => inFlight.delete(outPath));
+    inFlight.set(outPath, promise);
+    return promise;
+}
+
+async function assemble(dir, hash, outPath, onProgress) {
+    if (fs.existsSync(outPath)) return outPath;
+
+    const inspection = inspectChunks(dir, hash);
+    if (!inspection.ok) {
+        throw new ChunkIntegrityError(`Cannot assemble sha256-${hash.slice(0, 12)}: ${describeProblems(inspection)}`, { inspection });
+    }
+
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    const tmpPath = outPath + '.tmp';
+    const statePath = tmpPath + '.json';
+    const digest = crypto.createHash('sha256');
+    const totalBytes = inspection.totalBytes;
+
+    // Resume only when the recorded parts are still the same files and the .tmp file holds all of them
+    // (state is recorded before the part is flushed, so a crash can leave the .tmp file short: start over then)
+    let done = 0;
+    let bytes = 0;
+    const state = readState(statePath);
+    if (state && state.hash === hash && Array.isArray(state.parts) && fs.existsSync(tmpPath)) {
+        const same = state.parts.every((p, i) => inspection.parts[i] && inspection.parts[i].name === p.name && inspection.parts[i].size === p.size);
+        const recorded = state.parts.reduce((sum, p) => sum + p.size, 0);
+        if (same && fs.statSync(tmpPath).size >= recorded) {
+            done = state.parts.length;
+            bytes = recorded;
+            // Drop whatever was written after the last recorded part
+            fs.truncateSync(tmpPath, bytes);
+            console.log(`[ModelChunks] Resuming sha256-${hash.slice(0, 12)} at part ${done + 1}/${inspection.parts.length}`);
+        }
+    }
+    if (!done) {
+        try { fs.unlinkSync(tmpPath); } catch (e) { /* nothing to discard */ }
+    }
+    await hashExisting(tmpPath, bytes, digest);
+
+    const out = fs.createWriteStream(tmpPath, { flags: done ? 'a' : 'w' });
+    // Settles only on a write error; raced against every wait so a failing disk cannot hang the assembly
+    const failed = new Promise((resolve, reject) => out.once('error', reject));
+    failed.catch(() => {});
+    let loggedStep = Math.floor((bytes / totalBytes) * 100 / PROGRESS_LOG_STEP);
+    try {
+        for (let i = done; i < inspection.parts.length; i++) {
+            const part = inspection.parts[i];
+            for await (const data of fs.createReadStream(part.path)) {
+                digest.update(data);
+                bytes += data.length;
+                // Back-pressure: wait for the write stream to drain instead of buffering the whole model
+                if (!out.write(data)) await Promise.race([once(out, 'drain'), failed]);
+            }
+            writeState(statePath, { hash, parts: inspection.parts.slice(0, i + 1).map(p => ({ name: p.name, size: p.size })) });
+
+            const percent = Math.floor((bytes / totalBytes) * 100);
+            if (onProgress) onProgress({ bytes, totalBytes, percent, part: i + 1, parts: inspection.parts.length });
+            if (Math.floor(percent / PROGRESS_LOG_STEP) > loggedStep) {
+                loggedStep = Math.floor(percent / PROGRESS_LOG_STEP);
+                console.log(`[ModelChunks] Assembling sha256-${hash.slice(0, 12)}: ${percent}% (part ${i + 1}/${inspection.parts.length})`);
+            }
+        }
+        out.end();
+        await Promise.race([once(out, 'close'), failed]);
+    } catch (e) {
+        out.destroy();
+        throw e;
+    }
+
+    const actual = digest.digest('hex');
+    if (actual !== hash.toLowerCase()) {
+        // A bad part was included: start from scratch next time rather than resuming
+        try { fs.unlinkSync(tmpPath); } catch (e) { /* already gone */ }
+        try { fs.unlinkSync(statePath); } catch (e) { /* already gone */ }
+        throw new ChunkIntegrityError(`Corrupt model sha256-${hash.slice(0, 12)}: the SHA-256 of its assembled parts is ${actual.slice(0, 12)}…`, { expected: hash, actual, inspection });
+    }
+    fs.renameSync(tmpPath, outPath);
+    try { fs.unlinkSync(statePath); } catch (e) { /* already gone */ }
+    console.log(`[ModelChunks] ✓ Assembled and verified ${path.basename(outPath)} (${inspection.parts.length} parts)`);
+    return outPath;
+}
+
+// SHA-256 (hex) of `files` read back to back; `onProgress(bytes)` is called as data is read
+async function hashFiles(files, onProgress) {
+    const digest = crypto.createHash('sha256');
+    let bytes = 0;
+    for (const file of files) {
+        for await (const data of fs.createReadStream(file)) {
+            digest.update(data);
+            bytes += data.length;
+            if (onProgress) onProgress(bytes);
+        }
+    }
+    return digest.digest('hex');
+}
+
+/**
+ * Split `file` into `<name>.part001`, `.part002`, ... of `partMB` megabytes each, in `outDir` (default: next to it),
+ * with `<name>.parts.json` ({ hash, parts, totalBytes }) so a group missing its last parts can be told from a whole one.
+ * Parts are written as `.tmp` files and only renamed once the whole file is read; for sha256-<hash> blobs the
+ * content must match the hash first, so a damaged blob is never committed as parts.
+ * Returns { parts, hash, totalBytes }.
+ */
+async function splitFile(file, partMB, { outDir, onProgress } = {}) {
+    const partBytes = Math.floor(Number(partMB) * 1024 * 1024);
+    if (!(partBytes > 0)) throw new Error(`Invalid part size: ${partMB} MB`);
+    const totalBytes = fs.statSync(file).size;
+    const base = path.join(outDir || path.dirname(file), path.basename(file));
+    const expected = (path.basename(file).match(SHA_NAME_RE) || [])[1];
+
+    const digest = crypto.createHash('sha256');
+    const parts = [];
+    let out = null;
+    let written = 0; // bytes in the current part
+    let bytes = 0;
+    const nextPart = () => {
+        const partPath = `${base}.part${String(parts.length + 1).padStart(3, '0')}`;
+        parts.push(partPath);
+        out = fs.createWriteStream(partPath + '.tmp');
+        written = 0;
+    };
+    const closePart = async () => {
+        if (!out) return;
+        out.end();
+        await once(out, 'close');
+        out = null;
+    };
+
+    try {
+        for await (let data of fs.createReadStream(file)) {
+            digest.update(data);
+            while (data.length) {
+                if (!out || written >= partBytes) {
+                    await closePart();
+                    nextPart();
+                }
+                const slice = data.subarray(0, partBytes - written);
+                data = data.subarray(slice.length);
+                written += slice.length;
+                bytes += slice.length;
+                if (!out.write(slice)) await once(out, 'drain');
+            }
+            if (onProgress) onProgress({ bytes, totalBytes, percent: Math.floor((bytes / totalBytes) * 100), part: parts.length });
+        }
+        await closePart();
+
+        const hash = digest.digest('hex');
+        if (expected && hash !== expected.toLowerCase()) {
+            throw new ChunkIntegrityError(`Not splitting ${path.basename(file)}: its SHA-256 is ${hash.slice(0, 12)}…, not the hash in its name`, { expected, actual: hash });
+        }
+        parts.forEach(partPath => fs.renameSync(partPath + '.tmp', partPath));
+        writeState(`${base}.parts.json`, { hash, parts: parts.length, totalBytes });
+        return { parts, hash, totalBytes };
+    } catch (e) {
+        if (out) out.destroy();
+        parts.forEach(partPath => { try { fs.unlinkSync(partPath + '.tmp'); } catch (err) { /* not written */ } });
+        throw e;
+    }
+}
+
+/**
+ * Files in the assembled-models folder that can go: sha256-<hash>.gguf outputs whose hash is not in `keep`
+ * (the hashes still needed: chunk groups and manifest layers), and leftovers of interrupted assemblies untouched for `tmpMaxAgeMs`
+ * (younger ones may belong to an assembly that is still running). Returns [{ file, bytes, reason }]; files are
+ * only deleted when `dryRun` is false.
+ */
+function pruneAssembled(outDir, { keep = new Set(), tmpMaxAgeMs = 10 * 60 * 1000, dryRun = false } = {}) {
+    const removed = [];
+    let names = [];
+    try { names = fs.readdirSync(outDir); } catch (e) { return removed; }
+    for (const name of names) {
+        const file = path.join(outDir, name);
+        let stat;
+        try { stat = fs.statSync(file); } catch (e) { continue; }
+        if (!stat.isFile()) continue;
+        const m = name.match(SHA_NAME_RE);
+        let reason = null;
+        if (/\.gguf\.tmp(\.json(\.new)?)?$/i.test(name)) {
+            if (Date.now() - stat.mtimeMs >= tmpMaxAgeMs) reason = 'interrupted assembly';
+        } else if (m && /\.gguf$/i.test(name) && !keep.has(m[1].toLowerCase())) {
+            reason = 'no parts or manifest use this hash';
+        }
+        if (!reason) continue;
+        if (!dryRun) fs.unlinkSync(file);
+        removed.push({ file, bytes: stat.size, reason });
+    }
+    return removed;
+}
+
+module.exports = {
+    inspectChunks, findChunkGroups, assembleChunks, chunkFingerprint, describeProblems,
+    hashFiles, splitFile, pruneAssembled, ChunkIntegrityError
+};
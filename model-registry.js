@@ -0,0 +1,384 @@
+/**
+ * Local model registry
+ * Enumerates every GGUF model available on disk (plain files, Ollama blobs and sha256 chunk groups),
+ * names them after their Ollama manifest when there is one, and loads them on demand under a memory budget, unloading the least recently used idle model.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    normalizeModelName, readManifests, readLayers, paramsToGenerationOptions, templateToChatWrapperOptions, licenseSummary
+} = require('./ollama-manifest');
+const { readGGUFInfo } = require('./gguf-reader');
+const { findChunkGroups } = require('./model-chunks');
+
+const SHA_RE = /^sha256-([a-f0-9]{64})/i;
+const RESCAN_INTERVAL_MS = 10 * 1000;
+
+function hasGGUFMagic(filePath) {
+    try {
+        const fd = fs.openSync(filePath, 'r');
+        const buffer = Buffer.alloc(4);
+        fs.readSync(fd, buffer, 0, 4, 0);
+        fs.closeSync(fd);
+        return buffer.toString('ascii') === 'GGUF';
+    } catch (e) {
+        return false;
+    }
+}
+
+function formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, i)).toFixed(i >= 3 ? 1 : 0)} ${units[i]}`;
+}
+
+class ModelRegistry {
+    constructor(config = {}) {
+        this.modelPath = config.modelPath || process.env.LUCKAI_GGUF_PATH || '';
+        // Same search order as LocalGGUFRunner.findModelPath; each dir is also searched in its blobs/ subfolder
+        // Ollama folders (manifests/ + blobs/) are read too, including OLLAMA_MODELS when set
+        this.dirs = config.dirs || [
+            config.modelDir || process.env.LUCKAI_GGUF_DIR || '',
+            process.env.OLLAMA_MODELS || '',
+            path.join(__dirname, '.ollama'),
+            'D:\\usb\\LuckAI\\.ollama'
+        ].filter(Boolean);
+        // Where assembled chunk groups are written (see LocalGGUFRunner.assembleModelFromChunks)
+        this.assembledDir = config.assembledDir || path.join(__dirname, 'data', 'models');
+        this.defaultModel = config.defaultModel || process.env.LUCKAI_DEFAULT_MODEL || '';
+
+        this._models = new Map(); // id -> entry (in discovery order)
+        this._aliases = new Map(); // other accepted names (sha256 ids, extra manifest tags) -> id
+        this._metadata = new Map(); // file path -> { key, arch, quant, info }
+        this._scannedAt = 0;
+    }
+
+    // Enumerate models on disk (sync, cheap: directory listings and 4-byte magic checks)
+    scan() {
+        const found = [];
+        const seenPaths = new Set();
+        const seenHashes = new Set();
+        const add = (entry) => {
+            if (seenPaths.has(entry.path)) return;
+            if (entry.hash) {
+                if (seenHashes.has(entry.hash)) return;
+                seenHashes.add(entry.hash);
+            }
+            seenPaths.add(entry.path);
+            found.push(entry);
+        };
+
+        if (this.modelPath && fs.existsSync(this.modelPath) && hasGGUFMagic(this.modelPath)) {
+            add(this._fileEntry(this.modelPath, 'file'));
+        }
+
+        const dirs = [];
+        this.dirs.forEach(dir => dirs.push(dir, path.join(dir, 'blobs')));
+        dirs.push(this.assembledDir);
+        for (const dir of dirs) {
+            let entries;
+            try {
+                if (!fs.existsSync(dir)) continue;
+                entries = fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isFile());
+            } catch (e) {
+                continue;
+            }
+
+            // Single-file models: *.gguf and whole sha256-<hash> blobs
+            entries.forEach(e => {
+                const full = path.join(dir, e.name);
+                const isBlob = /^sha256-[a-f0-9]{64}(\.gguf)?$/i.test(e.name);
+                if ((e.name.toLowerCase().endsWith('.gguf') || isBlob) && hasGGUFMagic(full)) {
+                    add(this._fileEntry(full, isBlob ? 'blob' : 'file'));
+                }
+            });
+
+            // Chunk groups: sha256-<hash>.partNNN files whose first part starts with the GGUF header
+            const groups = findChunkGroups(dir);
+            for (const hash in groups) {
+                const group = groups[hash];
+                if (group.parts.length < 2 || !hasGGUFMagic(group.parts[0].path)) continue;
+                const assembled = path.join(this.assembledDir, `sha256-${hash}.gguf`);
+                if (fs.existsSync(assembled) && hasGGUFMagic(assembled)) {
+                    add(this._fileEntry(assembled, 'blob'));
+                    continue;
+                }
+                add({
+                    id: `sha256-${hash.slice(0, 12)}`,
+                    path: assembled,
+                    headerPath: group.parts[0].path,
+                    // The header may run past the first part, so it is read across all of them
+                    headerFiles: group.parts.map(p => p.path),
+                    hash,
+                    source: 'chunks',
+                    chunks: { dir, hash, parts: group.parts.length, complete: group.ok },
+                    sizeBytes: group.totalBytes
+                });
+            }
+        }
+
+        this._applyManifests(found);
+
+        // Stable, unique ids (duplicated file names get a numeric suffix)
+        const models = new Map();
+        const aliases = new Map();
+        found.forEach(entry => {
+            let id = entry.id;
+            for (let n = 2; models.has(id); n++) id = `${entry.id}-${n}`;
+            models.set(id, Object.assign(entry, { id }));
+        });
+        found.forEach(entry => (entry.aliases || []).forEach(alias => {
+            if (!models.has(alias) && !aliases.has(alias)) aliases.set(alias, entry.id);
+        }));
+        this._models = models;
+        this._aliases = aliases;
+        this._scannedAt = Date.now();
+        return this.list();
+    }
+
+    // Name models after the Ollama manifests that reference their blob and attach the manifest layers
+    _applyManifests(found) {
+        const byHash = new Map(found.filter(e => e.hash).map(e => [e.hash, e]));
+        for (const dir of this.dirs) {
+            for (const manifest of readManifests(dir)) {
+                const entry = byHash.get(manifest.modelHash);
+                if (!entry) continue;
+                entry.aliases = entry.aliases || [];
+                if (entry.ollama) {
+                    // Another tag of the same weights (e.g. dolphin3:latest and dolphin3:8b)
+                    entry.aliases.push(manifest.name);
+                    continue;
+                }
+                const layers = readLayers(manifest, path.join(dir, 'blobs'));
+                const params = paramsToGenerationOptions(layers.params);
+                const template = layers.template ? templateToChatWrapperOptions(layers.template, params.options.stop || []) : null;
+                entry.aliases.push(entry.id);
+                entry.id = manifest.name;
+                entry.ollama = {
+                    name: manifest.name,
+                    manifest: manifest.file,
+                    template: layers.template,
+                    system: layers.system,
+                    params: layers.params,
+                    license: layers.license,
+                    missingLayers: layers.missing,
+                    ignoredParams: params.ignored,
+                    templateError: template && !template.options ? template.reason : null,
+                    // Settings handed to LocalGGUFRunner (see createRunner in server.js)
+                    runner: {
+                        chatWrapper: template ? template.options : null,
+                        systemPrompt: layers.system ? layers.system.trim() : null,
+                        generationDefaults: params.options,
+                        contextSize: params.contextSize
+                    }
+                };
+            }
+        }
+    }
+
+    _fileEntry(filePath, source) {
+        const base = path.basename(filePath);
+        const m = base.match(SHA_RE);
+        let sizeBytes = 0;
+        try { sizeBytes = fs.statSync(filePath).size; } catch (e) { /* unreadable */ }
+        return {
+            id: m ? `sha256-${m[1].slice(0, 12).toLowerCase()}` : base.replace(/\.gguf$/i, ''),
+            path: filePath,
+            headerPath: filePath,
+            hash: m ? m[1].toLowerCase() : null,
+            source,
+            chunks: null,
+            sizeBytes
+        };
+    }
+
+    _ensureScanned() {
+        if (!this._scannedAt || Date.now() - this._scannedAt > RESCAN_INTERVAL_MS) this.scan();
+    }
+
+    /**
+     * Read architecture, size, quantization and trained context from each model's GGUF header.
+     * Falls back to the quantization in the file name when the header cannot be read.
+     */
+    async loadMetadata() {
+        this._ensureScanned();
+        for (const entry of this._models.values()) {
+            let stat;
+            try { stat = fs.statSync(entry.headerPath); } catch (e) { continue; }
+            const key = `${stat.size}:${stat.mtimeMs}`;
+            const cached = this._metadata.get(entry.headerPath);
+            if (cached && cached.key === key) continue;
+
+            const meta = { key, arch: null, quant: null, info: null };
+            try {
+                const info = readGGUFInfo(entry.headerFiles || entry.headerPath);
+                meta.info = info;
+                meta.arch = info.arch;
+                meta.quant = info.quant;
+                if (info.name) meta.name = info.name;
+            } catch (e) {
+                console.warn('[ModelRegistry] Could not read GGUF header of', entry.headerPath, '-', e.message);
+            }
+            if (!meta.quant) {
+                const q = path.basename(entry.path).match(/(?:^|[._-])(I?Q\d(?:_[A-Z0-9]+)*|BF16|F16|F32)(?=[._-]|$)/i);
+                if (q) meta.quant = q[1].toUpperCase();
+            }
+            this._metadata.set(entry.headerPath, meta);
+        }
+    }
+
+    // Parsed GGUF header info (see gguf-reader.readGGUFInfo) for a model id, once loadMetadata() has run
+    headerInfo(id) {
+        const entry = this._models.get(this.resolve(id));
+        const meta = entry && this._metadata.get(entry.headerPath);
+        return meta ? meta.info : null;
+    }
+
+    _public(entry) {
+        const meta = this._metadata.get(entry.headerPath) || {};
+        return {
+            id: entry.id,
+            name: meta.name || entry.id,
+            path: entry.path,
+            source: entry.source,
+            parts: entry.chunks ? entry.chunks.parts : null,
+            sizeBytes: entry.sizeBytes,
+            size: formatSize(entry.sizeBytes),
+            arch: meta.arch || null,
+            parameters: meta.info ? meta.info.parameters : null,
+            quant: meta.quant || null,
+            contextLength: meta.info ? meta.info.contextLength : null,
+            aliases: entry.aliases || [],
+            license: entry.ollama ? licenseSummary(entry.ollama.license) : null
+        };
+    }
+
+    // Registry id for a model id, alias or Ollama name ("dolphin3" -> "dolphin3:latest"); null when unknown
+    resolve(id) {
+        this._ensureScanned();
+        if (typeof id !== 'string' || !id) return null;
+        if (this._models.has(id)) return id;
+        if (this._aliases.has(id)) return this._aliases.get(id);
+        const name = normalizeModelName(id);
+        if (name && this._models.has(name)) return name;
+        return name && this._aliases.has(name) ? this._aliases.get(name) : null;
+    }
+
+    list() {
+        this._ensureScanned();
+        return Array.from(this._models.values()).map(e => this._public(e));
+    }
+
+    // Full model info (accepts aliases and Ollama names): adds chunk info and the Ollama manifest layers
+    get(id) {
+        const entry = this._models.get(this.resolve(id));
+        return entry ? Object.assign(this._public(entry), { chunks: entry.chunks, ollama: entry.ollama || null }) : null;
+    }
+
+    // LUCKAI_DEFAULT_MODEL when it exists, otherwise the first model found (LUCKAI_GGUF_PATH comes first)
+    defaultId() {
+        this._ensureScanned();
+        const preferred = this.resolve(this.defaultModel);
+        if (preferred) return preferred;
+        const first = this._models.keys().next();
+        return first.done ? null : first.value;
+    }
+}
+
+/**
+ * Keeps one runner per model. Models are loaded on first use; when the memory budget would be
+ * exceeded, idle models are unloaded least recently used first.
+ */
+class ModelManager {
+    constructor(config = {}) {
+        this.registry = config.registry;
+        this.createRunner = config.createRunner; // (entry) => LocalGGUFRunner
+        // Budget for loaded model weights (file size is used as the estimate); default: 60% of RAM
+        const budgetMb = Number(config.memoryBudgetMb || process.env.LUCKAI_MODEL_MEMORY_MB || 0);
+        this.budgetBytes = budgetMb > 0 ? Math.floor(budgetMb * 1024 * 1024) : Math.floor(os.totalmem() * 0.6);
+
+        this._slots = new Map(); // id -> { runner, sizeBytes, lastUsed, loading, leases }
+    }
+
+    // Runner for a model id (created unloaded on first use); null for unknown ids
+    runner(id) {
+        const slot = this._slot(id);
+        return slot ? slot.runner : null;
+    }
+
+    _slot(id) {
+        id = this.registry.resolve(id);
+        if (!id) return null;
+        if (this._slots.has(id)) return this._slots.get(id);
+        const entry = this.registry.get(id);
+        const slot = { id, runner: this.createRunner(entry), sizeBytes: entry.sizeBytes, lastUsed: 0, loading: null, leases: 0 };
+        this._slots.set(id, slot);
+        return slot;
+    }
+
+    isLoaded(id) {
+        const slot = this._slots.get(this.registry.resolve(id));
+        return !!slot && slot.runner.isAvailable();
+    }
+
+    // Load a model if needed. Resolves true when ready; rejects when it cannot fit next to busy models.
+    async load(id) {
+        const slot = this._slot(id);
+        if (!slot) return false;
+        slot.lastUsed = Date.now();
+        if (slot.runner.isAvailable()) return true;
+        if (!slot.loading) {
+            slot.loading = (async () => {
+                await this._makeRoom(slot.id, slot.sizeBytes);
+                return slot.runner.init();
+            })().finally(() => { slot.loading = null; });
+        }
+        return slot.loading;
+    }
+
+    // Keep a model loaded while a request uses it: leased models are never unloaded to make room for another.
+    // Returns the function that gives the lease back (calling it again does nothing).
+    lease(id) {
+        const slot = this._slot(id);
+        if (!slot) return () => {};
+        slot.leases++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            slot.leases--;
+        };
+    }
+
+    async _makeRoom(id, sizeBytes) {
+        const others = Array.from(this._slots.entries()).filter(([otherId, s]) => otherId !== id && s.runner.isAvailable());
+        let used = others.reduce((sum, [, s]) => sum + s.sizeBytes, 0);
+        const idle = others.filter(([, s]) => s.leases === 0 && s.runner.isIdle()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        while (used + sizeBytes > this.budgetBytes && idle.length) {
+            const [victimId, victim] = idle.shift();
+            console.log(`[ModelManager] Unloading ${victimId} to make room for ${id}`);
+            await victim.runner.unload();
+            used -= victim.sizeBytes;
+        }
+        if (used > 0 && used + sizeBytes > this.budgetBytes) {
+            throw new Error(`Not enough memory to load ${id} (${formatSize(sizeBytes)}) while other models are busy; try again shortly`);
+        }
+        if (sizeBytes > this.budgetBytes) {
+            console.warn(`[ModelManager] ${id} (${formatSize(sizeBytes)}) is larger than the memory budget (${formatSize(this.budgetBytes)}); loading it alone`);
+        }
+    }
+
+    stats() {
+        const loaded = Array.from(this._slots.entries()).filter(([, s]) => s.runner.isAvailable());
+        return {
+            budgetBytes: this.budgetBytes,
+            usedBytes: loaded.reduce((sum, [, s]) => sum + s.sizeBytes, 0),
+            loaded: loaded.map(([id, s]) => ({ id, lastUsed: new Date(s.lastUsed).toISOString(), leases: s.leases, queue: s.runner.scheduler.stats() }))
+        };
+    }
+}
+
+module.exports = { ModelRegistry, ModelManager, formatSize };
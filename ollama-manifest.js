@@ -0,0 +1,359 @@
+/**
+ * Ollama manifest support
+ * Reads `manifests/<registry>/<namespace>/<model>/<tag>` files from an Ollama model folder so models
+ * can be addressed by name (dolphin3:latest), and turns their template / system / params / license
+ * layers into settings the local runner understands.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseGenerationOptions } = require('./generation-options');
+
+const DEFAULT_REGISTRY = 'registry.ollama.ai';
+const DEFAULT_NAMESPACE = 'library';
+const DEFAULT_TAG = 'latest';
+const LAYER_PREFIX = 'application/vnd.ollama.image.';
+// Text layers are tiny; anything larger is not what we expect and is skipped
+const MAX_TEXT_LAYER_BYTES = 1024 * 1024;
+
+/**
+ * Split a model name into its parts, filling Ollama's defaults:
+ * "dolphin3" -> registry.ollama.ai / library / dolphin3 / latest
+ */
+function parseModelName(name) {
+    const raw = String(name || '').trim();
+    if (!raw || /\s/.test(raw)) return null;
+    let rest = raw;
+    let tag = DEFAULT_TAG;
+    const colon = rest.lastIndexOf(':');
+    if (colon > rest.lastIndexOf('/')) {
+        tag = rest.slice(colon + 1);
+        rest = rest.slice(0, colon);
+    }
+    const parts = rest.split('/').filter(Boolean);
+    if (!parts.length || parts.length > 3 || !tag) return null;
+    const model = parts.pop();
+    const namespace = parts.pop() || DEFAULT_NAMESPACE;
+    const registry = parts.pop() || DEFAULT_REGISTRY;
+    return { registry, namespace, model, tag };
+}
+
+// Shortest form of a name, as Ollama prints it ("dolphin3:8b", "user/model:tag")
+function formatModelName({ registry, namespace, model, tag }) {
+    let name = model;
+    if (namespace !== DEFAULT_NAMESPACE || registry !== DEFAULT_REGISTRY) name = `${namespace}/${name}`;
+    if (registry !== DEFAULT_REGISTRY) name = `${registry}/${name}`;
+    return `${name}:${tag}`;
+}
+
+// Canonical short name for user input, or null when it is not a valid model name
+function normalizeModelName(name) {
+    const parsed = parseModelName(name);
+    return parsed ? formatModelName(parsed) : null;
+}
+
+function digestHash(digest) {
+    const m = String(digest || '').match(/^sha256[:-]([a-f0-9]{64})$/i);
+    return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * List the manifests under `<ollamaDir>/manifests`.
+ * Returns [{ name, file, modelHash, layers: { template, system, params, license, ... }, sizes }] where each
+ * layer is the sha256 hash of its blob and `sizes` maps those hashes to the byte sizes the manifest gives.
+ * Unreadable manifests are skipped with a warning.
+ */
+function readManifests(ollamaDir) {
+    const root = path.join(ollamaDir, 'manifests');
+    const manifests = [];
+    const walk = (dir, depth) => {
+        let entries;
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return; }
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory() && depth < 3) walk(full, depth + 1);
+            else if (entry.isFile() && depth === 3) {
+                const manifest = readManifest(root, full);
+                if (manifest) manifests.push(manifest);
+            }
+        }
+    };
+    if (fs.existsSync(root)) walk(root, 0);
+    // `:latest` first, so it becomes the primary name when several tags share the same weights
+    const sortKey = (m) => m.name.replace(/:latest$/, '');
+    return manifests.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+function readManifest(root, file) {
+    const [registry, namespace, model, tag] = path.relative(root, file).split(path.sep);
+    try {
+        const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const layers = {};
+        const sizes = {};
+        (manifest.layers || []).forEach(layer => {
+            const type = String(layer.mediaType || '');
+            const hash = digestHash(layer.digest);
+            if (!hash || !type.startsWith(LAYER_PREFIX)) return;
+            const kind = type.slice(LAYER_PREFIX.length);
+            // Adapters and projectors can repeat; the first of each kind is the one we use
+            if (!layers[kind]) layers[kind] = hash;
+            if (Number(layer.size) > 0) sizes[hash] = Number(layer.size);
+        });
+        if (!layers.model) return null;
+        return { name: formatModelName({ registry, namespace, model, tag }), file, modelHash: layers.model, layers, sizes };
+    } catch (e) {
+        console.warn('[Ollama] Skipping unreadable manifest', file, '-', e.message);
+        return null;
+    }
+}
+
+/**
+ * Read a manifest's text layers from `blobsDir`. Layers whose blob is missing are listed in `missing`.
+ * Returns { template, system, params, license, missing } (params parsed from JSON).
+ */
+function readLayers(manifest, blobsDir) {
+    const result = { template: null, system: null, params: null, license: null, missing: [] };
+    for (const kind of ['template', 'system', 'params', 'license']) {
+        const hash = manifest.layers[kind];
+        if (!hash) continue;
+        const file = path.join(blobsDir, `sha256-${hash}`);
+        try {
+            if (!fs.existsSync(file) || fs.statSync(file).size > MAX_TEXT_LAYER_BYTES) {
+                result.missing.push(kind);
+                continue;
+            }
+            const text = fs.readFileSync(file, 'utf8');
+            result[kind] = kind === 'params' ? JSON.parse(text) : text;
+        } catch (e) {
+            console.warn(`[Ollama] Could not read ${kind} layer of ${manifest.name}:`, e.message);
+            result.missing.push(kind);
+        }
+    }
+    return result;
+}
+
+// Ollama parameter -> OpenAI-style request field understood by parseGenerationOptions
+const PARAM_FIELDS = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    top_k: 'top_k',
+    min_p: 'min_p',
+    repeat_penalty: 'repeat_penalty',
+    seed: 'seed',
+    num_predict: 'max_tokens'
+};
+
+/**
+ * Convert an Ollama params layer into runner defaults.
+ * Returns { options, contextSize, ignored } where `ignored` lists unsupported or out-of-range parameters.
+ */
+function paramsToGenerationOptions(params) {
+    const options = {};
+    const ignored = [];
+    let contextSize = null;
+    for (const [key, value] of Object.entries(params || {})) {
+        if (key === 'num_ctx' && Number.isInteger(value) && value > 0) {
+            contextSize = value;
+        } else if (key === 'stop') {
+            // Model stop tokens are not a request setting, so the per-request count limit does not apply
+            const stop = (Array.isArray(value) ? value : [value]).filter(s => typeof s === 'string' && s);
+            if (stop.length) options.stop = stop;
+        } else if (PARAM_FIELDS[key]) {
+            const parsed = parseGenerationOptions({ [PARAM_FIELDS[key]]: value }, 'openai');
+            if (parsed.error) ignored.push(`${key} (${parsed.error})`);
+            else Object.assign(options, parsed.options);
+        } else {
+            ignored.push(key);
+        }
+    }
+    return { options: Object.freeze(options), contextSize, ignored };
+}
+
+/* Go text/template subset used by Ollama chat templates:
+   {{ .Field }}, {{ $.Field }}, {{ if }}/{{ else if }}/{{ else }}/{{ end }}, {{ range .Messages }},
+   eq / ne / not / and / or, and {{- -}} whitespace trimming. Anything else throws. */
+
+function tokenizeTemplate(template) {
+    const tokens = [];
+    const re = /\{\{(-\s)?\s*([\s\S]*?)\s*(\s-)?\}\}/g;
+    let last = 0;
+    let trimNext = false;
+    let m;
+    while ((m = re.exec(template))) {
+        let text = template.slice(last, m.index);
+        if (trimNext) text = text.replace(/^\s+/, '');
+        if (m[1]) text = text.replace(/\s+$/, '');
+        if (text) tokens.push({ text });
+        const action = m[2].trim();
+        if (!action.startsWith('/*')) tokens.push({ action }); // {{/* comments */}}
+        trimNext = !!m[3];
+        last = re.lastIndex;
+    }
+    let tail = template.slice(last);
+    if (trimNext) tail = tail.replace(/^\s+/, '');
+    if (tail) tokens.push({ text: tail });
+    return tokens;
+}
+
+// Parse tokens into [{ text } | { print } | { if: [{ cond, body }], otherwise } | { range, body }]
+function parseTemplate(tokens) {
+    let i = 0;
+    const block = (terminators) => {
+        const nodes = [];
+        while (i < tokens.length) {
+            const token = tokens[i];
+            if (token.text !== undefined) { nodes.push({ text: token.text }); i++; continue; }
+            const action = token.action;
+            if (terminators.some(t => action === t || action.startsWith(t + ' '))) return nodes;
+            i++;
+            if (action.startsWith('if ')) {
+                const node = { if: [{ cond: action.slice(3), body: null }], otherwise: null };
+                node.if[0].body = block(['else', 'end']);
+                while (i < tokens.length && tokens[i].action && tokens[i].action.startsWith('else')) {
+                    const elseAction = tokens[i++].action;
+                    if (elseAction.startsWith('else if ')) node.if.push({ cond: elseAction.slice(8), body: block(['else', 'end']) });
+                    else node.otherwise = block(['end']);
+                }
+                if (!tokens[i] || tokens[i].action !== 'end') throw new Error('unterminated if');
+                i++;
+                nodes.push(node);
+            } else if (action.startsWith('range ')) {
+                const node = { range: action.slice(6), body: block(['else', 'end']) };
+                if (!tokens[i] || tokens[i].action !== 'end') throw new Error('unsupported range');
+                i++;
+                nodes.push(node);
+            } else {
+                nodes.push({ print: action });
+            }
+        }
+        if (terminators.length) throw new Error(`missing {{ ${terminators.join(' / ')} }}`);
+        return nodes;
+    };
+    return block([]);
+}
+
+function splitArgs(expr) {
+    const args = expr.match(/"(?:[^"\\]|\\.)*"|[^\s]+/g) || [];
+    if (args.some(a => a.includes('(') || a.includes('|') || (a.startsWith('$') && !a.startsWith('$.')))) {
+        throw new Error(`unsupported expression: ${expr}`);
+    }
+    return args;
+}
+
+function truthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value;
+}
+
+function evaluate(expr, dot, root) {
+    const args = splitArgs(expr);
+    const value = (arg) => {
+        if (arg.startsWith('"')) return JSON.parse(arg);
+        if (arg === '.') return dot;
+        const base = arg.startsWith('$.') ? root : dot;
+        const field = arg.startsWith('$.') ? arg.slice(2) : arg.slice(1);
+        if (!arg.startsWith('.') && !arg.startsWith('$.')) throw new Error(`unsupported value: ${arg}`);
+        return base && typeof base === 'object' ? base[field] : undefined;
+    };
+    const [fn, ...rest] = args;
+    switch (fn) {
+        case 'eq': return value(rest[0]) === value(rest[1]);
+        case 'ne': return value(rest[0]) !== value(rest[1]);
+        case 'not': return !truthy(value(rest[0]));
+        case 'and': return rest.every(a => truthy(value(a)));
+        case 'or': return rest.some(a => truthy(value(a)));
+        default:
+            if (rest.length) throw new Error(`unsupported function: ${fn}`);
+            return value(fn);
+    }
+}
+
+function renderNodes(nodes, dot, root) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.text !== undefined) out += node.text;
+        else if (node.print !== undefined) {
+            const v = evaluate(node.print, dot, root);
+            out += v === undefined || v === null ? '' : String(v);
+        } else if (node.if) {
+            const branch = node.if.find(b => truthy(evaluate(b.cond, dot, root)));
+            if (branch) out += renderNodes(branch.body, dot, root);
+            else if (node.otherwise) out += renderNodes(node.otherwise, dot, root);
+        } else if (node.range) {
+            const items = evaluate(node.range, dot, root);
+            (Array.isArray(items) ? items : []).forEach(item => { out += renderNodes(node.body, item, root); });
+        }
+    }
+    return out;
+}
+
+function renderTemplate(template, data) {
+    return renderNodes(parseTemplate(tokenizeTemplate(template)), data, data);
+}
+
+/**
+ * Turn an Ollama chat template into node-llama-cpp TemplateChatWrapper options by rendering it
+ * with a marker message for each role. Supports both the `.System/.Prompt/.Response` form and
+ * `range .Messages` templates. Returns null (with `reason`) when the template cannot be mapped;
+ * `stop` supplies the end-of-turn text for templates that do not render one after `.Response`.
+ */
+function templateToChatWrapperOptions(template, stop = []) {
+    const M = '\u0000MSG\u0000';
+    const fail = (reason) => ({ options: null, reason });
+    try {
+        const render = (data) => renderTemplate(template, data);
+        const withoutTail = (out, tail) => (out.endsWith(tail) ? out.slice(0, out.length - tail.length) : null);
+        let system, user, model, prefix;
+
+        if (/\.Messages\b/.test(template)) {
+            prefix = render({ Messages: [] });
+            const turn = (role) => withoutTail(render({ Messages: [{ Role: role, Content: M }] }), prefix);
+            system = turn('system');
+            if (!system || !system.includes(M)) system = withoutTail(render({ System: M, Messages: [] }), prefix);
+            user = turn('user');
+            model = turn('assistant');
+        } else {
+            const base = render({});
+            system = withoutTail(render({ System: M }), base);
+            user = withoutTail(render({ Prompt: M }), base);
+            const response = render({ Response: M });
+            prefix = response.includes(M) ? response.slice(0, response.indexOf(M)) : base;
+            model = response.includes(M) ? response : null;
+        }
+
+        if (!user || !user.includes(M)) return fail('no user turn');
+        if (!model || !model.includes(M)) model = prefix + M + (stop[0] || '');
+        const suffix = model.slice(model.indexOf(M) + M.length);
+        if (!suffix) return fail('no end-of-turn marker after the response');
+        if (!system || !system.includes(M)) system = user; // templates without a system slot
+
+        const slot = (s) => s.split(M).join('{{message}}');
+        return {
+            options: {
+                template: `{{history}}${prefix}{{completion}}${suffix}`,
+                historyTemplate: { system: slot(system), user: slot(user), model: slot(model) }
+            },
+            reason: null
+        };
+    } catch (e) {
+        return fail(e.message);
+    }
+}
+
+// First meaningful line of a license, for short model listings
+function licenseSummary(license) {
+    if (!license) return null;
+    const line = String(license).split(/\r?\n/).map(l => l.trim()).find(Boolean);
+    return line ? line.slice(0, 120) : null;
+}
+
+module.exports = {
+    parseModelName,
+    normalizeModelName,
+    readManifests,
+    readLayers,
+    paramsToGenerationOptions,
+    renderTemplate,
+    templateToChatWrapperOptions,
+    licenseSummary
+};
@@ -0,0 +1,198 @@
+/**
+ * Readable text of web pages
+ * extractMainText(html) keeps the main content of an article-like page, readability-style: navigation,
+ * headers, footers, sidebars, forms and scripts are dropped, then the element holding the most paragraph
+ * text (weighted by commas, class names and link density) is taken as the content. chunkText() splits
+ * that text into passages of about `maxChars` characters for ranking. extractSections() does the same for
+ * uploaded documents, split at their headings.
+ */
+
+const { parseHTML, normalizeSpace } = require('./html-parser');
+
+// Never part of the readable content
+const REMOVED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed', 'form', 'button',
+    'input', 'select', 'textarea', 'nav', 'header', 'footer', 'aside', 'menu', 'dialog'
+]);
+const REMOVED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'menu', 'menubar', 'dialog', 'alert', 'search']);
+// class/id hints, as in Mozilla's Readability
+const UNLIKELY_RE = /-ad-|ad-break|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tweet|twitter|widget/i;
+const MAYBE_RE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_RE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_RE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+// Elements that start a new line of text
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul'
+]);
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote', 'li']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+// Lines shorter than this (menus, bylines, "Share") are not kept
+const MIN_BLOCK_CHARS = 25;
+// Starts the lines blockLines() keeps for headings
+const HEADING_MARK = '\u0001';
+
+function classAndId(node) {
+    return `${node.attr('class') || ''} ${node.attr('id') || ''}`;
+}
+
+// Drop everything that is not content, in place
+function prune(node) {
+    node.children = node.children.filter(child => {
+        if (child.type !== 'element') return true;
+        if (REMOVED_TAGS.has(child.tag) || REMOVED_ROLES.has(child.attr('role'))) return false;
+        if (child.attr('hidden') !== null || child.attr('aria-hidden') === 'true') return false;
+        const hints = classAndId(child);
+        if (child.tag !== 'body' && child.tag !== 'article' && child.tag !== 'main'
+            && UNLIKELY_RE.test(hints) && !MAYBE_RE.test(hints)) return false;
+        prune(child);
+        return true;
+    });
+}
+
+function classWeight(node) {
+    const hints = classAndId(node);
+    return (POSITIVE_RE.test(hints) ? 25 : 0) - (NEGATIVE_RE.test(hints) ? 25 : 0);
+}
+
+// Share of the text that sits inside links
+function linkDensity(node) {
+    const length = normalizeSpace(node.text()).length;
+    if (!length) return 0;
+    const linked = node.find('a').reduce((sum, a) => sum + normalizeSpace(a.text()).length, 0);
+    return linked / length;
+}
+
+// The element holding the content: scored by the paragraphs it (or its children) contains
+function findContentNode(root) {
+    const scores = new Map();
+    const addScore = (node, score) => {
+        if (!node || node.type !== 'element') return;
+        if (!scores.has(node)) scores.set(node, classWeight(node));
+        scores.set(node, scores.get(node) + score);
+    };
+    for (const paragraph of root.descendants()) {
+        if (!PARAGRAPH_TAGS.has(paragraph.tag)) continue;
+        const text = normalizeSpace(paragraph.text());
+        if (text.length < MIN_BLOCK_CHARS) continue;
+        const score = 1 + (text.match(/[,\uff0c]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+        addScore(paragraph.parent, score);
+        if (paragraph.parent) addScore(paragraph.parent.parent, score / 2);
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const [node, score] of scores) {
+        const adjusted = score * (1 - linkDensity(node));
+        if (adjusted > bestScore) {
+            best = node;
+            bestScore = adjusted;
+        }
+    }
+    return best || root.findOne('body') || root;
+}
+
+// Text of `node`, one line per block element; with `headings`, headings are kept too, marked with HEADING_MARK
+function blockLines(node, { headings = false } = {}) {
+    const parts = [];
+    const walk = (current) => {
+        for (const child of current.children) {
+            if (child.type === 'text') {
+                parts.push(child.value);
+            } else if (headings && HEADING_TAGS.has(child.tag)) {
+                parts.push(`\n${HEADING_MARK}${normalizeSpace(child.text())}\n`);
+            } else if (child.tag === 'br') {
+                parts.push('\n');
+            } else if (BLOCK_TAGS.has(child.tag)) {
+                parts.push('\n');
+                walk(child);
+                parts.push('\n');
+            } else {
+                walk(child);
+            }
+        }
+    };
+    walk(node);
+    return parts.join('').split('\n').map(normalizeSpace)
+        .filter(line => line.length >= MIN_BLOCK_CHARS || (line.startsWith(HEADING_MARK) && line.length > 1));
+}
+
+/**
+ * { title, text, lines } of an HTML page: `lines` are the content's paragraphs, `text` joins them with
+ * newlines. Both are empty when the page has no readable content.
+ */
+function extractMainText(html) {
+    const doc = parseHTML(html);
+    const ogTitle = doc.findOne('meta[property=og:title]');
+    const titleNode = doc.findOne('title') || doc.findOne('h1');
+    const title = normalizeSpace((ogTitle && ogTitle.attr('content')) || (titleNode && titleNode.text()) || '');
+
+    prune(doc);
+    const lines = blockLines(findContentNode(doc));
+    return { title, text: lines.join('\n'), lines };
+}
+
+/**
+ * { title, sections } of an HTML document: the same readable content as extractMainText(), cut at its
+ * headings into sections { heading, lines } (`heading` is '' before the first one). Empty sections are dropped.
+ */
+function extractSections(html) {
+    const doc = parseHTML(html);
+    const titleNode = doc.findOne('title') || doc.findOne('h1');
+    const title = normalizeSpace((titleNode && titleNode.text()) || '');
+
+    prune(doc);
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    for (const line of blockLines(findContentNode(doc), { headings: true })) {
+        if (!line.startsWith(HEADING_MARK)) {
+            current.lines.push(line);
+            continue;
+        }
+        if (current.lines.length) sections.push(current);
+        current = { heading: line.slice(HEADING_MARK.length).trim(), lines: [] };
+    }
+    if (current.lines.length) sections.push(current);
+    return { title, sections };
+}
+
+// Split lines (paragraphs) into passages of about `maxChars`; long paragraphs are cut at sentence ends
+function chunkText(lines, maxChars = 600) {
+    const pieces = [];
+    for (const line of lines) {
+        if (line.length <= maxChars) {
+            pieces.push(line);
+            continue;
+        }
+        let current = '';
+        for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+            // A single sentence longer than a passage is cut between words
+            for (let rest = sentence; rest;) {
+                const room = maxChars - (current ? current.length + 1 : 0);
+                if (rest.length <= room) {
+                    current = current ? `${current} ${rest}` : rest;
+                    rest = '';
+                } else if (current) {
+                    pieces.push(current);
+                    current = '';
+                } else {
+                    const cut = rest.lastIndexOf(' ', maxChars) > 0 ? rest.lastIndexOf(' ', maxChars) : maxChars;
+                    pieces.push(rest.slice(0, cut));
+                    rest = rest.slice(cut).trim();
+                }
+            }
+        }
+        if (current) pieces.push(current);
+    }
+
+    // Merge consecutive short paragraphs into one passage
+    const passages = [];
+    for (const piece of pieces) {
+        const last = passages[passages.length - 1];
+        if (last !== undefined && last.length + 1 + piece.length <= maxChars) passages[passages.length - 1] = `${last}\n${piece}`;
+        else passages.push(piece);
+    }
+    return passages;
+}
+
+module.exports = { extractMainText, extractSections, chunkText };
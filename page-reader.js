@@ -0,0 +1,230 @@
+/**
+ * Deep search: reads the pages behind the top search results
+ * PageReader.read(question, results) fetches the first `maxPages` result pages (each within `timeoutMs`,
+ * at most `maxBytes`, HTML or plain text only, and only where robots.txt allows it), extracts their readable
+ * text, splits it into passages and ranks them against the question (BM25). The best passages that fit in
+ * `tokenBudget` are returned, for formatPassages() to add to the model's web context.
+ * Redirects are followed by hand (at most 5), so robots.txt and the host are checked again on every hop:
+ * hosts resolving to loopback, private or link-local addresses are never fetched.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { RobotsCache } = require('./robots-txt');
+const { extractMainText, chunkText } = require('./page-extract');
+const { tokenize } = require('./local-search-index');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LuckAI/1.0)';
+const ROBOTS_AGENT = 'LuckAI';
+// Passage size in characters (~150 tokens); BM25 parameters as in the local search index
+const PASSAGE_CHARS = 600;
+const K1 = 1.2;
+const B = 0.75;
+
+const HTML_TYPE_RE = /^(text\/html|application\/xhtml\+xml)$/i;
+const MAX_REDIRECTS = 5;
+
+// Addresses a result page must not lead to: this machine, private networks, link-local and reserved ranges
+const BLOCKED_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URL writes it) is checked as IPv4
+    const mapped = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+    if (mapped) {
+        address = mapped[1] || [mapped[2], mapped[3]].map(hex => parseInt(hex, 16)).map(n => `${n >> 8}.${n & 255}`).join('.');
+    }
+    return BLOCKED_NETWORKS.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Ensure a fetch function is available
+let _fetchFn = globalThis.fetch;
+if (!_fetchFn) {
+    try {
+        const nodeFetch = require('node-fetch');
+        _fetchFn = nodeFetch && nodeFetch.default ? nodeFetch.default : nodeFetch;
+    } catch (e) {
+        _fetchFn = null;
+    }
+}
+
+// ~4 characters per token, like the runners' estimate when no tokenizer is loaded
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+class PageReader {
+    // `fetch` and `lookup` (dns.promises.lookup) can be replaced (e.g. recorded pages in tests); `robots` defaults to a RobotsCache using `fetch`
+    constructor(config = {}) {
+        this.maxPages = Number(config.maxPages || process.env.LUCKAI_DEEP_SEARCH_PAGES || 3);
+        this.timeoutMs = Number(config.timeoutMs || process.env.LUCKAI_DEEP_SEARCH_TIMEOUT_MS || 5000);
+        this.maxBytes = Number(config.maxBytes || process.env.LUCKAI_DEEP_SEARCH_MAX_BYTES || 1024 * 1024);
+        this.tokenBudget = Number(config.tokenBudget || process.env.LUCKAI_DEEP_SEARCH_TOKENS || 1500);
+        this.countTokens = config.countTokens || estimateTokens;
+        this._fetch = config.fetch || _fetchFn;
+        this._lookup = config.lookup || dns.promises.lookup;
+        this.robots = config.robots || new RobotsCache({ agent: ROBOTS_AGENT, fetch: this._fetch, timeoutMs: Math.min(this.timeoutMs, 3000) });
+    }
+
+    /**
+     * { passages, pages }: `passages` are the selected { index, url, title, text, score } in result order
+     * (`index` is the result's position in `results`), `pages` one { url, ok, ms, error?, passages? } per page tried.
+     */
+    async read(question, results, { signal } = {}) {
+        if (!this._fetch) throw new Error('fetch is unavailable');
+        const targets = results
+            .map((result, index) => ({ result, index }))
+            .filter(({ result }) => /^https?:\/\//i.test(result.url || ''))
+            .slice(0, this.maxPages);
+
+        const pages = await Promise.all(targets.map(async ({ result, index }) => {
+            const start = Date.now();
+            try {
+                const page = await this._readPage(result.url, signal);
+                const passages = chunkText(page.lines, PASSAGE_CHARS).map((text, position) => ({
+                    index, position, url: result.url, title: result.title || page.title, text
+                }));
+                return { url: result.url, ok: true, ms: Date.now() - start, passages };
+            } catch (e) {
+                return { url: result.url, ok: false, ms: Date.now() - start, error: e.message, passages: [] };
+            }
+        }));
+
+        const passages = this._select(question, [].concat(...pages.map(page => page.passages)));
+        return {
+            passages,
+            pages: pages.map(page => Object.assign({}, page, { passages: page.ok ? page.passages.length : undefined }))
+        };
+    }
+
+    // { title, lines } of a page, or throws why it cannot be used
+    async _readPage(url, signal) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        try {
+            const headers = { 'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.8', 'User-Agent': USER_AGENT };
+            let res;
+            for (let hops = 0; ; hops++) {
+                await this._checkHost(url);
+                if (!(await this.robots.allowed(url, { signal: controller.signal }))) throw new Error('Disallowed by robots.txt');
+                res = await this._fetch(url, { headers, signal: controller.signal, redirect: 'manual' });
+                const location = res && res.status >= 300 && res.status < 400 && res.headers && res.headers.get('location');
+                if (!location) break;
+                if (hops >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+                url = new URL(location, url).href;
+                if (!/^https?:\/\//i.test(url)) throw new Error('Redirected to an unsupported URL');
+            }
+            if (!res || !res.ok) throw new Error(`Page answered with status ${res && res.status}`);
+
+            const contentType = String((res.headers && res.headers.get('content-type')) || 'text/html');
+            const [mimeType, ...params] = contentType.split(';').map(part => part.trim());
+            const isHtml = HTML_TYPE_RE.test(mimeType);
+            if (!isHtml && !/^text\/plain$/i.test(mimeType)) throw new Error(`Unsupported content type ${mimeType}`);
+            const charset = (params.find(p => /^charset=/i.test(p)) || '').replace(/^charset=["']?|["']$/gi, '');
+
+            const body = await this._readBody(res, charset);
+            if (isHtml) return extractMainText(body);
+            return { title: '', lines: body.split(/\n\s*\n/).map(block => block.replace(/\s+/g, ' ').trim()).filter(Boolean) };
+        } catch (e) {
+            if (controller.signal.aborted && !(signal && signal.aborted)) throw new Error(`Timed out after ${this.timeoutMs}ms`);
+            throw e;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    // Throws when the host of `url` is, or resolves to, an address of this machine or a private network
+    async _checkHost(url) {
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(host) ? [host] : (await this._lookup(host, { all: true })).map(entry => entry.address);
+        if (addresses.some(isBlockedAddress)) throw new Error(`Blocked private address for ${host}`);
+    }
+
+    // Body text, cut at `maxBytes` (the rest of the download is cancelled)
+    async _readBody(res, charset) {
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset || 'utf-8');
+        } catch (e) {
+            decoder = new TextDecoder('utf-8');
+        }
+        if (!res.body || typeof res.body.getReader !== 'function') {
+            return (await res.text()).slice(0, this.maxBytes);
+        }
+        const reader = res.body.getReader();
+        const chunks = [];
+        let size = 0;
+        while (size < this.maxBytes) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            size += value.length;
+        }
+        if (size >= this.maxBytes) reader.cancel().catch(() => {});
+        const bytes = Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).subarray(0, this.maxBytes);
+        return decoder.decode(bytes);
+    }
+
+    // Best passages within the token budget; each page's opening passage when none matches the question
+    _select(question, passages) {
+        const terms = Array.from(new Set(tokenize(question)));
+        const scored = scorePassages(terms, passages).filter(p => p.score > 0);
+        const ranked = scored.length
+            ? scored.sort((a, b) => b.score - a.score || a.index - b.index || a.position - b.position)
+            : passages.filter(p => p.position === 0).map(p => Object.assign({ score: 0 }, p));
+
+        const chosen = [];
+        let used = 0;
+        for (const passage of ranked) {
+            const tokens = this.countTokens(passage.text);
+            if (used + tokens > this.tokenBudget) continue;
+            chosen.push(passage);
+            used += tokens;
+        }
+        return chosen.sort((a, b) => a.index - b.index || a.position - b.position);
+    }
+}
+
+// BM25 score of every passage for the query terms
+function scorePassages(terms, passages) {
+    const docs = passages.map(passage => {
+        const words = tokenize(passage.text);
+        const tf = new Map();
+        words.forEach(word => tf.set(word, (tf.get(word) || 0) + 1));
+        return { passage, tf, length: words.length };
+    });
+    const df = new Map();
+    docs.forEach(doc => doc.tf.forEach((_, word) => df.set(word, (df.get(word) || 0) + 1)));
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+    return docs.map(({ passage, tf, length }) => {
+        let score = 0;
+        for (const term of terms) {
+            const count = tf.get(term);
+            if (!count) continue;
+            const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+            score += idf * count * (K1 + 1) / (count + K1 * (1 - B + B * length / (avgLength || 1)));
+        }
+        return Object.assign({}, passage, { score });
+    });
+}
+
+// Web context section quoting the passages, numbered like the results they come from
+function formatPassages(passages) {
+    if (!passages.length) return '';
+    const blocks = [];
+    let last = null;
+    for (const passage of passages) {
+        if (passage.index !== last) blocks.push(`[${passage.index + 1}] ${passage.title}`);
+        blocks[blocks.length - 1] += `\n${passage.text}`;
+        last = passage.index;
+    }
+    return `Excerpts from the pages:\n${blocks.join('\n\n')}`;
+}
+
+module.exports = { PageReader, formatPassages, estimateTokens, scorePassages };
@@ -0,0 +1,263 @@
+/**
+ * Text of PDF files
+ * extractPdfText(buffer) reads the text a PDF draws, page by page, without any dependency: objects are
+ * found by scanning the file (object streams included), FlateDecode streams are inflated with zlib, the
+ * pages are taken in page tree order and their content streams are read for the text operators (Tj, TJ,
+ * ', "), starting a new line where the text moves down. Scanned pages, fonts with custom encodings and
+ * encrypted files are out of reach: they come out empty, garbled or fail.
+ */
+
+const zlib = require('zlib');
+
+const OBJ_RE = /(\d+)\s+\d+\s+obj\b/g;
+const REF_RE = /(\d+)\s+\d+\s+R\b/g;
+// TJ offsets below this (in thousandths of an em) are gaps between words
+const WORD_GAP = -200;
+
+// Object number of the first indirect reference in `text`
+function refOf(text) {
+    const match = /(\d+)\s+\d+\s+R\b/.exec(text || '');
+    return match ? Number(match[1]) : null;
+}
+
+function refsOf(text) {
+    return Array.from(String(text || '').matchAll(REF_RE), match => Number(match[1]));
+}
+
+// Stream bytes after its filters, or null when a filter is not supported
+function decodeStream(object) {
+    if (!object || !object.data) return null;
+    const filters = ((object.dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '').match(/\/\w+/g) || [];
+    let data = object.data;
+    for (const filter of filters) {
+        if (filter !== '/FlateDecode') return null;
+        try {
+            data = zlib.inflateSync(data);
+        } catch (e) {
+            // Truncated streams still give their beginning
+            try { data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }); } catch (e2) { return null; }
+        }
+    }
+    return data;
+}
+
+// Map of object number -> { dict, data }: `dict` is the object's text before any stream, `data` the raw stream bytes
+function readObjects(buffer) {
+    const text = buffer.toString('latin1');
+    const objects = new Map();
+    OBJ_RE.lastIndex = 0;
+    let match;
+    while ((match = OBJ_RE.exec(text))) {
+        const start = match.index + match[0].length;
+        const next = /\bstream\r?\n|\bendobj\b/g;
+        next.lastIndex = start;
+        const found = next.exec(text);
+        if (!found) break;
+        const dict = text.slice(start, found.index).trim();
+        let data = null;
+        let end = found.index + found[0].length;
+        if (found[0].startsWith('stream')) {
+            const dataStart = end;
+            const length = (dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/) || [])[1];
+            let dataEnd = length !== undefined ? dataStart + Number(length) : -1;
+            if (dataEnd < 0 || !/^\s*endstream/.test(text.slice(dataEnd, dataEnd + 16))) {
+                dataEnd = text.indexOf('endstream', dataStart);
+                if (dataEnd < 0) break;
+                while (dataEnd > dataStart && (text[dataEnd - 1] === '\n' || text[dataEnd - 1] === '\r')) dataEnd--;
+            }
+            data = buffer.subarray(dataStart, dataEnd);
+            end = text.indexOf('endobj', dataEnd);
+            if (end < 0) break;
+        }
+        objects.set(Number(match[1]), { dict, data });
+        OBJ_RE.lastIndex = end;
+    }
+
+    // Objects packed in object streams (PDF 1.5+): "num offset" pairs, then the objects from /First
+    for (const object of Array.from(objects.values())) {
+        if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+        const decoded = decodeStream(object);
+        const count = Number((object.dict.match(/\/N\s+(\d+)/) || [])[1]);
+        const first = Number((object.dict.match(/\/First\s+(\d+)/) || [])[1]);
+        if (!decoded || !count || !first) continue;
+        const header = decoded.toString('latin1', 0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const number = header[2 * i];
+            const from = first + header[2 * i + 1];
+            const to = i + 1 < count ? first + header[2 * i + 3] : decoded.length;
+            if (!objects.has(number)) objects.set(number, { dict: decoded.toString('latin1', from, to).trim(), data: null });
+        }
+    }
+    return { text, objects };
+}
+
+// Page objects in reading order (page tree from the catalog, else in object number order)
+function pageObjects(text, objects) {
+    const pages = [];
+    const seen = new Set();
+    const walk = (number) => {
+        const node = objects.get(number);
+        if (!node || seen.has(number)) return;
+        seen.add(number);
+        if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+            refsOf((node.dict.match(/\/Kids\s*\[([^\]]*)\]/) || [])[1]).forEach(walk);
+        } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+            pages.push(node);
+        }
+    };
+    const roots = Array.from(text.matchAll(/\/Root\s+(\d+)\s+\d+\s+R\b/g), match => Number(match[1]));
+    for (const root of roots) {
+        const catalog = objects.get(root);
+        if (catalog) walk(refOf((catalog.dict.match(/\/Pages\s+\d+\s+\d+\s+R/) || [])[0]));
+        if (pages.length) return pages;
+    }
+    return Array.from(objects.keys()).sort((a, b) => a - b)
+        .map(number => objects.get(number))
+        .filter(object => /\/Type\s*\/Page\b/.test(object.dict));
+}
+
+// Bytes of a PDF string as text: UTF-16BE with a byte order mark, else one byte per character
+function bytesToText(bytes) {
+    if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+        let out = '';
+        for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+        return out;
+    }
+    return String.fromCharCode(...bytes);
+}
+
+const ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+
+// Literal string starting at `start` (on its "("): { value, end }
+function readLiteral(content, start) {
+    const bytes = [];
+    let depth = 1;
+    let i = start + 1;
+    while (i < content.length && depth > 0) {
+        const c = content[i];
+        if (c === '\\') {
+            const next = content[i + 1];
+            if (ESCAPES[next] !== undefined) {
+                bytes.push(ESCAPES[next]);
+                i += 2;
+            } else if (/[0-7]/.test(next)) {
+                const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                bytes.push(parseInt(octal, 8) & 0xff);
+                i += 1 + octal.length;
+            } else {
+                // Line continuation, or an unknown escape standing for the character itself
+                if (next !== '\r' && next !== '\n') bytes.push(next.charCodeAt(0));
+                i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+            }
+            continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) break;
+        bytes.push(c.charCodeAt(0) & 0xff);
+        i++;
+    }
+    return { value: bytesToText(bytes), end: i + 1 };
+}
+
+// Text drawn by a content stream, one entry per line
+function contentLines(content) {
+    const lines = [];
+    let line = '';
+    let lastY = null;
+    let operands = [];
+    const newLine = () => {
+        if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+        line = '';
+    };
+    const space = () => { if (line && !/\s$/.test(line)) line += ' '; };
+
+    let i = 0;
+    while (i < content.length) {
+        const c = content[i];
+        if (c === '(') {
+            const literal = readLiteral(content, i);
+            operands.push({ text: literal.value });
+            i = literal.end;
+        } else if (c === '<' && content[i + 1] === '<') {
+            i += 2;
+        } else if (c === '>' && content[i + 1] === '>') {
+            i += 2;
+        } else if (c === '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end < 0 ? content.length : end).replace(/[^0-9a-f]/gi, '');
+            const bytes = (hex.length % 2 ? hex + '0' : hex).match(/../g) || [];
+            operands.push({ text: bytesToText(bytes.map(byte => parseInt(byte, 16))) });
+            i = end < 0 ? content.length : end + 1;
+        } else if (c === '[') {
+            operands.push('[');
+            i++;
+        } else if (c === ']') {
+            const open = operands.lastIndexOf('[');
+            const items = operands.splice(open < 0 ? 0 : open);
+            operands.push({ array: items.slice(open < 0 ? 0 : 1) });
+            i++;
+        } else if (c === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (/\s/.test(c)) {
+            i++;
+        } else if (/[\d.+-]/.test(c)) {
+            const number = content.slice(i).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+            operands.push(number ? Number(number[0]) : 0);
+            i += number ? number[0].length : 1;
+        } else if (c === '/') {
+            const name = content.slice(i).match(/^\/[^\s/<>[\]()%{}]*/)[0];
+            operands.push({ name });
+            i += name.length;
+        } else {
+            const word = content.slice(i).match(/^[A-Za-z'"*]+/);
+            const op = word ? word[0] : c;
+            i += op.length;
+            const last = operands[operands.length - 1];
+            if (op === 'Tj' && last && last.text !== undefined) {
+                line += last.text;
+            } else if ((op === "'" || op === '"') && last && last.text !== undefined) {
+                newLine();
+                line += last.text;
+            } else if (op === 'TJ' && last && last.array) {
+                for (const item of last.array) {
+                    if (item && item.text !== undefined) line += item.text;
+                    else if (typeof item === 'number' && item < WORD_GAP) space();
+                }
+            } else if (op === 'T*') {
+                newLine();
+            } else if (op === 'Td' || op === 'TD') {
+                const [tx, ty] = operands.slice(-2);
+                if (ty) newLine();
+                else if (tx > 0) space();
+            } else if (op === 'Tm') {
+                const y = operands[operands.length - 1];
+                if (lastY !== null && y !== lastY) newLine();
+                else space();
+                lastY = y;
+            }
+            operands = [];
+        }
+    }
+    newLine();
+    // Control characters are what is left of fonts without a usable encoding
+    return lines.map(text => text.replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '').trim()).filter(Boolean);
+}
+
+/**
+ * { pages } of a PDF file (Buffer): one array of text lines per page, in page order. Throws for files that
+ * are not PDFs or are encrypted.
+ */
+function extractPdfText(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.toString('latin1', 0, 5) !== '%PDF-') throw new Error('Not a PDF file');
+    const { text, objects } = readObjects(buffer);
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(text)) throw new Error('Encrypted PDFs are not supported');
+
+    const pages = pageObjects(text, objects).map(page => {
+        const contents = page.dict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+        const streams = contents ? refsOf(contents[1]).map(number => decodeStream(objects.get(number))).filter(Boolean) : [];
+        return contentLines(streams.map(data => data.toString('latin1')).join('\n'));
+    });
+    return { pages };
+}
+
+module.exports = { extractPdfText };
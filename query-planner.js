@@ -0,0 +1,101 @@
+/**
+ * Search query planning
+ * Before a web search, QueryPlanner.plan() asks the loaded model to turn the message and the recent
+ * conversation into one to three standalone search queries in the user's language, so follow-ups like
+ * "and what about his latest album?" search for what they refer to. The model gets a short prompt and a
+ * small token budget; when its answer is unusable (or late) the message itself is searched.
+ */
+
+const { detectLanguage } = require('./inference-backend');
+
+const MAX_QUERIES = 3;
+const MAX_TOKENS = 96;
+const QUERY_MAX_CHARS = 200;
+// Recent turns shown to the planner, each cut to HISTORY_CHARS
+const HISTORY_TURNS = 4;
+const HISTORY_CHARS = 300;
+const LANGUAGES = ['en', 'fr'];
+
+const PLANNER_PROMPT = 'You write web search queries. Using the conversation for context, write 1 to 3 short, standalone '
+    + 'search queries that find what the last message asks for. Replace pronouns and references ("he", "that album", '
+    + '"là-bas") with the names they stand for. Write the queries in the language of the last message. Use one query '
+    + 'unless the message asks about several things. Answer with JSON only, for example: '
+    + '{"language": "fr", "queries": ["dernier album Daft Punk"]}';
+
+class QueryPlanner {
+    constructor(config = {}) {
+        this.timeoutMs = Number(config.timeoutMs || process.env.LUCKAI_QUERY_PLANNER_TIMEOUT_MS || 8000);
+        this.maxQueries = Number(config.maxQueries || MAX_QUERIES);
+    }
+
+    /**
+     * { queries, language, planned }: `planned` is false when the message itself is used (with `error` saying why).
+     * `owner` and `signal` are passed to the runner so the planning call queues and cancels like the answer.
+     */
+    async plan(runner, message, history = [], { owner, signal } = {}) {
+        const fallback = { queries: [String(message).trim()], language: detectLanguage(message, history), planned: false };
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        try {
+            const result = await runner.processQuery(plannerMessage(message, history), [], null, {
+                systemPrompt: PLANNER_PROMPT,
+                maxTokens: MAX_TOKENS,
+                temperature: 0.2,
+                priority: 'interactive',
+                owner,
+                signal: controller.signal
+            });
+            if (result.stopped) return Object.assign(fallback, { error: `No queries within ${this.timeoutMs}ms` });
+            const parsed = parsePlannedQueries(result.response, this.maxQueries);
+            if (!parsed) return Object.assign(fallback, { error: 'The model did not answer with queries' });
+            return { queries: parsed.queries, language: parsed.language || fallback.language, planned: true };
+        } catch (e) {
+            return Object.assign(fallback, { error: e.message });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+// The planner's input: the last turns of the conversation, then the message to search for
+function plannerMessage(message, history) {
+    const turns = (history || []).slice(-HISTORY_TURNS).map(turn => {
+        const text = String(turn.content || '').replace(/\s+/g, ' ').trim();
+        const cut = text.length > HISTORY_CHARS ? `${text.slice(0, HISTORY_CHARS)}...` : text;
+        return `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${cut}`;
+    });
+    const context = turns.length ? `Conversation:\n${turns.join('\n')}\n\n` : '';
+    return `${context}Last message: ${String(message).trim()}`;
+}
+
+// { queries, language } from the model's answer (JSON, possibly wrapped in prose or a code block), or null
+function parsePlannedQueries(text, maxQueries = MAX_QUERIES) {
+    const match = String(text || '').match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (!match) return null;
+    let parsed;
+    try {
+        parsed = JSON.parse(match[0]);
+    } catch (e) {
+        return null;
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.queries;
+    if (!Array.isArray(list)) return null;
+
+    const seen = new Set();
+    const queries = [];
+    for (const item of list) {
+        if (typeof item !== 'string') continue;
+        const query = item.replace(/\s+/g, ' ').replace(/^["'\s]+|["'\s]+$/g, '').slice(0, QUERY_MAX_CHARS).trim();
+        if (!query || seen.has(query.toLowerCase())) continue;
+        seen.add(query.toLowerCase());
+        queries.push(query);
+    }
+    if (!queries.length) return null;
+    const language = parsed && LANGUAGES.includes(String(parsed.language).toLowerCase()) ? String(parsed.language).toLowerCase() : null;
+    return { queries: queries.slice(0, maxQueries), language };
+}
+
+module.exports = { QueryPlanner, parsePlannedQueries, plannerMessage };
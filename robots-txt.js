@@ -0,0 +1,139 @@
+/**
+ * robots.txt rules (RFC 9309)
+ * parseRobots(text, agent) keeps the rules of the group for `agent` (the `*` group when none names it);
+ * isAllowed(rules, path) applies them: the longest matching rule wins, Allow on ties, `*` and `$` as
+ * wildcards. RobotsCache fetches and caches the rules per origin for PageReader.
+ */
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// Rules ({ allow, pattern }) for `agent` from a robots.txt body
+function parseRobots(text, agent) {
+    const token = String(agent || '').toLowerCase();
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+    for (const rawLine of String(text || '').slice(0, MAX_ROBOTS_BYTES).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!m) continue;
+        const field = m[1].toLowerCase();
+        const value = m[2].trim();
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) groups.push(group = { agents: [], rules: [] });
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!group || (field !== 'allow' && field !== 'disallow')) continue;
+        // An empty Disallow allows everything
+        if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    }
+
+    const named = groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+    const chosen = named.length ? named : groups.filter(g => g.agents.includes('*'));
+    return chosen.reduce((rules, g) => rules.concat(g.rules), []);
+}
+
+function patternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const re = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${re}${anchored ? '$' : ''}`).test(path);
+}
+
+// Whether `path` (path and query of a URL) may be fetched under `rules`
+function isAllowed(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        if (!patternMatches(rule.pattern, path)) continue;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) best = rule;
+    }
+    return !best || best.allow;
+}
+
+/**
+ * robots.txt rules per origin, fetched on first use and kept for an hour. A missing robots.txt (4xx)
+ * allows everything; a server error or an unreachable host disallows everything, as RFC 9309 asks
+ * (remembered for 5 minutes only).
+ */
+class RobotsCache {
+    constructor(config = {}) {
+        this.agent = config.agent || 'LuckAI';
+        this.fetch = config.fetch;
+        this.timeoutMs = Number(config.timeoutMs || 3000);
+        this.ttlMs = Number(config.ttlMs || CACHE_TTL_MS);
+        this._entries = new Map(); // origin -> { rules, expires }, or { pending, controller, waiters } while downloading
+    }
+
+    // Rejects when `signal` aborts before the rules are known
+    async allowed(href, { signal } = {}) {
+        const url = new URL(href);
+        const rules = await this._rules(url.origin, signal);
+        return rules === null ? false : isAllowed(rules, url.pathname + url.search);
+    }
+
+    async _rules(origin, signal) {
+        let entry = this._entries.get(origin);
+        if (entry && entry.rules !== undefined && entry.expires > Date.now()) return entry.rules;
+        if (!entry || !entry.pending) {
+            // One download per origin, shared by every caller waiting for it: it is only cancelled once they all gave up
+            const controller = new AbortController();
+            entry = { controller, waiters: 0 };
+            entry.pending = this._download(origin, controller.signal).then(rules => {
+                // Not worth remembering when nobody waited for it; failures are retried sooner
+                if (controller.signal.aborted) this._entries.delete(origin);
+                else this._entries.set(origin, { rules, expires: Date.now() + (rules === null ? FAILURE_TTL_MS : this.ttlMs) });
+                return rules;
+            });
+            this._entries.set(origin, entry);
+        }
+        return this._wait(entry, signal);
+    }
+
+    // The rules `entry` is downloading, or a rejection as soon as `signal` aborts
+    _wait(entry, signal) {
+        if (signal && signal.aborted) return Promise.reject(new Error('Cancelled'));
+        entry.waiters++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(new Error('Cancelled'));
+                if (--entry.waiters === 0) entry.controller.abort();
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            entry.pending.then(rules => {
+                if (signal) {
+                    if (signal.aborted) return;
+                    signal.removeEventListener('abort', onAbort);
+                }
+                entry.waiters--;
+                resolve(rules);
+            });
+        });
+    }
+
+    // Rules for the origin; [] when there is no robots.txt, null when everything is disallowed
+    async _download(origin, signal) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        try {
+            const res = await this.fetch(`${origin}/robots.txt`, { headers: { 'User-Agent': this.agent }, signal: controller.signal });
+            if (res.status >= 400 && res.status < 500) return [];
+            if (!res.ok) return null;
+            return parseRobots(await res.text(), this.agent);
+        } catch (e) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+module.exports = { RobotsCache, parseRobots, isAllowed };
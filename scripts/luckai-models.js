@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * LuckAI model management CLI
+ *
+ * Usage:
+ *   node scripts/luckai-models.js list
+ *   node scripts/luckai-models.js split <file> <MB>
+ *   node scripts/luckai-models.js assemble <hash>
+ *   node scripts/luckai-models.js verify [hash]
+ *   node scripts/luckai-models.js prune [--dry-run] [--force]
+ *
+ * Searches the same folders as the server (LUCKAI_GGUF_PATH, LUCKAI_GGUF_DIR, OLLAMA_MODELS, ./.ollama and their
+ * blobs/) and assembles into data/models/. Chunk handling is shared with the server (model-chunks.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ModelRegistry, formatSize } = require('../model-registry');
+const {
+    findChunkGroups, assembleChunks, describeProblems, hashFiles, splitFile, pruneAssembled
+} = require('../model-chunks');
+const { readManifests } = require('../ollama-manifest');
+
+const usage = `Usage: luckai-models <list|split|assemble|verify|prune> [args]
+  list                         Models, chunk groups (parts, sizes) and assembled outputs
+  split <file> <MB>            Split a blob into <file>.part001, .part002, ... of <MB> megabytes
+  assemble <hash>              Assemble a chunk group (hash or unique prefix) into data/models/
+  verify [hash]                Check blobs, chunk groups and assembled files against their SHA-256,
+                               and that every Ollama manifest layer is present
+  prune [--dry-run] [--force]  Remove data/models/*.gguf that neither parts nor a manifest use, and interrupted .tmp files
+                               (--force also removes .tmp files touched in the last 10 minutes)`;
+
+const SHA_BLOB_RE = /^sha256-([a-f0-9]{64})$/i;
+
+// Every folder the server reads models from (each search dir and its blobs/)
+function modelDirs(registry) {
+    const dirs = [];
+    registry.dirs.forEach(dir => dirs.push(dir, path.join(dir, 'blobs')));
+    return Array.from(new Set(dirs)).filter(dir => fs.existsSync(dir));
+}
+
+// Chunk groups across all model folders: [{ dir, hash, group }]. Manifest layer sizes tell when final parts are missing
+function allChunkGroups(registry) {
+    const result = [];
+    const expectedBytes = Object.fromEntries(manifestLayers(registry));
+    modelDirs(registry).forEach(dir => {
+        const groups = findChunkGroups(dir, { expectedBytes });
+        Object.keys(groups).forEach(hash => result.push({ dir, hash, group: groups[hash] }));
+    });
+    return result;
+}
+
+// Whole sha256-<hash> blobs (not parts) across all model folders: [{ file, hash }]
+function allBlobs(registry) {
+    const result = [];
+    modelDirs(registry).forEach(dir => {
+        fs.readdirSync(dir).forEach(name => {
+            const m = name.match(SHA_BLOB_RE);
+            if (m) result.push({ file: path.join(dir, name), hash: m[1].toLowerCase() });
+        });
+    });
+    return result;
+}
+
+// Layers referenced by the Ollama manifests of every search dir (model weights and the others): Map hash -> size (or null)
+function manifestLayers(registry) {
+    const layers = new Map();
+    registry.dirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+        readManifests(dir).forEach(manifest => Object.values(manifest.layers).forEach(hash => {
+            if (!layers.get(hash)) layers.set(hash, manifest.sizes[hash] || null);
+        }));
+    });
+    return layers;
+}
+
+// Assembled outputs: [{ file, hash, size, partial }]
+function assembledFiles(registry) {
+    let names = [];
+    try { names = fs.readdirSync(registry.assembledDir); } catch (e) { return []; }
+    return names.filter(n => /\.gguf(\.tmp)?$/i.test(n)).map(name => {
+        const file = path.join(registry.assembledDir, name);
+        const m = name.match(/^sha256-([a-f0-9]{64})/i);
+        return { file, hash: m ? m[1].toLowerCase() : null, size: fs.statSync(file).size, partial: name.endsWith('.tmp') };
+    });
+}
+
+function findGroup(registry, hashArg) {
+    const prefix = String(hashArg || '').toLowerCase().replace(/^sha256[-:]/, '');
+    if (!/^[a-f0-9]{6,64}$/.test(prefix)) throw new Error('Expected a sha256 hash (at least 6 hex characters)');
+    const matches = allChunkGroups(registry).filter(g => g.hash.startsWith(prefix));
+    const hashes = new Set(matches.map(g => g.hash));
+    if (!matches.length) throw new Error(`No chunk group found for ${prefix}`);
+    if (hashes.size > 1) throw new Error(`Ambiguous hash prefix ${prefix}: ${Array.from(hashes).join(', ')}`);
+    return matches[0];
+}
+
+// One progress line every 10%
+function progressPrinter(label) {
+    let step = -1;
+    return ({ percent }) => {
+        if (Math.floor(percent / 10) === step) return;
+        step = Math.floor(percent / 10);
+        console.log(`${label}: ${percent}%`);
+    };
+}
+
+async function list(registry) {
+    registry.scan();
+    await registry.loadMetadata();
+    const models = registry.list();
+    console.log('Models:');
+    if (!models.length) console.log('  (none)');
+    models.forEach(m => {
+        const details = [m.size, m.source, m.arch, m.parameters, m.quant].filter(Boolean).join(', ');
+        console.log(`  ${m.id.padEnd(32)} ${details}${m.parts ? `, ${m.parts} parts` : ''}`);
+    });
+
+    console.log('Chunk groups:');
+    const groups = allChunkGroups(registry);
+    if (!groups.length) console.log('  (none)');
+    groups.forEach(({ dir, hash, group }) => {
+        const assembled = fs.existsSync(path.join(registry.assembledDir, `sha256-${hash}.gguf`));
+        const state = group.ok ? (assembled ? 'assembled' : 'not assembled') : describeProblems(group);
+        console.log(`  sha256-${hash.slice(0, 12)} ${String(group.parts.length).padStart(4)} parts ${formatSize(group.totalBytes).padStart(9)}  ${state}  ${dir}`);
+    });
+
+    console.log(`Assembled (${registry.assembledDir}):`);
+    const files = assembledFiles(registry);
+    if (!files.length) console.log('  (none)');
+    files.forEach(f => console.log(`  ${path.basename(f.file)} ${formatSize(f.size)}${f.partial ? ' (partial)' : ''}`));
+    return 0;
+}
+
+async function verify(registry, hashArg) {
+    const prefix = hashArg ? String(hashArg).toLowerCase().replace(/^sha256[-:]/, '') : '';
+    const wanted = (hash) => !prefix || hash.startsWith(prefix);
+    let failures = 0;
+    const report = (ok, label, detail) => {
+        if (!ok) failures++;
+        console.log(`${ok ? 'OK  ' : 'FAIL'} ${label}${detail ? ` — ${detail}` : ''}`);
+    };
+    const check = async (label, files, hash) => {
+        const actual = await hashFiles(files);
+        report(actual === hash, label, actual === hash ? '' : `SHA-256 is ${actual}`);
+    };
+
+    for (const blob of allBlobs(registry).filter(b => wanted(b.hash))) {
+        await check(`blob ${blob.file}`, [blob.file], blob.hash);
+    }
+    for (const { dir, hash, group } of allChunkGroups(registry).filter(g => wanted(g.hash))) {
+        const label = `chunks sha256-${hash.slice(0, 12)} (${group.parts.length} parts in ${dir})`;
+        if (!group.ok) report(false, label, describeProblems(group));
+        else await check(label, group.parts.map(p => p.path), hash);
+    }
+    for (const file of assembledFiles(registry).filter(f => f.hash && !f.partial && wanted(f.hash))) {
+        await check(`assembled ${path.basename(file.file)}`, [file.file], file.hash);
+    }
+
+    // Manifest digests: every layer needs a blob, a chunk group or an assembled file with that hash
+    const available = new Set([
+        ...allBlobs(registry).map(b => b.hash),
+        ...allChunkGroups(registry).map(g => g.hash),
+        ...assembledFiles(registry).filter(f => f.hash && !f.partial).map(f => f.hash)
+    ]);
+    for (const dir of registry.dirs.filter(d => fs.existsSync(d))) {
+        for (const manifest of readManifests(dir)) {
+            const layers = Object.entries(manifest.layers).filter(([, hash]) => wanted(hash));
+            const missing = layers.filter(([, hash]) => !available.has(hash)).map(([kind, hash]) => `${kind} sha256-${hash.slice(0, 12)}`);
+            if (layers.length) report(!missing.length, `manifest ${manifest.name}`, missing.length ? `missing ${missing.join(', ')}` : '');
+        }
+    }
+
+    console.log(failures ? `${failures} problem(s) found` : 'All checks passed');
+    return failures ? 1 : 0;
+}
+
+async function main(argv) {
+    const registry = new ModelRegistry();
+    const [command, ...args] = argv;
+    const flags = args.filter(a => a.startsWith('--'));
+    const positional = args.filter(a => !a.startsWith('--'));
+
+    switch (command) {
+        case 'list':
+            return list(registry);
+        case 'split': {
+            const [file, mb] = positional;
+            if (!file || !mb) throw new Error('Usage: split <file> <MB>');
+            const { parts, hash } = await splitFile(file, mb, { onProgress: progressPrinter(`Splitting ${path.basename(file)}`) });
+            console.log(`Wrote ${parts.length} parts (SHA-256 ${hash})`);
+            return 0;
+        }
+        case 'assemble': {
+            const { dir, hash, group } = findGroup(registry, positional[0]);
+            console.log(`Assembling sha256-${hash.slice(0, 12)} from ${group.parts.length} parts in ${dir}`);
+            // Progress is logged by assembleChunks itself
+            const out = await assembleChunks(dir, hash, { outDir: registry.assembledDir });
+            console.log(`Wrote ${out}`);
+            return 0;
+        }
+        case 'verify':
+            return verify(registry, positional[0]);
+        case 'prune': {
+            // An assembled file may be the only copy left of a manifest layer: keep those as well
+            const keep = new Set([...allChunkGroups(registry).map(g => g.hash), ...manifestLayers(registry).keys()]);
+            const removed = pruneAssembled(registry.assembledDir, {
+                keep,
+                dryRun: flags.includes('--dry-run'),
+                tmpMaxAgeMs: flags.includes('--force') ? 0 : undefined
+            });
+            if (!removed.length) { console.log('Nothing to prune.'); return 0; }
+            removed.forEach(r => console.log(`${flags.includes('--dry-run') ? 'Would remove' : 'Removed'} ${path.basename(r.file)} (${formatSize(r.bytes)}, ${r.reason})`));
+            return 0;
+        }
+        default:
+            console.log(usage);
+            return command ? 1 : 0;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+        console.error('Error:', e.message);
+        process.exit(1);
+    });
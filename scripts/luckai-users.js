@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * LuckAI user administration CLI
+ *
+ * Usage:
+ *   node scripts/luckai-users.js list
+ *   node scripts/luckai-users.js create <username> <password> [--admin]
+ *   node scripts/luckai-users.js passwd <username> <password>
+ *   node scripts/luckai-users.js disable <username>
+ *   node scripts/luckai-users.js enable <username>
+ *   node scripts/luckai-users.js role <username> <admin|user>
+ *
+ * Operates on data/users.json (override with LUCKAI_USERS_FILE). A running server picks up changes automatically.
+ */
+
+const path = require('path');
+const { UserStore } = require('../user-store');
+
+const usage = `Usage: luckai-users <list|create|passwd|disable|enable|role> [args]
+  list                                 List accounts
+  create <username> <password> [--admin]
+  passwd <username> <password>         Reset a password
+  disable <username> | enable <username>
+  role <username> <admin|user>`;
+
+async function main(argv) {
+    const store = new UserStore({ file: process.env.LUCKAI_USERS_FILE || path.join(__dirname, '..', 'data', 'users.json') });
+    const [command, ...args] = argv;
+
+    switch (command) {
+        case 'list': {
+            const users = store.list();
+            if (!users.length) { console.log('No users.'); return 0; }
+            users.forEach(u => console.log(`${u.username.padEnd(32)} ${u.role.padEnd(6)} ${u.disabled ? 'disabled' : 'active  '} ${u.createdAt}`));
+            return 0;
+        }
+        case 'create': {
+            const [username, password] = args.filter(a => !a.startsWith('--'));
+            const user = await store.create(username, password, { role: args.includes('--admin') ? 'admin' : 'user' });
+            console.log(`Created ${user.role} "${user.username}" (${user.id})`);
+            return 0;
+        }
+        case 'passwd': {
+            const [username, password] = args;
+            await store.setPassword(username, password);
+            console.log(`Password updated for "${username}"`);
+            return 0;
+        }
+        case 'disable':
+        case 'enable': {
+            const user = store.update(args[0], { disabled: command === 'disable' });
+            if (!user) throw new Error(`User not found: ${args[0]}`);
+            console.log(`${command === 'disable' ? 'Disabled' : 'Enabled'} "${user.username}"`);
+            return 0;
+        }
+        case 'role': {
+            const [username, role] = args;
+            if (!['admin', 'user'].includes(role)) throw new Error('role must be "admin" or "user"');
+            const user = store.update(username, { role });
+            if (!user) throw new Error(`User not found: ${username}`);
+            console.log(`"${user.username}" is now ${user.role}`);
+            return 0;
+        }
+        default:
+            console.log(usage);
+            return command ? 1 : 0;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+        console.error('Error:', e.message);
+        process.exit(1);
+    });
@@ -0,0 +1,142 @@
+/**
+ * Web search provider interface
+ * Every search source (DuckDuckGo, SearXNG, the local offline index) extends SearchProvider:
+ *
+ *   search(query, { signal, language }) -> Promise<{ results, summary } | null>   null when there is nothing to search
+ *   info() -> object                                                              details for the status endpoints
+ *
+ * `results` are { title, url, description, snippet }. Providers throw when they cannot answer (network
+ * error, bad status, missing index); SearchChain then tries the next one. `language` ('en', 'fr') is the
+ * language of the query, for providers that can favour results in it.
+ */
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_RESULTS = 6;
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_RE = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// Raised when a provider does not answer within its timeout
+class SearchTimeoutError extends Error {
+    constructor(provider, timeoutMs) {
+        super(`${provider} search timed out after ${timeoutMs}ms`);
+        this.name = 'SearchTimeoutError';
+        this.code = 'SEARCH_TIMEOUT';
+    }
+}
+
+// Numbered plain-text list of the results, used as the model's web context
+function summarizeResults(results) {
+    return results.length ? results.map((r, i) => `${i + 1}. ${r.title}\n   ${r.description || ''}`).join('\n') : '';
+}
+
+// Identity of a page for deduplication: no scheme, "www.", fragment, tracking parameters or trailing slash
+function canonicalUrl(href) {
+    try {
+        const url = new URL(href);
+        const params = Array.from(url.searchParams.entries()).filter(([name]) => !TRACKING_PARAM_RE.test(name));
+        const search = params.length ? '?' + new URLSearchParams(params).toString() : '';
+        const pathname = url.pathname.replace(/\/+$/, '');
+        return `${url.hostname.toLowerCase().replace(/^www\./, '')}${url.port ? ':' + url.port : ''}${pathname}${search}`;
+    } catch (e) {
+        return String(href);
+    }
+}
+
+class SearchProvider {
+    constructor(config = {}) {
+        this.provider = 'unknown';
+        this.timeoutMs = Number(config.timeoutMs || process.env.LUCKAI_SEARCH_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+        this.maxResults = Number(config.maxResults || MAX_RESULTS);
+    }
+
+    async search() {
+        throw new Error(`The ${this.provider} search provider does not implement search()`);
+    }
+
+    info() {
+        return { provider: this.provider, timeoutMs: this.timeoutMs };
+    }
+}
+
+/**
+ * Providers in fallback order. search() asks each in turn, each within its own timeout, and returns the
+ * first answer with results, tagged with `provider`. When every provider answers but finds nothing, the
+ * first empty answer is returned; when none answers, null. Failures are reported to `onError(provider, error)`.
+ */
+class SearchChain {
+    constructor(providers = [], config = {}) {
+        this.providers = providers;
+        this.onError = config.onError || ((provider, error) => console.warn(`[Search] ${provider.provider} failed: ${error.message}`));
+    }
+
+    async search(query, { language } = {}) {
+        if (!query || !String(query).trim()) return null;
+        let empty = null;
+        const attempts = [];
+        for (const provider of this.providers) {
+            const start = Date.now();
+            try {
+                const result = await this._searchWithTimeout(provider, query, language);
+                attempts.push({ provider: provider.provider, ok: !!result, ms: Date.now() - start, results: result ? result.results.length : 0 });
+                if (!result) continue;
+                const answer = Object.assign(result, { provider: provider.provider, attempts });
+                if (result.results.length) return answer;
+                empty = empty || answer;
+            } catch (e) {
+                attempts.push({ provider: provider.provider, ok: false, ms: Date.now() - start, error: e.message });
+                this.onError(provider, e);
+            }
+        }
+        return empty;
+    }
+
+    // Abort the provider's requests at its timeout, and stop waiting for providers that ignore the signal
+    _searchWithTimeout(provider, query, language) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new SearchTimeoutError(provider.provider, provider.timeoutMs));
+            }, provider.timeoutMs);
+        });
+        return Promise.race([provider.search(query, { signal: controller.signal, language }), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    info() {
+        return this.providers.map(provider => provider.info());
+    }
+}
+
+/**
+ * Search every query with `client` in parallel and merge the answers: results are taken in turn from each
+ * query's list, so every query contributes its best hits, without pages already found, up to `maxResults`.
+ * Tagged with the provider of the first answer and every attempt; null when no query was answered.
+ */
+async function searchAll(client, queries, { language, maxResults = MAX_RESULTS } = {}) {
+    const answers = (await Promise.all(queries.map(query => client.search(query, { language }).catch(() => null)))).filter(Boolean);
+    if (!answers.length) return null;
+
+    const results = [];
+    const seen = new Set();
+    const longest = Math.max(...answers.map(answer => answer.results.length));
+    for (let rank = 0; rank < longest && results.length < maxResults; rank++) {
+        for (const answer of answers) {
+            const result = answer.results[rank];
+            if (!result || results.length >= maxResults) continue;
+            const key = result.url ? canonicalUrl(result.url) : `title:${result.title}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            results.push(result);
+        }
+    }
+    const first = answers.find(answer => answer.results.length) || answers[0];
+    return {
+        results,
+        summary: summarizeResults(results),
+        provider: first.provider,
+        attempts: [].concat(...answers.map(answer => answer.attempts || []))
+    };
+}
+
+module.exports = { SearchProvider, SearchChain, SearchTimeoutError, summarizeResults, canonicalUrl, searchAll, MAX_RESULTS };
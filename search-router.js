@@ -0,0 +1,282 @@
+/**
+ * Web search routing
+ * classifyMessage(message) decides whether a message in `auto` mode needs a web search, in English and
+ * French, from three signals: temporal intent (relative dates, news, years and dates close to today),
+ * named entities and factual-lookup questions. Writing and programming tasks and small talk count against
+ * a search. Messages scoring in between are "unsure"; SearchRouter can then ask the loaded model a yes/no
+ * question (LUCKAI_ROUTER_MODEL_CHECK=1) instead of leaving them without a search.
+ */
+
+const { detectLanguage } = require('./inference-backend');
+
+// Search at SEARCH_SCORE and above; between UNSURE_SCORE and SEARCH_SCORE the model may decide
+const SEARCH_SCORE = 2;
+const UNSURE_SCORE = 1;
+// A date within this many days of today makes a message time-sensitive
+const NEAR_DAYS = 45;
+
+// Words matched whole, accents included (\b does not handle "é")
+function wordsRe(words) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Time-sensitive wording: strong signals alone justify a search, weak ones (facts that change) need another signal
+const STRONG_TEMPORAL_RE = wordsRe([
+    'today', 'tonight', 'yesterday', 'tomorrow', 'right now', 'currently', 'at the moment', 'latest', 'newest',
+    'most recent', 'recent', 'recently', 'upcoming', 'breaking', 'news', 'headlines', 'trending', 'so far',
+    '(?:this|last|next) (?:morning|night|week|weekend|month|year|season)',
+    "aujourd'hui", 'ce soir', 'hier', 'demain', 'actuellement', 'en ce moment', 'maintenant', 'récemment',
+    'récente?s?', 'dernière?s?', 'derniers', 'à venir', 'en direct', 'actualités?', 'nouvelles', 'infos', 'tendances?',
+    '(?:cette|ce) (?:semaine|mois|année|an|week-end|saison|matin)',
+    "(?:la semaine|le mois|l'année|l'an|le week-end) (?:dernière?|prochaine?)"
+]);
+const WEAK_TEMPORAL_RE = wordsRe([
+    'new', 'still', 'price', 'prices', 'cost', 'weather', 'forecast', 'score', 'scores', 'results', 'standings',
+    'exchange rate', 'stock', 'release date', 'opening hours', 'population', 'ceo', 'president', 'prime minister',
+    'mayor', 'champion', 'record', 'ranking', 'election', 'schedule',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'nouveaux?', 'nouvelle', 'toujours', 'prix', 'coût', 'météo', 'prévisions', 'résultats', 'classement',
+    'taux de change', 'cours', 'bourse', 'date de sortie', 'horaires', 'président', 'présidente', 'premier ministre',
+    'maire', 'champions?', 'élections?', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'
+]);
+const MONTHS = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7, september: 8, october: 9, november: 10, december: 11,
+    janvier: 0, 'février': 1, mars: 2, avril: 3, mai: 4, juin: 5, juillet: 6, 'août': 7, septembre: 8, octobre: 9, novembre: 10, 'décembre': 11
+};
+const MONTH_NAMES = Object.keys(MONTHS).join('|');
+const DAY_MONTH_RE = new RegExp(`(?<![\\p{L}\\p{N}])(?:(\\d{1,2})(?:er)? (${MONTH_NAMES})|(${MONTH_NAMES}) (\\d{1,2})(?:st|nd|rd|th)?)(?![\\p{L}\\p{N}])`, 'giu');
+const YEAR_RE = /(?<![\d.,])(1[89]\d\d|2[01]\d\d)(?![\d.,]\d)/g;
+
+// Questions that look something up (definitions like "what is a closure" are not lookups)
+const FACTUAL_RE = wordsRe([
+    '(?:^|[.!?] )(?:who|whom|whose|when|where|which)', 'how (?:much|many|old|tall|big|far|long|often)',
+    "what(?:'s| is| are| was| were| did| does) the", 'tell me about', 'what do you know about', 'how (?:to|do i|do you|can i)',
+    'is it true', '(?:^|[.!?] )(?:qui|quand|où|combien|lequel|laquelle)', 'quel(?:le)?s? (?:est|sont|était|étaient|a|ont)',
+    "c'est qui", 'parle-moi de', 'dis-moi', 'comment (?:faire|on fait|fait-on|je peux|puis-je)', "est-ce qu'il"
+]);
+// Tasks the model does on its own
+const TASK_RE = wordsRe([
+    '^(?:please |stp |svp )?(?:write|compose|draft|rewrite|rephrase|paraphrase|translate|summari[sz]e|proofread|correct|fix|debug|refactor|implement|generate|imagine|pretend|brainstorm)',
+    'tell me a (?:joke|story)', '(?:a|an) (?:short |funny )?(?:poem|haiku|essay|joke|limerick|sonnet|story)',
+    "^(?:écris|écrire|rédige|rédiger|compose|traduis|traduire|résume|résumer|reformule|corrige|génère|imagine|invente)",
+    'raconte-moi une (?:histoire|blague)', '(?:un|une) (?:petit |petite )?(?:poème|haïku|blague|dissertation)'
+]);
+const PROGRAMMING_WORDS = [
+    'javascript', 'js', 'typescript', 'python', 'java', 'rust', 'golang', 'php', 'ruby', 'kotlin', 'sql', 'css', 'html',
+    'regex', 'regexp', 'bash', 'c\\+\\+', 'c#', 'closure', 'closures', 'recursion', 'algorithm', 'function', 'variable',
+    'array', 'compiler', 'stack trace', 'fonction', 'tableau', 'algorithme', 'récursivité'
+];
+const PROGRAMMING_RE = wordsRe(PROGRAMMING_WORDS);
+const PROGRAMMING_SET = new Set(PROGRAMMING_WORDS.map(word => word.replace(/\\/g, '')));
+const SMALL_TALK_RE = /^(?:hello|hi|hey|thanks|thank you|good (?:morning|evening|night)|how are you|bonjour|bonsoir|salut|coucou|merci(?: beaucoup)?|ça va|comment ça va|comment vas-tu)(?:[\s,]+(?:there|everyone|luck|a tous|à tous|toi))*[\s!.?]*$/iu;
+
+// Capitalized words that are not names, even mid-sentence
+const NOT_NAMES = new Set(['i', "i'm", "i've", "i'd", "i'll", 'ok', 'okay', 'mr', 'mrs', 'ms', 'dr', 'ai', 'ia', 'ceo', ...Object.keys(MONTHS),
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche']);
+// Sentence openers never taken for the start of a name
+const OPENERS = new Set(['what', "what's", 'who', "who's", 'when', 'where', 'why', 'how', 'which', 'is', 'are', 'was', 'were', 'do', 'does',
+    'did', 'can', 'could', 'should', 'would', 'will', 'tell', 'give', 'show', 'find', 'the', 'a', 'an', 'and', 'but', 'so', 'please', 'in',
+    'on', 'at', 'for', 'my', 'your', 'quel', 'quelle', 'quels', 'quelles', 'qui', 'quand', 'où', 'comment', 'pourquoi', 'combien', 'le',
+    'la', 'les', 'un', 'une', 'des', 'est', "c'est", 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'on', 'et', 'mais', 'donne', 'dis',
+    'peux', 'pouvez', 'est-ce', 'parle', 'parle-moi', 'en', 'au', 'aux', 'du', 'de', 'mon', 'ma', 'mes', 'latest', 'newest', 'recent',
+    'today', 'tonight', 'yesterday', 'tomorrow', 'breaking', 'current', 'dernier', 'dernière', 'hier', 'demain', "aujourd'hui"]);
+const WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}.'\u2019+#-]*/gu;
+
+// Named entities: runs of capitalized words (a name opening a sentence needs a second word), acronyms and product names like "iPhone 16"
+function findEntities(message) {
+    const entities = [];
+    let run = [];
+    let runStartsSentence = false;
+    let lastEnd = 0;
+    const flush = () => {
+        if (run.length > 1 || (run.length === 1 && !runStartsSentence)) entities.push(run.join(' '));
+        run = [];
+    };
+    for (const match of message.matchAll(WORD_RE)) {
+        const word = match[0].replace(/['\u2019]s$/i, '').replace(/[.'\u2019-]+$/, '');
+        const lower = word.toLowerCase();
+        const before = message.slice(0, match.index).trimEnd();
+        const sentenceStart = !before || /[.!?:\u2026\u00ab"]$/.test(before);
+        const mixed = /\p{Ll}\p{Lu}/u.test(word) || (/\p{L}/u.test(word) && /\d/.test(word));
+        const acronym = /^\p{Lu}{2,6}$/u.test(word);
+        const capitalized = /^\p{Lu}/u.test(word);
+        const isName = !PROGRAMMING_SET.has(lower) && !NOT_NAMES.has(lower)
+            && (mixed || acronym || (capitalized && !(sentenceStart && OPENERS.has(lower))));
+        // A number right after a name belongs to it ("Windows 11", "Artemis II" is already covered by capitals)
+        const continuesName = run.length && /^\d+$/.test(word);
+        if ((isName || continuesName) && run.length && /^\s+$/.test(message.slice(lastEnd, match.index))) {
+            run.push(word);
+        } else {
+            flush();
+            if (isName) {
+                run = [word];
+                runStartsSentence = sentenceStart && !mixed && !acronym;
+            }
+        }
+        lastEnd = match.index + match[0].length;
+    }
+    flush();
+    return Array.from(new Set(entities));
+}
+
+// Strongest time signal: a recent or coming year, a day close to today, or time-sensitive wording
+function temporalSignal(message, now) {
+    const year = now.getFullYear();
+    for (const [, value] of message.matchAll(YEAR_RE)) {
+        const mentioned = Number(value);
+        if (mentioned >= year - 1 && mentioned <= year + 5) return { weight: 2, match: value };
+    }
+    for (const m of message.matchAll(DAY_MONTH_RE)) {
+        const day = Number(m[1] || m[4]);
+        const month = MONTHS[(m[2] || m[3]).toLowerCase()];
+        const date = new Date(year, month, day);
+        if (Math.abs(date - now) <= NEAR_DAYS * 24 * 3600 * 1000) return { weight: 2, match: m[0] };
+    }
+    const strong = message.match(STRONG_TEMPORAL_RE);
+    if (strong) return { weight: 2, match: strong[0] };
+    const weak = message.match(WEAK_TEMPORAL_RE);
+    if (weak) return { weight: 1, match: weak[0] };
+    return null;
+}
+
+const LABELS = {
+    en: {
+        temporal: (s) => `time-sensitive ("${s.match}")`,
+        entity: (s) => `names ${s.match}`,
+        factual: () => 'factual question',
+        task: () => 'writing task',
+        programming: () => 'programming question',
+        smallTalk: () => 'small talk',
+        none: 'No sign that it needs current facts',
+        notEnough: (text) => `Not enough to search: ${text}`,
+        model: (search, text) => `The model judged a search ${search ? 'useful' : 'unnecessary'} (${text})`,
+        always: 'Web search is set to always',
+        off: 'Web search is off'
+    },
+    fr: {
+        temporal: (s) => `dépend de la date (« ${s.match} »)`,
+        entity: (s) => `cite ${s.match}`,
+        factual: () => 'question factuelle',
+        task: () => 'tâche de rédaction',
+        programming: () => 'question de programmation',
+        smallTalk: () => 'simple échange',
+        none: "Rien n'indique un besoin d'informations à jour",
+        notEnough: (text) => `Pas assez pour chercher : ${text}`,
+        model: (search, text) => `Le modèle a jugé la recherche ${search ? 'utile' : 'inutile'} (${text})`,
+        always: 'Recherche web toujours activée',
+        off: 'Recherche web désactivée'
+    }
+};
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Rules-only routing decision for `message`:
+ *   { search, unsure, score, reason, language, method: 'rules', signals: [{ kind, weight, match }] }
+ * `reason` is in the message's language. `now` is the current date that relative dates are compared to.
+ */
+function classifyMessage(message, { now = new Date(), history = [] } = {}) {
+    const text = String(message || '').replace(/\u2019/g, "'").trim();
+    const language = detectLanguage(text, history);
+    const signals = [];
+
+    if (SMALL_TALK_RE.test(text)) {
+        signals.push({ kind: 'smallTalk', weight: -3, match: text });
+    } else {
+        const temporal = temporalSignal(text, now);
+        if (temporal) signals.push(Object.assign({ kind: 'temporal' }, temporal));
+        const entities = findEntities(text);
+        if (entities.length) signals.push({ kind: 'entity', weight: Math.min(1 + (entities.length - 1) * 0.5, 1.5), match: entities.slice(0, 2).join(', ') });
+        const factual = text.match(FACTUAL_RE);
+        if (factual) signals.push({ kind: 'factual', weight: 1, match: factual[0].replace(/^[.!?] /, '') });
+        // What the model can do alone, unless the message is about something happening now
+        if (!temporal || temporal.weight < 2) {
+            const task = text.match(TASK_RE);
+            if (task) signals.push({ kind: 'task', weight: -2, match: task[0] });
+            const code = /```/.test(text) ? '```' : (text.match(PROGRAMMING_RE) || [])[0];
+            if (code) signals.push({ kind: 'programming', weight: -1.5, match: code });
+        }
+    }
+
+    const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+    const search = score >= SEARCH_SCORE;
+    const labels = LABELS[language] || LABELS.en;
+    const describe = (list) => list.map(signal => labels[signal.kind](signal)).join(', ');
+    const positive = signals.filter(signal => signal.weight > 0);
+    const negative = signals.filter(signal => signal.weight < 0);
+    let reason;
+    if (search) reason = capitalize(describe(positive));
+    else if (negative.length) reason = capitalize(describe(negative));
+    else reason = positive.length ? labels.notEnough(describe(positive)) : labels.none;
+
+    return { search, unsure: !search && score >= UNSURE_SCORE, score, reason, language, method: 'rules', signals };
+}
+
+const CHECK_PROMPT = 'You decide whether a chat message needs a web search. Answer "yes" when a good answer depends on '
+    + 'current events, recent or changing facts, or specific details about a named person, place, product or organisation. '
+    + 'Answer "no" for general knowledge, advice, writing, coding or conversation. Answer with one word: yes or no.';
+
+/**
+ * Routing for `auto` mode: classifyMessage(), plus the optional model check for unsure messages. `modelCheck`
+ * defaults to LUCKAI_ROUTER_MODEL_CHECK=1; the model gets `timeoutMs` (LUCKAI_ROUTER_TIMEOUT_MS) to answer.
+ * `now` returns the current date (replaceable in tests).
+ */
+class SearchRouter {
+    constructor(config = {}) {
+        this.modelCheck = config.modelCheck !== undefined ? !!config.modelCheck : process.env.LUCKAI_ROUTER_MODEL_CHECK === '1';
+        this.timeoutMs = Number(config.timeoutMs || process.env.LUCKAI_ROUTER_TIMEOUT_MS || 5000);
+        this.now = config.now || (() => new Date());
+    }
+
+    // The decision for `message`; `runner` (the loaded model) settles unsure ones when the model check is on
+    async decide(message, { runner, history = [], owner, signal } = {}) {
+        const now = this.now();
+        const decision = classifyMessage(message, { now, history });
+        if (!decision.unsure || !this.modelCheck || !runner) return decision;
+
+        const answer = await this._ask(runner, message, now, { owner, signal });
+        if (answer === null) return decision;
+        const labels = LABELS[decision.language] || LABELS.en;
+        const grounds = decision.signals.map(s => labels[s.kind](s)).join(', ');
+        return Object.assign(decision, { search: answer, unsure: false, method: 'model', reason: labels.model(answer, grounds) });
+    }
+
+    // true / false from the model's one-word answer, null when it gave none in time
+    async _ask(runner, message, now, { owner, signal }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+        try {
+            const result = await runner.processQuery(`Today is ${now.toISOString().slice(0, 10)}.\nMessage: ${message}\nDoes it need a web search?`, [], null, {
+                systemPrompt: CHECK_PROMPT,
+                maxTokens: 3,
+                temperature: 0,
+                priority: 'interactive',
+                owner,
+                signal: controller.signal
+            });
+            if (result.stopped) return null;
+            const word = String(result.response || '').trim().toLowerCase();
+            if (/^(yes|oui)\b/.test(word)) return true;
+            if (/^(no|non)\b/.test(word)) return false;
+            return null;
+        } catch (e) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+// Decision reported for the fixed modes, in the message's language
+function modeDecision(mode, message) {
+    const language = detectLanguage(String(message || ''));
+    const labels = LABELS[language] || LABELS.en;
+    return { search: mode === 'always', unsure: false, reason: mode === 'always' ? labels.always : labels.off, language, method: 'mode', signals: [] };
+}
+
+module.exports = { SearchRouter, classifyMessage, findEntities, modeDecision };
@@ -0,0 +1,53 @@
+/**
+ * SearXNG search provider
+ * Queries a self-hosted SearXNG instance through its JSON API (`/search?format=json`; the instance must
+ * list `json` under `search.formats` in its settings.yml). Also works with internal search services that
+ * speak the same API.
+ */
+
+const { SearchProvider, summarizeResults } = require('./search-provider');
+
+class SearxngSearch extends SearchProvider {
+    constructor(config = {}) {
+        super(Object.assign({ timeoutMs: process.env.LUCKAI_SEARXNG_TIMEOUT_MS }, config));
+        this.provider = 'searxng';
+        this.url = String(config.url || process.env.LUCKAI_SEARXNG_URL || '').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || process.env.LUCKAI_SEARXNG_API_KEY || '';
+        this.language = config.language || process.env.LUCKAI_SEARXNG_LANGUAGE || '';
+        this._fetch = config.fetch || globalThis.fetch;
+    }
+
+    async search(query, { signal, language } = {}) {
+        if (!query || !query.trim()) return null;
+        if (!this.url) throw new Error('LUCKAI_SEARXNG_URL is not set');
+
+        // The query's language when known, otherwise the configured one
+        const params = new URLSearchParams({ q: query, format: 'json' });
+        if (language || this.language) params.set('language', language || this.language);
+        const headers = { 'Accept': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        const res = await this._fetch(`${this.url}/search?${params}`, { headers, signal });
+        if (!res || !res.ok) throw new Error(`SearXNG answered with status ${res && res.status}`);
+        let data;
+        try {
+            data = await res.json();
+        } catch (e) {
+            throw new Error('SearXNG did not answer with JSON (is "json" enabled in search.formats?)');
+        }
+
+        const results = (Array.isArray(data && data.results) ? data.results : [])
+            .filter(r => r && r.url && r.title)
+            .slice(0, this.maxResults)
+            .map(r => {
+                const description = String(r.content || '').trim();
+                return { title: String(r.title).trim(), url: r.url, description, snippet: description };
+            });
+        return { results, summary: summarizeResults(results) };
+    }
+
+    info() {
+        return Object.assign(super.info(), { url: this.url || null });
+    }
+}
+
+module.exports = { SearxngSearch };
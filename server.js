@@ -3,795 +3,1183 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const jwt = require('jsonwebtoken');
-const fetch = require('node-fetch');
-const { LocalGGUFRunner } = require('./gguf-runner');
+const { LocalGGUFRunner, QueueFullError } = require('./gguf-runner');
+const { ConversationStore } = require('./conversation-store');
+const { UserStore } = require('./user-store');
+const { JobStore } = require('./job-store');
+const { ModelRegistry, ModelManager } = require('./model-registry');
+const { splitFile } = require('./model-chunks');
+const { WorkerRunner } = require('./worker-runner');
+const { HttpBackend } = require('./http-backend');
+const { EchoBackend } = require('./echo-backend');
+const { SearchChain, searchAll } = require('./search-provider');
+const { DuckDuckGoClient } = require('./duckduckgo-search');
+const { SearxngSearch } = require('./searxng-search');
+const { LocalSearchIndex } = require('./local-search-index');
+const { PageReader, formatPassages, estimateTokens } = require('./page-reader');
+const { QueryPlanner } = require('./query-planner');
+const { DocumentStore, DocumentError } = require('./document-store');
+const { parseEmbeddingInput, normalizeVector, vectorToBase64 } = require('./embeddings');
+const { SearchRouter, classifyMessage, modeDecision } = require('./search-router');
+const { detectLanguage } = require('./inference-backend');
+const { normalizeCitations } = require('./citations');
+const { parseGenerationOptions, withGenerationOverrides } = require('./generation-options');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 
-// In-memory store for background full-generation results (fullId -> { ready, answer, startedAt, finishedAt })
-const fullResponses = new Map();
-
-// Logging utility
+// Logging utility; LUCKAI_LOG_LEVEL (INFO, WARN, ERROR or SILENT) hides the less important messages
+const LOG_LEVELS = ['INFO', 'WARN', 'ERROR', 'SILENT'];
 const log = (level, message, data = '') => {
+    const threshold = LOG_LEVELS.indexOf(String(process.env.LUCKAI_LOG_LEVEL || 'INFO').toUpperCase());
+    if (LOG_LEVELS.indexOf(level) < threshold) return;
     const timestamp = new Date().toISOString();
     const logMsg = data ? `${timestamp} [${level}] ${message} ${data}` : `${timestamp} [${level}] ${message}`;
     console.log(logMsg);
 };
 
-log('INFO', 'LuckAI Server Initializing...');
+/* ============================================
+   WEB SEARCH
+   ============================================ */
+
+// Search providers in fallback order (LUCKAI_SEARCH_PROVIDERS, default "duckduckgo"): "duckduckgo" scrapes
+// html.duckduckgo.com, "searxng" queries a SearXNG JSON endpoint (LUCKAI_SEARXNG_URL), "local" an offline index
+const SEARCH_PROVIDERS = ['duckduckgo', 'searxng', 'local'];
+
+function parseSearchProviderOrder(value) {
+    const names = String(value || 'duckduckgo').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+    names.filter(n => !SEARCH_PROVIDERS.includes(n)).forEach(n => log('WARN', `Unknown search provider "${n}" in LUCKAI_SEARCH_PROVIDERS (expected ${SEARCH_PROVIDERS.join(', ')})`));
+    const order = Array.from(new Set(names.filter(n => SEARCH_PROVIDERS.includes(n))));
+    return order.length ? order : ['duckduckgo'];
+}
+
+// Whether `auto` mode searches for `message`, by the routing rules alone (see search-router.js)
+function shouldUseWebSearch(message, now = new Date()) {
+    return classifyMessage(message, { now }).search;
+}
 
 /* ============================================
-   NEURAL NETWORK / TRANSFORMER MODEL (LuckAI)
+   REQUEST HELPERS
    ============================================ */
 
-/**
- * Mini Transformer-based Language Model
- * 
- * Architecture inspired by DeepSeek-R1 and modern LLMs:
- * - Token embedding layer (vocabulary -> vector space)
- * - Multiple transformer blocks with multi-head self-attention
- * - Feed-forward networks (FFN) in each block
- * - Layer normalization for stable training
- * - Autoregressive generation with softmax sampling
- */
-class LuckModel {
-    constructor() {
-        // Model configuration
-        this.vocab_size = 10000;  // Token vocabulary
-        this.embedding_dim = 256; // Embedding dimension
-        this.num_layers = 4;      // Number of transformer blocks
-        this.num_heads = 8;       // Multi-head attention heads
-        this.hidden_dim = 512;    // FFN hidden dimension
-        this.max_sequence = 2048; // Max sequence length
-        this.temperature = 0.7;   // Sampling temperature
-
-        // Knowledge base for context-aware responses
-        this.knowledge_base = this.initializeKnowledgeBase();
-        
-        // Initialize conversation memory
-        this.conversationMemory = new Map();
-
-        console.log('[LuckAI Model] Initialized with transformer architecture');
-        console.log(`  - Embedding dimension: ${this.embedding_dim}`);
-        console.log(`  - Number of layers: ${this.num_layers}`);
-        console.log(`  - Attention heads: ${this.num_heads}`);
-    }
+// Inference backends in failover order (LUCKAI_BACKENDS, default "local"): "local" is the GGUF model the request
+// selects, "http" an Ollama or llama.cpp server (LUCKAI_HTTP_*), "echo" the deterministic LuckModel backend
+const BACKEND_KINDS = ['local', 'http', 'echo'];
 
-    /**
-     * Initialize knowledge base with general knowledge
-     * In a real implementation, this would be loaded from pretrained weights
-     */
-    initializeKnowledgeBase() {
-        return {
-            facts: {
-                'france': 'France is a country in Western Europe with the capital Paris.',
-                'paris': 'Paris is the capital of France, known for the Eiffel Tower.',
-                'ai': 'Artificial Intelligence is the simulation of human intelligence in machines.',
-                'deepseek': 'DeepSeek is an open-source AI model known for reasoning capabilities.',
-                'transformer': 'Transformer is a neural network architecture based on self-attention mechanisms.',
-            },
-            capabilities: [
-                'I can answer questions in French and English',
-                'I can explain complex concepts',
-                'I can summarize information',
-                'I can analyze and compare ideas',
-                'I can provide structured answers',
-                'I can access web information when enabled'
-            ]
-        };
-    }
+function parseBackendOrder(value) {
+    const kinds = String(value || 'local').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+    kinds.filter(k => !BACKEND_KINDS.includes(k)).forEach(k => log('WARN', `Unknown backend "${k}" in LUCKAI_BACKENDS (expected ${BACKEND_KINDS.join(', ')})`));
+    const order = Array.from(new Set(kinds.filter(k => BACKEND_KINDS.includes(k))));
+    return order.length ? order : ['local'];
+}
 
-    /**
-     * Tokenize input text
-     * In a real model, this would use a proper tokenizer
-     */
-    tokenize(text) {
-        // Simple tokenization: split by whitespace and punctuation
-        const tokens = text.toLowerCase()
-            .split(/[\s\.,!?;:()[\]{}]/g)
-            .filter(t => t.length > 0);
-        
-        // For demonstration, just return token indices
-        return tokens.map((token, idx) => ({
-            word: token,
-            id: this.hashToken(token) % this.vocab_size
-        }));
-    }
+const MODEL_UNAVAILABLE = 'Local model unavailable. Place a GGUF model in ./.ollama or ./.ollama/blobs, or set LUCKAI_GGUF_PATH.';
 
-    /**
-     * Simple hash function for tokens
-     */
-    hashToken(token) {
-        let hash = 0;
-        for (let i = 0; i < token.length; i++) {
-            const char = token.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
+// Validate the chat message; returns an error string or null
+function validateChatMessage(message) {
+    if (!message || typeof message !== 'string') return 'Invalid message';
+    if (message.length > 5000) return 'Message too long (max 5000 characters)';
+    return null;
+}
+
+// Stable id used to key per-user server-side data
+function userKey(user) {
+    return user ? String(user.userId || user.username) : null;
+}
+
+// Owner used by the inference scheduler to take turns between users (guests are grouped per IP)
+function queueOwner(req) {
+    return userKey(req.user) || `guest:${req.ip}`;
+}
+
+// Reject early when the model's inference queue is full, before doing web searches for nothing
+function queueFullError(runner) {
+    return runner.scheduler.isFull() ? new QueueFullError(runner.scheduler.retryAfter()) : null;
+}
+
+function sendQueueFull(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ message: 'Server busy: too many queued requests, please retry shortly', retryAfter: error.retryAfter });
+}
+
+// Aborted when the client disconnects before its response is sent
+function closeSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+    return controller.signal;
+}
+
+// The model's worker crashed or is restarting: the request can be sent again once it is back
+function sendRetriable(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({ message: error.message, retryAfter: error.retryAfter, retriable: true });
+}
+
+function assemblingMessage(id, assembly) {
+    const percent = assembly ? ` (${assembly.percent}%)` : '';
+    return `Model ${id} is being assembled from its chunks${percent}, try again shortly`;
+}
+
+// Fallback bounds for background full answers, which run much longer than short ones
+const FULL_ANSWER_LIMITS = { maxLines: 30, maxChars: 8000 };
+
+// Sanitize answer: remove raw source URL lines so UI shows only the pill/panel. Search results carry resolved
+// URLs, but older conversations in the history can still hold DuckDuckGo redirect links, so those go too.
+// [n] citation markers are checked against `sources`. `limits` bounds the permissive fallback ({ maxLines, maxChars }).
+function sanitizeAnswer(rawAnswer, sources, chatId, limits = {}) {
+    const { maxLines = 10, maxChars = 2000 } = limits;
+    rawAnswer = String(rawAnswer || '');
+    const lines = rawAnswer.split(/\r?\n/);
+    const filtered = lines.filter(line => {
+        const t = String(line || '').trim();
+        if (!t) return true;
+        // Remove if contains exact source URL
+        if (sources && sources.length && sources.some(s => s.url && t.includes(s.url))) return false;
+        // Remove duckduckgo redirect links
+        if (/duckduckgo\.com\/l\//i.test(t)) return false;
+        if (/\buddg=/i.test(t)) return false;
+        // Remove lines that look like raw URLs
+        if (/^https?:\/\//i.test(t) || /^\/\//.test(t)) return false;
+        // Remove encoded URL-like lines (many percent-encoded sequences or long query strings)
+        if (/(%3A|%2F|%3D|%26|%3F)/i.test(t) && t.length > 24) return false;
+        if (/[\/%=\?&]/.test(t) && t.length > 40) return false;
+        return true;
+    });
+    let safeAnswer = filtered.join('\n').trim();
+
+    // If sanitization removed everything, fall back to a permissive cleaned version instead of returning an empty message
+    if (!safeAnswer && rawAnswer.trim()) {
+        try {
+            let fallback = rawAnswer;
+            // Remove explicit redirect fragments
+            fallback = fallback.replace(/https?:\/\/duckduckgo\.com\/l\/[A-Za-z0-9_\-]+/ig, '');
+            fallback = fallback.replace(/uddg=[A-Za-z0-9%_\-]+/ig, '');
+            // Replace long percent-encoded chunks with a short token
+            fallback = fallback.replace(/(%3A|%2F|%3D|%26|%3F)[A-Za-z0-9%]{10,}/ig, ' [link]');
+            // Trim very long lines but keep text
+            fallback = fallback.split(/\r?\n/).map(l => l.trim()).filter(Boolean).slice(0, maxLines).join('\n');
+            if (fallback.length > maxChars) fallback = fallback.slice(0, maxChars) + '...';
+            safeAnswer = fallback.trim();
+            log('WARN', `[Chat ${chatId}] Sanitization removed original content; serving permissive fallback (${safeAnswer.length} chars)`);
+        } catch (e) {
+            safeAnswer = '';
         }
-        return Math.abs(hash);
     }
+    if (sources && sources.length) safeAnswer = normalizeCitations(safeAnswer, sources.length);
+    return safeAnswer;
+}
 
-    /**
-     * Multi-head self-attention computation
-     * This simulates the attention mechanism in transformers
-     */
-    selfAttention(queries, keys, values, numHeads) {
-        const seqLen = queries.length;
-        const headDim = Math.floor(queries[0].length / numHeads);
-        
-        let output = [];
-
-        // For each position, compute attention weights
-        for (let i = 0; i < seqLen; i++) {
-            let attended = new Array(queries[0].length).fill(0);
-            
-            // Compute attention with all other positions
-            let weights = [];
-            let weightSum = 0;
-
-            for (let j = 0; j < seqLen; j++) {
-                // Compute similarity (simplified dot product)
-                let sim = 0;
-                for (let k = 0; k < Math.min(queries[i].length, keys[j].length); k++) {
-                    sim += queries[i][k] * keys[j][k];
-                }
-                
-                // Apply softmax (simplified with temperature)
-                let weight = Math.exp(sim / this.temperature);
-                weights.push(weight);
-                weightSum += weight;
-            }
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-            // Normalize weights
-            weights = weights.map(w => w / weightSum);
+const JOB_NOT_FOUND = 'Job not found: it never existed, expired, or was lost when the server restarted';
 
-            // Apply weighted attention to values
-            for (let j = 0; j < seqLen; j++) {
-                for (let k = 0; k < values[j].length; k++) {
-                    attended[k] += weights[j] * values[j][k];
-                }
-            }
+// OpenAI-style error body
+function openaiError(res, status, message, param = null, type = 'invalid_request_error') {
+    return res.status(status).json({ error: { message, type, param, code: null } });
+}
 
-            output.push(attended);
-        }
+function openaiQueueFull(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: { message: error.message, type: 'rate_limit_error', param: null, code: 'queue_full' } });
+}
 
-        return output;
-    }
+function openaiRetriable(res, error) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({ error: { message: error.message, type: 'server_error', param: null, code: 'model_restarting' } });
+}
 
-    /**
-     * Feed-forward network in transformer block
-     * Two linear layers with ReLU activation
-     */
-    feedForward(x) {
-        // Hidden layer with ReLU
-        let hidden = x.map(val => Math.max(0, val * 0.5 + 0.3)); // Simple ReLU
-        
-        // Output layer
-        let output = hidden.map(val => val * 0.8 + 0.1);
-        
-        return output;
+// Flatten OpenAI message content (string or [{ type: 'text', text }]) to plain text
+function openaiContentText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(part => (part && part.type === 'text' && typeof part.text === 'string') ? part.text : '').join('');
     }
+    return '';
+}
 
-    /**
-     * Generate response text from input
-     * This is the core inference function
-     */
-    generateResponse(prompt, webContext = null, language = 'auto') {
-        // Detect language
-        if (language === 'auto') {
-            language = this.detectLanguage(prompt);
+// Map LuckAI runner usage onto the OpenAI usage object
+function openaiUsage(result) {
+    const usage = result.usage || {};
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+function openaiFinishReason(result, options, runner) {
+    const completionTokens = (result.usage && result.usage.completionTokens) || 0;
+    const maxTokens = options.maxTokens || runner.maxTokens;
+    return maxTokens && completionTokens >= maxTokens ? 'length' : 'stop';
+}
+
+/* ============================================
+   EXPRESS APP FACTORY
+   ============================================ */
+
+/**
+ * Build the LuckAI Express app without listening (see start()). Every option defaults to the
+ * environment / on-disk setup used by `npm start`:
+ *   dataDir          conversations, users, jobs and feedback (default: ./data)
+ *   jwtSecret        JWT signing secret (JWT_SECRET)
+ *   allowRegistration, adminPassword   (LUCKAI_ALLOW_REGISTRATION, LUCKAI_ADMIN_PASSWORD)
+ *   searchClient     object with search(query) -> { results, summary, provider } (default: DuckDuckGoClient)
+ *   pageReader       reads result pages for deep search (default: PageReader)
+ *   deepSearch       read result pages when a request does not say (LUCKAI_DEEP_SEARCH=1)
+ *   searchRouter     decides whether `auto` mode searches (default: SearchRouter; model check with LUCKAI_ROUTER_MODEL_CHECK=1)
+ *   queryPlanner     writes the search queries with the model (default: QueryPlanner; false or LUCKAI_QUERY_PLANNER=0 to search the message)
+ *   documentStore    uploaded documents searched in Docs mode (default: DocumentStore under dataDir/documents)
+ *   embeddingModel   model id that computes embeddings (LUCKAI_EMBEDDING_MODEL; default: the requested or default chat model)
+ *   embeddingMaxBatch   most texts per embeddings request (LUCKAI_EMBEDDING_MAX_BATCH, 64)
+ *   modelRegistry    ModelRegistry to discover local models with
+ *   backends         failover order as in LUCKAI_BACKENDS, or backend instances (e.g. a fake model in tests)
+ *   preload          false to skip splitting large blobs and loading the default model at startup
+ * The stores and services are exposed as `app.locals.services`; `app.locals.ready` settles once startup is done.
+ */
+function createApp(options = {}) {
+    log('INFO', 'Setting up Express server...');
+
+    const app = express();
+    const JWT_SECRET = options.jwtSecret || process.env.JWT_SECRET || 'luckai_secret_key_2025';
+    const dataDir = options.dataDir || path.join(__dirname, 'data');
+
+    log('INFO', 'JWT Secret configured:', JWT_SECRET ? 'Yes' : 'No');
+
+    // Middleware
+    log('INFO', 'Initializing middleware...');
+    app.use(cors());
+    app.use(bodyParser.json({ limit: '10mb' }));
+    app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
+    app.use(express.static(path.join(__dirname)));
+
+    // Initialize services
+    log('INFO', 'Initializing web search providers...');
+    const searchClient = options.searchClient || new SearchChain(
+        (options.searchProviders || parseSearchProviderOrder(process.env.LUCKAI_SEARCH_PROVIDERS)).map(entry => {
+            if (typeof entry !== 'string') return entry;
+            if (entry === 'searxng') return new SearxngSearch();
+            if (entry === 'local') return new LocalSearchIndex({ file: process.env.LUCKAI_SEARCH_INDEX || path.join(dataDir, 'search-index.json') });
+            return new DuckDuckGoClient();
+        }),
+        { onError: (provider, e) => log('WARN', `Search provider ${provider.provider} failed:`, e.message) }
+    );
+    if (searchClient.providers) log('INFO', 'Search providers:', searchClient.providers.map(p => p.provider).join(' > '));
+    // Deep search reads the top result pages and quotes their most relevant passages
+    const pageReader = options.pageReader || new PageReader();
+    const DEEP_SEARCH = options.deepSearch !== undefined ? !!options.deepSearch : process.env.LUCKAI_DEEP_SEARCH === '1';
+    // Routing decides when `auto` mode searches; unsure messages may be put to the model
+    const searchRouter = options.searchRouter || new SearchRouter();
+    // Query planning turns follow-ups and the conversation so far into standalone queries in the user's language
+    const queryPlanner = options.queryPlanner !== undefined
+        ? options.queryPlanner || null
+        : (process.env.LUCKAI_QUERY_PLANNER !== '0' ? new QueryPlanner() : null);
+
+    // Debug route to test search provider availability
+    app.get('/api/search/test', async (req, res) => {
+        const q = req.query.q || req.query.query;
+        if (!q || typeof q !== 'string') return res.status(400).json({ ok: false, message: 'Missing query parameter q' });
+        try {
+            const r = await searchClient.search(q);
+            if (!r) return res.status(500).json({ ok: false, message: 'Search failed' });
+            const body = { ok: true, provider: r.provider || 'unknown', attempts: r.attempts || [], results: r.results || [], summary: r.summary || '' };
+            // ?deep=1 also reads the result pages, to check extraction and robots.txt handling
+            if (req.query.deep === '1' && body.results.length) {
+                const reading = await pageReader.read(q, body.results);
+                Object.assign(body, { pages: reading.pages, passages: reading.passages });
+            }
+            res.json(body);
+        } catch (e) {
+            res.status(500).json({ ok: false, message: e.message });
+        }
+    });
+    // Local GGUF models (no external Ollama needed): every model found on disk, loaded on demand
+    log('INFO', 'Initializing local model registry...');
+    const modelRegistry = options.modelRegistry || new ModelRegistry({
+        modelPath: process.env.LUCKAI_GGUF_PATH,
+        modelDir: process.env.LUCKAI_GGUF_DIR
+    });
+    // Models run in supervised worker processes unless LUCKAI_WORKER=0 (in-process, e.g. for debugging)
+    const useWorkers = process.env.LUCKAI_WORKER !== '0';
+    // One runner per model; idle models are unloaded when LUCKAI_MODEL_MEMORY_MB would be exceeded
+    const modelManager = new ModelManager({
+        registry: modelRegistry,
+        createRunner: (entry) => {
+            // Models pulled with Ollama bring their own chat template, system prompt and default parameters
+            const ollama = entry.ollama ? entry.ollama.runner : {};
+            const Runner = useWorkers ? WorkerRunner : LocalGGUFRunner;
+            return new Runner({
+                modelPath: entry.path,
+                name: entry.ollama ? entry.ollama.name : '',
+                chunkSource: entry.chunks,
+                discover: false,
+                chatWrapper: ollama.chatWrapper,
+                systemPrompt: ollama.systemPrompt,
+                generationDefaults: ollama.generationDefaults,
+                // Validated by the runner and clamped to the model's trained context
+                contextSize: process.env.LUCKAI_CTX || ollama.contextSize || 4096,
+                temperature: 0.7,
+                maxTokens: Number(process.env.LUCKAI_MAX_TOKENS || 4096)
+            });
         }
+    });
+    log('INFO', 'GGUF Path:', process.env.LUCKAI_GGUF_PATH || 'Auto-detect');
+    log('INFO', 'Context Size:', process.env.LUCKAI_CTX || 4096);
+
+    // Inference backends in failover order: { kind, backend }, where "local" stands for the model each request selects
+    const backendChain = (options.backends || parseBackendOrder(process.env.LUCKAI_BACKENDS)).map(entry => {
+        if (typeof entry !== 'string') return { kind: entry.backend, backend: entry };
+        if (entry === 'http') return { kind: entry, backend: new HttpBackend({ temperature: 0.7, maxTokens: Number(process.env.LUCKAI_MAX_TOKENS || 4096) }) };
+        if (entry === 'echo') return { kind: entry, backend: new EchoBackend() };
+        return { kind: 'local', backend: null };
+    });
+    log('INFO', 'Inference backends:', backendChain.map(entry => entry.kind).join(' > '));
 
-        // Build context for response
-        let context = this.buildContext(prompt, webContext, language);
+    // Utility: prepare model chunks by splitting very large sha256 blobs into parts so they can be stored in Git
+    // (same code as `luckai-models split`)
+    async function prepareModelChunks() {
+        try {
+            const candidates = [
+                path.join(__dirname, '.ollama'),
+                path.join(__dirname, '.ollama', 'blobs'),
+                'D:\\usb\\LuckAI\\.ollama',
+                path.join(process.cwd(), '.ollama')
+            ];
+
+            const seen = new Set();
+            const partMB = Number(process.env.LUCKAI_CHUNK_THRESHOLD_MB || 25);
+            const threshold = partMB * 1024 * 1024;
+
+            for (const baseDir of candidates) {
+                try {
+                    if (!baseDir || !fs.existsSync(baseDir)) continue;
+                    const entries = fs.readdirSync(baseDir, { withFileTypes: true });
+                    for (const e of entries) {
+                        if (!e.isFile()) continue;
+                        const name = e.name;
+                        // Only consider top-level sha256- blobs (not already chunk parts like .part001)
+                        const m = name.match(/^sha256-[a-f0-9]{64}$/i);
+                        if (!m) continue;
+                        const full = path.join(baseDir, name);
+                        if (seen.has(full)) continue;
+                        seen.add(full);
+                        const stat = fs.statSync(full);
+                        if (stat.size <= threshold) continue; // not too big
+
+                        // Check whether parts already exist
+                        const partsExist = fs.readdirSync(baseDir).some(n => n.toLowerCase().startsWith(name.toLowerCase() + '.part'));
+                        if (partsExist) {
+                            log('INFO', `Chunk parts already present for ${name} in ${baseDir}; skipping split.`);
+                            continue;
+                        }
 
-        // Generate response tokens
-        let response = '';
-        let currentContext = context;
-        let maxTokens = 200; // Max response length
+                        log('INFO', `Large blob detected (${(stat.size/1024/1024).toFixed(2)}MB): ${full}. Splitting into ${partMB}MB parts...`);
+                        try {
+                            const { parts } = await splitFile(full, partMB);
+                            log('INFO', `Split ${name} into ${parts.length} parts`);
+                        } catch (e) {
+                            log('ERROR', `Failed to split ${full}:`, e && e.message ? e.message : e);
+                        }
+                    }
+                } catch (e) { /* ignore */ }
+            }
+        } catch (e) {
+            log('ERROR', 'prepareModelChunks failed:', e && e.message ? e.message : e);
+        }
+    }
+
+    // Scan for models and preload the default one at startup (options.preload === false only scans)
+    const preload = options.preload !== false;
+    const startup = (async () => {
+        if (preload) {
+            log('INFO', 'Preparing and checking for large model blobs (auto-split if needed)');
+            try {
+                await prepareModelChunks();
+            } catch (e) { log('WARN', 'prepareModelChunks error:', e && e.message ? e.message : e); }
+        }
 
-        for (let tokenIdx = 0; tokenIdx < maxTokens; tokenIdx++) {
-            // Predict next token based on context and transformer layers
-            let nextToken = this.predictNextToken(currentContext, language);
-            
-            if (!nextToken || nextToken === '[END]') {
-                break;
+        log('INFO', 'Checking Local GGUF availability...');
+        try {
+            const models = modelRegistry.scan();
+            log('INFO', `Found ${models.length} local model(s)`, models.map(m => m.id).join(', '));
+            await modelRegistry.loadMetadata();
+            const defaultId = modelRegistry.defaultId();
+            if (!preload) {
+                log('INFO', 'Model preloading disabled');
+            } else if (!defaultId) {
+                log('WARN', 'Local GGUF not available - model may not be found');
+            } else if (await modelManager.load(defaultId)) {
+                log('INFO', `Local GGUF initialized successfully (default model: ${defaultId})`);
+            } else {
+                log('WARN', `Local GGUF not available - default model ${defaultId} failed to load`);
             }
+        } catch (e) {
+            log('ERROR', 'Local GGUF initialization failed:', e.message);
+        }
 
-            response += nextToken + ' ';
-            
-            // Update context with generated token
-            currentContext += nextToken + ' ';
-            
-            // Keep context size manageable
-            if (currentContext.length > 1000) {
-                currentContext = currentContext.slice(-500);
+        for (const { backend } of backendChain.filter(entry => entry.backend)) {
+            if (await backend.init()) log('INFO', `Backend ${backend.backend} ready`);
+            else log('WARN', `Backend ${backend.backend} not available:`, backend.loadError || 'unknown error');
+        }
+    })();
+
+    // Server-side conversation storage (per user, under data/conversations)
+    log('INFO', 'Initializing conversation store...');
+    const conversationStore = new ConversationStore({ dir: path.join(dataDir, 'conversations') });
+
+    // Background generation jobs (two-phase full answers); persisted to data/jobs.json when LUCKAI_JOBS_PERSIST=1
+    const jobStore = new JobStore({ file: process.env.LUCKAI_JOBS_PERSIST === '1' ? path.join(dataDir, 'jobs.json') : null });
+
+    // Embeddings may come from a smaller model than the chat model; requests carry at most EMBEDDING_MAX_BATCH texts
+    const EMBEDDING_MODEL = options.embeddingModel !== undefined ? options.embeddingModel || '' : (process.env.LUCKAI_EMBEDDING_MODEL || '');
+    const EMBEDDING_MAX_BATCH = Math.max(1, Number(options.embeddingMaxBatch || process.env.LUCKAI_EMBEDDING_MAX_BATCH || 64));
+
+    // Document knowledge base (data/documents: chunks and their embeddings, per user)
+    const documentStore = options.documentStore || new DocumentStore({ dir: path.join(dataDir, 'documents'), batchSize: EMBEDDING_MAX_BATCH });
+
+    // Persistent user database (data/users.json, scrypt-hashed passwords)
+    log('INFO', 'Setting up user database...');
+    const userStore = new UserStore({ file: path.join(dataDir, 'users.json') });
+    // Self-service registration can be turned off with LUCKAI_ALLOW_REGISTRATION=0
+    const ALLOW_REGISTRATION = options.allowRegistration !== undefined
+        ? !!options.allowRegistration
+        : process.env.LUCKAI_ALLOW_REGISTRATION !== '0';
+    const ADMIN_PASSWORD = options.adminPassword || process.env.LUCKAI_ADMIN_PASSWORD;
+
+    // Seed an initial admin account on first start
+    const seeded = (async () => {
+        if (userStore.count() > 0) {
+            log('INFO', 'Users loaded. Count:', userStore.count());
+            return;
+        }
+        const password = ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        try {
+            await userStore.create('admin', password, { role: 'admin', id: 'user-001' });
+            if (ADMIN_PASSWORD) log('INFO', 'Created admin account from LUCKAI_ADMIN_PASSWORD');
+            else log('WARN', `Created admin account with generated password: ${password} (change it after first login)`);
+        } catch (e) {
+            log('ERROR', 'Failed to create admin account:', e.message);
+        }
+    })();
+
+    /* ============================================
+       AUTHENTICATION MIDDLEWARE
+       ============================================ */
+
+    log('INFO', 'Setting up authentication middleware...');
+
+    const authenticateToken = (req, res, next) => {
+        const authHeader = req.headers['authorization'] || '';
+        const token = (authHeader.split(' ')[1] || '').trim();
+        const xGuest = req.headers['x-guest'] === 'true';
+        const bodyGuest = req.body && req.body.guest === true;
+
+        // If token is missing but client signaled guest or the endpoint is safe, treat as guest
+        if (!token) {
+            if (xGuest || bodyGuest || req.path === '/api/local/status' || req.path === '/api/models' || req.path === '/api/chat') {
+                log('INFO', `Guest request to ${req.path} from: ${req.ip}`);
+                req.user = null;
+                return next();
             }
+            log('WARN', `Request without token to ${req.path} from: ${req.ip}`);
+            return res.status(401).json({ message: 'Access token required' });
         }
 
-        return response.trim();
-    }
+        jwt.verify(token, JWT_SECRET, (err, user) => {
+            if (err) {
+                log('WARN', `Invalid token to ${req.path} from: ${req.ip}`);
+                return res.status(403).json({ message: 'Invalid token' });
+            }
+            // Tokens outlive account changes: re-check that the account still exists and is enabled
+            const account = userStore.get(user.username);
+            if (!account || account.disabled) {
+                log('WARN', `Token for disabled or removed account ${user.username} to ${req.path}`);
+                return res.status(403).json({ message: 'Account disabled' });
+            }
+            log('INFO', 'User authenticated:', user.username);
+            req.user = Object.assign({}, user, { role: account.role });
+            next();
+        });
+    };
 
-    /**
-     * Detect language of input (FR or EN)
-     */
-    detectLanguage(text) {
-        const lowerText = text.toLowerCase();
-        
-        // French indicators
-        const frenchWords = ['bonjour', 'ça', 'très', 'pourquoi', 'comment', 'voici', 'merci', 'oui', 'non'];
-        const frenchCount = frenchWords.filter(w => lowerText.includes(w)).length;
-
-        // English indicators  
-        const englishWords = ['hello', 'thank', 'please', 'what', 'why', 'how', 'yes', 'no', 'the', 'this'];
-        const englishCount = englishWords.filter(w => lowerText.includes(w)).length;
-
-        return frenchCount > englishCount ? 'fr' : 'en';
+    // Endpoints that only make sense for an account (not guests)
+    const requireUser = (req, res, next) => {
+        if (!req.user) return res.status(401).json({ message: 'Login required' });
+        next();
+    };
+
+    const requireAdmin = (req, res, next) => {
+        if (!req.user || req.user.role !== 'admin') return res.status(403).json({ message: 'Admin access required' });
+        next();
+    };
+
+    function signToken(account) {
+        return jwt.sign(
+            { username: account.username, userId: account.id, role: account.role },
+            JWT_SECRET,
+            { expiresIn: '24h' }
+        );
     }
 
+    /* ============================================
+       API ENDPOINTS
+       ============================================ */
+
+    log('INFO', 'Registering API endpoints...');
+
     /**
-     * Build context for response generation
+     * Login endpoint
      */
-    buildContext(prompt, webContext, language) {
-        let context = '';
-
-        // Add system role
-        const role = language === 'fr' 
-            ? 'Je suis LuckAI, un assistant IA avancé basé sur une architecture transformer.'
-            : 'I am LuckAI, an advanced AI assistant based on transformer architecture.';
-        
-        context += role + '\n\n';
-
-        // Add web context if available
-        if (webContext) {
-            context += (language === 'fr' ? 'Informations du web:\n' : 'Web information:\n');
-            context += webContext + '\n\n';
+    app.post('/api/login', async (req, res) => {
+        const { username, password } = req.body;
+
+        log('INFO', 'Login attempt:', username);
+
+        if (!username || !password) {
+            log('WARN', 'Login attempt with missing credentials from:', req.ip);
+            return res.status(400).json({ message: 'Username and password required' });
+        }
+
+        const account = await userStore.verify(username, password);
+        if (!account) {
+            log('WARN', 'Login failed - invalid credentials for:', username);
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+        if (account.disabled) {
+            log('WARN', 'Login refused - account disabled:', username);
+            return res.status(403).json({ message: 'Account disabled' });
         }
 
-        // Add user query
-        context += (language === 'fr' ? 'Question: ' : 'Question: ') + prompt + '\n';
+        log('INFO', 'Login successful:', account.username);
 
-        return context;
-    }
+        res.json({
+            token: signToken(account),
+            user: { username: account.username, id: account.id, role: account.role },
+            message: 'Login successful'
+        });
+    });
 
     /**
-     * Predict next token using neural computation
-     * Simulates the output layer of a transformer model
+     * Registration endpoint (signs the new user in)
      */
-    predictNextToken(context, language) {
-        // Tokenize context for attention computation
-        const tokens = this.tokenize(context);
-        
-        if (tokens.length === 0) {
-            return null;
+    app.post('/api/register', async (req, res) => {
+        if (!ALLOW_REGISTRATION) return res.status(403).json({ message: 'Registration is disabled' });
+        const { username, password } = req.body || {};
+
+        const invalid = userStore.validateCredentials(username, password);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        try {
+            const account = await userStore.create(username, password);
+            log('INFO', 'User registered:', account.username);
+            res.status(201).json({
+                token: signToken(account),
+                user: { username: account.username, id: account.id, role: account.role },
+                message: 'Registration successful'
+            });
+        } catch (e) {
+            if (e.message === 'Username already taken') return res.status(409).json({ message: e.message });
+            log('ERROR', 'Registration failed:', e.message);
+            res.status(500).json({ message: 'Registration failed' });
         }
+    });
 
-        // Create embeddings (simplified)
-        let embeddings = tokens.map((t, idx) => {
-            // Create a pseudo-embedding based on token position and value
-            let embedding = [];
-            for (let i = 0; i < this.embedding_dim; i++) {
-                embedding.push(Math.sin(t.id + i) * Math.cos(idx));
-            }
-            return embedding;
-        });
+    /**
+     * Change the current user's password. Body: { currentPassword, newPassword }
+     */
+    app.post('/api/account/password', authenticateToken, requireUser, async (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        if (!currentPassword || !newPassword) return res.status(400).json({ message: 'currentPassword and newPassword are required' });
+        if (!(await userStore.verify(req.user.username, currentPassword))) {
+            log('WARN', 'Password change failed - wrong current password for:', req.user.username);
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+        try {
+            await userStore.setPassword(req.user.username, newPassword);
+            log('INFO', 'Password changed for:', req.user.username);
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ message: e.message });
+        }
+    });
 
-        // Apply self-attention across the sequence
-        let attended = this.selfAttention(embeddings, embeddings, embeddings, this.num_heads);
+    /**
+     * Admin: list, create and update (disable/enable, role, password reset) users
+     */
+    app.get('/api/admin/users', authenticateToken, requireAdmin, (req, res) => {
+        res.json({ users: userStore.list() });
+    });
 
-        // Apply feed-forward transformation
-        let transformed = attended[attended.length - 1].map(v => 
-            this.feedForward([v])[0]
-        );
+    app.post('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+        const { username, password, role } = req.body || {};
+        const invalid = userStore.validateCredentials(username, password);
+        if (invalid) return res.status(400).json({ message: invalid });
+        try {
+            const account = await userStore.create(username, password, { role });
+            log('INFO', `Admin ${req.user.username} created user:`, account.username);
+            res.status(201).json({ user: account });
+        } catch (e) {
+            if (e.message === 'Username already taken') return res.status(409).json({ message: e.message });
+            res.status(500).json({ message: 'Failed to create user' });
+        }
+    });
 
-        // Compute logits for next token prediction
-        let logits = [];
-        for (let i = 0; i < 100; i++) { // Consider top 100 tokens
-            let logit = transformed[i % transformed.length] + Math.random() * 0.1;
-            logits.push({ score: logit, tokenId: i });
+    app.patch('/api/admin/users/:username', authenticateToken, requireAdmin, async (req, res) => {
+        const { disabled, role, password } = req.body || {};
+        if (disabled !== undefined && typeof disabled !== 'boolean') return res.status(400).json({ message: 'disabled must be a boolean' });
+        if (role !== undefined && !['admin', 'user'].includes(role)) return res.status(400).json({ message: 'role must be "admin" or "user"' });
+        if (!userStore.get(req.params.username)) return res.status(404).json({ message: 'User not found' });
+        try {
+            if (password !== undefined) await userStore.setPassword(req.params.username, password);
+            const account = userStore.update(req.params.username, { disabled, role });
+            log('INFO', `Admin ${req.user.username} updated user:`, account.username);
+            res.json({ user: account });
+        } catch (e) {
+            res.status(400).json({ message: e.message });
         }
+    });
 
-        // Sort by score and apply temperature
-        logits.sort((a, b) => b.score - a.score);
-        
-        // Sample next token (with temperature)
-        let topK = logits.slice(0, 10);
-        let weights = topK.map(l => Math.exp(l.score / this.temperature));
-        let totalWeight = weights.reduce((a, b) => a + b, 1);
-        weights = weights.map(w => w / totalWeight);
-
-        // Pick a token from distribution
-        let rand = Math.random();
-        let cumSum = 0;
-        for (let i = 0; i < topK.length; i++) {
-            cumSum += weights[i];
-            if (rand < cumSum) {
-                return this.tokenIdToWord(topK[i].tokenId, language);
-            }
+    // Allow guest access: if no Authorization header, skip authentication and treat as guest
+    const allowGuest = (req, res, next) => {
+        const authHeader = req.headers['authorization'] || '';
+        const token = (authHeader.split(' ')[1] || '').trim();
+        const xGuest = req.headers['x-guest'] === 'true';
+        const bodyGuest = req.body && req.body.guest === true;
+
+        log('INFO', `${req.path} request: authHeaderPresent=${!!authHeader}, tokenPresent=${!!token}, xGuest=${xGuest}, bodyGuest=${bodyGuest}`);
+
+        // Treat as guest when Authorization header is absent/empty or guest flags are present
+        if (!authHeader || authHeader.trim() === '' || !token || xGuest || bodyGuest) {
+            req.user = null;
+            return next();
         }
 
-        return this.tokenIdToWord(topK[0].tokenId, language);
-    }
+        // Otherwise validate token
+        authenticateToken(req, res, next);
+    };
 
     /**
-     * Convert token ID to word
+     * Main chat endpoint
      */
-    tokenIdToWord(tokenId, language) {
-        // Common response words
-        const words = {
-            en: [
-                'The', 'is', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at',
-                'this', 'that', 'these', 'those', 'which', 'who', 'what', 'where', 'when', 'why',
-                'example', 'include', 'such', 'like', 'different', 'important', 'also', 'can', 'be', 'have',
-                'understand', 'know', 'think', 'believe', 'provide', 'offer', 'show', 'explain', 'help', 'support',
-                'technology', 'artificial', 'intelligence', 'learning', 'data', 'model', 'system', 'process', 'method', 'way'
-            ],
-            fr: [
-                'Le', 'La', 'Les', 'Un', 'Une', 'Des', 'Est', 'Sont', 'Et', 'Ou',
-                'Mais', 'Dans', 'Sur', 'Par', 'Pour', 'À', 'De', 'Avec', 'Sans', 'Selon',
-                'Ce', 'Cet', 'Cette', 'Ces', 'Celui', 'Celle', 'Ceux', 'Celles', 'Quel', 'Quelle',
-                'Quels', 'Quelles', 'Qui', 'Quoi', 'Où', 'Quand', 'Pourquoi', 'Comment', 'Combien', 'Si',
-                'Peut', 'Pouvez', 'Dois', 'Doit', 'Devez', 'Faire', 'Fait', 'Faites', 'Avoir', 'Avez'
-            ]
-        };
-
-        const wordList = words[language] || words['en'];
-        return wordList[tokenId % wordList.length] || 'response';
-    }
+    app.post('/api/chat', allowGuest, (req, res) => chatHandler(req, res));
 
     /**
-     * Process user input and generate response
-     * Main method called by the API
+     * Streaming chat endpoint (Server-Sent Events)
+     * Events: meta, sources, queue, token, done, error
      */
-    async processQuery(userMessage, conversationHistory = [], webContext = null) {
-        // This is a placeholder for actual model inference logic.
-        // For demonstration, just echo the user message.
-        return {
-            response: `Echo: ${userMessage}`,
-            language: 'en',
-            model: 'LuckModel',
-            stats: {}
-        };
-    }
+    app.post('/api/chat/stream', allowGuest, (req, res) => chatStreamHandler(req, res));
 
     /**
-     * Parse DuckDuckGo HTML search results
+     * Cancel a running generation by stream id (`meta.id`) or by the `fullId` of a background full answer, with the
+     * `cancelToken` returned next to it. Signed-in users may also cancel their own generations without it; guests
+     * share IP addresses, so they need the token.
      */
-    parseResults(data) {
-        if (!data.web || data.web.results.length === 0) {
-            return null;
+    app.post('/api/chat/:id/cancel', allowGuest, (req, res) => {
+        const id = req.params.id;
+        const generation = activeGenerations.get(id);
+        const token = String((req.body && req.body.cancelToken) || '');
+        const allowed = generation && ((token && safeEqual(token, generation.cancelToken)) || (!!req.user && generation.owner === queueOwner(req)));
+        if (!allowed) {
+            return res.status(404).json({ message: 'No running generation with this id' });
         }
+        log('INFO', `[Chat ${id}] Cancelled by ${req.user?.username || 'guest'}`);
+        generation.controller.abort();
+        res.json({ id, cancelled: true });
+    });
 
-        const results = data.web.results.slice(0, 3).map(result => ({
-            title: result.title,
-            url: result.url,
-            description: result.description,
-            snippet: result.snippet
-        }));
+    // Running generations that can be cancelled: id -> { controller, owner, cancelToken }
+    const activeGenerations = new Map();
 
-        return {
-            results: results,
-            summary: this.summarizeResults(results)
-        };
+    // { controller, cancelToken }: the token is returned to the client that started the generation, to cancel it
+    function trackGeneration(id, owner) {
+        const generation = { controller: new AbortController(), owner, cancelToken: crypto.randomBytes(16).toString('hex') };
+        activeGenerations.set(id, generation);
+        return generation;
     }
 
-    /**
-     * Summarize search results into context
-     */
-    summarizeResults(results) {
-        let summary = 'Recent web information:\n';
-        results.forEach((result, idx) => {
-            summary += `\n${idx + 1}. ${result.title}\n`;
-            summary += `   ${result.description || result.snippet}\n`;
-        });
-        return summary;
+    function safeEqual(a, b) {
+        const left = Buffer.from(String(a));
+        const right = Buffer.from(String(b));
+        return left.length === right.length && crypto.timingSafeEqual(left, right);
     }
-}
 
-/* ============================================
-   EXPRESS SERVER SETUP
-   ============================================ */
+    function untrackGeneration(id) {
+        activeGenerations.delete(id);
+    }
+
+    // Resolve the history for a chat request. With a `conversationId` the history is loaded from the
+    // server-side store (client-supplied history is ignored); nothing is stored until recordUserTurn().
+    function resolveConversation(req, message) {
+        const { conversationId, conversationHistory = [], regenerate } = req.body || {};
+        if (!conversationId) {
+            // Trim conversation history to last N entries to reduce token usage and speed up responses.
+            // Clients cannot change the instructions: system turns are dropped (only /v1 accepts them)
+            const turns = (Array.isArray(conversationHistory) ? conversationHistory : [])
+                .filter(turn => !(turn && ['system', 'developer'].includes(String(turn.role || '').toLowerCase())));
+            return { history: turns.slice(-6), conversation: null };
+        }
+        if (!req.user) return { error: 401, message: 'Login required to use stored conversations' };
 
-log('INFO', 'Setting up Express server...');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'luckai_secret_key_2025';
-
-log('INFO', 'Port:', PORT);
-log('INFO', 'JWT Secret configured:', JWT_SECRET ? 'Yes' : 'No');
-
-// Middleware
-log('INFO', 'Initializing middleware...');
-app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ limit: '10mb', extended: true }));
-app.use(express.static(path.join(__dirname)));
-
-// Initialize services
-log('INFO', 'Initializing DuckDuckGo search client...');
-
-// Ensure a fetch function is available
-let _fetchFn = globalThis.fetch;
-if (!_fetchFn) {
-    try {
-        const nodeFetch = require('node-fetch');
-        _fetchFn = nodeFetch && nodeFetch.default ? nodeFetch.default : nodeFetch;
-    } catch (e) {
-        _fetchFn = null;
+        const userId = userKey(req.user);
+        if (!conversationStore.get(userId, conversationId)) return { error: 404, message: 'Conversation not found' };
+
+        // When regenerating, the last answer is replaced and the stored user turn reused
+        let messages = conversationStore.listMessages(userId, conversationId);
+        if (regenerate && messages.length && messages[messages.length - 1].role === 'assistant') messages = messages.slice(0, -1);
+        const last = messages[messages.length - 1];
+        const alreadyStored = !!regenerate && !!last && last.role === 'user' && last.content === message;
+        const history = (alreadyStored ? messages.slice(0, -1) : messages)
+            .map(m => ({ role: m.role, content: m.content }))
+            .slice(-6);
+
+        return { history, conversation: { userId, id: conversationId, regenerate: !!regenerate, userTurn: alreadyStored ? null : message } };
+    }
+
+    // Store the user turn of a resolved conversation (dropping the answer being regenerated), once the model has
+    // loaded and the request is going ahead: a request that fails before that leaves the conversation untouched
+    function recordUserTurn(conversation) {
+        if (!conversation) return;
+        if (conversation.regenerate) conversationStore.removeTrailingAssistant(conversation.userId, conversation.id);
+        if (conversation.userTurn) conversationStore.addMessage(conversation.userId, conversation.id, { role: 'user', content: conversation.userTurn });
+    }
+
+    // Run web search for a chat request according to the requested mode ('always'|'never'|'auto' or boolean)
+    // A request's deep search flag (`deepSearch`, or `deep_search` on /v1); DEEP_SEARCH when it is not a boolean
+    function wantsDeepSearch(value) {
+        return typeof value === 'boolean' ? value : DEEP_SEARCH;
     }
-}
 
-class DuckDuckGoClient {
-    constructor() {
-        // DuckDuckGo HTML parsing does not require an API key
+    // `runner` (the loaded model) plans the queries from `history`, queued for `owner` and cancelled with `signal`;
+    // `searchQueries` are the queries searched. `deepSearch` also reads the result pages; `pagesRead` is null when that did not run.
+    // `searchDecision` ({ mode, search, reason, method, score }) says whether and why the message was searched.
+    // `docs` also searches the documents of `docs.owner` with `docs.embedder` (see searchDocuments()), setting `usedDocs`
+    async function runWebSearch(chatId, message, useWebSearch, { deepSearch = DEEP_SEARCH, runner = null, history = [], owner, signal, docs = null } = {}) {
+        const result = { webContext: null, sources: [], usedWeb: false, usedDocs: false, searchError: null, searchProvider: null, searchQueries: null, pagesRead: null, searchDecision: null };
+        const finish = () => (docs ? searchDocuments(chatId, message, result, docs) : result);
+
+        // Accepts mode strings 'always'|'never'|'auto' (anything else is auto) or a boolean (true is auto)
+        const mode = typeof useWebSearch === 'string'
+            ? (['always', 'never'].includes(useWebSearch.toLowerCase()) ? useWebSearch.toLowerCase() : 'auto')
+            : (useWebSearch ? 'auto' : 'never');
+        const decision = mode === 'auto'
+            ? await searchRouter.decide(message, { runner, history, owner, signal })
+            : modeDecision(mode, message);
+        result.searchDecision = { mode, search: decision.search, reason: decision.reason, method: decision.method, score: mode === 'auto' ? decision.score : null };
+        if (mode === 'auto') log('INFO', `[Chat ${chatId}] Routing: ${decision.search ? 'search' : 'no search'} (${decision.method}, score ${decision.score}): ${decision.reason}`);
+
+        if (!decision.search) return finish();
+
+        log('INFO', `[Chat ${chatId}] Web search triggered`);
+        const plan = queryPlanner && runner
+            ? await queryPlanner.plan(runner, message, history, { owner, signal })
+            : { queries: [message], language: detectLanguage(message, history), planned: false };
+        if (plan.planned) log('INFO', `[Chat ${chatId}] Planned queries (${plan.language}): ${plan.queries.map(q => JSON.stringify(q)).join(', ')}`);
+        else if (plan.error) log('INFO', `[Chat ${chatId}] Query planning failed (${plan.error}), searching the message`);
+        result.searchQueries = plan.queries;
+        const searchResults = await searchAll(searchClient, plan.queries, { language: plan.language });
+        if (searchResults) {
+            result.webContext = searchResults.summary;
+            result.sources = searchResults.results.map(r => {
+                let host = '';
+                try { host = (new URL(r.url)).hostname.replace(/^www\./, ''); } catch (e) { host = r.url || ''; }
+                return {
+                    title: r.title,
+                    url: r.url,
+                    snippet: r.description || r.snippet || '',
+                    host
+                };
+            });
+            result.usedWeb = true;
+            result.searchProvider = searchResults.provider || null;
+            log('INFO', `[Chat ${chatId}] Web search completed via ${result.searchProvider || 'unknown'}. Sources: ${result.sources.length}`);
+            // Passages are ranked against the queries, which name what a follow-up only refers to
+            if (deepSearch && searchResults.results.length) await readResultPages(chatId, plan.queries.join(' '), searchResults.results, result, signal);
+        } else {
+            log('WARN', `[Chat ${chatId}] Web search failed or returned no results`);
+            result.searchError = 'Web search failed. Please try again later.';
+        }
+        return finish();
     }
 
-    async _duckDuckGoSearch(query) {
-        if (!_fetchFn) return null;
+    // Docs mode: add the user's document chunks closest to the message to the web context, numbered after the
+    // web results, and as sources naming the document and its page or section
+    async function searchDocuments(chatId, message, search, { owner, embedder }) {
         try {
-            const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-            const headers = { 'Accept': 'text/html', 'User-Agent': 'Mozilla/5.0 (compatible; LuckAI/1.0)' };
-            const res = await _fetchFn(url, { headers });
-            if (!res || !res.ok) {
-                log('WARN', 'DuckDuckGo HTML search failed, status:', res && res.status);
-                return null;
-            }
-            const html = await res.text();
-            // Parse simple anchor-based results
-            const parsed = [];
-            const anchorRe = /<a[^>]+class="[^"]*result__a[^"]*"[^>]+href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/ig;
-            let m;
-            while ((m = anchorRe.exec(html)) && parsed.length < 6) {
-                const url = m[1];
-                const title = m[2].replace(/<[^>]+>/g, '').trim();
-                // Try to find a nearby snippet
-                const snippetRe = new RegExp(m[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '[\\s\\S]{0,200}?<div[^>]+class="[^"]*result__snippet[^"]*"[^>]*>([\\s\\S]*?)<\\/div>', 'i');
-                let snippet = '';
-                const sm = snippetRe.exec(html);
-                if (sm && sm[1]) snippet = sm[1].replace(/<[^>]+>/g, '').trim();
-                parsed.push({ title, url, description: snippet, snippet });
-            }
-            const summary = parsed.length ? parsed.map((r, i) => `${i + 1}. ${r.title}\n   ${r.description || ''}`).join('\n') : '';
-            return { results: parsed, summary };
+            const { hits, method } = await documentStore.search(message, embedder, { owner });
+            log('INFO', `[Chat ${chatId}] Document search (${method || 'no documents'}): ${hits.length} chunks`);
+            if (!hits.length) return search;
+            const first = search.sources.length + 1;
+            const blocks = hits.map((hit, i) => {
+                const where = hit.chunk.page ? `p. ${hit.chunk.page}` : hit.chunk.section;
+                const title = where ? `${hit.document.name} (${where})` : hit.document.name;
+                search.sources.push({
+                    title,
+                    url: null,
+                    snippet: hit.chunk.text.slice(0, 300),
+                    host: '',
+                    document: { id: hit.document.id, name: hit.document.name },
+                    section: hit.chunk.section,
+                    page: hit.chunk.page,
+                    passages: [hit.chunk.text]
+                });
+                return `[${first + i}] ${title}\n${hit.chunk.text}`;
+            });
+            const excerpts = `Excerpts from your documents:\n${blocks.join('\n\n')}`;
+            search.webContext = search.webContext ? `${search.webContext}\n\n${excerpts}` : excerpts;
+            search.usedDocs = true;
         } catch (e) {
-            log('ERROR', 'DuckDuckGo search error:', e && e.message ? e.message : e);
-            return null;
+            log('WARN', `[Chat ${chatId}] Document search failed:`, e.message);
         }
+        return search;
     }
 
-    async search(query) {
-        if (!query || !query.trim()) return null;
-        if (!_fetchFn) {
-            log('WARN', 'Fetch unavailable, cannot perform search');
-            return null;
+    // Embeds document chunks and queries: { id, embed(texts) } for the embedding model, which is `chatModel` (loaded,
+    // from selectModel()) unless LUCKAI_EMBEDDING_MODEL is set. null when no model can be loaded (keyword search).
+    // The texts are queued for `owner` on the model's scheduler and dropped from the queue when `signal` aborts;
+    // the model stays loaded until `res` closes.
+    async function documentEmbedder(chatId, chatModel = null, { owner, signal, res } = {}) {
+        let model = chatModel;
+        if (EMBEDDING_MODEL || !model) {
+            const loaded = await loadEmbeddingModel(chatId, undefined, res);
+            if (loaded.error) {
+                log('WARN', `[Chat ${chatId}] No model to embed documents with (${loaded.error}), using keyword search`);
+                return null;
+            }
+            model = loaded.model;
         }
-
-        // Using DuckDuckGo HTML parsing only (no Brave integration)
-        const ddg = await this._duckDuckGoSearch(query);
-        if (ddg) return Object.assign(ddg, { provider: 'duckduckgo' });
-        return ddg;
+        const runner = model.runner;
+        return { id: servedModelName(model), embed: texts => runner.embed(texts, { owner, signal }) };
     }
-}
 
-const searchClient = new DuckDuckGoClient();
-
-// Debug route to test search provider availability
-app.get('/api/search/test', async (req, res) => {
-    const q = req.query.q || req.query.query;
-    if (!q || typeof q !== 'string') return res.status(400).json({ ok: false, message: 'Missing query parameter q' });
-    try {
-        const r = await searchClient.search(q);
-        if (!r) return res.status(500).json({ ok: false, message: 'Search failed' });
-        res.json({ ok: true, provider: r.provider || 'unknown', results: r.results || [], summary: r.summary || '' });
-    } catch (e) {
-        res.status(500).json({ ok: false, message: e.message });
+    // runWebSearch()'s `docs` option for a request with `useDocs` (or `use_docs`) set; guests have no documents
+    async function documentSearch(chatId, req, model, useDocs, signal) {
+        if (useDocs !== true || !req.user) return null;
+        // No documents to search: do not load an embedding model for nothing
+        if (!documentStore.list({ owner: userKey(req.user) }).length) return null;
+        return { owner: userKey(req.user), embedder: await documentEmbedder(chatId, model, { owner: queueOwner(req), signal, res: req.res }) };
     }
-});
-// Initialize Local GGUF runner (no external Ollama needed)
-log('INFO', 'Initializing Local GGUF runner...');
-const localRunner = new LocalGGUFRunner({
-    modelPath: process.env.LUCKAI_GGUF_PATH,
-    contextSize: Number(process.env.LUCKAI_CTX || 4096),
-    temperature: 0.7,
-    maxTokens: Number(process.env.LUCKAI_MAX_TOKENS || 4096)
-});
-log('INFO', 'GGUF Path:', process.env.LUCKAI_GGUF_PATH || 'Auto-detect');
-log('INFO', 'Context Size:', process.env.LUCKAI_CTX || 4096);
-
-// Utility: prepare model chunks by splitting very large sha256 blobs into parts so they can be stored in Git
-async function prepareModelChunks() {
-    try {
-        const { spawnSync } = require('child_process');
-        const script = path.join(__dirname, 'scripts', 'split-gguf.js');
-        const candidates = [
-            path.join(__dirname, '.ollama'),
-            path.join(__dirname, '.ollama', 'blobs'),
-            'D:\\usb\\LuckAI\\.ollama',
-            path.join(process.cwd(), '.ollama')
-        ];
-
-        const seen = new Set();
-        const threshold = Number(process.env.LUCKAI_CHUNK_THRESHOLD_MB || 25) * 1024 * 1024;
-
-        for (const baseDir of candidates) {
-            try {
-                if (!baseDir || !fs.existsSync(baseDir)) continue;
-                const entries = fs.readdirSync(baseDir, { withFileTypes: true });
-                for (const e of entries) {
-                    if (!e.isFile()) continue;
-                    const name = e.name;
-                    // Only consider top-level sha256- blobs (not already chunk parts like .part001)
-                    const m = name.match(/^sha256-[a-f0-9]{64}$/i);
-                    if (!m) continue;
-                    const full = path.join(baseDir, name);
-                    if (seen.has(full)) continue;
-                    seen.add(full);
-                    const stat = fs.statSync(full);
-                    if (stat.size <= threshold) continue; // not too big
-
-                    // Check whether parts already exist
-                    const partsExist = fs.readdirSync(baseDir).some(n => n.toLowerCase().startsWith(name.toLowerCase() + '.part'));
-                    if (partsExist) {
-                        log('INFO', `Chunk parts already present for ${name} in ${baseDir}; skipping split.`);
-                        continue;
-                    }
 
-                    // If split script is missing, skip
-                    if (!fs.existsSync(script)) {
-                        log('WARN', 'Split script not found:', script);
-                        continue;
-                    }
-
-                    log('INFO', `Large blob detected (${(stat.size/1024/1024).toFixed(2)}MB): ${full}. Running splitter...`);
-                    try {
-                        const res = spawnSync(process.execPath, [script, full, String(Number(process.env.LUCKAI_CHUNK_THRESHOLD_MB || 25))], { cwd: __dirname, encoding: 'utf8', stdio: 'pipe' });
-                        if (res.stdout && res.stdout.trim()) log('INFO', 'Splitter stdout:', res.stdout.trim());
-                        if (res.stderr && res.stderr.trim()) log('WARN', 'Splitter stderr:', res.stderr.trim());
-                        if (res.status !== 0) log('WARN', `Splitter exited with code ${res.status} for ${full}`);
-                        else log('INFO', `Splitter completed for ${full}`);
-                    } catch (e) {
-                        log('ERROR', `Failed to run splitter on ${full}:`, e && e.message ? e.message : e);
-                    }
-                }
-            } catch (e) { /* ignore */ }
+    // Deep search: quote the best passages of the result pages in the web context, and keep the passages
+    // each source contributed in `source.passages`. Falls back to the result snippets when no page can be read.
+    // `signal` (the request's) stops the page and robots.txt fetches when the chat is cancelled.
+    async function readResultPages(chatId, message, results, search, signal) {
+        try {
+            const reading = await pageReader.read(message, results, { signal });
+            search.pagesRead = reading.pages.filter(page => page.ok).length;
+            reading.pages.filter(page => !page.ok).forEach(page => log('INFO', `[Chat ${chatId}] Skipped ${page.url}: ${page.error}`));
+            if (!reading.passages.length) return;
+            search.webContext = `${search.webContext}\n\n${formatPassages(reading.passages)}`;
+            reading.passages.forEach(passage => {
+                const source = search.sources[passage.index];
+                source.passages = (source.passages || []).concat(passage.text);
+            });
+            log('INFO', `[Chat ${chatId}] Deep search read ${search.pagesRead}/${reading.pages.length} pages, kept ${reading.passages.length} passages`);
+        } catch (e) {
+            search.pagesRead = 0;
+            log('WARN', `[Chat ${chatId}] Deep search failed:`, e.message);
         }
-    } catch (e) {
-        log('ERROR', 'prepareModelChunks failed:', e && e.message ? e.message : e);
     }
-}
 
-// Check Local GGUF availability at startup
-let localAvailable = false;
-(async () => {
-    log('INFO', 'Preparing and checking for large model blobs (auto-split if needed)');
-    try {
-        await prepareModelChunks();
-    } catch (e) { log('WARN', 'prepareModelChunks error:', e && e.message ? e.message : e); }
-
-    log('INFO', 'Checking Local GGUF availability...');
-    try {
-        localAvailable = await localRunner.init();
-        if (localAvailable) {
-            log('INFO', 'Local GGUF initialized successfully');
+    // Resolve a request's `model` field to { id, runner, backends } (default model when omitted), or { error } for unknown ids.
+    // `backends` holds the local runner for `id` and the other configured backends, in LUCKAI_BACKENDS order; `runner`
+    // starts as the first one and loadModel() switches it to the first that is available. null when there is none at all.
+    function selectModel(requested) {
+        let id;
+        if (requested === undefined || requested === null || requested === '') {
+            id = modelRegistry.defaultId();
         } else {
-            log('WARN', 'Local GGUF not available - model may not be found');
+            id = modelRegistry.resolve(requested);
+            if (!id) return { error: `Unknown model: ${requested}. See GET /api/models for the available models.` };
         }
-    } catch (e) {
-        log('ERROR', 'Local GGUF initialization failed:', e.message);
+        const backends = backendChain
+            .map(entry => (entry.kind === 'local' ? (id ? modelManager.runner(id) : null) : entry.backend))
+            .filter(Boolean);
+        return { id, runner: backends[0] || null, backends };
     }
-})();
-
-// Simple user database (in-memory for demo)
-log('INFO', 'Setting up user database...');
-const users = {
-    'admin': {
-        password: 'LuckAI',
-        id: 'user-001'
-    }
-};
-log('INFO', 'Users loaded. Count: 1');
 
-/* ============================================
-   AUTHENTICATION MIDDLEWARE
-   ============================================ */
-
-log('INFO', 'Setting up authentication middleware...');
-
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'] || '';
-    const token = (authHeader.split(' ')[1] || '').trim();
-    const xGuest = req.headers['x-guest'] === 'true';
-    const bodyGuest = req.body && req.body.guest === true;
+    // Name of the model that answers: the local model id, else `backend:name` for a failover backend
+    function servedModelName(model) {
+        const runner = model.runner;
+        return runner.backend === 'local-gguf' ? model.id : `${runner.backend}:${runner.name || 'default'}`;
+    }
 
-    // If token is missing but client signaled guest or the endpoint is safe, treat as guest
-    if (!token) {
-        if (xGuest || bodyGuest || req.path === '/api/local/status' || req.path === '/api/chat') {
-            log('INFO', `Guest request to ${req.path} from: ${req.ip}`);
-            req.user = null;
-            return next();
+    // Select and load the model that computes embeddings: `requested`, else LUCKAI_EMBEDDING_MODEL, else the default model.
+    // Returns { model } (with its runner ready, leased until `res` closes) or { status, error, param }
+    async function loadEmbeddingModel(chatId, requested, res) {
+        const model = selectModel(requested || EMBEDDING_MODEL || undefined);
+        if (model.error) {
+            return requested
+                ? { status: 400, error: model.error, param: 'model' }
+                : { status: 503, error: `Embedding model ${EMBEDDING_MODEL} not found (LUCKAI_EMBEDDING_MODEL)` };
         }
-        log('WARN', `Request without token to ${req.path} from: ${req.ip}`);
-        return res.status(401).json({ message: 'Access token required' });
+        if (!model.runner) return { status: 503, error: MODEL_UNAVAILABLE };
+        const loadError = await loadModel(chatId, model, res);
+        return loadError ? { status: 503, error: loadError } : { model };
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            log('WARN', `Invalid token to ${req.path} from: ${req.ip}`);
-            return res.status(403).json({ message: 'Invalid token' });
+    // Make sure one of the selected backends can answer, trying them in order and pointing `model.runner` at it.
+    // Returns null when ready, otherwise the message to send back (the first backend's reason). With `res`, a local
+    // model is leased until the response closes, so loading another model cannot unload it while the request uses it.
+    async function loadModel(chatId, model, res = null) {
+        let firstError = null;
+        for (const backend of model.backends) {
+            const release = res && backend.backend === 'local-gguf' ? leaseUntilClosed(model.id, res) : null;
+            const error = backend.backend === 'local-gguf'
+                ? await loadLocalModel(chatId, model.id, backend)
+                : (await backend.init()) ? null : (backend.loadError || `Backend ${backend.backend} unavailable`);
+            if (!error) {
+                if (firstError) log('WARN', `[Chat ${chatId}] Failing over to the ${backend.backend} backend (${firstError})`);
+                model.runner = backend;
+                return null;
+            }
+            if (release) release();
+            firstError = firstError || error;
         }
-        log('INFO', 'User authenticated:', user.username);
-        req.user = user;
-        next();
-    });
-};
-
-/* ============================================
-   API ENDPOINTS
-   ============================================ */
-
-log('INFO', 'Registering API endpoints...');
-
-/**
- * Login endpoint
- */
-app.post('/api/login', (req, res) => {
-    const { username, password } = req.body;
-
-    log('INFO', 'Login attempt:', username);
-
-    if (!username || !password) {
-        log('WARN', 'Login attempt with missing credentials from:', req.ip);
-        return res.status(400).json({ message: 'Username and password required' });
+        return firstError || MODEL_UNAVAILABLE;
     }
 
-    const user = users[username];
-    if (!user || user.password !== password) {
-        log('WARN', 'Login failed - invalid credentials for:', username);
-        return res.status(401).json({ message: 'Invalid credentials' });
+    // Lease local model `id` (see ModelManager.lease) until `res` closes; returns the release function
+    function leaseUntilClosed(id, res) {
+        const release = modelManager.lease(id);
+        if (res.closed) release();
+        else res.once('close', release);
+        return release;
     }
 
-    log('INFO', 'Login successful:', username);
-
-    const token = jwt.sign(
-        { username, userId: user.id },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-    );
-
-    res.json({
-        token,
-        user: { username, id: user.id },
-        message: 'Login successful'
-    });
-});
-
-/**
- * Main chat endpoint
- */
-// Allow guest access: if no Authorization header, skip authentication and treat as guest
-app.post('/api/chat', (req, res, next) => {
-    const authHeader = req.headers['authorization'] || '';
-    const token = (authHeader.split(' ')[1] || '').trim();
-    const xGuest = req.headers['x-guest'] === 'true';
-    const bodyGuest = req.body && req.body.guest === true;
-
-    log('INFO', `/api/chat request: authHeaderPresent=${!!authHeader}, tokenPresent=${!!token}, xGuest=${xGuest}, bodyGuest=${bodyGuest}`);
-
-    // Treat as guest when Authorization header is absent/empty or guest flags are present
-    if (!authHeader || authHeader.trim() === '' || !token || xGuest || bodyGuest) {
-        req.user = null;
-        return chatHandler(req, res);
+    // Make sure a local model is loaded (loading or retrying it if needed). Returns null when ready, otherwise why not.
+    async function loadLocalModel(chatId, id, runner) {
+        if (modelManager.isLoaded(id)) return null;
+        // Assembling a chunked model can take minutes: answer right away instead of holding the request
+        if (runner.state === 'assembling') return assemblingMessage(id, runner.assembly);
+        if (runner.state === 'restarting') return `Model ${id} is restarting after a crash, please retry shortly`;
+        log('INFO', `[Chat ${chatId}] Loading model ${id}...`);
+        try {
+            if (await modelManager.load(id)) return null;
+            log('ERROR', `[Chat ${chatId}] Model ${id} failed to load`);
+        } catch (error) {
+            log('ERROR', `[Chat ${chatId}] Model ${id} could not be loaded:`, error.message);
+            return error.message;
+        }
+        if (runner.state === 'corrupt') return runner.loadError;
+        return MODEL_UNAVAILABLE;
     }
 
-    // Otherwise validate token
-    authenticateToken(req, res, function() {
-        return chatHandler(req, res);
-    });
-});
-
-// The actual chat handler logic
-async function chatHandler(req, res) {
-    const startTime = Date.now();
-    const chatId = Math.random().toString(36).substring(7);
-    const username = req.user?.username || 'guest';
-    log('INFO', `[Chat ${chatId}] Request from ${username}`);
-    try {
-        const { message, useWebSearch = true, conversationHistory = [], temperature, maxTokens } = req.body;
-        log('INFO', `[Chat ${chatId}] Message length: ${message?.length || 0} chars`);
-        if (!message || typeof message !== 'string') {
-            log('WARN', `[Chat ${chatId}] Invalid message format`);
-            return res.status(400).json({ message: 'Invalid message' });
+    // Streaming chat handler: pushes tokens to the client as the local runner produces them
+    async function chatStreamHandler(req, res) {
+        const startTime = Date.now();
+        const chatId = Math.random().toString(36).substring(7);
+        const username = req.user?.username || 'guest';
+        log('INFO', `[Chat ${chatId}] Stream request from ${username}`);
+
+        const { message, useWebSearch = true } = req.body || {};
+        const invalid = validateChatMessage(message);
+        if (invalid) {
+            log('WARN', `[Chat ${chatId}] ${invalid}`);
+            return res.status(400).json({ message: invalid });
+        }
+        const generation = parseGenerationOptions(req.body);
+        if (generation.error) {
+            log('WARN', `[Chat ${chatId}] ${generation.error}`);
+            return res.status(400).json({ message: generation.error, param: generation.param });
+        }
+        const model = selectModel(req.body.model);
+        if (model.error) {
+            log('WARN', `[Chat ${chatId}] ${model.error}`);
+            return res.status(400).json({ message: model.error, param: 'model' });
         }
-        if (message.length > 5000) {
-            log('WARN', `[Chat ${chatId}] Message too long: ${message.length} chars`);
-            return res.status(400).json({ message: 'Message too long (max 5000 characters)' });
+        if (!model.runner) return res.status(503).json({ message: MODEL_UNAVAILABLE });
+        const busy = queueFullError(model.runner);
+        if (busy) {
+            log('WARN', `[Chat ${chatId}] Queue full, retry after ${busy.retryAfter}s`);
+            return sendQueueFull(res, busy);
         }
 
-        let webContext = null;
-        let sources = [];
-        let usedWeb = false;
-        let searchError = null;
-        let searchProvider = null;
-        // Determine if web search is needed. Accepts boolean or mode strings: 'always'|'never'|'auto'
-        let needsWebSearch = false;
-        if (typeof useWebSearch === 'string') {
-            const mode = useWebSearch.toLowerCase();
-            if (mode === 'always') {
-                needsWebSearch = true;
-            } else if (mode === 'never') {
-                needsWebSearch = false;
-            } else {
-                // fallback to auto
-                needsWebSearch = shouldUseWebSearch(message);
-            }
-        } else {
-            needsWebSearch = useWebSearch && shouldUseWebSearch(message);
+        let resolved;
+        try {
+            resolved = resolveConversation(req, message);
+        } catch (error) {
+            log('ERROR', `[Chat ${chatId}] Could not load the conversation:`, error.message);
+            return res.status(500).json({ message: 'Could not load the conversation' });
         }
+        const { history, conversation, error: conversationError, message: conversationMessage } = resolved;
+        if (conversationError) return res.status(conversationError).json({ message: conversationMessage });
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Stop writing (and generating) once the client goes away
+        const { controller, cancelToken } = trackGeneration(chatId, queueOwner(req));
+        let clientGone = false;
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                clientGone = true;
+                controller.abort();
+                log('INFO', `[Chat ${chatId}] Stream client disconnected, generation cancelled`);
+            }
+        });
+        const emit = (event, data) => { if (!clientGone) sendEvent(res, event, data); };
 
-        if (needsWebSearch) {
-            log('INFO', `[Chat ${chatId}] Web search triggered`);
-            const searchResults = await searchClient.search(message);
-            if (searchResults) {
-                webContext = searchResults.summary;
-                sources = searchResults.results.map(r => {
-                    let host = '';
-                    try { host = (new URL(r.url)).hostname.replace(/^www\./, ''); } catch (e) { host = r.url || ''; }
-                    return {
-                        title: r.title,
-                        url: r.url,
-                        snippet: r.description || r.snippet || '',
-                        host
-                    };
-                });
-                usedWeb = true;
-                searchProvider = searchResults.provider || null;
-                log('INFO', `[Chat ${chatId}] Web search completed via ${searchProvider || 'unknown'}. Sources: ${sources.length}`);
-            } else {
-                log('WARN', `[Chat ${chatId}] Web search failed or returned no results`);
-                searchError = 'Web search failed. Please try again later.';
+        try {
+            // The model is loaded first: it plans the search queries
+            const loadError = await loadModel(chatId, model, res);
+            if (loadError) {
+                emit('error', { message: loadError });
+                untrackGeneration(chatId);
+                return res.end();
             }
-        }
+            recordUserTurn(conversation);
+
+            const search = await runWebSearch(chatId, message, useWebSearch, {
+                deepSearch: wantsDeepSearch(req.body.deepSearch),
+                runner: model.runner,
+                history,
+                owner: queueOwner(req),
+                signal: controller.signal,
+                docs: await documentSearch(chatId, req, model, req.body.useDocs, controller.signal)
+            });
+
+            emit('meta', {
+                id: chatId,
+                cancelToken,
+                conversationId: conversation ? conversation.id : null,
+                modelId: model.id,
+                backend: model.runner.backend,
+                usedWeb: search.usedWeb,
+                usedDocs: search.usedDocs,
+                searchProvider: search.searchProvider,
+                searchError: search.searchError,
+                searchQueries: search.searchQueries,
+                searchDecision: search.searchDecision,
+                pagesRead: search.pagesRead
+            });
+            if (search.sources.length) emit('sources', { sources: search.sources });
+
+            const options = withGenerationOverrides(generation.options, {
+                priority: 'interactive',
+                owner: queueOwner(req),
+                signal: controller.signal,
+                onQueue: (position, depth) => emit('queue', { position, depth }),
+                onToken: (text) => emit('token', { text })
+            });
+
+            const result = await model.runner.processQuery(message, history, search.webContext, options);
 
-        // Save old runner settings and apply per-request generation settings if provided
-        const oldTemperature = localRunner.temperature;
-        const oldMaxTokens = localRunner.maxTokens;
-        let changedSettings = false;
-        if (typeof temperature === 'number' && !Number.isNaN(temperature)) {
-            log('INFO', `[Chat ${chatId}] Setting temperature: ${temperature}`);
-            try { localRunner.temperature = temperature; changedSettings = true; } catch {}
-        }
-        if (typeof maxTokens === 'number' && !Number.isNaN(maxTokens)) {
-            log('INFO', `[Chat ${chatId}] Setting maxTokens: ${maxTokens}`);
-            try { localRunner.maxTokens = maxTokens; changedSettings = true; } catch {}
+            const totalTime = Date.now() - startTime;
+            const stopped = !!result.stopped;
+            log('INFO', `[Chat ${chatId}] Stream ${stopped ? 'stopped' : 'complete'} in ${totalTime}ms`);
+
+            // Keep partial answers too (the user may have pressed Stop), flagged as stopped
+            const answer = sanitizeAnswer(result.response, search.sources, chatId);
+            if (conversation && (answer || !stopped)) {
+                const meta = { sources: search.sources, model: result.model };
+                if (stopped) meta.stopped = true;
+                conversationStore.addMessage(conversation.userId, conversation.id, { role: 'assistant', content: answer, meta });
+            }
+
+            emit('done', {
+                answer,
+                conversationId: conversation ? conversation.id : null,
+                language: result.language,
+                model: result.model,
+                usedWeb: search.usedWeb,
+                usedDocs: search.usedDocs,
+                stopped,
+                stats: result.stats
+            });
+        } catch (error) {
+            if (error.code === 'QUEUE_FULL') {
+                log('WARN', `[Chat ${chatId}] Queue full, retry after ${error.retryAfter}s`);
+                emit('error', { message: 'Server busy: too many queued requests, please retry shortly', retryAfter: error.retryAfter });
+            } else if (error.code === 'MODEL_RESTARTING') {
+                log('WARN', `[Chat ${chatId}] ${error.message}`);
+                emit('error', { message: error.message, retryAfter: error.retryAfter, retriable: true });
+            } else {
+                log('ERROR', `[Chat ${chatId}] Stream error:`, error.message);
+                emit('error', { message: 'Local model error' });
+            }
         }
+        untrackGeneration(chatId);
+        res.end();
+    }
 
+    // The actual chat handler logic
+    async function chatHandler(req, res) {
+        const startTime = Date.now();
+        const chatId = Math.random().toString(36).substring(7);
+        const username = req.user?.username || 'guest';
+        log('INFO', `[Chat ${chatId}] Request from ${username}`);
         try {
-            if (!localAvailable) {
-                log('WARN', `[Chat ${chatId}] Local engine not available, attempting reinit...`);
-                try {
-                    localAvailable = await localRunner.init();
-                } catch (error) {
-                    log('ERROR', `[Chat ${chatId}] Reinitialization failed:`, error.message);
-                }
+            const { message, useWebSearch = true } = req.body;
+            log('INFO', `[Chat ${chatId}] Message length: ${message?.length || 0} chars`);
+            const invalid = validateChatMessage(message);
+            if (invalid) {
+                log('WARN', `[Chat ${chatId}] ${invalid}`);
+                return res.status(400).json({ message: invalid });
+            }
+            const generation = parseGenerationOptions(req.body);
+            if (generation.error) {
+                log('WARN', `[Chat ${chatId}] ${generation.error}`);
+                return res.status(400).json({ message: generation.error, param: generation.param });
             }
+            const model = selectModel(req.body.model);
+            if (model.error) {
+                log('WARN', `[Chat ${chatId}] ${model.error}`);
+                return res.status(400).json({ message: model.error, param: 'model' });
+            }
+            if (!model.runner) return res.status(503).json({ message: MODEL_UNAVAILABLE });
+            const busy = queueFullError(model.runner);
+            if (busy) {
+                log('WARN', `[Chat ${chatId}] Queue full, retry after ${busy.retryAfter}s`);
+                return sendQueueFull(res, busy);
+            }
+            const { history: trimmedHistory, conversation, error: conversationError, message: conversationMessage } = resolveConversation(req, message);
+            if (conversationError) return res.status(conversationError).json({ message: conversationMessage });
+            // Cancel the answer if the client disconnects before it is sent
+            const { controller } = trackGeneration(chatId, queueOwner(req));
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    controller.abort();
+                    log('INFO', `[Chat ${chatId}] Client disconnected, generation cancelled`);
+                }
+            });
+            // Id of the stored assistant message, so the background full answer can replace it
+            let storedMessageId = null;
 
-            if (!localAvailable) {
-                log('ERROR', `[Chat ${chatId}] Local model unavailable`);
+            // The model is loaded first: it plans the search queries
+            const loadError = await loadModel(chatId, model, res);
+            if (loadError) {
                 return res.status(503).json({
-                    message: 'Local model unavailable. Place a GGUF model in ./.ollama or ./.ollama/blobs, or set LUCKAI_GGUF_PATH.',
-                    usedWeb,
-                    sources
+                    message: loadError,
+                    usedWeb: false,
+                    sources: []
                 });
             }
-
-            log('INFO', `[Chat ${chatId}] Processing with Local GGUF...`);
+            recordUserTurn(conversation);
+
+            const { webContext, sources, usedWeb, usedDocs, searchError, searchProvider, searchQueries, searchDecision, pagesRead } = await runWebSearch(chatId, message, useWebSearch, {
+                deepSearch: wantsDeepSearch(req.body.deepSearch),
+                runner: model.runner,
+                history: trimmedHistory,
+                owner: queueOwner(req),
+                signal: controller.signal,
+                docs: await documentSearch(chatId, req, model, req.body.useDocs, controller.signal)
+            });
+            // Resolve the answering backend's defaults now so the background full answer uses this request's settings only
+            const genOptions = model.runner.resolveGenerationOptions(withGenerationOverrides(generation.options, {
+                priority: 'interactive',
+                owner: queueOwner(req),
+                signal: controller.signal
+            }));
+
+            log('INFO', `[Chat ${chatId}] Processing with ${model.runner.backend === 'local-gguf' ? `Local GGUF (${model.id})` : `the ${model.runner.backend} backend`}...`);
             let modelResponse;
 
             try {
-                // Trim conversation history to last N entries to reduce token usage and speed up responses
-                const trimmedHistory = (conversationHistory || []).slice(-6);
-
                 // Decide whether to operate in two-phase mode (fast short answer + background full answer)
                 const twoPhase = req.body.fast !== false; // default to true for faster perceived latency
 
@@ -800,11 +1188,14 @@ async function chatHandler(req, res) {
 
                 if (twoPhase) {
                     // Phase 1: quick concise response (short max tokens)
-                    const shortMax = Math.min(96, localRunner.maxTokens || 96);
-                    const shortTemp = Math.min(0.55, localRunner.temperature || 0.55);
+                    const shortOptions = withGenerationOverrides(genOptions, {
+                        maxTokens: Math.min(96, genOptions.maxTokens),
+                        temperature: Math.min(0.55, genOptions.temperature),
+                        short: true
+                    });
 
                     const shortStart = Date.now();
-                    const shortResult = await localRunner.processQuery(message, trimmedHistory, webContext, { maxTokens: shortMax, temperature: shortTemp, short: true });
+                    const shortResult = await model.runner.processQuery(message, trimmedHistory, webContext, shortOptions);
                     queryTime = Date.now() - shortStart;
 
                     // If the short response looks incomplete, ask a short continuation synchronously (one attempt)
@@ -823,7 +1214,7 @@ async function chatHandler(req, res) {
                     if (isProbablyIncomplete(shortResult.response)) {
                         try {
                             const continuationHistory = trimmedHistory.concat({ role: 'assistant', content: shortResult.response });
-                            const cont = await localRunner.processQuery('Continue the previous answer briefly to finish the last sentence without repeating what you already said.', continuationHistory, webContext, { maxTokens: 128, temperature: Math.min(0.7, localRunner.temperature || 0.7) });
+                            const cont = await model.runner.processQuery('Continue the previous answer briefly to finish the last sentence without repeating what you already said.', continuationHistory, webContext, withGenerationOverrides(genOptions, { maxTokens: 128, temperature: Math.min(0.7, genOptions.temperature) }));
                             if (cont && cont.response && cont.response.trim()) {
                                 shortResult.response = (shortResult.response + ' ' + cont.response).trim();
                             }
@@ -833,64 +1224,54 @@ async function chatHandler(req, res) {
                         }
                     }
 
+                    // Nobody is waiting for an answer any more: skip the background generation too
+                    if (shortResult.stopped) {
+                        log('INFO', `[Chat ${chatId}] Cancelled before the short answer was sent`);
+                        return;
+                    }
+
                     // Immediately return short response and kick off background full generation
-                    const fullId = Math.random().toString(36).substring(2, 12);
-                    fullResponses.set(fullId, { ready: false, answer: null, startedAt: Date.now() });
+                    const fullMaxTokens = Math.max(1024, genOptions.maxTokens);
+                    const fullId = jobStore.create(queueOwner(req), { kind: 'full-answer', username: req.user?.username, maxTokens: fullMaxTokens }).id;
+                    // The background job outlives this request: it gets its own cancellation handle (by fullId)
+                    // and its own lease on the model
+                    const { controller: fullController, cancelToken: fullCancelToken } = trackGeneration(fullId, queueOwner(req));
+                    const releaseModel = model.runner.backend === 'local-gguf' ? modelManager.lease(model.id) : () => {};
 
                     (async () => {
                         try {
-                            const fullMax = Math.max(1024, Number(localRunner.maxTokens || 1024));
-                            const fullTemp = Math.min(0.9, localRunner.temperature || 0.9);
-                            const fullResult = await localRunner.processQuery(message, trimmedHistory, webContext, { maxTokens: fullMax, temperature: fullTemp });
-                            // Sanitize the full result to strip redirect/uddg lines before storing
-                            let fullText = String(fullResult.response || '');
-                            const fullLines = fullText.split(/\r?\n/).filter(Boolean);
-                            let sanitizedFull = fullLines.filter(l => {
-                                const t = String(l || '').trim();
-                                if (!t) return false;
-                                if (/duckduckgo\.com\/l\//i.test(t)) return false;
-                                if (/\buddg=/i.test(t)) return false;
-                                if (/^https?:\/\//i.test(t) || /^\/\//.test(t)) return false;
-                                if (/(%3A|%2F|%3D|%26|%3F)/i.test(t) && t.length > 24) return false;
-                                if (/[\/%=\?&]/.test(t) && t.length > 40) return false;
-                                return true;
-                            }).join('\n').trim();
-
-                            // If sanitization removed everything, build a permissive fallback to preserve content
-                            if (!sanitizedFull && fullText && fullText.trim()) {
-                                try {
-                                    let fallback = String(fullText || '');
-                                    // strip common redirect fragments
-                                    fallback = fallback.replace(/https?:\/\/duckduckgo\.com\/l\/[A-Za-z0-9_\-]+/ig, '');
-                                    fallback = fallback.replace(/uddg=[A-Za-z0-9%_\-]+/ig, '');
-                                    // replace long encoded runs with a short marker
-                                    fallback = fallback.replace(/(%3A|%2F|%3D|%26|%3F)[A-Za-z0-9%]{10,}/ig, ' [link]');
-                                    // keep first several non-empty lines
-                                    fallback = fallback.split(/\r?\n/).map(l => l.trim()).filter(Boolean).slice(0, 30).join('\n');
-                                    if (fallback.length > 8000) fallback = fallback.slice(0, 8000) + '...';
-                                    sanitizedFull = fallback.trim();
-                                    log('WARN', `[Chat ${chatId}] Full response sanitization removed content; storing permissive fallback (${sanitizedFull.length} chars)`);
-                                } catch (e) {
-                                    // leave sanitizedFull empty if fallback generation failed
-                                }
+                            const fullOptions = withGenerationOverrides(genOptions, {
+                                priority: 'background',
+                                signal: fullController.signal,
+                                maxTokens: fullMaxTokens,
+                                temperature: Math.min(0.9, genOptions.temperature),
+                                onQueue: (position) => jobStore.setQueuePosition(fullId, position),
+                                onStart: () => jobStore.start(fullId),
+                                onProgress: (tokens) => jobStore.progress(fullId, tokens)
+                            });
+                            // Still leased, but it may have crashed and be restarting since the short answer
+                            const reloadError = await loadModel(chatId, model);
+                            if (reloadError) throw new Error(reloadError);
+                            const fullResult = await model.runner.processQuery(message, trimmedHistory, webContext, fullOptions);
+                            if (fullResult.stopped) {
+                                // Keep the short answer the client already has
+                                log('INFO', `[Chat ${chatId}] Background full answer ${fullId} cancelled`);
+                                jobStore.cancel(fullId, { answer: shortResult.response });
+                                return;
+                            }
+                            const sanitizedFull = sanitizeAnswer(fullResult.response, sources, chatId, FULL_ANSWER_LIMITS);
+                            jobStore.complete(fullId, { answer: sanitizedFull });
+                            if (conversation && storedMessageId && sanitizedFull) {
+                                conversationStore.updateMessage(conversation.userId, conversation.id, storedMessageId, { content: sanitizedFull });
                             }
-
-                            fullResponses.set(fullId, { ready: true, answer: sanitizedFull, startedAt: Date.now(), finishedAt: Date.now() });
                         } catch (err) {
-                            // Sanitize short result before storing as full fallback
-                            let sr = String(shortResult.response || '');
-                            const srLines = sr.split(/\r?\n/).filter(Boolean);
-                            const sanitizedShort = srLines.filter(l => {
-                                const t = String(l || '').trim();
-                                if (!t) return false;
-                                if (/duckduckgo\.com\/l\//i.test(t)) return false;
-                                if (/\buddg=/i.test(t)) return false;
-                                if (/^https?:\/\//i.test(t) || /^\/\//.test(t)) return false;
-                                if (/(%3A|%2F|%3D|%26|%3F)/i.test(t) && t.length > 24) return false;
-                                if (/[\/%=\?&]/.test(t) && t.length > 40) return false;
-                                return true;
-                            }).join('\n').trim();
-                            fullResponses.set(fullId, { ready: true, answer: sanitizedShort || shortResult.response, error: err.message });
+                            // Keep the short answer as the result
+                            const sanitizedShort = sanitizeAnswer(shortResult.response, sources, chatId);
+                            log('ERROR', `[Chat ${chatId}] Background full answer ${fullId} failed:`, err.message);
+                            jobStore.fail(fullId, err.message, { answer: sanitizedShort || shortResult.response });
+                        } finally {
+                            untrackGeneration(fullId);
+                            releaseModel();
                         }
                     })();
 
@@ -898,6 +1279,7 @@ async function chatHandler(req, res) {
                         answer: shortResult.response,
                         pendingFull: true,
                         fullId,
+                        cancelToken: fullCancelToken,
                         language: shortResult.language,
                         model: shortResult.model,
                         stats: Object.assign(shortResult.stats || {}, { phase: 'short' })
@@ -906,10 +1288,11 @@ async function chatHandler(req, res) {
                 } else {
                     // Single-phase: full generation
                     const queryStartTime = Date.now();
-                    const localResult = await localRunner.processQuery(
+                    const localResult = await model.runner.processQuery(
                         message,
                         trimmedHistory,
-                        webContext
+                        webContext,
+                        genOptions
                     );
                     queryTime = Date.now() - queryStartTime;
 
@@ -920,9 +1303,17 @@ async function chatHandler(req, res) {
                         stats: localResult.stats
                     };
                 }
-                
+
                 log('INFO', `[Chat ${chatId}] Query processed in ${queryTime}ms`);
             } catch (error) {
+                if (error.code === 'QUEUE_FULL') {
+                    log('WARN', `[Chat ${chatId}] Queue full, retry after ${error.retryAfter}s`);
+                    return sendQueueFull(res, error);
+                }
+                if (error.code === 'MODEL_RESTARTING') {
+                    log('WARN', `[Chat ${chatId}] ${error.message}`);
+                    return sendRetriable(res, error);
+                }
                 log('ERROR', `[Chat ${chatId}] Generation error:`, error.message);
                 return res.status(500).json({ message: 'Local model error', usedWeb, sources });
             }
@@ -930,237 +1321,804 @@ async function chatHandler(req, res) {
             const totalTime = Date.now() - startTime;
             log('INFO', `[Chat ${chatId}] Response complete in ${totalTime}ms`);
 
-            // Sanitize answer: remove raw source URL lines or duckduckgo redirect lines so UI shows only the pill/panel
-                        const rawAnswer = String(modelResponse.answer || '');
-                        let safeAnswer = rawAnswer;
-
-                        const lines = rawAnswer.split(/\r?\n/);
-                        const filtered = lines.filter(line => {
-                            const t = String(line || '').trim();
-                            if (!t) return true;
-                            // Remove if contains exact source URL
-                            if (sources && sources.length && sources.some(s => s.url && t.includes(s.url))) return false;
-                            // Remove duckduckgo redirect fragments and uddg params
-                            if (/duckduckgo\.com\/l\//i.test(t)) return false;
-                            if (/\buddg=/i.test(t)) return false;
-                            // Remove lines that look like raw URLs
-                            if (/^https?:\/\//i.test(t) || /^\/\//.test(t)) return false;
-                            // Remove encoded URL-like lines (many percent-encoded sequences or long query strings)
-                            if (/(%3A|%2F|%3D|%26|%3F)/i.test(t) && t.length > 24) return false;
-                            if (/[\/%=\?&]/.test(t) && t.length > 40) return false;
-                            return true;
-                        });
-                        safeAnswer = filtered.join('\n').trim();
-
-                        // If sanitization removed everything, fall back to a permissive cleaned version instead of returning an empty message
-                        if (!safeAnswer && rawAnswer && rawAnswer.trim()) {
-                            try {
-                                let fallback = String(rawAnswer || '');
-                                // Remove explicit redirect fragments
-                                fallback = fallback.replace(/https?:\/\/duckduckgo\.com\/l\/[A-Za-z0-9_\-]+/ig, '');
-                                fallback = fallback.replace(/uddg=[A-Za-z0-9%_\-]+/ig, '');
-                                // Replace long percent-encoded chunks with a short token
-                                fallback = fallback.replace(/(%3A|%2F|%3D|%26|%3F)[A-Za-z0-9%]{10,}/ig, ' [link]');
-                                // Trim very long lines but keep text
-                                fallback = fallback.split(/\r?\n/).map(l => l.trim()).filter(Boolean).slice(0, 10).join('\n');
-                                if (fallback.length > 2000) fallback = fallback.slice(0, 2000) + '...';
-                                safeAnswer = fallback.trim();
-                                log('WARN', `[Chat ${chatId}] Sanitization removed original content; serving permissive fallback (${safeAnswer.length} chars)`);
-                            } catch (e) {
-                                safeAnswer = '';
-                            }
-                        }
-            
-                        res.json({
-                            answer: safeAnswer,
-                            pendingFull: modelResponse.pendingFull || false,
-                            fullId: modelResponse.fullId || null,
-                            language: modelResponse.language,
-                            usedWeb: usedWeb,
-                            sources: sources,
-                            model: modelResponse.model,
-                            searchError: searchError, // present when web search failed
-                            searchProvider: searchProvider || null
-                        });
-        } finally {
-            // Restore transient settings if we changed them
-            if (changedSettings) {
-                try { localRunner.temperature = oldTemperature; } catch {}
-                try { localRunner.maxTokens = oldMaxTokens; } catch {}
+            const safeAnswer = sanitizeAnswer(modelResponse.answer, sources, chatId);
+            if (conversation) {
+                const stored = conversationStore.addMessage(conversation.userId, conversation.id, { role: 'assistant', content: safeAnswer, meta: { sources, model: modelResponse.model } });
+                storedMessageId = stored && stored.id;
             }
+
+            res.json({
+                answer: safeAnswer,
+                conversationId: conversation ? conversation.id : null,
+                pendingFull: modelResponse.pendingFull || false,
+                fullId: modelResponse.fullId || null,
+                cancelToken: modelResponse.cancelToken || null,
+                language: modelResponse.language,
+                usedWeb: usedWeb,
+                usedDocs,
+                sources: sources,
+                model: modelResponse.model,
+                modelId: model.id,
+                backend: model.runner.backend,
+                searchError: searchError, // present when web search failed
+                searchProvider: searchProvider || null,
+                searchQueries,
+                searchDecision,
+                pagesRead
+            });
+        } catch (error) {
+            log('ERROR', 'Chat endpoint error:', error.message);
+            res.status(500).json({ message: 'Error processing request' });
+        } finally {
+            untrackGeneration(chatId);
         }
-    } catch (error) {
-        log('ERROR', 'Chat endpoint error:', error.message);
-        res.status(500).json({ message: 'Error processing request' });
     }
-}
 
-/**
- * Verify token endpoint
- */
-app.get('/api/verify', authenticateToken, (req, res) => {
-    log('INFO', `Token verified for user: ${req.user?.username || 'guest'}`);
-    res.json({ valid: true, user: req.user });
-});
+    /* ============================================
+       JOBS API
+       ============================================ */
 
-/**
- * Record user feedback for a specific assistant message
- */
-app.post('/api/feedback', (req, res) => {
-    const username = req.user?.username || 'guest';
-    const { messageId, feedback, content, prompt } = req.body || {};
-    if (!messageId || !feedback) {
-        return res.status(400).json({ ok: false, message: 'messageId and feedback are required' });
+    /**
+     * List background jobs, newest first. Users see their own jobs; admins see everyone's unless ?mine=1.
+     */
+    app.get('/api/jobs', allowGuest, (req, res) => {
+        const all = req.user?.role === 'admin' && req.query.mine !== '1';
+        res.json({ jobs: jobStore.list(all ? {} : { owner: queueOwner(req) }) });
+    });
+
+    /**
+     * Job state, tokens generated so far, ETA and result
+     */
+    app.get('/api/jobs/:id', allowGuest, (req, res) => {
+        const job = jobStore.get(req.params.id);
+        if (!job || (!jobStore.isOwner(job.id, queueOwner(req)) && req.user?.role !== 'admin')) {
+            return res.status(404).json({ message: JOB_NOT_FOUND });
+        }
+        res.json({ job });
+    });
+
+    /* ============================================
+       DOCUMENTS API
+       ============================================ */
+
+    // The document when it exists and `req`'s user may see it (its owner or an admin), else null
+    function visibleDocument(req) {
+        const found = documentStore.get(req.params.id);
+        if (!found || (found.document.owner !== userKey(req.user) && req.user.role !== 'admin')) return null;
+        return found;
     }
-    if (!['up', 'down'].includes(feedback)) {
-        return res.status(400).json({ ok: false, message: 'feedback must be "up" or "down"' });
+
+    /**
+     * List the current user's documents. Admins see everyone's unless ?mine=1.
+     */
+    app.get('/api/documents', authenticateToken, requireUser, (req, res) => {
+        const all = req.user.role === 'admin' && req.query.mine !== '1';
+        res.json({ documents: documentStore.list(all ? {} : { owner: userKey(req.user) }) });
+    });
+
+    /**
+     * Add a document: { name, content, type?, encoding? }. `type` is text, markdown, html or pdf (or their MIME type),
+     * from the name's extension when omitted; PDFs are sent base64-encoded (`encoding: 'base64'`). The chunks are
+     * embedded with the embedding model, or kept for keyword search when no model can embed.
+     */
+    app.post('/api/documents', authenticateToken, requireUser, async (req, res) => {
+        const { name, content, type, encoding } = req.body || {};
+        if (typeof content !== 'string' || !content) return res.status(400).json({ message: 'content must be a non-empty string', param: 'content' });
+        if (encoding !== undefined && encoding !== 'base64' && encoding !== 'utf8') {
+            return res.status(400).json({ message: 'encoding must be base64 or utf8', param: 'encoding' });
+        }
+        const chatId = Math.random().toString(36).substring(7);
+        try {
+            const document = await documentStore.add({
+                name,
+                type,
+                owner: userKey(req.user),
+                content: encoding === 'base64' ? Buffer.from(content, 'base64') : content
+            }, await documentEmbedder(chatId, null, { owner: queueOwner(req), signal: closeSignal(res), res }));
+            log('INFO', `Document ${document.id} (${document.name}, ${document.chunks} chunks) added by ${req.user.username}`);
+            res.status(201).json({ document });
+        } catch (error) {
+            if (error instanceof DocumentError) return res.status(400).json({ message: error.message, param: error.param });
+            log('ERROR', 'Document upload error:', error.message);
+            res.status(500).json({ message: 'Error adding the document' });
+        }
+    });
+
+    /**
+     * A document and its chunks
+     */
+    app.get('/api/documents/:id', authenticateToken, requireUser, (req, res) => {
+        const found = visibleDocument(req);
+        if (!found) return res.status(404).json({ message: 'Document not found' });
+        res.json(found);
+    });
+
+    /**
+     * Delete a document (its owner or an admin)
+     */
+    app.delete('/api/documents/:id', authenticateToken, requireUser, (req, res) => {
+        if (!visibleDocument(req)) return res.status(404).json({ message: 'Document not found' });
+        try {
+            documentStore.remove(req.params.id);
+            log('INFO', `Document deleted by ${req.user.username}:`, req.params.id);
+            res.json({ ok: true });
+        } catch (e) {
+            log('ERROR', 'Failed to delete document:', e.message);
+            res.status(500).json({ message: 'Failed to delete document' });
+        }
+    });
+
+    /* ============================================
+       EMBEDDINGS API
+       ============================================ */
+
+    // Embed `texts` with the embedding model (`requested` overrides it): { model, vectors, tokens } with unit-length
+    // vectors and each text's token count, or { status, error, param } when no model can embed. Backend errors
+    // (QueueFullError when the model's queue is full) are thrown. The texts are queued for `owner` and dropped from the
+    // queue when `signal` aborts. The model stays loaded until `res` closes.
+    async function computeEmbeddings(chatId, texts, requested, { owner, signal, res } = {}) {
+        const loaded = await loadEmbeddingModel(chatId, requested, res);
+        if (loaded.error) return loaded;
+        const runner = loaded.model.runner;
+        const vectors = await runner.embed(texts, { owner, signal });
+        if (!Array.isArray(vectors) || vectors.length !== texts.length || vectors.some(v => !v || !v.length || v.length !== vectors[0].length)) {
+            throw new Error(`${runner.backend} backend returned ${Array.isArray(vectors) ? vectors.length : 'no'} unusable vectors`);
+        }
+        // Backends without a tokenizer (Ollama) get an estimate
+        const tokens = await Promise.all(texts.map(text => runner.tokenize(text).then(ids => ids.length, () => estimateTokens(text))));
+        log('INFO', `[Embeddings ${chatId}] ${texts.length} input(s), ${vectors[0].length} dimensions, with ${servedModelName(loaded.model)}`);
+        return { model: loaded.model, vectors: vectors.map(normalizeVector), tokens };
     }
 
-    // Ensure data dir exists
-    try { if (!fs.existsSync(path.join(__dirname, 'data'))) fs.mkdirSync(path.join(__dirname, 'data')); } catch (e) {}
-
-    const entry = {
-        timestamp: new Date().toISOString(),
-        username,
-        messageId,
-        feedback,
-        content: content || '',
-        prompt: prompt || '',
-        userAgent: req.headers['user-agent'] || '',
-        ip: req.ip || ''
+    /**
+     * Embeddings: { input, model? }, `input` being a string or an array of up to LUCKAI_EMBEDDING_MAX_BATCH strings.
+     * Returns unit-length vectors with their dimensions and token counts. Signed-in users only: embedding is CPU-heavy.
+     */
+    app.post('/api/embeddings', authenticateToken, requireUser, async (req, res) => {
+        const chatId = Math.random().toString(36).substring(7);
+        const { input, model } = req.body || {};
+        const parsed = parseEmbeddingInput(input, EMBEDDING_MAX_BATCH);
+        if (parsed.error) return res.status(400).json({ message: parsed.error, param: 'input' });
+        try {
+            const result = await computeEmbeddings(chatId, parsed.texts, model, { owner: queueOwner(req), signal: closeSignal(res), res });
+            if (result.error) return res.status(result.status).json({ message: result.error, param: result.param });
+            const promptTokens = result.tokens.reduce((sum, n) => sum + n, 0);
+            res.json({
+                model: servedModelName(result.model),
+                backend: result.model.runner.backend,
+                dimensions: result.vectors[0].length,
+                embeddings: result.vectors,
+                tokens: result.tokens,
+                usage: { promptTokens, totalTokens: promptTokens }
+            });
+        } catch (error) {
+            if (error.code === 'ABORTED') return log('INFO', `[Embeddings ${chatId}] Client disconnected, embedding cancelled`);
+            if (error.code === 'NOT_SUPPORTED') return res.status(501).json({ message: error.message });
+            if (error.code === 'QUEUE_FULL') return sendQueueFull(res, error);
+            if (error.code === 'MODEL_RESTARTING') return sendRetriable(res, error);
+            log('ERROR', `[Embeddings ${chatId}] Embedding error:`, error.message);
+            res.status(500).json({ message: 'Embedding error' });
+        }
+    });
+
+    /* ============================================
+       CONVERSATIONS API
+       ============================================ */
+
+    /**
+     * List the current user's conversations (most recently updated first)
+     */
+    app.get('/api/conversations', authenticateToken, requireUser, (req, res) => {
+        res.json({ conversations: conversationStore.list(userKey(req.user)) });
+    });
+
+    /**
+     * Create a conversation. Body: { title?, messages? } (messages lets clients import existing history)
+     */
+    app.post('/api/conversations', authenticateToken, requireUser, (req, res) => {
+        const { title, messages } = req.body || {};
+        if (title !== undefined && typeof title !== 'string') return res.status(400).json({ message: 'title must be a string' });
+        if (messages !== undefined && !Array.isArray(messages)) return res.status(400).json({ message: 'messages must be an array' });
+        try {
+            const conversation = conversationStore.create(userKey(req.user), { title, messages });
+            log('INFO', `Conversation created for ${req.user.username}:`, conversation.id);
+            res.status(201).json({ conversation });
+        } catch (e) {
+            log('ERROR', 'Failed to create conversation:', e.message);
+            res.status(500).json({ message: 'Failed to create conversation' });
+        }
+    });
+
+    app.get('/api/conversations/:id', authenticateToken, requireUser, (req, res) => {
+        const userId = userKey(req.user);
+        const conversation = conversationStore.get(userId, req.params.id);
+        if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+        res.json({ conversation, messages: conversationStore.listMessages(userId, req.params.id) });
+    });
+
+    /**
+     * Rename a conversation. Body: { title }
+     */
+    app.patch('/api/conversations/:id', authenticateToken, requireUser, (req, res) => {
+        const { title } = req.body || {};
+        if (typeof title !== 'string') return res.status(400).json({ message: 'title must be a string' });
+        try {
+            const conversation = conversationStore.update(userKey(req.user), req.params.id, { title });
+            if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+            res.json({ conversation });
+        } catch (e) {
+            log('ERROR', 'Failed to update conversation:', e.message);
+            res.status(500).json({ message: 'Failed to update conversation' });
+        }
+    });
+
+    app.delete('/api/conversations/:id', authenticateToken, requireUser, (req, res) => {
+        try {
+            if (!conversationStore.remove(userKey(req.user), req.params.id)) return res.status(404).json({ message: 'Conversation not found' });
+            log('INFO', `Conversation deleted for ${req.user.username}:`, req.params.id);
+            res.json({ ok: true });
+        } catch (e) {
+            log('ERROR', 'Failed to delete conversation:', e.message);
+            res.status(500).json({ message: 'Failed to delete conversation' });
+        }
+    });
+
+    app.get('/api/conversations/:id/messages', authenticateToken, requireUser, (req, res) => {
+        const messages = conversationStore.listMessages(userKey(req.user), req.params.id);
+        if (!messages) return res.status(404).json({ message: 'Conversation not found' });
+        res.json({ messages });
+    });
+
+    /**
+     * Append a message without generating an answer. Body: { role: 'user'|'assistant', content }
+     */
+    app.post('/api/conversations/:id/messages', authenticateToken, requireUser, (req, res) => {
+        const { role, content } = req.body || {};
+        if (!['user', 'assistant'].includes(role)) return res.status(400).json({ message: 'role must be "user" or "assistant"' });
+        if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ message: 'content must be a non-empty string' });
+        try {
+            const message = conversationStore.addMessage(userKey(req.user), req.params.id, { role, content });
+            if (!message) return res.status(404).json({ message: 'Conversation not found' });
+            res.status(201).json({ message });
+        } catch (e) {
+            log('ERROR', 'Failed to add message:', e.message);
+            res.status(500).json({ message: 'Failed to add message' });
+        }
+    });
+
+    /**
+     * Verify token endpoint
+     */
+    app.get('/api/verify', authenticateToken, (req, res) => {
+        log('INFO', `Token verified for user: ${req.user?.username || 'guest'}`);
+        res.json({ valid: true, user: req.user });
+    });
+
+    /**
+     * Record user feedback for a specific assistant message
+     */
+    app.post('/api/feedback', (req, res) => {
+        const username = req.user?.username || 'guest';
+        const { messageId, feedback, content, prompt } = req.body || {};
+        if (!messageId || !feedback) {
+            return res.status(400).json({ ok: false, message: 'messageId and feedback are required' });
+        }
+        if (!['up', 'down'].includes(feedback)) {
+            return res.status(400).json({ ok: false, message: 'feedback must be "up" or "down"' });
+        }
+
+        // Ensure data dir exists
+        try { if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true }); } catch (e) {}
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            username,
+            messageId,
+            feedback,
+            content: content || '',
+            prompt: prompt || '',
+            userAgent: req.headers['user-agent'] || '',
+            ip: req.ip || ''
+        };
+
+        const file = path.join(dataDir, 'feedback.jsonl');
+        try {
+            fs.appendFileSync(file, JSON.stringify(entry) + os.EOL);
+            log('INFO', 'Feedback recorded:', JSON.stringify({ messageId, feedback }));
+        } catch (e) {
+            log('ERROR', 'Failed to write feedback:', e && e.message ? e.message : e);
+        }
+
+        res.json({ ok: true });
+    });
+
+    /**
+     * Local models available for per-request selection (`model` field of /api/chat and /api/chat/stream)
+     */
+    app.get('/api/models', authenticateToken, async (req, res) => {
+        try {
+            await modelRegistry.loadMetadata();
+            const defaultId = modelRegistry.defaultId();
+            const memory = modelManager.stats();
+            res.json({
+                models: modelRegistry.list().map(m => ({
+                    id: m.id,
+                    name: m.name,
+                    aliases: m.aliases,
+                    size: m.size,
+                    sizeBytes: m.sizeBytes,
+                    arch: m.arch,
+                    parameters: m.parameters,
+                    quant: m.quant,
+                    contextLength: m.contextLength,
+                    source: m.source,
+                    license: m.license,
+                    loaded: modelManager.isLoaded(m.id),
+                    default: m.id === defaultId
+                })),
+                default: defaultId,
+                memory: { budgetBytes: memory.budgetBytes, usedBytes: memory.usedBytes }
+            });
+        } catch (error) {
+            log('ERROR', 'Model list error:', error.message);
+            res.status(500).json({ message: error.message });
+        }
+    });
+
+    /**
+     * One model's details, including its Ollama manifest layers (template, system prompt, params, full license)
+     */
+    app.get('/api/models/:id(*)', authenticateToken, async (req, res) => {
+        const model = modelRegistry.get(req.params.id);
+        if (!model) return res.status(404).json({ message: `Unknown model: ${req.params.id}` });
+        try {
+            await modelRegistry.loadMetadata();
+        } catch (error) {
+            log('ERROR', `Model details error (${model.id}):`, error.message);
+            return res.status(500).json({ message: error.message });
+        }
+        const info = modelRegistry.get(model.id);
+        const ollama = info.ollama;
+        res.json({
+            model: Object.assign({
+                id: info.id,
+                name: info.name,
+                aliases: info.aliases,
+                size: info.size,
+                sizeBytes: info.sizeBytes,
+                arch: info.arch,
+                quant: info.quant,
+                source: info.source,
+                parts: info.parts,
+                loaded: modelManager.isLoaded(info.id),
+                default: info.id === modelRegistry.defaultId()
+            }, ollama ? {
+                ollama: {
+                    name: ollama.name,
+                    template: ollama.template,
+                    system: ollama.system,
+                    params: ollama.params,
+                    license: ollama.license,
+                    missingLayers: ollama.missingLayers,
+                    ignoredParams: ollama.ignoredParams,
+                    templateError: ollama.templateError
+                }
+            } : {})
+        });
+    });
+
+    /**
+     * Local GGUF status endpoint
+     */
+    app.get('/api/local/status', authenticateToken, async (req, res) => {
+        const username = req.user?.username || 'guest';
+        log('INFO', 'Status check from:', username);
+        try {
+            const defaultId = modelRegistry.defaultId();
+            const defaultRunner = defaultId ? modelManager.runner(defaultId) : null;
+            const stats = modelManager.stats();
+            // Runtime details of every loaded model; the default model falls back to its header when not loaded
+            const details = (id) => {
+                const runner = modelManager.runner(id);
+                if (runner && runner.isAvailable()) return Object.assign({ id }, runner.info());
+                const entry = modelRegistry.get(id);
+                if (!entry) return null;
+                return {
+                    id,
+                    loaded: false,
+                    state: runner ? runner.state : 'unloaded',
+                    error: runner ? runner.loadError : null,
+                    assembly: runner ? runner.assembly : null,
+                    worker: runner && runner.workerInfo ? runner.workerInfo() : null,
+                    name: entry.name,
+                    modelPath: entry.path,
+                    gguf: modelRegistry.headerInfo(id)
+                };
+            };
+            stats.loaded = stats.loaded.map(m => Object.assign({}, m, details(m.id)));
+            // assembling / corrupt / loading / restarting are reported as such instead of a plain "unavailable"
+            const state = defaultRunner ? defaultRunner.state : 'missing';
+            res.json({
+                status: ['available', 'assembling', 'corrupt', 'loading', 'restarting'].includes(state) ? state : 'unavailable',
+                provider: 'local-gguf',
+                defaultModel: defaultId,
+                model: defaultId ? details(defaultId) : null,
+                models: stats,
+                queue: defaultRunner ? defaultRunner.scheduler.stats() : null,
+                // Failover order (LUCKAI_BACKENDS) and the state of each backend
+                backends: backendChain.map(entry => (entry.kind === 'local'
+                    ? { backend: 'local-gguf', loaded: !!(defaultRunner && defaultRunner.isAvailable()), state }
+                    : entry.backend.info()))
+            });
+        } catch (error) {
+            log('ERROR', 'Status check error:', error.message);
+            res.status(500).json({ message: error.message });
+        }
+    });
+
+    /* ============================================
+       OPENAI-COMPATIBLE API (/v1)
+       ============================================ */
+
+    log('INFO', 'Registering OpenAI-compatible endpoints...');
+
+    // OpenAI SDKs always send an API key: accept a LuckAI JWT to attribute the request, otherwise treat as guest
+    const openaiAuth = (req, res, next) => {
+        const authHeader = req.headers['authorization'] || '';
+        const token = (authHeader.split(' ')[1] || '').trim();
+        req.user = null;
+        if (!token) return next();
+        jwt.verify(token, JWT_SECRET, (err, user) => {
+            const account = !err && userStore.get(user.username);
+            if (account && !account.disabled) req.user = Object.assign({}, user, { role: account.role });
+            next();
+        });
     };
 
-    const file = path.join(__dirname, 'data', 'feedback.jsonl');
-    try {
-        fs.appendFileSync(file, JSON.stringify(entry) + os.EOL);
-        log('INFO', 'Feedback recorded:', JSON.stringify({ messageId, feedback }));
-    } catch (e) {
-        log('ERROR', 'Failed to write feedback:', e && e.message ? e.message : e);
+    // OpenAI clients often send model names of their own: unknown names fall back to the default model
+    function openaiSelectModel(requested) {
+        const model = selectModel(modelRegistry.resolve(requested));
+        return model.runner ? model : null;
     }
 
-    res.json({ ok: true });
-});
+    // Run a generation for an OpenAI request, writing SSE chunks when `stream` is set.
+    // `format(fields)` builds the per-chunk / final object for the endpoint's response shape.
+    async function runOpenAIRequest(req, res, { kind, message, history, options, webSearch, deepSearch, useDocs, format }) {
+        const chatId = Math.random().toString(36).substring(7);
+        const id = `${kind === 'chat' ? 'chatcmpl' : 'cmpl'}-${Math.random().toString(36).substring(2, 14)}`;
+        const created = Math.floor(Date.now() / 1000);
+        const selected = openaiSelectModel(req.body.model);
+        let model = selected ? selected.id : 'luckai';
+        const stream = req.body.stream === true;
+        log('INFO', `[OpenAI ${chatId}] ${kind} request from ${req.user?.username || 'guest'} (model=${model}, stream=${stream})`);
+
+        // Stop generating when the client disconnects before the response is complete
+        const controller = new AbortController();
+        res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+        let runner;
+        let search;
+        try {
+            const loadError = selected ? await loadModel(chatId, selected, res) : MODEL_UNAVAILABLE;
+            if (loadError) return openaiError(res, 503, loadError, null, 'server_error');
+            runner = selected.runner;
+            // Answered by a failover backend: name it instead of the local model that could not be loaded
+            model = servedModelName(selected);
+            const busy = queueFullError(runner);
+            if (busy) return openaiQueueFull(res, busy);
+            options = withGenerationOverrides(options, { priority: 'interactive', owner: queueOwner(req), signal: controller.signal });
+
+            search = webSearch || useDocs
+                ? await runWebSearch(chatId, message, webSearch, { deepSearch, runner, history, owner: queueOwner(req), signal: controller.signal, docs: await documentSearch(chatId, req, selected, useDocs, controller.signal) })
+                : { webContext: null, sources: [], usedWeb: false, usedDocs: false, searchProvider: null, searchError: null, searchQueries: null, pagesRead: null, searchDecision: null };
+        } catch (error) {
+            if (controller.signal.aborted) return log('INFO', `[OpenAI ${chatId}] Client disconnected before generation`);
+            log('ERROR', `[OpenAI ${chatId}] Request setup error:`, error.message);
+            if (res.headersSent) return res.end();
+            return openaiError(res, 500, 'Error preparing the request', null, 'server_error');
+        }
+        // Also present when `auto` decided against searching, to say why
+        const extension = search.usedWeb || search.usedDocs || search.searchError || (search.searchDecision && search.searchDecision.mode === 'auto')
+            ? { luckai: { used_web: search.usedWeb, used_docs: search.usedDocs, sources: search.sources, search_provider: search.searchProvider, search_error: search.searchError, search_queries: search.searchQueries, search_decision: search.searchDecision, pages_read: search.pagesRead } }
+            : {};
 
-/**
- * Local GGUF status endpoint
- */
-app.get('/api/local/status', authenticateToken, async (req, res) => {
-    const username = req.user?.username || 'guest';
-    log('INFO', 'Status check from:', username);
-    try {
-        res.json({
-            status: localAvailable ? 'available' : 'unavailable',
-            modelPath: process.env.LUCKAI_GGUF_PATH || null,
-            provider: 'local-gguf'
+        if (!stream) {
+            try {
+                const result = await runner.processQuery(message, history, search.webContext, options);
+                const answer = sanitizeAnswer(result.response, search.sources, chatId);
+                return res.json(Object.assign({
+                    id,
+                    object: kind === 'chat' ? 'chat.completion' : 'text_completion',
+                    created,
+                    model,
+                    choices: [format({ text: answer, finishReason: openaiFinishReason(result, options, runner) })],
+                    usage: openaiUsage(result)
+                }, extension));
+            } catch (error) {
+                if (error.code === 'QUEUE_FULL') return openaiQueueFull(res, error);
+                if (error.code === 'MODEL_RESTARTING') return openaiRetriable(res, error);
+                log('ERROR', `[OpenAI ${chatId}] Generation error:`, error.message);
+                return openaiError(res, 500, 'Local model error', null, 'server_error');
+            }
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
-    } catch (error) {
-        log('ERROR', 'Status check error:', error.message);
-        res.status(500).json({ message: error.message });
+        res.flushHeaders();
+
+        let clientGone = false;
+        res.on('close', () => { if (!res.writableEnded) clientGone = true; });
+        const object = kind === 'chat' ? 'chat.completion.chunk' : 'text_completion';
+        const writeChunk = (choice, extra = {}) => {
+            if (clientGone) return;
+            res.write(`data: ${JSON.stringify(Object.assign({ id, object, created, model, choices: [choice] }, extra))}\n\n`);
+        };
+
+        try {
+            if (kind === 'chat') writeChunk(format({ role: 'assistant', text: '', finishReason: null, delta: true }));
+            const result = await runner.processQuery(message, history, search.webContext, Object.assign({}, options, {
+                onToken: (text) => writeChunk(format({ text, finishReason: null, delta: true }))
+            }));
+            const includeUsage = !!(req.body.stream_options && req.body.stream_options.include_usage);
+            writeChunk(format({ text: '', finishReason: openaiFinishReason(result, options, runner), delta: true }),
+                Object.assign(includeUsage ? { usage: openaiUsage(result) } : {}, extension));
+        } catch (error) {
+            log('ERROR', `[OpenAI ${chatId}] Stream error:`, error.message);
+            const streamError = error.code === 'QUEUE_FULL'
+                ? { message: error.message, type: 'rate_limit_error', param: null, code: 'queue_full' }
+                : error.code === 'MODEL_RESTARTING'
+                    ? { message: error.message, type: 'server_error', param: null, code: 'model_restarting' }
+                    : { message: 'Local model error', type: 'server_error', param: null, code: null };
+            if (!clientGone) res.write(`data: ${JSON.stringify({ error: streamError })}\n\n`);
+        }
+        if (!clientGone) res.write('data: [DONE]\n\n');
+        res.end();
     }
-});
 
-/**
- * Determine if web search should be used
- */
-function shouldUseWebSearch(message) {
-    const lowerMsg = message.toLowerCase();
-    
-    // Keywords that indicate need for web search
-    const webSearchKeywords = [
-        'recent', 'today', 'yesterday', 'tomorrow', 'news', 'current',
-        'latest', 'when', 'where', 'what is', 'tell me about', 'how to',
-        '2024', '2025', 'this week', 'this month', 'trending', 'new',
-        'actualité', 'nouvelle', 'récent', 'aujourd', 'comment faire', 'quand'
-    ];
-
-    // Only trigger web search for sufficiently long queries (avoid slow searches for short Qs)
-    if ((message || '').length < 30) return false;
-    return webSearchKeywords.some(keyword => lowerMsg.includes(keyword));
-}
+    /**
+     * List models (OpenAI-compatible)
+     */
+    app.get('/v1/models', openaiAuth, (req, res) => {
+        res.json({
+            object: 'list',
+            data: modelRegistry.list().map(m => ({ id: m.id, object: 'model', created: Math.floor(Date.now() / 1000), owned_by: 'luckai' }))
+        });
+    });
 
-/**
- * Root endpoints with language support
- */
-log('INFO', 'Registering route handlers...');
-
-// Endpoint to fetch full generated answer when background generation completes
-app.get('/api/chat/full/:id', (req, res) => {
-    const id = req.params.id;
-    if (!id) return res.status(400).json({ message: 'Missing id' });
-    const entry = fullResponses.get(id);
-    if (!entry) return res.status(404).json({ ready: false });
-    res.json({ ready: !!entry.ready, answer: entry.answer, error: entry.error || null });
-});
-
-// English (default)
-app.get('/', (req, res) => {
-    log('INFO', 'Serving index page (English)');
-    res.sendFile(path.join(__dirname, 'html', 'index.html'));
-});
-
-// Login page (English)
-app.get('/login', (req, res) => {
-    log('INFO', 'Serving login page (English)');
-    res.sendFile(path.join(__dirname, 'html', 'login.html'));
-});
-
-// French
-app.get('/fr', (req, res) => {
-    log('INFO', 'Serving index page (French)');
-    res.sendFile(path.join(__dirname, 'html', 'index-fr.html'));
-});
-
-// Login page (French)
-app.get('/fr/login', (req, res) => {
-    log('INFO', 'Serving login page (French)');
-    res.sendFile(path.join(__dirname, 'html', 'login-fr.html'));
-});
-
-// Chat (English)
-app.get('/chat', (req, res) => {
-    log('INFO', 'Serving chat page (English)');
-    res.sendFile(path.join(__dirname, 'html', 'chat.html'));
-});
-
-// Chat (French)
-app.get('/fr/chat', (req, res) => {
-    log('INFO', 'Serving chat page (French)');
-    res.sendFile(path.join(__dirname, 'html', 'chat-fr.html'));
-});
-
-// Index page (English)
-app.get('/index.html', (req, res) => {
-    log('INFO', 'Serving index page (English)');
-    res.sendFile(path.join(__dirname, 'html', 'index.html'));
-});
-
-// Index page (French)
-app.get('/fr/index.html', (req, res) => {
-    log('INFO', 'Serving index page (French)');
-    res.sendFile(path.join(__dirname, 'html', 'index.html'));
-});
+    /**
+     * Chat completions (OpenAI-compatible). Extension fields: `web_search` ('always'|'never'|'auto' or boolean, default off),
+     * `deep_search` (boolean, read the result pages; default LUCKAI_DEEP_SEARCH) and `use_docs` (boolean, search the
+     * caller's uploaded documents)
+     */
+    app.post('/v1/chat/completions', openaiAuth, async (req, res) => {
+        const body = req.body || {};
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            return openaiError(res, 400, 'messages must be a non-empty array', 'messages');
+        }
+        const messages = body.messages.map(m => ({ role: String((m && m.role) || '').toLowerCase(), content: openaiContentText(m && m.content) }));
+        if (messages.some(m => !['system', 'developer', 'user', 'assistant', 'tool'].includes(m.role))) {
+            return openaiError(res, 400, 'each message must have a role of system, developer, user, assistant or tool', 'messages');
+        }
 
-/* ============================================
-   ERROR HANDLING & SERVER START
-   ============================================ */
+        // The last user message is the query; earlier turns become history and system messages override the system prompt
+        let lastUser = -1;
+        messages.forEach((m, i) => { if (m.role === 'user') lastUser = i; });
+        if (lastUser === -1 || !messages[lastUser].content.trim()) {
+            return openaiError(res, 400, 'messages must contain a non-empty user message', 'messages');
+        }
+        const message = messages[lastUser].content;
+        const invalid = validateChatMessage(message);
+        if (invalid) return openaiError(res, 400, invalid, 'messages');
+
+        const mapped = parseGenerationOptions(body, 'openai');
+        if (mapped.error) return openaiError(res, 400, mapped.error, mapped.param);
+        const system = messages.filter(m => m.role === 'system' || m.role === 'developer').map(m => m.content).join('\n\n').trim();
+        const options = system ? withGenerationOverrides(mapped.options, { systemPrompt: system }) : mapped.options;
+        const history = messages
+            .filter((m, i) => i !== lastUser && (m.role === 'user' || m.role === 'assistant'))
+            .map(m => ({ role: m.role, content: m.content }))
+            .slice(-6);
+
+        await runOpenAIRequest(req, res, {
+            kind: 'chat',
+            message,
+            history,
+            options,
+            webSearch: body.web_search || false,
+            deepSearch: wantsDeepSearch(body.deep_search),
+            useDocs: body.use_docs,
+            format: ({ role, text, finishReason, delta }) => {
+                if (!delta) return { index: 0, message: { role: 'assistant', content: text }, finish_reason: finishReason };
+                // First chunk announces the role, token chunks carry content, the final chunk is empty
+                const chunk = role ? { role, content: '' } : (text ? { content: text } : {});
+                return { index: 0, delta: chunk, finish_reason: finishReason };
+            }
+        });
+    });
+
+    /**
+     * Text completions (OpenAI-compatible legacy endpoint)
+     */
+    app.post('/v1/completions', openaiAuth, async (req, res) => {
+        const body = req.body || {};
+        let prompt = body.prompt;
+        if (Array.isArray(prompt)) {
+            if (prompt.length !== 1) return openaiError(res, 400, 'prompt arrays must contain exactly one string', 'prompt');
+            prompt = prompt[0];
+        }
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            return openaiError(res, 400, 'prompt must be a non-empty string', 'prompt');
+        }
+        const invalid = validateChatMessage(prompt);
+        if (invalid) return openaiError(res, 400, invalid, 'prompt');
+
+        const mapped = parseGenerationOptions(body, 'openai');
+        if (mapped.error) return openaiError(res, 400, mapped.error, mapped.param);
+
+        await runOpenAIRequest(req, res, {
+            kind: 'text',
+            message: prompt,
+            history: [],
+            options: mapped.options,
+            webSearch: body.web_search || false,
+            deepSearch: wantsDeepSearch(body.deep_search),
+            useDocs: body.use_docs,
+            format: ({ text, finishReason }) => ({ index: 0, text, logprobs: null, finish_reason: finishReason })
+        });
+    });
+
+    /**
+     * Embeddings (OpenAI-compatible): `input` (string or array of strings), `model` (other names use the embedding
+     * model), `encoding_format` ('float' or 'base64') and `dimensions` (shorter vectors, normalized again)
+     */
+    app.post('/v1/embeddings', openaiAuth, async (req, res) => {
+        const chatId = Math.random().toString(36).substring(7);
+        const body = req.body || {};
+        const parsed = parseEmbeddingInput(body.input, EMBEDDING_MAX_BATCH);
+        if (parsed.error) return openaiError(res, 400, parsed.error, 'input');
+        const format = body.encoding_format === undefined ? 'float' : body.encoding_format;
+        if (format !== 'float' && format !== 'base64') return openaiError(res, 400, 'encoding_format must be float or base64', 'encoding_format');
+        if (body.dimensions !== undefined && !(Number.isInteger(body.dimensions) && body.dimensions > 0)) {
+            return openaiError(res, 400, 'dimensions must be a positive integer', 'dimensions');
+        }
+
+        try {
+            const result = await computeEmbeddings(chatId, parsed.texts, modelRegistry.resolve(body.model) ? body.model : undefined, { owner: queueOwner(req), signal: closeSignal(res), res });
+            if (result.error) return openaiError(res, result.status, result.error, result.param || null, result.status === 400 ? 'invalid_request_error' : 'server_error');
+            let vectors = result.vectors;
+            if (body.dimensions !== undefined) {
+                if (body.dimensions > vectors[0].length) return openaiError(res, 400, `dimensions must be at most ${vectors[0].length} for this model`, 'dimensions');
+                vectors = vectors.map(v => normalizeVector(v.slice(0, body.dimensions)));
+            }
+            const promptTokens = result.tokens.reduce((sum, n) => sum + n, 0);
+            res.json({
+                object: 'list',
+                data: vectors.map((vector, index) => ({ object: 'embedding', index, embedding: format === 'base64' ? vectorToBase64(vector) : vector })),
+                model: servedModelName(result.model),
+                usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+            });
+        } catch (error) {
+            if (error.code === 'ABORTED') return log('INFO', `[OpenAI ${chatId}] Client disconnected, embedding cancelled`);
+            if (error.code === 'NOT_SUPPORTED') return openaiError(res, 501, error.message, 'model', 'server_error');
+            if (error.code === 'QUEUE_FULL') return openaiQueueFull(res, error);
+            if (error.code === 'MODEL_RESTARTING') return openaiRetriable(res, error);
+            log('ERROR', `[OpenAI ${chatId}] Embedding error:`, error.message);
+            return openaiError(res, 500, 'Embedding error', null, 'server_error');
+        }
+    });
+
+    /**
+     * Root endpoints with language support
+     */
+    log('INFO', 'Registering route handlers...');
+
+    // Endpoint to fetch full generated answer when background generation completes
+    // (compatibility view over the job store; see /api/jobs/:id for state and progress)
+    app.get('/api/chat/full/:id', allowGuest, (req, res) => {
+        const id = req.params.id;
+        if (!id) return res.status(400).json({ message: 'Missing id' });
+        const job = jobStore.get(id);
+        if (!job || (!jobStore.isOwner(job.id, queueOwner(req)) && req.user?.role !== 'admin')) {
+            return res.status(404).json({ ready: false, message: JOB_NOT_FOUND });
+        }
+        const ready = ['done', 'failed', 'cancelled'].includes(job.state);
+        res.json({
+            ready,
+            answer: ready && job.result ? job.result.answer : null,
+            stopped: job.state === 'cancelled',
+            state: job.state,
+            error: job.error
+        });
+    });
+
+    // English (default)
+    app.get('/', (req, res) => {
+        log('INFO', 'Serving index page (English)');
+        res.sendFile(path.join(__dirname, 'html', 'index.html'));
+    });
+
+    // Login page (English)
+    app.get('/login', (req, res) => {
+        log('INFO', 'Serving login page (English)');
+        res.sendFile(path.join(__dirname, 'html', 'login.html'));
+    });
+
+    // French
+    app.get('/fr', (req, res) => {
+        log('INFO', 'Serving index page (French)');
+        res.sendFile(path.join(__dirname, 'html', 'index-fr.html'));
+    });
+
+    // Login page (French)
+    app.get('/fr/login', (req, res) => {
+        log('INFO', 'Serving login page (French)');
+        res.sendFile(path.join(__dirname, 'html', 'login-fr.html'));
+    });
+
+    // Chat (English)
+    app.get('/chat', (req, res) => {
+        log('INFO', 'Serving chat page (English)');
+        res.sendFile(path.join(__dirname, 'html', 'chat.html'));
+    });
 
-log('INFO', 'Setting up error handler...');
+    // Chat (French)
+    app.get('/fr/chat', (req, res) => {
+        log('INFO', 'Serving chat page (French)');
+        res.sendFile(path.join(__dirname, 'html', 'chat-fr.html'));
+    });
+
+    // Index page (English)
+    app.get('/index.html', (req, res) => {
+        log('INFO', 'Serving index page (English)');
+        res.sendFile(path.join(__dirname, 'html', 'index.html'));
+    });
+
+    // Index page (French)
+    app.get('/fr/index.html', (req, res) => {
+        log('INFO', 'Serving index page (French)');
+        res.sendFile(path.join(__dirname, 'html', 'index.html'));
+    });
+
+    /* ============================================
+       ERROR HANDLING
+       ============================================ */
 
-app.use((err, req, res, next) => {
-    log('ERROR', 'Server error:', err.message);
-    res.status(500).json({ message: 'Internal server error' });
-});
+    log('INFO', 'Setting up error handler...');
+
+    app.use((err, req, res, next) => {
+        log('ERROR', 'Server error:', err.message);
+        res.status(500).json({ message: 'Internal server error' });
+    });
 
-log('INFO', 'Starting server...');
+    app.locals.services = { userStore, conversationStore, jobStore, documentStore, modelRegistry, modelManager, searchClient, pageReader, queryPlanner, searchRouter };
+    app.locals.ready = Promise.all([seeded, startup]).then(() => app);
+    return app;
+}
+
+/* ============================================
+   SERVER START
+   ============================================ */
+
+// Build the app and listen on `port` (PORT, default 3000); `npm start` runs this
+function start(port = process.env.PORT || 3000, options = {}) {
+    log('INFO', 'LuckAI Server Initializing...');
+    const app = createApp(options);
+    const { modelRegistry } = app.locals.services;
+    return app.listen(port, () => {
+        const startTime = new Date().toLocaleString();
+        log('INFO', '========== LuckAI Server Started ==========');
+        log('INFO', `Port: ${port}`);
+        log('INFO', `URL: http://localhost:${port}/`);
+        log('INFO', `Time: ${startTime}`);
+        log('INFO', `Local models: ${modelRegistry.list().length} found, default ${modelRegistry.defaultId() || 'none'}`);
+        log('INFO', '==========================================');
+    });
+}
 
-app.listen(PORT, () => {
-    const startTime = new Date().toLocaleString();
-    log('INFO', '========== LuckAI Server Started ==========');
-    log('INFO', `Port: ${PORT}`);
-    log('INFO', `URL: http://localhost:${PORT}/`);
-    log('INFO', `Time: ${startTime}`);
-    log('INFO', `Local GGUF: ${localAvailable ? 'Ready' : 'Not available'}`);
-    log('INFO', '==========================================');
-});
+if (require.main === module) start();
 
-module.exports = app
+module.exports = { createApp, start, DuckDuckGoClient, sanitizeAnswer, shouldUseWebSearch };
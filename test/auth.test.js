@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ADMIN_PASSWORD } = require('./helpers/app');
+
+describe('auth and guest routing', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+    after(() => ctx.close());
+
+    const login = async (username, password) => (await ctx.request('POST', '/api/login', { body: { username, password } })).body.token;
+
+    it('lets guests chat without a token', async () => {
+        const res = await ctx.request('POST', '/api/chat', { body: { message: 'Hello there', useWebSearch: false, fast: false } });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.answer);
+    });
+
+    it('lets guests read the status and model list', async () => {
+        assert.equal((await ctx.request('GET', '/api/local/status')).status, 200);
+        assert.equal((await ctx.request('GET', '/api/models')).status, 200);
+    });
+
+    it('requires a token for account endpoints', async () => {
+        const res = await ctx.request('GET', '/api/conversations');
+        assert.equal(res.status, 401);
+        assert.equal(res.body.message, 'Access token required');
+    });
+
+    it('treats x-guest requests as guests, who cannot use stored conversations', async () => {
+        const res = await ctx.request('GET', '/api/conversations', { headers: { 'x-guest': 'true' } });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.message, 'Login required');
+
+        const chat = await ctx.request('POST', '/api/chat', { body: { message: 'Hello', conversationId: 'abc' } });
+        assert.equal(chat.status, 401);
+    });
+
+    it('rejects invalid tokens', async () => {
+        const res = await ctx.request('GET', '/api/verify', { token: 'not-a-jwt' });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'Invalid token');
+    });
+
+    it('logs the seeded admin in', async () => {
+        const res = await ctx.request('POST', '/api/login', { body: { username: 'admin', password: ADMIN_PASSWORD } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.user.role, 'admin');
+
+        const wrong = await ctx.request('POST', '/api/login', { body: { username: 'admin', password: 'nope' } });
+        assert.equal(wrong.status, 401);
+    });
+
+    it('registers users, who can use conversations but not admin endpoints', async () => {
+        const res = await ctx.request('POST', '/api/register', { body: { username: 'alice', password: 'alice-password' } });
+        assert.equal(res.status, 201);
+        const token = res.body.token;
+
+        const dup = await ctx.request('POST', '/api/register', { body: { username: 'alice', password: 'alice-password' } });
+        assert.equal(dup.status, 409);
+
+        const created = await ctx.request('POST', '/api/conversations', { token, body: { title: 'Trip' } });
+        assert.equal(created.status, 201);
+        const chat = await ctx.request('POST', '/api/chat', { token, body: { message: 'Plan a trip', useWebSearch: false, fast: false, conversationId: created.body.conversation.id } });
+        assert.equal(chat.status, 200);
+        assert.equal(chat.body.conversationId, created.body.conversation.id);
+
+        const messages = await ctx.request('GET', `/api/conversations/${created.body.conversation.id}/messages`, { token });
+        assert.deepEqual(messages.body.messages.map(m => m.role), ['user', 'assistant']);
+
+        const admin = await ctx.request('GET', '/api/admin/users', { token });
+        assert.equal(admin.status, 403);
+    });
+
+    it('refuses tokens of disabled accounts', async () => {
+        const adminToken = await login('admin', ADMIN_PASSWORD);
+        await ctx.request('POST', '/api/register', { body: { username: 'bob', password: 'bob-password' } });
+        const token = await login('bob', 'bob-password');
+
+        const disabled = await ctx.request('PATCH', '/api/admin/users/bob', { token: adminToken, body: { disabled: true } });
+        assert.equal(disabled.status, 200);
+        const res = await ctx.request('GET', '/api/verify', { token });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.message, 'Account disabled');
+    });
+
+    it('can turn registration off', async () => {
+        const closed = await startApp({ app: { allowRegistration: false } });
+        try {
+            const res = await closed.request('POST', '/api/register', { body: { username: 'carol', password: 'carol-password' } });
+            assert.equal(res.status, 403);
+        } finally {
+            await closed.close();
+        }
+    });
+});
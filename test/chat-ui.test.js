@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { startApp } = require('./helpers/app');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets', 'js');
+
+// The browser scripts (api.js, then chat.js) in a sandbox with just enough of a page for ChatManager's methods
+function loadChatScripts(origin, storage = {}) {
+    const localStorage = {
+        getItem: key => (key in storage ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = String(value); },
+        removeItem: key => { delete storage[key]; }
+    };
+    const context = vm.createContext({
+        window: { location: { origin } },
+        document: { documentElement: { lang: 'en' }, addEventListener() {} },
+        localStorage,
+        fetch,
+        TextDecoder,
+        AbortController,
+        console,
+        // Status messages stay up: nothing clears them during the test
+        setTimeout: () => 0
+    });
+    const source = ['api.js', 'chat.js'].map(file => fs.readFileSync(path.join(ASSETS_DIR, file), 'utf8')).join('\n');
+    return vm.runInContext(`${source}\n({ ChatManager, apiClient })`, context);
+}
+
+// A ChatManager without the page: only the state streamResponse() and showSearchStatus() use
+function chatManager(ChatManager) {
+    const manager = Object.create(ChatManager.prototype);
+    Object.assign(manager, { conversationHistory: [], inputStatus: { textContent: '', title: '' }, isGuest: true });
+    manager.restoreWebSearchPreference();
+    manager.renderFinalAnswer = () => {};
+    manager.attachSources = () => {};
+    manager.scrollToBottom = () => {};
+    return manager;
+}
+
+describe('chat UI search modes', () => {
+    let ctx;
+    before(async () => { ctx = await startApp(); });
+    after(() => ctx.close());
+
+    it('defaults to Auto and keeps the saved mode', () => {
+        const mode = storage => chatManager(loadChatScripts(ctx.url, storage).ChatManager).webSearchMode;
+        assert.equal(mode({}), 'auto');
+        assert.equal(mode({ luckai_websearch: 'never' }), 'never');
+        // Saved before Auto mode existed
+        assert.deepEqual([mode({ luckai_websearch: 'true' }), mode({ luckai_websearch: 'false' })], ['always', 'never']);
+
+        const storage = {};
+        const manager = chatManager(loadChatScripts(ctx.url, storage).ChatManager);
+        manager.setSearchMode('always', false);
+        assert.equal(storage.luckai_websearch, 'always');
+    });
+
+    it('shows the routing decision of the stream and its reason in Auto mode', async () => {
+        const { ChatManager } = loadChatScripts(ctx.url, { guestMode: 'true' });
+        const manager = chatManager(ChatManager);
+        const bubble = { querySelector: () => null };
+
+        await manager.streamResponse('Explain recursion in Python', manager.webSearchMode, () => bubble);
+        assert.equal(manager.inputStatus.textContent, 'No web search: Programming question');
+        assert.equal(manager.inputStatus.title, 'Programming question');
+
+        await manager.streamResponse('What is the latest Node.js release', manager.webSearchMode, () => bubble);
+        assert.match(manager.inputStatus.textContent, /^Web search: Time-sensitive \("latest"\).* · DuckDuckGo \(Web\)/);
+    });
+});
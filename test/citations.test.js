@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { normalizeCitations } = require('../citations');
+const { InferenceBackend } = require('../inference-backend');
+
+const NODE_QUERY = 'What is the latest Node.js release';
+
+describe('citation markers', () => {
+    it('keeps markers that match a source and drops the others', () => {
+        assert.equal(normalizeCitations('Node.js 24 is current [1][7]. It ships twice a year [9].', 3), 'Node.js 24 is current [1]. It ships twice a year.');
+        assert.equal(normalizeCitations('[4] Listed first.\nSecond [2] [2].', 3), 'Listed first.\nSecond [2].');
+    });
+
+    it('rewrites other notations as [n] markers', () => {
+        assert.equal(normalizeCitations('A [^1], B [Source 2], C [1, 3], D [1-3], E 【2】.', 3), 'A [1], B [2], C [1][3], D [1][2][3], E [2].');
+    });
+
+    it('shifts answers that count their sources from zero', () => {
+        assert.equal(normalizeCitations('First [0], second [1].', 2), 'First [1], second [2].');
+        assert.equal(normalizeCitations('Only [0] is wrong here [2].', 2), 'Only is wrong here [2].');
+    });
+
+    it('leaves code, links and answers without sources alone', () => {
+        const text = 'Use `arr[5]` or\n```js\nconst x = list[9];\n```\nSee [the docs](https://nodejs.org) [1].';
+        assert.equal(normalizeCitations(text, 1), text);
+        assert.equal(normalizeCitations('Nothing to check [3].', 0), 'Nothing to check [3].');
+    });
+
+    it('asks the model to cite the web context', () => {
+        const [system] = new InferenceBackend()._buildChatHistory('You are LuckAI.', [], '1. Node.js Releases', { language: 'fr' });
+        assert.match(system.text, /Contexte web :\n1\. Node\.js Releases\n\nCite les résultats web/);
+        const [plain] = new InferenceBackend()._buildChatHistory('You are LuckAI.', [], null, { language: 'en' });
+        assert.doesNotMatch(plain.text, /square brackets/);
+    });
+});
+
+describe('chat answers with citations', () => {
+    let ctx;
+    let backend;
+
+    before(async () => {
+        backend = new ScriptedBackend();
+        ctx = await startApp({ backend });
+    });
+    after(() => ctx.close());
+
+    it('returns only markers that point to a returned source', async () => {
+        backend.replies = [JSON.stringify({ queries: [NODE_QUERY] }), 'Node.js 24 is the latest release [1][5]. Releases are on GitHub [Source 2].'];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: NODE_QUERY, useWebSearch: 'always', fast: false } });
+        assert.equal(body.sources.length, 3);
+        assert.equal(body.answer, 'Node.js 24 is the latest release [1]. Releases are on GitHub [2].');
+    });
+
+    it('leaves answers without a search as they are', async () => {
+        backend.replies = ['Arrays start at [0] in JavaScript.'];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Where do arrays start?', useWebSearch: 'never', fast: false } });
+        assert.equal(body.answer, 'Arrays start at [0] in JavaScript.');
+    });
+});
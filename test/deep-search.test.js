@@ -0,0 +1,237 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp, waitFor } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { recordedPageFetch, recordedLookup, recordedPageReader } = require('./helpers/recorded-search');
+const { RobotsCache, parseRobots, isAllowed } = require('../robots-txt');
+const { extractMainText, chunkText } = require('../page-extract');
+const { PageReader, formatPassages } = require('../page-reader');
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+const QUESTION = 'What is the latest Node.js release';
+const RESULTS = [
+    { title: 'Node.js — Node.js Releases', url: 'https://nodejs.org/en/about/previous-releases' },
+    { title: 'Releases · nodejs/node · GitHub', url: 'https://github.com/nodejs/node/releases' },
+    { title: 'Node.js | endoflife.date', url: 'https://endoflife.date/nodejs' }
+];
+
+describe('robots.txt', () => {
+    const rules = parseRobots(fs.readFileSync(path.join(PAGES_DIR, 'github.com.robots.txt'), 'utf8'), 'LuckAI');
+
+    it('applies the * group when no group names the agent', () => {
+        assert.equal(isAllowed(rules, '/nodejs/node/releases'), false);
+        assert.equal(isAllowed(rules, '/nodejs/node'), true);
+        assert.deepEqual(parseRobots('User-agent: luckai\nDisallow: /\n\nUser-agent: *\nDisallow:\n', 'LuckAI'), [{ allow: false, pattern: '/' }]);
+    });
+
+    it('lets the longest matching rule win, Allow on ties', () => {
+        assert.equal(isAllowed(rules, '/nodejs/node/releases/tag/v24.0.0'), true);
+        assert.equal(isAllowed([{ allow: false, pattern: '/a' }, { allow: true, pattern: '/a' }], '/a/b'), true);
+    });
+
+    it('supports * and $ wildcards', () => {
+        const anchored = [{ allow: false, pattern: '/*.pdf$' }];
+        assert.equal(isAllowed(anchored, '/docs/guide.pdf'), false);
+        assert.equal(isAllowed(anchored, '/docs/guide.pdf?download=1'), true);
+    });
+
+    it('keeps a shared download going for the callers that did not cancel', async () => {
+        let release;
+        const downloads = [];
+        const fetch = (url, init) => {
+            downloads.push(init.signal);
+            return new Promise(resolve => { release = () => resolve({ ok: true, status: 200, text: async () => 'User-agent: *\nDisallow: /private\n' }); });
+        };
+        const cache = new RobotsCache({ fetch, timeoutMs: 5000 });
+        const first = new AbortController();
+        const cancelled = cache.allowed('https://example.com/docs', { signal: first.signal });
+        const kept = cache.allowed('https://example.com/private/page');
+        first.abort();
+        await assert.rejects(cancelled, /Cancelled/);
+        assert.equal(downloads.length, 1);
+        assert.equal(downloads[0].aborted, false);
+
+        release();
+        assert.equal(await kept, false);
+        assert.equal(await cache.allowed('https://example.com/docs'), true);
+        assert.equal(downloads.length, 1);
+    });
+
+    it('cancels the download once every caller gave up', async () => {
+        const downloads = [];
+        const fetch = (url, init) => new Promise((resolve, reject) => {
+            downloads.push(init.signal);
+            init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+        const cache = new RobotsCache({ fetch, timeoutMs: 5000 });
+        const callers = [new AbortController(), new AbortController()];
+        const pending = callers.map(c => cache.allowed('https://example.com/', { signal: c.signal }));
+        callers[0].abort();
+        assert.equal(downloads[0].aborted, false);
+        callers[1].abort();
+        await Promise.all(pending.map(p => assert.rejects(p, /Cancelled/)));
+        assert.equal(downloads[0].aborted, true);
+    });
+});
+
+describe('page extraction', () => {
+    it('keeps the article text and drops navigation, sidebars, footers and scripts', () => {
+        const page = extractMainText(fs.readFileSync(path.join(PAGES_DIR, 'nodejs-previous-releases.html'), 'utf8'));
+        assert.equal(page.title, 'Node.js Releases');
+        assert.match(page.text, /^Major Node\.js versions enter Current release status/);
+        assert.match(page.text, /"long-term support"/);
+        assert.doesNotMatch(page.text, /Project Governance|Copyright|__NEXT_DATA__|Mastodon/);
+    });
+
+    it('finds the content without an <article> element', () => {
+        const page = extractMainText(fs.readFileSync(path.join(PAGES_DIR, 'endoflife-nodejs.html'), 'utf8'));
+        assert.equal(page.lines.length, 4);
+        assert.doesNotMatch(page.text, /cookies|Related products/);
+    });
+
+    it('chunks long paragraphs at sentence ends and merges short ones', () => {
+        const long = 'First sentence is here. '.repeat(10).trim();
+        const passages = chunkText(['Short paragraph one.', 'Short paragraph two.', long], 100);
+        assert.equal(passages[0], 'Short paragraph one.\nShort paragraph two.');
+        assert.ok(passages.slice(1).every(p => p.length <= 100 && p.endsWith('.')));
+        assert.equal(passages.slice(1).join(' '), long);
+    });
+});
+
+describe('PageReader', () => {
+    it('reads the result pages allowed by robots.txt and ranks their passages', async () => {
+        const reading = await recordedPageReader().read(QUESTION, RESULTS);
+        assert.deepEqual(reading.pages.map(p => [p.ok, p.error]), [[true, undefined], [false, 'Disallowed by robots.txt'], [true, undefined]]);
+        assert.ok(reading.passages.every(p => p.index !== 1));
+        assert.ok(reading.passages.some(p => /Node\.js 24 is the latest release/.test(p.text)));
+        // In result order, quoted under the result's number
+        assert.deepEqual(reading.passages.map(p => p.index), reading.passages.map(p => p.index).sort());
+        assert.match(formatPassages(reading.passages), /^Excerpts from the pages:\n\[1\] Node\.js — Node\.js Releases\n/);
+    });
+
+    it('keeps the best passages within the token budget', async () => {
+        const reading = await recordedPageReader({ reader: { tokenBudget: 60 } }).read(QUESTION, RESULTS);
+        assert.equal(reading.passages.length, 1);
+        assert.match(reading.passages[0].text, /^Node\.js 24 is the latest release/);
+    });
+
+    it('skips unsupported content types and cuts large pages', async () => {
+        const pages = {
+            'https://example.com/report.pdf': { type: 'application/pdf', body: '%PDF-1.7' },
+            'https://example.com/notes.txt': { type: 'text/plain', body: `Node.js release notes for the latest version.\n\n${'x'.repeat(5000)}` }
+        };
+        const reader = recordedPageReader({ pages, reader: { maxBytes: 1000 } });
+        const reading = await reader.read('node.js release notes', [
+            { title: 'Report', url: 'https://example.com/report.pdf' },
+            { title: 'Notes', url: 'https://example.com/notes.txt' }
+        ]);
+        assert.equal(reading.pages[0].error, 'Unsupported content type application/pdf');
+        assert.equal(reading.pages[1].ok, true);
+        assert.ok(reading.passages.reduce((sum, p) => sum + p.text.length, 0) <= 1000);
+    });
+
+    it('checks robots.txt and the host again on every redirect', async () => {
+        const pages = {
+            'https://example.com/moved': { redirect: '/latest' },
+            'https://example.com/latest': { redirect: 'https://github.com/nodejs/node/releases' },
+            'https://example.com/admin': { redirect: 'http://metadata.internal/latest/' },
+            'https://example.com/loop': { redirect: '/loop' }
+        };
+        const reader = recordedPageReader({ pages });
+        const reading = await reader.read('node.js', [
+            { title: 'Moved', url: 'https://example.com/moved' },
+            { title: 'Admin', url: 'https://example.com/admin' },
+            { title: 'Loop', url: 'https://example.com/loop' }
+        ]);
+        assert.deepEqual(reading.pages.map(p => p.error), [
+            'Disallowed by robots.txt',
+            'Blocked private address for metadata.internal',
+            'More than 5 redirects'
+        ]);
+        assert.ok(!reader._fetch.requests.some(url => /internal/.test(url)));
+    });
+
+    it('never fetches loopback, private or link-local hosts', async () => {
+        const reader = recordedPageReader();
+        const urls = ['http://localhost:3000/', 'http://127.0.0.1/', 'http://192.168.1.1/', 'http://169.254.169.254/latest/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fe80::1]/'];
+        const reading = await reader.read('admin', urls.map(url => ({ title: url, url })).slice(0, 3));
+        assert.ok(reading.pages.every(p => /^Blocked private address/.test(p.error)));
+        for (const url of urls) await assert.rejects(reader._checkHost(url), /Blocked private address/);
+        await reader._checkHost('https://nodejs.org/');
+        assert.deepEqual(reader._fetch.requests, []);
+    });
+
+    it('gives up on slow pages at the timeout', async () => {
+        const recorded = recordedPageFetch();
+        const fetch = (url, init) => (url.endsWith('/robots.txt') ? recorded(url) : new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+        const reading = await new PageReader({ fetch, lookup: recordedLookup, timeoutMs: 30 }).read(QUESTION, RESULTS.slice(0, 1));
+        assert.equal(reading.pages[0].error, 'Timed out after 30ms');
+        assert.deepEqual(reading.passages, []);
+    });
+});
+
+describe('chat with deep search', () => {
+    let ctx;
+    let backend;
+
+    before(async () => {
+        backend = new ScriptedBackend({ fallback: 'Node.js 24 is the latest release.' });
+        ctx = await startApp({ backend });
+    });
+    after(() => ctx.close());
+
+    it('quotes the best passages in the web context and keeps them in the sources', async () => {
+        backend.calls = [];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: QUESTION, useWebSearch: 'always', deepSearch: true, fast: false } });
+
+        assert.equal(body.pagesRead, 2);
+        assert.match(backend.calls.at(-1).webContext, /Excerpts from the pages:\n\[1\] Node\.js — Node\.js Releases\n/);
+        assert.ok(body.sources[0].passages.some(text => /Node\.js 24 is the latest release/.test(text)));
+        assert.equal(body.sources[1].passages, undefined);
+    });
+
+    it('only reads pages when asked to', async () => {
+        backend.calls = [];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: QUESTION, useWebSearch: 'always', fast: false } });
+        assert.equal(body.pagesRead, null);
+        assert.doesNotMatch(backend.calls.at(-1).webContext, /Excerpts from the pages/);
+    });
+});
+
+describe('cancelling a chat with deep search', () => {
+    let ctx;
+    const pending = new Map(); // page url -> aborted?
+
+    before(async () => {
+        // robots.txt files answer from the recordings, pages never answer until their fetch is aborted
+        const recorded = recordedPageFetch();
+        const fetch = (url, init) => (url.endsWith('/robots.txt') ? recorded(url) : new Promise((resolve, reject) => {
+            pending.set(url, false);
+            init.signal.addEventListener('abort', () => {
+                pending.set(url, true);
+                reject(new Error('aborted'));
+            });
+        }));
+        ctx = await startApp({ app: { pageReader: new PageReader({ fetch, lookup: recordedLookup, timeoutMs: 60000 }) } });
+    });
+    after(() => ctx.close());
+
+    it('stops the page fetches when the client disconnects', async () => {
+        const client = new AbortController();
+        const stream = fetch(`${ctx.url}/api/chat/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: QUESTION, useWebSearch: 'always', deepSearch: true }),
+            signal: client.signal
+        }).then(res => res.text()).catch(() => null);
+
+        await waitFor(() => pending.size > 0);
+        client.abort();
+        await stream;
+        await waitFor(() => [...pending.values()].every(Boolean));
+    });
+});
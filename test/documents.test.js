@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { buildPdf } = require('./helpers/pdf');
+const { extractPdfText } = require('../pdf-text');
+const { DocumentStore, extractDocument } = require('../document-store');
+
+const GUIDE = [
+    '# LuckAI guide',
+    '',
+    'LuckAI answers questions with a local model.',
+    '',
+    '## Installation',
+    '',
+    'Run npm install, then place a GGUF model in the .ollama folder.',
+    '',
+    '```sh',
+    '# not a heading',
+    '```',
+    '',
+    '## Backups',
+    '',
+    'Copy the data folder every night to keep conversations and users.'
+].join('\n');
+const REPORT = [
+    ['Annual report 2025', 'Revenue grew by twelve percent.'],
+    ['The office moved to Lyon in March.', 'Staff count reached forty engineers.']
+];
+
+describe('document text', () => {
+    it('reads PDF pages, compressed or not', () => {
+        assert.deepEqual(extractPdfText(buildPdf(REPORT)).pages, REPORT);
+        assert.deepEqual(extractPdfText(buildPdf([['Plain (stream) text']], { compress: false })).pages, [['Plain (stream) text']]);
+        assert.throws(() => extractPdfText(Buffer.from('hello')), /Not a PDF file/);
+    });
+
+    it('cuts markdown and HTML at their headings', () => {
+        const markdown = extractDocument('markdown', GUIDE);
+        assert.equal(markdown.title, 'LuckAI guide');
+        assert.deepEqual(markdown.sections.map(section => section.heading), ['LuckAI guide', 'Installation', 'Backups']);
+        assert.match(markdown.sections[1].lines.join('\n'), /# not a heading/);
+
+        const html = extractDocument('html', '<html><head><title>Notes</title></head><body><main><h1>Notes</h1><p>Intro paragraph for the notes.</p><h2>Deploy</h2><p>Deploy with docker compose up.</p></main></body></html>');
+        assert.equal(html.title, 'Notes');
+        assert.deepEqual(html.sections.find(section => section.heading === 'Deploy').lines, ['Deploy with docker compose up.']);
+    });
+});
+
+describe('document store', () => {
+    let dir;
+    before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'luckai-docs-')); });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('ranks chunks by embedding and re-embeds them for another model', async () => {
+        const backend = new ScriptedBackend();
+        const embedder = (id) => ({ id, embed: texts => backend.embed(texts) });
+        const store = new DocumentStore({ dir });
+        const doc = await store.add({ name: 'report.pdf', content: buildPdf(REPORT), owner: 'alice' }, embedder('model-a'));
+        assert.deepEqual([doc.type, doc.pages, doc.chunks], ['pdf', 2, 2]);
+
+        const { hits, method } = await new DocumentStore({ dir }).search('Where did the office move?', embedder('model-a'), { owner: 'alice' });
+        assert.equal(method, 'embeddings');
+        assert.deepEqual(hits[0].chunk, { text: 'The office moved to Lyon in March.\nStaff count reached forty engineers.', section: null, page: 2 });
+        assert.equal((await store.search('office', embedder('model-a'), { owner: 'bob' })).hits.length, 0);
+
+        backend.embedCalls = [];
+        await store.search('office', embedder('model-b'));
+        assert.equal(backend.embedCalls[0].length, 2);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')).model, 'model-b');
+    });
+
+    it('falls back to keywords when the model cannot embed', async () => {
+        const store = new DocumentStore({ dir: path.join(dir, 'keywords') });
+        const noEmbeddings = new ScriptedBackend({ embeddings: false });
+        await store.add({ name: 'guide.md', content: GUIDE }, { id: 'scripted', embed: texts => noEmbeddings.embed(texts) });
+        const { hits, method } = await store.search('nightly backups of the data folder', null);
+        assert.equal(method, 'keywords');
+        assert.equal(hits[0].chunk.section, 'Backups');
+    });
+});
+
+describe('documents API and Docs mode', () => {
+    let ctx;
+    let backend;
+    let alice;
+    let bob;
+
+    before(async () => {
+        backend = new ScriptedBackend();
+        ctx = await startApp({ backend });
+        const register = async (username) => (await ctx.request('POST', '/api/register', { body: { username, password: `${username}-password` } })).body.token;
+        alice = await register('alice');
+        bob = await register('bob');
+    });
+    after(() => ctx.close());
+
+    it('adds, lists and deletes the documents of each user', async () => {
+        assert.equal((await ctx.request('POST', '/api/documents', { body: { name: 'guide.md', content: GUIDE } })).status, 401);
+        const bad = await ctx.request('POST', '/api/documents', { token: alice, body: { name: 'sheet.xlsx', content: 'x' } });
+        assert.deepEqual([bad.status, bad.body.param], [400, 'type']);
+
+        const added = await ctx.request('POST', '/api/documents', { token: alice, body: { name: 'guide.md', content: GUIDE } });
+        assert.equal(added.status, 201);
+        assert.deepEqual([added.body.document.title, added.body.document.chunks], ['LuckAI guide', 3]);
+        const id = added.body.document.id;
+
+        assert.deepEqual((await ctx.request('GET', '/api/documents', { token: alice })).body.documents.map(doc => doc.id), [id]);
+        assert.deepEqual((await ctx.request('GET', '/api/documents', { token: bob })).body.documents, []);
+        const read = await ctx.request('GET', `/api/documents/${id}`, { token: alice });
+        assert.equal(read.body.chunks[2].section, 'Backups');
+
+        assert.equal((await ctx.request('DELETE', `/api/documents/${id}`, { token: bob })).status, 404);
+        assert.equal((await ctx.request('DELETE', `/api/documents/${id}`, { token: alice })).status, 200);
+        assert.equal((await ctx.request('GET', `/api/documents/${id}`, { token: alice })).status, 404);
+    });
+
+    it('answers from the retrieved chunks and cites them as sources', async () => {
+        const pdf = buildPdf(REPORT).toString('base64');
+        assert.equal((await ctx.request('POST', '/api/documents', { token: alice, body: { name: 'report.pdf', content: pdf, encoding: 'base64' } })).status, 201);
+        backend.replies = ['The office moved to Lyon [1].'];
+        const { body } = await ctx.request('POST', '/api/chat', { token: alice, body: { message: 'Where did the office move?', useWebSearch: 'never', useDocs: true, fast: false } });
+
+        assert.equal(body.usedDocs, true);
+        assert.equal(body.usedWeb, false);
+        assert.deepEqual([body.sources[0].title, body.sources[0].url, body.sources[0].page], ['report.pdf (p. 2)', null, 2]);
+        assert.match(backend.calls.at(-1).webContext, /^Excerpts from your documents:\n\[1\] report\.pdf \(p\. 2\)\nThe office moved to Lyon in March\./);
+        assert.equal(body.answer, 'The office moved to Lyon [1].');
+
+        // Other users' documents are not searched
+        const other = await ctx.request('POST', '/api/chat', { token: bob, body: { message: 'Where did the office move?', useWebSearch: 'never', useDocs: true, fast: false } });
+        assert.deepEqual([other.body.usedDocs, other.body.sources], [false, []]);
+    });
+
+    it('searches documents on /v1 with use_docs', async () => {
+        const res = await ctx.request('POST', '/v1/chat/completions', { token: alice, body: { messages: [{ role: 'user', content: 'How many engineers are on staff?' }], use_docs: true } });
+        assert.equal(res.body.luckai.used_docs, true);
+        assert.equal(res.body.luckai.sources[0].document.name, 'report.pdf');
+        assert.match(backend.calls.at(-1).webContext, /forty engineers/);
+    });
+});
+
+describe('Docs mode errors', () => {
+    let ctx;
+    let token;
+
+    before(async () => {
+        const documentStore = { list() { throw new Error('document index unreadable'); } };
+        ctx = await startApp({ app: { documentStore } });
+        token = (await ctx.request('POST', '/api/register', { body: { username: 'alice', password: 'alice-password' } })).body.token;
+    });
+    after(() => ctx.close());
+
+    it('answers /v1 with an error when the document search fails', async () => {
+        const messages = [{ role: 'user', content: 'What is in my notes?' }];
+        for (const stream of [false, true]) {
+            const res = await ctx.request('POST', '/v1/chat/completions', { token, body: { messages, use_docs: true, stream } });
+            assert.equal(res.status, 500);
+            assert.equal(res.body.error.message, 'Error preparing the request');
+        }
+    });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startApp, waitFor } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { parseEmbeddingInput, vectorFromBase64, MAX_INPUT_CHARS } = require('../embeddings');
+const { LocalGGUFRunner } = require('../gguf-runner');
+const { WorkerRunner } = require('../worker-runner');
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+
+describe('embedding input', () => {
+    it('accepts a string or an array of strings within the batch size', () => {
+        assert.deepEqual(parseEmbeddingInput('hello', 2), { texts: ['hello'] });
+        assert.deepEqual(parseEmbeddingInput(['a b', 'c d'], 2), { texts: ['a b', 'c d'] });
+        assert.match(parseEmbeddingInput(['a', 'b', 'c'], 2).error, /max 2 per request/);
+        assert.match(parseEmbeddingInput([1, 2], 2).error, /string/);
+        assert.match(parseEmbeddingInput(['  '], 2).error, /empty/);
+    });
+});
+
+describe('embeddings endpoints', () => {
+    let ctx;
+    let backend;
+    let token;
+
+    before(async () => {
+        backend = new ScriptedBackend();
+        ctx = await startApp({ backend, app: { embeddingMaxBatch: 3 } });
+        token = (await ctx.request('POST', '/api/register', { body: { username: 'alice', password: 'alice-password' } })).body.token;
+    });
+    after(() => ctx.close());
+
+    it('requires a signed-in user on /api/embeddings', async () => {
+        const res = await ctx.request('POST', '/api/embeddings', { body: { input: 'hello' } });
+        assert.equal(res.status, 401);
+    });
+
+    it('returns normalized vectors with dimensions and token counts', async () => {
+        const { status, body } = await ctx.request('POST', '/api/embeddings', { token, body: { input: ['local models answer offline', 'backups run nightly'] } });
+        assert.equal(status, 200);
+        assert.deepEqual([body.backend, body.dimensions, body.embeddings.length], ['scripted', 64, 2]);
+        body.embeddings.forEach(vector => assert.ok(Math.abs(norm(vector) - 1) < 1e-9));
+        // The scripted backend has no tokenizer: counts are estimated
+        assert.deepEqual(body.tokens, [7, 5]);
+        assert.deepEqual(body.usage, { promptTokens: 12, totalTokens: 12 });
+        assert.deepEqual(backend.embedCalls.at(-1), ['local models answer offline', 'backups run nightly']);
+    });
+
+    it('rejects batches over the limit and unknown models', async () => {
+        const big = await ctx.request('POST', '/api/embeddings', { token, body: { input: ['a', 'b', 'c', 'd'] } });
+        assert.deepEqual([big.status, big.body.param], [400, 'input']);
+        const unknown = await ctx.request('POST', '/api/embeddings', { token, body: { input: 'hello', model: 'no-such-model' } });
+        assert.deepEqual([unknown.status, unknown.body.param], [400, 'model']);
+    });
+
+    it('answers /v1/embeddings like OpenAI, in float or base64', async () => {
+        const { body } = await ctx.request('POST', '/v1/embeddings', { body: { model: 'text-embedding-3-small', input: 'local models answer offline' } });
+        assert.equal(body.object, 'list');
+        assert.deepEqual(Object.keys(body.data[0]), ['object', 'index', 'embedding']);
+        assert.equal(body.model, 'scripted:script');
+        assert.deepEqual(body.usage, { prompt_tokens: 7, total_tokens: 7 });
+
+        const encoded = await ctx.request('POST', '/v1/embeddings', { body: { input: ['backups run nightly in the data folder'], encoding_format: 'base64', dimensions: 16 } });
+        const vector = vectorFromBase64(encoded.body.data[0].embedding);
+        assert.equal(vector.length, 16);
+        assert.ok(Math.abs(norm(Array.from(vector)) - 1) < 1e-6);
+
+        const bad = await ctx.request('POST', '/v1/embeddings', { body: { input: 'x', encoding_format: 'int8' } });
+        assert.deepEqual([bad.status, bad.body.error.param], [400, 'encoding_format']);
+    });
+
+    it('reports backends that cannot embed', async () => {
+        backend.embeddings = false;
+        try {
+            const res = await ctx.request('POST', '/api/embeddings', { token, body: { input: 'hello' } });
+            assert.equal(res.status, 501);
+            assert.match(res.body.message, /does not support embeddings/);
+        } finally {
+            backend.embeddings = true;
+        }
+    });
+});
+
+describe('separate embedding model', () => {
+    let ctx;
+    let token;
+    before(async () => {
+        ctx = await startApp({ app: { embeddingModel: 'nomic-embed-text' } });
+        token = (await ctx.request('POST', '/api/register', { body: { username: 'alice', password: 'alice-password' } })).body.token;
+    });
+    after(() => ctx.close());
+
+    it('fails clearly when the configured model does not exist', async () => {
+        const res = await ctx.request('POST', '/api/embeddings', { token, body: { input: 'hello' } });
+        assert.equal(res.status, 503);
+        assert.match(res.body.message, /Embedding model nomic-embed-text not found/);
+    });
+});
+
+describe('local GGUF embeddings', () => {
+    // A loaded runner whose model embeds one text at a time, when the test releases it
+    function loadedRunner() {
+        const runner = new LocalGGUFRunner({ maxQueue: 1 });
+        const model = {
+            trainContextSize: 2048,
+            contexts: [],
+            pending: [],
+            async createEmbeddingContext(options) {
+                model.contexts.push(options);
+                return { getEmbeddingFor: () => new Promise(resolve => model.pending.push(() => resolve({ vector: [3, 4] }))) };
+            }
+        };
+        Object.assign(runner, { available: true, _model: model });
+        runner.scheduler.setSlots([null]);
+        return { runner, model };
+    }
+
+    it('queues on the scheduler so the model is busy while it embeds', async () => {
+        const { runner, model } = loadedRunner();
+        const embedding = runner.embed(['hello'], { owner: 'alice' });
+        await waitFor(() => model.pending.length === 1);
+        assert.equal(runner.isIdle(), false);
+
+        // One more waits in the queue (background priority), then the queue is full
+        const queued = runner.embed(['second']);
+        assert.deepEqual([runner.scheduler.stats().background, runner.isIdle()], [1, false]);
+        await assert.rejects(runner.embed(['third']), { code: 'QUEUE_FULL' });
+
+        model.pending.shift()();
+        assert.deepEqual(await embedding, [[3, 4]]);
+        await waitFor(() => model.pending.length === 1);
+        model.pending.shift()();
+        await queued;
+        assert.equal(runner.isIdle(), true);
+    });
+
+    it('sizes the embedding context for the longest input, not the chat context', async () => {
+        const { runner, model } = loadedRunner();
+        runner.contextSize = 32768;
+        model.trainContextSize = 32768;
+        const embedding = runner.embed('hello');
+        await waitFor(() => model.pending.length === 1);
+        model.pending.shift()();
+        await embedding;
+        assert.equal(model.contexts[0].contextSize, MAX_INPUT_CHARS / 2);
+
+        // Never more than the model was trained on
+        const small = loadedRunner();
+        const capped = small.runner.embed('hello');
+        await waitFor(() => small.model.pending.length === 1);
+        small.model.pending.shift()();
+        await capped;
+        assert.equal(small.model.contexts[0].contextSize, 2048);
+    });
+});
+
+describe('worker mode embeddings', () => {
+    let runner;
+    before(async () => {
+        runner = new WorkerRunner({ script: path.join(__dirname, 'helpers', 'fake-model-worker.js'), name: 'fake' });
+        assert.equal(await runner.init(), true);
+    });
+    after(() => runner.unload());
+
+    it('drops an aborted embed from the worker queue', async () => {
+        const generation = runner.generate('hello', [], null, { owner: 'alice' });
+        const controller = new AbortController();
+        const embedding = runner.embed(['queued behind the generation'], { owner: 'bob', signal: controller.signal });
+        await waitFor(() => runner.scheduler.stats().background === 1);
+
+        controller.abort();
+        await assert.rejects(embedding, { code: 'ABORTED' });
+        // Rejected by the worker's scheduler while the generation still runs
+        assert.equal(runner.scheduler.stats().busy, 1);
+        await generation;
+        assert.deepEqual(await runner.embed(['ok']), [[2, 1]]);
+        assert.equal(runner.isIdle(), true);
+    });
+});
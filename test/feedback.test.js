@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+describe('feedback logging', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startApp();
+    });
+    after(() => ctx.close());
+
+    const entries = () => {
+        const file = path.join(ctx.dataDir, 'feedback.jsonl');
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line));
+    };
+
+    it('appends one JSON line per vote to feedback.jsonl in the data directory', async () => {
+        let res = await ctx.request('POST', '/api/feedback', { body: { messageId: 'm1', feedback: 'up', content: 'Great answer', prompt: 'Question?' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.ok, true);
+        res = await ctx.request('POST', '/api/feedback', { body: { messageId: 'm2', feedback: 'down' } });
+        assert.equal(res.status, 200);
+
+        const logged = entries();
+        assert.equal(logged.length, 2);
+        assert.deepEqual(
+            { messageId: logged[0].messageId, feedback: logged[0].feedback, content: logged[0].content, prompt: logged[0].prompt, username: logged[0].username },
+            { messageId: 'm1', feedback: 'up', content: 'Great answer', prompt: 'Question?', username: 'guest' }
+        );
+        assert.ok(!Number.isNaN(Date.parse(logged[0].timestamp)));
+        assert.equal(logged[1].content, '');
+    });
+
+    it('rejects incomplete or unknown votes without logging them', async () => {
+        const before = entries().length;
+        let res = await ctx.request('POST', '/api/feedback', { body: { feedback: 'up' } });
+        assert.equal(res.status, 400);
+        res = await ctx.request('POST', '/api/feedback', { body: { messageId: 'm3', feedback: 'meh' } });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'feedback must be "up" or "down"');
+        assert.equal(entries().length, before);
+    });
+});
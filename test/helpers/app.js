@@ -0,0 +1,75 @@
+/**
+ * Start a LuckAI app for one test file: fresh data directory, no local models, a scripted backend
+ * and recorded DuckDuckGo (and result) pages unless the test passes its own. Listens on a random port.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LUCKAI_LOG_LEVEL = process.env.LUCKAI_LOG_LEVEL || 'silent';
+
+const { createApp } = require('../../server');
+const { ModelRegistry } = require('../../model-registry');
+const { ScriptedBackend } = require('./scripted-backend');
+const { recordedDuckDuckGo, recordedPageReader } = require('./recorded-search');
+
+const ADMIN_PASSWORD = 'admin-password-1';
+
+async function startApp(options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'luckai-test-'));
+    const backend = options.backend || new ScriptedBackend();
+    const app = createApp(Object.assign({
+        dataDir,
+        jwtSecret: 'test-secret',
+        adminPassword: ADMIN_PASSWORD,
+        preload: false,
+        modelRegistry: new ModelRegistry({ modelPath: '', dirs: [], assembledDir: path.join(dataDir, 'models') }),
+        backends: [backend],
+        searchProviders: [recordedDuckDuckGo()],
+        pageReader: recordedPageReader()
+    }, options.app));
+    await app.locals.ready;
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON request helper: resolves to { status, headers, body }
+    async function request(method, route, { body, token, headers = {} } = {}) {
+        const res = await fetch(url + route, {
+            method,
+            headers: Object.assign(
+                { 'Content-Type': 'application/json' },
+                token ? { Authorization: `Bearer ${token}` } : {},
+                headers
+            ),
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await res.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* not JSON */ }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { app, server, url, dataDir, backend, request, close };
+}
+
+// Poll `check` until it returns a truthy value (or fail after `timeoutMs`)
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { startApp, waitFor, ADMIN_PASSWORD };
@@ -0,0 +1,31 @@
+/**
+ * Inference worker with a fake model, for WorkerRunner tests: gguf-worker.js with LocalGGUFRunner's loading
+ * and generation replaced. Generations hold their scheduler slot for GENERATION_MS; embeddings are instant.
+ */
+
+const { LocalGGUFRunner } = require('../../gguf-runner');
+
+const GENERATION_MS = 300;
+
+LocalGGUFRunner.prototype.init = async function init() {
+    this._model = {
+        trainContextSize: 2048,
+        createEmbeddingContext: async () => ({ getEmbeddingFor: async text => ({ vector: [text.length, 1] }) })
+    };
+    this.scheduler.setSlots([null]);
+    this.available = true;
+    this.state = 'available';
+    return true;
+};
+
+LocalGGUFRunner.prototype.processQuery = function processQuery(message, history, webContext, options = {}) {
+    return this.scheduler.run(() => new Promise(resolve => setTimeout(resolve, GENERATION_MS)).then(() => ({
+        response: `Fake answer to: ${message}`,
+        language: 'en',
+        model: 'LocalGGUF (fake)',
+        usage: { promptTokens: 1, completionTokens: 1 },
+        stats: { provider: 'local-gguf' }
+    })), { priority: options.priority, owner: options.owner, signal: options.signal });
+};
+
+require('../../gguf-worker');
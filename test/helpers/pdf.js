@@ -0,0 +1,36 @@
+/**
+ * Minimal PDF writer for tests: one page per entry of `pages`, each an array of text lines drawn in
+ * Helvetica, one below the other. Content streams are FlateDecode-compressed unless `compress` is false.
+ */
+
+const zlib = require('zlib');
+
+function buildPdf(pages, { compress = true } = {}) {
+    const objects = [];
+    const add = (body) => { objects.push(body); return objects.length; };
+    const catalog = add(null);
+    const tree = add(null);
+    const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const kids = pages.map(lines => {
+        const text = lines.map((line, i) => `${i ? '0 -16 Td ' : ''}(${line.replace(/[()\\]/g, m => '\\' + m)}) Tj`).join(' ');
+        const content = `BT /F1 12 Tf 72 720 Td ${text} ET`;
+        const data = compress ? zlib.deflateSync(content) : Buffer.from(content, 'latin1');
+        const stream = add({ dict: `<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>`, data });
+        return add(`<< /Type /Page /Parent ${tree} 0 R /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${stream} 0 R >>`);
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${tree} 0 R >>`;
+    objects[tree - 1] = `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const parts = [Buffer.from('%PDF-1.4\n')];
+    objects.forEach((body, i) => {
+        if (typeof body === 'string') {
+            parts.push(Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1'));
+        } else {
+            parts.push(Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'), body.data, Buffer.from('\nendstream\nendobj\n'));
+        }
+    });
+    parts.push(Buffer.from(`trailer\n<< /Root ${catalog} 0 R /Size ${objects.length + 1} >>\n%%EOF\n`));
+    return Buffer.concat(parts);
+}
+
+module.exports = { buildPdf };
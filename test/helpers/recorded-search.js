@@ -0,0 +1,88 @@
+/**
+ * Recorded DuckDuckGo pages for tests
+ * recordedFetch() is a fetch replacement for DuckDuckGoClient that serves saved result pages from
+ * test/fixtures/duckduckgo instead of calling html.duckduckgo.com. Pages are picked by query; unknown
+ * queries get the "no results" page. Requested URLs are kept in `fetch.requests`. What each page should
+ * parse to is recorded in expected.json next to the pages.
+ *
+ * recordedPageFetch() does the same for PageReader (deep search): the pages behind the results are in
+ * test/fixtures/pages, with robots.txt files named `<host>.robots.txt`. Other URLs answer 404; a page given
+ * as { redirect: url } answers 302 to it. recordedLookup() resolves every host to one public address,
+ * except localhost and hosts under `.internal`, which resolve to 127.0.0.1 and 10.0.0.5.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DuckDuckGoClient } = require('../../duckduckgo-search');
+const { PageReader } = require('../../page-reader');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'duckduckgo');
+const PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+
+// query -> fixture file
+const PAGES = {
+    'what is the latest node.js release': 'nodejs-release.html',
+    'quelle est la dernière actualité sur la mission artemis': 'artemis-fr.html',
+    'best password manager & passkeys': 'ads-and-duplicates.html',
+    'bot check': 'anomaly.html'
+};
+
+function recordedFetch(options = {}) {
+    const pages = Object.assign({}, PAGES, options.pages || {});
+    const fetch = async (url) => {
+        fetch.requests.push(url);
+        if (options.status) return { ok: false, status: options.status, text: async () => '' };
+        const query = new URL(url).searchParams.get('q') || '';
+        const file = pages[query.toLowerCase()] || 'no-results.html';
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+        return { ok: true, status: 200, text: async () => html };
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+function recordedDuckDuckGo(options = {}) {
+    return new DuckDuckGoClient({ fetch: recordedFetch(options) });
+}
+
+// url -> saved page and its content type
+const RESULT_PAGES = {
+    'https://nodejs.org/en/about/previous-releases': { file: 'nodejs-previous-releases.html', type: 'text/html; charset=utf-8' },
+    'https://endoflife.date/nodejs': { file: 'endoflife-nodejs.html', type: 'text/html' }
+};
+
+function recordedPageFetch(options = {}) {
+    const pages = Object.assign({}, RESULT_PAGES, options.pages || {});
+    const answer = (status, type, body, extraHeaders = {}) => ({
+        ok: status === 200,
+        status,
+        headers: new Headers(Object.assign({ 'content-type': type }, extraHeaders)),
+        text: async () => body
+    });
+    const fetch = async (url) => {
+        fetch.requests.push(url);
+        const { hostname, pathname } = new URL(url);
+        if (pathname === '/robots.txt') {
+            const file = path.join(PAGES_DIR, `${hostname}.robots.txt`);
+            return fs.existsSync(file) ? answer(200, 'text/plain', fs.readFileSync(file, 'utf8')) : answer(404, 'text/html', '');
+        }
+        const page = pages[url];
+        if (!page) return answer(404, 'text/html', '');
+        if (page.redirect) return answer(302, 'text/html', '', { location: page.redirect });
+        return answer(200, page.type, page.body !== undefined ? page.body : fs.readFileSync(path.join(PAGES_DIR, page.file), 'utf8'));
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+async function recordedLookup(host) {
+    if (host === 'localhost') return [{ address: '127.0.0.1', family: 4 }];
+    if (host.endsWith('.internal')) return [{ address: '10.0.0.5', family: 4 }];
+    return [{ address: '93.184.215.14', family: 4 }];
+}
+
+function recordedPageReader(options = {}) {
+    return new PageReader(Object.assign({ fetch: recordedPageFetch(options), lookup: recordedLookup }, options.reader));
+}
+
+module.exports = { recordedFetch, recordedDuckDuckGo, recordedPageFetch, recordedLookup, recordedPageReader, FIXTURES_DIR };
@@ -0,0 +1,85 @@
+/**
+ * Scripted inference backend for tests
+ * Answers with the next entry of `replies` (a string, or a function of the call returning one), then with
+ * `fallback` once they run out. Every call is recorded in `calls` so tests can check what the server asked for.
+ * Replies are streamed word by word like a real model, and honor the abort signal. embed() gives hashed bag-of-words
+ * vectors, so texts sharing words are close (calls recorded in `embedCalls`); unsupported with `embeddings: false`.
+ */
+
+const { InferenceBackend, detectLanguage } = require('../../inference-backend');
+const { InferenceScheduler, GenerationAbortedError } = require('../../gguf-runner');
+const { tokenize } = require('../../local-search-index');
+
+const EMBEDDING_DIMS = 64;
+
+class ScriptedBackend extends InferenceBackend {
+    constructor(config = {}) {
+        super(config);
+        this.backend = config.backend || 'scripted';
+        this.name = config.name || 'script';
+        this.replies = (config.replies || []).slice();
+        this.fallback = config.fallback || (call => `Scripted answer to: ${call.message}.`);
+        this.calls = [];
+        this.embeddings = config.embeddings !== false;
+        this.embedCalls = [];
+        this.scheduler = new InferenceScheduler({ maxQueue: config.maxQueue });
+    }
+
+    async init() {
+        if (!this.available) this.scheduler.setSlots([null, null]);
+        this.available = true;
+        this.state = 'available';
+        return true;
+    }
+
+    async processQuery(message, conversationHistory = [], webContext = null, options = {}) {
+        options = this.resolveGenerationOptions(options);
+        const call = { message, history: conversationHistory, webContext, options };
+        this.calls.push(call);
+        const next = this.replies.length ? this.replies.shift() : this.fallback;
+        const reply = typeof next === 'function' ? next(call) : next;
+        if (reply instanceof Error) throw reply;
+
+        const signal = options.signal || null;
+        let text = '';
+        try {
+            await this.scheduler.run(async () => {
+                if (typeof options.onStart === 'function') options.onStart();
+                for (const word of String(reply).split(/(?<=\s)/)) {
+                    if (signal && signal.aborted) break;
+                    text += word;
+                    if (typeof options.onToken === 'function') options.onToken(word);
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }, { priority: options.priority, owner: options.owner, onQueue: options.onQueue, signal: signal || undefined });
+        } catch (e) {
+            if (!(e instanceof GenerationAbortedError)) throw e;
+        }
+
+        const result = {
+            response: text.trim(),
+            language: detectLanguage(message, conversationHistory),
+            model: `Scripted (${this.name})`,
+            usage: { promptTokens: message.split(/\s+/).length, completionTokens: text.split(/\s+/).filter(Boolean).length },
+            stats: { provider: this.backend }
+        };
+        if (signal && signal.aborted) result.stopped = true;
+        return result;
+    }
+
+    async embed(texts) {
+        if (!this.embeddings) return super.embed(texts);
+        this.embedCalls.push([].concat(texts));
+        return [].concat(texts).map(text => {
+            const vector = new Array(EMBEDDING_DIMS).fill(0);
+            for (const word of tokenize(text)) {
+                let hash = 0;
+                for (const c of word) hash = (hash * 31 + c.charCodeAt(0)) % EMBEDDING_DIMS;
+                vector[hash] += 1;
+            }
+            return vector;
+        });
+    }
+}
+
+module.exports = { ScriptedBackend };
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHTML, decodeEntities, normalizeSpace } = require('../html-parser');
+
+describe('decodeEntities', () => {
+    it('decodes named, decimal and hex references', () => {
+        assert.equal(decodeEntities('Tom &amp; Jerry&#x27;s &quot;show&quot; &#8212; caf&eacute;'), 'Tom & Jerry\'s "show" — café');
+        assert.equal(decodeEntities('a&nbsp;b'), 'a\u00a0b');
+    });
+
+    it('leaves unknown names alone and replaces invalid code points', () => {
+        assert.equal(decodeEntities('&notanentity; &#0; &#xD800;'), '&notanentity; \ufffd \ufffd');
+    });
+});
+
+describe('parseHTML', () => {
+    it('finds elements by tag, class, id and attribute', () => {
+        const doc = parseHTML('<div id="links"><a class="result__a big" href="/x">One</a><a href="/y">Two</a></div>');
+        assert.equal(doc.findOne('#links a.result__a').text(), 'One');
+        assert.deepEqual(doc.find('a[href]').map(a => a.attr('href')), ['/x', '/y']);
+        assert.equal(doc.findOne('a[href^=/y]').text(), 'Two');
+        assert.equal(doc.find('.missing, a.big').length, 1);
+    });
+
+    it('closes unclosed elements the way browsers do', () => {
+        const doc = parseHTML('<ul><li>one<li>two</ul><p>first<p>second<div>block</div>');
+        assert.deepEqual(doc.find('li').map(li => li.text()), ['one', 'two']);
+        assert.deepEqual(doc.find('p').map(p => p.text()), ['first', 'second']);
+        assert.equal(doc.findOne('p div'), null);
+    });
+
+    it('keeps script contents raw and out of text()', () => {
+        const doc = parseHTML('<div>Hello <script>if (a < b) document.write("<b>x</b>")</script><br>world</div>');
+        assert.equal(doc.find('b').length, 0);
+        assert.equal(normalizeSpace(doc.findOne('div').text()), 'Hello world');
+    });
+
+    it('decodes entities in text and attributes and skips comments', () => {
+        const doc = parseHTML('<!DOCTYPE html><!-- <a href="no"> --><a title="R&amp;D" href="?a=1&amp;b=2">Q&amp;A</a>');
+        const link = doc.findOne('a');
+        assert.equal(link.attr('title'), 'R&D');
+        assert.equal(link.attr('href'), '?a=1&b=2');
+        assert.equal(link.text(), 'Q&A');
+        assert.equal(doc.find('a').length, 1);
+    });
+
+    it('finds the closest matching ancestor', () => {
+        const doc = parseHTML('<div class="result"><h2><a class="result__a">Title</a></h2></div>');
+        assert.equal(doc.findOne('a').closest('.result').tag, 'div');
+        assert.equal(doc.findOne('a').closest('section'), null);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitFile, inspectChunks, findChunkGroups, describeProblems } = require('../model-chunks');
+
+describe('chunk groups', () => {
+    let dir;
+    let hash;
+
+    // A 2500-byte blob split into 1 KB parts: part001, part002 and a short part003
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'luckai-chunks-'));
+        const data = crypto.randomBytes(2500);
+        hash = crypto.createHash('sha256').update(data).digest('hex');
+        const blob = path.join(dir, `sha256-${hash}`);
+        fs.writeFileSync(blob, data);
+        await splitFile(blob, 1 / 1024);
+        fs.unlinkSync(blob);
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('records the part count and size when splitting', () => {
+        const group = findChunkGroups(dir)[hash];
+        assert.equal(group.ok, true);
+        assert.deepEqual(group.expected, { parts: 3, totalBytes: 2500 });
+        assert.deepEqual(group.parts.map(p => p.size), [1024, 1024, 452]);
+    });
+
+    it('reports a group that lost its final part', () => {
+        const last = path.join(dir, `sha256-${hash}.part003`);
+        const saved = fs.readFileSync(last);
+        fs.unlinkSync(last);
+        try {
+            const group = findChunkGroups(dir)[hash];
+            assert.equal(group.ok, false);
+            assert.equal(describeProblems(group), 'missing final part(s) 3 of 3');
+
+            // Without the recorded index, the size of the manifest layer tells
+            fs.renameSync(path.join(dir, `sha256-${hash}.parts.json`), path.join(dir, 'index.bak'));
+            const checked = findChunkGroups(dir, { expectedBytes: { [hash]: 2500 } })[hash];
+            assert.equal(describeProblems(checked), 'missing final part(s) from 3 (2048 of 2500 bytes)');
+        } finally {
+            fs.writeFileSync(last, saved);
+            if (fs.existsSync(path.join(dir, 'index.bak'))) fs.renameSync(path.join(dir, 'index.bak'), path.join(dir, `sha256-${hash}.parts.json`));
+        }
+    });
+
+    it('reports a short final part', () => {
+        const last = path.join(dir, `sha256-${hash}.part003`);
+        const saved = fs.readFileSync(last);
+        fs.writeFileSync(last, saved.subarray(0, 100));
+        try {
+            assert.equal(describeProblems(inspectChunks(dir, hash)), `truncated part(s) sha256-${hash}.part003`);
+        } finally {
+            fs.writeFileSync(last, saved);
+        }
+    });
+});
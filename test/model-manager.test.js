@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModelManager } = require('../model-registry');
+
+const MB = 1024 * 1024;
+
+// Runners that load instantly and are always idle: only leases keep them loaded
+function manager() {
+    const registry = { resolve: id => id, get: id => ({ id, sizeBytes: 60 * MB }) };
+    const createRunner = () => ({
+        available: false,
+        isAvailable() { return this.available; },
+        isIdle: () => true,
+        scheduler: { stats: () => ({}) },
+        async init() { return (this.available = true); },
+        async unload() { this.available = false; }
+    });
+    return new ModelManager({ registry, createRunner, memoryBudgetMb: 100 });
+}
+
+describe('ModelManager', () => {
+    it('unloads idle models to make room', async () => {
+        const models = manager();
+        assert.equal(await models.load('a'), true);
+        assert.equal(await models.load('b'), true);
+        assert.deepEqual([models.isLoaded('a'), models.isLoaded('b')], [false, true]);
+    });
+
+    it('keeps leased models loaded until they are released', async () => {
+        const models = manager();
+        await models.load('a');
+        const release = models.lease('a');
+        await assert.rejects(models.load('b'), /Not enough memory to load b/);
+        assert.equal(models.isLoaded('a'), true);
+
+        release();
+        release();
+        assert.equal(models.stats().loaded[0].leases, 0);
+        assert.equal(await models.load('b'), true);
+        assert.equal(models.isLoaded('a'), false);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { recordedDuckDuckGo } = require('./helpers/recorded-search');
+const { QueryPlanner, parsePlannedQueries, plannerMessage } = require('../query-planner');
+const { searchAll } = require('../search-provider');
+
+const NODE_QUERY = 'What is the latest Node.js release';
+const ARTEMIS_QUERY = 'Quelle est la dernière actualité sur la mission Artemis';
+const PLAN = (language, queries) => JSON.stringify({ language, queries });
+
+describe('query planning', () => {
+    it('reads the queries from the model answer', () => {
+        assert.deepEqual(parsePlannedQueries('```json\n{"language": "FR", "queries": ["  dernier album   Daft Punk ", "Daft Punk 2024"]}\n```'), {
+            queries: ['dernier album Daft Punk', 'Daft Punk 2024'],
+            language: 'fr'
+        });
+        assert.deepEqual(parsePlannedQueries('Here you go: ["a", "A", "b", "c", "d"]'), { queries: ['a', 'b', 'c'], language: null });
+        assert.equal(parsePlannedQueries('The latest album is Random Access Memories.'), null);
+        assert.equal(parsePlannedQueries('{"queries": []}'), null);
+        assert.equal(parsePlannedQueries('{"queries": ["unterminated"'), null);
+    });
+
+    it('shows the planner the recent turns, shortened', () => {
+        const history = [
+            { role: 'user', content: 'old question' },
+            { role: 'user', content: 'Who made Discovery?' },
+            { role: 'assistant', content: `Daft Punk. ${'x'.repeat(400)}` },
+            { role: 'user', content: 'thanks' },
+            { role: 'assistant', content: 'You are welcome.' }
+        ];
+        const text = plannerMessage('and their latest album?', history);
+        assert.doesNotMatch(text, /old question/);
+        assert.match(text, /^Conversation:\nUser: Who made Discovery\?\nAssistant: Daft Punk\. x+\.\.\.\n/);
+        assert.match(text, /\n\nLast message: and their latest album\?$/);
+        assert.equal(plannerMessage('hello', []), 'Last message: hello');
+    });
+
+    it('searches the message when the model does not plan in time', async () => {
+        const runner = { processQuery: (message, history, webContext, options) => new Promise(resolve => {
+            options.signal.addEventListener('abort', () => resolve({ response: '{"queries": ["cut', stopped: true }));
+        }) };
+        const plan = await new QueryPlanner({ timeoutMs: 20 }).plan(runner, ARTEMIS_QUERY);
+        assert.deepEqual(plan, { queries: [ARTEMIS_QUERY], language: 'fr', planned: false, error: 'No queries within 20ms' });
+
+        const failing = { processQuery: async () => { throw new Error('model crashed'); } };
+        assert.equal((await new QueryPlanner().plan(failing, NODE_QUERY)).error, 'model crashed');
+    });
+
+    it('merges the results of several queries, best of each first, without duplicates', async () => {
+        const page = (url) => ({ title: url, url, description: '' });
+        const answers = {
+            one: { results: [page('https://a.example/1'), page('https://shared.example/x'), page('https://a.example/2')], provider: 'duckduckgo', attempts: [{ provider: 'duckduckgo', ok: true }] },
+            two: { results: [page('https://www.shared.example/x/'), page('https://b.example/1')], provider: 'duckduckgo', attempts: [{ provider: 'duckduckgo', ok: true }] }
+        };
+        const client = { search: async (query) => { if (query === 'down') throw new Error('offline'); return answers[query] || null; } };
+
+        const merged = await searchAll(client, ['one', 'two', 'down'], { maxResults: 4 });
+        assert.deepEqual(merged.results.map(r => r.url), ['https://a.example/1', 'https://www.shared.example/x/', 'https://b.example/1', 'https://a.example/2']);
+        assert.match(merged.summary, /^1\. https:\/\/a\.example\/1\n/);
+        assert.equal(merged.attempts.length, 2);
+        assert.equal(await searchAll(client, ['down']), null);
+    });
+});
+
+describe('chat with planned queries', () => {
+    let ctx;
+    let backend;
+    let duckduckgo;
+
+    before(async () => {
+        backend = new ScriptedBackend({ fallback: 'Node.js 24 is the latest release.' });
+        duckduckgo = recordedDuckDuckGo();
+        ctx = await startApp({ backend, app: { searchProviders: [duckduckgo] } });
+    });
+    after(() => ctx.close());
+
+    it('rewrites a follow-up into a standalone query from the conversation', async () => {
+        backend.calls = [];
+        backend.replies = [PLAN('en', [NODE_QUERY])];
+        const conversationHistory = [
+            { role: 'user', content: 'How often does Node.js release?' },
+            { role: 'assistant', content: 'A new major version comes out every six months.' }
+        ];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'And which one is the latest?', useWebSearch: 'always', fast: false, conversationHistory } });
+
+        assert.deepEqual(body.searchQueries, [NODE_QUERY]);
+        assert.equal(body.sources.length, 3);
+        const [planning, answer] = backend.calls;
+        assert.match(planning.message, /Assistant: A new major version comes out every six months\.\n\nLast message: And which one is the latest\?$/);
+        assert.equal(planning.options.maxTokens, 96);
+        assert.deepEqual(planning.history, []);
+        // The answer still sees the conversation and the user's own words
+        assert.equal(answer.message, 'And which one is the latest?');
+        assert.equal(answer.history.length, 2);
+        assert.match(answer.webContext, /Releases · nodejs\/node · GitHub/);
+    });
+
+    it('searches in the language of the question', async () => {
+        duckduckgo._fetch.requests = [];
+        backend.replies = [PLAN('fr', [ARTEMIS_QUERY])];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: ARTEMIS_QUERY, useWebSearch: 'always', fast: false } });
+
+        assert.deepEqual(body.searchQueries, [ARTEMIS_QUERY]);
+        assert.ok(body.sources.length > 0);
+        assert.equal(new URL(duckduckgo._fetch.requests[0]).searchParams.get('kl'), 'fr-fr');
+    });
+
+    it('runs every planned query and merges their sources', async () => {
+        duckduckgo._fetch.requests = [];
+        backend.replies = [PLAN('en', [NODE_QUERY, 'best password manager & passkeys'])];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Latest Node.js, and which password manager should I use?', useWebSearch: 'always', fast: false } });
+
+        assert.equal(duckduckgo._fetch.requests.length, 2);
+        assert.equal(body.sources.length, 6);
+        assert.equal(body.sources[0].title, 'Node.js — Node.js Releases');
+        assert.notEqual(body.sources[1].host, 'nodejs.org');
+    });
+
+    it('searches the message itself when the planner answers in prose', async () => {
+        backend.replies = ['Sure! You should search for the latest Node.js release.'];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: NODE_QUERY, useWebSearch: 'always', fast: false } });
+        assert.deepEqual(body.searchQueries, [NODE_QUERY]);
+        assert.equal(body.sources.length, 3);
+    });
+
+    it('reports the queries on /v1 and leaves them out without a search', async () => {
+        backend.replies = [PLAN('en', [NODE_QUERY])];
+        const { body } = await ctx.request('POST', '/v1/chat/completions', { body: { messages: [{ role: 'user', content: 'latest node?' }], web_search: 'always' } });
+        assert.deepEqual(body.luckai.search_queries, [NODE_QUERY]);
+
+        const plain = await ctx.request('POST', '/api/chat', { body: { message: 'Write a haiku', useWebSearch: 'never', fast: false } });
+        assert.equal(plain.body.searchQueries, null);
+    });
+});
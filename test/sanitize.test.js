@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { sanitizeAnswer } = require('../server');
+
+describe('sanitizeAnswer', () => {
+    it('keeps plain prose untouched', () => {
+        const text = 'Node.js 22 is the current release.\n\nIt ships a newer V8 engine.';
+        assert.equal(sanitizeAnswer(text, []), text);
+    });
+
+    it('drops raw URL and redirect lines', () => {
+        const text = [
+            'Here is the answer.',
+            'https://example.com/page',
+            '//duckduckgo.com/l/?uddg=https%3A%2F%2Fexample.com',
+            'See uddg=abc for details',
+            'The end.'
+        ].join('\n');
+        assert.equal(sanitizeAnswer(text, []), 'Here is the answer.\nThe end.');
+    });
+
+    it('drops lines quoting a source URL', () => {
+        const sources = [{ title: 'Example', url: 'https://example.org/a' }];
+        const text = 'First point.\nSource: https://example.org/a\nSecond point.';
+        assert.equal(sanitizeAnswer(text, sources), 'First point.\nSecond point.');
+    });
+
+    it('drops long percent-encoded and query-string lines', () => {
+        const text = 'Answer.\nq%3Dnode%26ia%3Dweb%26kl%3Dfr\nkey=value&other=thing&more=stuff/and/path?x=1';
+        assert.equal(sanitizeAnswer(text, []), 'Answer.');
+    });
+
+    it('falls back to a cleaned version instead of an empty answer', () => {
+        const text = 'https://duckduckgo.com/l/abc123 useful text';
+        const safe = sanitizeAnswer(text, []);
+        assert.ok(safe);
+        assert.ok(!safe.includes('duckduckgo.com/l/'));
+        assert.match(safe, /useful text/);
+    });
+
+    it('returns an empty string for empty input', () => {
+        assert.equal(sanitizeAnswer('', []), '');
+        assert.equal(sanitizeAnswer(null, []), '');
+    });
+});
+
+describe('chat answers are sanitized', () => {
+    let ctx;
+    let backend;
+
+    before(async () => {
+        backend = new ScriptedBackend();
+        ctx = await startApp({ backend });
+    });
+    after(() => ctx.close());
+
+    it('strips links from the short and full answers', async () => {
+        backend.replies = [
+            'The answer is forty-two, as computed long ago.\nhttps://example.com/deep-thought',
+            'The full answer is forty-two.\n//duckduckgo.com/l/?uddg=https%3A%2F%2Fexample.com'
+        ];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'What is the answer?', useWebSearch: false } });
+        assert.equal(body.answer, 'The answer is forty-two, as computed long ago.');
+
+        let job;
+        for (let i = 0; i < 100 && !(job && job.state === 'done'); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            job = (await ctx.request('GET', `/api/jobs/${body.fullId}`)).body.job;
+        }
+        assert.equal(job.result.answer, 'The full answer is forty-two.');
+    });
+});
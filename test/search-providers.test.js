@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+const { recordedDuckDuckGo } = require('./helpers/recorded-search');
+const { SearchProvider, SearchChain, SearchTimeoutError } = require('../search-provider');
+const { SearxngSearch } = require('../searxng-search');
+const { LocalSearchIndex } = require('../local-search-index');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const searxngPage = fs.readFileSync(path.join(FIXTURES, 'searxng', 'nodejs-release.json'), 'utf8');
+
+// A SearXNG fetch() serving the recorded answer (or an error status)
+function searxngFetch(status = 200) {
+    const fetch = async (url, init) => {
+        fetch.requests.push({ url, headers: init.headers });
+        return { ok: status === 200, status, json: async () => JSON.parse(searxngPage) };
+    };
+    fetch.requests = [];
+    return fetch;
+}
+
+// Provider answering with canned results, after `delayMs`
+class StaticProvider extends SearchProvider {
+    constructor(name, results, config = {}) {
+        super(config);
+        this.provider = name;
+        this.results = results;
+        this.delayMs = config.delayMs || 0;
+        this.calls = 0;
+    }
+
+    async search() {
+        this.calls++;
+        if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        if (this.results instanceof Error) throw this.results;
+        return { results: this.results, summary: '' };
+    }
+}
+
+const RESULT = { title: 'Result', url: 'https://example.com/', description: 'text', snippet: 'text' };
+
+describe('SearchChain', () => {
+    const quiet = { onError: () => {} };
+
+    it('returns the first provider with results, tagged with its name', async () => {
+        const first = new StaticProvider('first', [RESULT]);
+        const second = new StaticProvider('second', [RESULT]);
+        const result = await new SearchChain([first, second], quiet).search('query');
+        assert.equal(result.provider, 'first');
+        assert.equal(second.calls, 0);
+    });
+
+    it('falls back to the next provider when one fails', async () => {
+        const errors = [];
+        const chain = new SearchChain([
+            new StaticProvider('broken', new Error('connection refused')),
+            new StaticProvider('backup', [RESULT])
+        ], { onError: (provider, e) => errors.push(`${provider.provider}: ${e.message}`) });
+        const result = await chain.search('query');
+        assert.equal(result.provider, 'backup');
+        assert.deepEqual(errors, ['broken: connection refused']);
+        assert.deepEqual(result.attempts.map(a => [a.provider, a.ok]), [['broken', false], ['backup', true]]);
+    });
+
+    it('gives up on a provider at its timeout', async () => {
+        const slow = new StaticProvider('slow', [RESULT], { delayMs: 500, timeoutMs: 20 });
+        const errors = [];
+        const result = await new SearchChain([slow, new StaticProvider('fast', [RESULT])], { onError: (p, e) => errors.push(e) }).search('query');
+        assert.equal(result.provider, 'fast');
+        assert.ok(errors[0] instanceof SearchTimeoutError);
+        assert.match(errors[0].message, /slow search timed out after 20ms/);
+    });
+
+    it('keeps looking when a provider finds nothing, and returns the empty answer as a last resort', async () => {
+        const empty = new StaticProvider('empty', []);
+        assert.equal((await new SearchChain([empty, new StaticProvider('full', [RESULT])], quiet).search('query')).provider, 'full');
+
+        const result = await new SearchChain([empty, new StaticProvider('broken', new Error('down'))], quiet).search('query');
+        assert.equal(result.provider, 'empty');
+        assert.deepEqual(result.results, []);
+    });
+
+    it('returns null when every provider fails or the query is empty', async () => {
+        assert.equal(await new SearchChain([new StaticProvider('broken', new Error('down'))], quiet).search('query'), null);
+        assert.equal(await new SearchChain([new StaticProvider('ok', [RESULT])], quiet).search('  '), null);
+    });
+});
+
+describe('SearxngSearch', () => {
+    it('queries the JSON API and maps its results', async () => {
+        const fetch = searxngFetch();
+        const searxng = new SearxngSearch({ url: 'http://search.internal:8888/', apiKey: 'secret', language: 'fr', fetch });
+        const result = await searxng.search('what is the latest node.js release');
+
+        assert.equal(fetch.requests[0].url, 'http://search.internal:8888/search?q=what+is+the+latest+node.js+release&format=json&language=fr');
+        assert.equal(fetch.requests[0].headers.Authorization, 'Bearer secret');
+        assert.deepEqual(result.results.map(r => r.url), ['https://nodejs.org/en/blog/release', 'https://github.com/nodejs/Release']);
+        assert.equal(result.results[0].description, 'Release notes for every Node.js version, with the changelog and download links.');
+        assert.match(result.summary, /^1\. Node\.js Release Notes/);
+    });
+
+    it('fails without a URL or on error statuses', async () => {
+        await assert.rejects(new SearxngSearch({ url: '', fetch: searxngFetch() }).search('query'), /LUCKAI_SEARXNG_URL/);
+        await assert.rejects(new SearxngSearch({ url: 'http://search.internal', fetch: searxngFetch(403) }).search('query'), /status 403/);
+    });
+});
+
+describe('LocalSearchIndex', () => {
+    const index = new LocalSearchIndex({ file: path.join(FIXTURES, 'search-index.json') });
+
+    it('ranks documents by keyword relevance', async () => {
+        const result = await index.search('How do I set up the VPN?');
+        assert.deepEqual(result.results.map(r => r.title), ['VPN setup for remote staff', 'Office Wi-Fi']);
+        assert.equal(result.results[0].url, 'https://intranet.example/it/vpn');
+        assert.equal(result.results[1].url, '');
+    });
+
+    it('matches French words regardless of accents', async () => {
+        const result = await index.search('conges d\'ete');
+        assert.equal(result.results[0].title, 'Politique de congés');
+    });
+
+    it('returns no results for unrelated queries', async () => {
+        assert.deepEqual((await index.search('quantum chromodynamics')).results, []);
+    });
+
+    it('reads JSON Lines and picks up changes to the file', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'luckai-index-')), 'index.jsonl');
+        try {
+            fs.writeFileSync(file, JSON.stringify({ title: 'Parking', content: 'Badge access to the parking garage.' }) + '\n');
+            const jsonl = new LocalSearchIndex({ file });
+            assert.equal((await jsonl.search('parking')).results.length, 1);
+
+            fs.appendFileSync(file, JSON.stringify({ title: 'Bike parking', content: 'Bike racks are next to the entrance.' }) + '\n');
+            fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+            assert.equal((await jsonl.search('parking')).results.length, 2);
+            assert.equal(jsonl.info().documents, 2);
+        } finally {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        }
+    });
+
+    it('fails when the index file is missing', async () => {
+        await assert.rejects(new LocalSearchIndex({ file: path.join(FIXTURES, 'missing.json') }).search('vpn'), /not found/);
+    });
+});
+
+describe('chat search provider fallback', () => {
+    it('reports the provider that answered as searchProvider', async () => {
+        const ctx = await startApp({ app: { searchProviders: [
+            recordedDuckDuckGo({ status: 503 }),
+            new SearxngSearch({ url: 'http://search.internal', fetch: searxngFetch() })
+        ] } });
+        try {
+            const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'What is the latest Node.js release', useWebSearch: 'always', fast: false } });
+            assert.equal(body.usedWeb, true);
+            assert.equal(body.searchProvider, 'searxng');
+            assert.equal(body.sources[0].host, 'nodejs.org');
+
+            const test = await ctx.request('GET', '/api/search/test?q=what%20is%20the%20latest%20node.js%20release');
+            assert.equal(test.body.provider, 'searxng');
+            assert.deepEqual(test.body.attempts.map(a => a.provider), ['duckduckgo', 'searxng']);
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    it('builds providers from names, with the local index in the data directory', async () => {
+        const ctx = await startApp({ app: { searchProviders: ['local'] } });
+        try {
+            fs.copyFileSync(path.join(FIXTURES, 'search-index.json'), path.join(ctx.dataDir, 'search-index.json'));
+            const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Expense reports approval', useWebSearch: 'always', fast: false } });
+            assert.equal(body.searchProvider, 'local');
+            assert.equal(body.sources[0].title, 'Expense reports');
+        } finally {
+            await ctx.close();
+        }
+    });
+});
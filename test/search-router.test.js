@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { SearchRouter, classifyMessage, findEntities } = require('../search-router');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const CREPES = 'Comment faire une pâte à crêpes sans oeufs ?';
+
+describe('search routing rules', () => {
+    it('reads years and dates against the current date', () => {
+        const olympics = 'What happened at the Olympics in 2024';
+        assert.equal(classifyMessage(olympics, { now: new Date('2024-08-01') }).search, true);
+        assert.equal(classifyMessage(olympics, { now: NOW }).search, false);
+        assert.equal(classifyMessage('what happened on October 10', { now: NOW }).search, true);
+        assert.equal(classifyMessage('what happened on October 10', { now: new Date('2026-03-01') }).search, false);
+        assert.equal(classifyMessage('Que s\'est-il passé le 14 octobre', { now: NOW }).search, true);
+    });
+
+    it('finds named entities, not capitalized sentence openers', () => {
+        assert.deepEqual(findEntities('Is the iPhone 16 better than the Pixel 9 from Google?'), ['iPhone 16', 'Pixel 9', 'Google']);
+        assert.deepEqual(findEntities('What did Daft Punk release? Tell me about Paris.'), ['Daft Punk', 'Paris']);
+        assert.deepEqual(findEntities('How do I sort an array in JS? I tried on Monday.'), []);
+    });
+
+    it('explains the decision in the language of the message', () => {
+        assert.deepEqual(
+            [classifyMessage('who won yesterday?', { now: NOW }).reason, classifyMessage('Qui a gagné le match hier soir ?', { now: NOW }).reason],
+            ['Time-sensitive ("yesterday"), factual question', 'Dépend de la date (« hier »), question factuelle']
+        );
+        assert.equal(classifyMessage('Bonjour !', { now: NOW }).reason, 'Simple échange');
+        assert.equal(classifyMessage('Explain recursion in Python', { now: NOW }).reason, 'Programming question');
+    });
+
+    it('leaves messages with a single weak signal unsure', () => {
+        const decision = classifyMessage(CREPES, { now: NOW });
+        assert.deepEqual([decision.search, decision.unsure, decision.score], [false, true, 1]);
+        assert.equal(decision.reason, 'Pas assez pour chercher : question factuelle');
+        // A strong time signal outweighs a writing task
+        assert.equal(classifyMessage("Summarize today's news", { now: NOW }).search, true);
+    });
+});
+
+describe('SearchRouter model check', () => {
+    it('asks the model only about unsure messages', async () => {
+        const backend = new ScriptedBackend({ replies: ['Oui.'] });
+        await backend.init();
+        const router = new SearchRouter({ modelCheck: true, now: () => NOW });
+
+        const decision = await router.decide(CREPES, { runner: backend });
+        assert.deepEqual([decision.search, decision.method], [true, 'model']);
+        assert.equal(decision.reason, 'Le modèle a jugé la recherche utile (question factuelle)');
+        assert.match(backend.calls[0].message, /^Today is 2026-10-19\.\nMessage: Comment faire/);
+        assert.equal(backend.calls[0].options.maxTokens, 3);
+
+        await router.decide('who won yesterday?', { runner: backend });
+        await router.decide('Write a haiku', { runner: backend });
+        assert.equal(backend.calls.length, 1);
+    });
+
+    it('keeps the rules decision when the model answers neither yes nor no', async () => {
+        const backend = new ScriptedBackend({ replies: ['It depends on what you mean.'] });
+        await backend.init();
+        const decision = await new SearchRouter({ modelCheck: true, now: () => NOW }).decide(CREPES, { runner: backend });
+        assert.deepEqual([decision.search, decision.method], [false, 'rules']);
+    });
+});
+
+describe('chat in auto mode', () => {
+    let ctx;
+    let backend;
+
+    before(async () => {
+        backend = new ScriptedBackend({ fallback: 'Here you go.' });
+        ctx = await startApp({ backend, app: { searchRouter: new SearchRouter({ modelCheck: true }) } });
+    });
+    after(() => ctx.close());
+
+    it('returns the routing decision and its reason', async () => {
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Write a haiku', useWebSearch: 'auto', fast: false } });
+        assert.equal(body.usedWeb, false);
+        assert.deepEqual(body.searchDecision, { mode: 'auto', search: false, reason: 'Writing task', method: 'rules', score: -2 });
+
+        const latest = await ctx.request('POST', '/api/chat', { body: { message: 'What is the latest Node.js release', useWebSearch: true, fast: false } });
+        assert.equal(latest.body.usedWeb, true);
+        assert.equal(latest.body.searchDecision.search, true);
+        assert.match(latest.body.searchDecision.reason, /^Time-sensitive \("latest"\)/);
+    });
+
+    it('lets the model settle unsure messages', async () => {
+        backend.calls = [];
+        backend.replies = ['no'];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: CREPES, useWebSearch: 'auto', fast: false } });
+        assert.equal(body.usedWeb, false);
+        assert.equal(body.searchDecision.method, 'model');
+        assert.equal(backend.calls.length, 2);
+    });
+
+    it('reports fixed modes as such', async () => {
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Write a haiku', useWebSearch: 'never', fast: false } });
+        assert.deepEqual(body.searchDecision, { mode: 'never', search: false, reason: 'Web search is off', method: 'mode', score: null });
+    });
+});
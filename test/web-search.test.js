@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+const { ScriptedBackend } = require('./helpers/scripted-backend');
+const { recordedFetch, recordedDuckDuckGo, FIXTURES_DIR } = require('./helpers/recorded-search');
+const { shouldUseWebSearch } = require('../server');
+const { DuckDuckGoClient, parseResults, resolveResultUrl, canonicalUrl } = require('../duckduckgo-search');
+
+describe('shouldUseWebSearch', () => {
+    it('searches for questions about recent events or named things', () => {
+        assert.equal(shouldUseWebSearch('What is the latest news about the Mars rover?'), true);
+        assert.equal(shouldUseWebSearch('Tell me about the history of the Eiffel Tower'), true);
+        assert.equal(shouldUseWebSearch('Quelle est la dernière actualité sur la mission Artemis'), true);
+    });
+
+    it('searches short messages when they are time-sensitive', () => {
+        assert.equal(shouldUseWebSearch('latest news?'), true);
+        assert.equal(shouldUseWebSearch('who won yesterday?'), true);
+        assert.equal(shouldUseWebSearch('Hello!'), false);
+    });
+
+    it('skips writing and programming requests, even with a question word', () => {
+        assert.equal(shouldUseWebSearch('Write me a short poem about autumn leaves falling'), false);
+        assert.equal(shouldUseWebSearch('what is a closure in JS'), false);
+    });
+});
+
+describe('DuckDuckGoClient with recorded pages', () => {
+    it('parses titles and links from a result page', async () => {
+        const fetch = recordedFetch();
+        const client = new DuckDuckGoClient({ fetch });
+        const result = await client.search('what is the latest node.js release');
+
+        assert.equal(fetch.requests.length, 1);
+        assert.match(fetch.requests[0], /^https:\/\/html\.duckduckgo\.com\/html\/\?q=what%20is%20the%20latest%20node\.js%20release$/);
+        assert.deepEqual(result.results.map(r => r.title), [
+            'Node.js — Node.js Releases',
+            'Releases · nodejs/node · GitHub',
+            'Node.js | endoflife.date'
+        ]);
+        assert.equal(result.results[1].url, 'https://github.com/nodejs/node/releases');
+        assert.match(result.summary, /^1\. Node\.js — Node\.js Releases/);
+    });
+
+    it('fails on the bot check page', async () => {
+        await assert.rejects(recordedDuckDuckGo().search('bot check'), /bot check/);
+    });
+
+    it('returns an empty result list when nothing matched', async () => {
+        const result = await recordedDuckDuckGo().search('zzqx unknown query');
+        assert.deepEqual(result.results, []);
+        assert.equal(result.summary, '');
+    });
+
+    it('fails when DuckDuckGo answers with an error', async () => {
+        await assert.rejects(recordedDuckDuckGo({ status: 503 }).search('what is the latest node.js release'), /status 503/);
+    });
+
+    it('does not search for empty queries', async () => {
+        const fetch = recordedFetch();
+        assert.equal(await new DuckDuckGoClient({ fetch }).search('   '), null);
+        assert.equal(fetch.requests.length, 0);
+    });
+});
+
+describe('DuckDuckGo result page parsing', () => {
+    // Every saved page in the fixture corpus against the results (or error) recorded for it
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'expected.json'), 'utf8'));
+    const pages = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.html')).sort();
+
+    it('has expectations for every saved page', () => {
+        assert.deepEqual(pages, Object.keys(expected).sort());
+    });
+
+    for (const page of pages) {
+        it(`parses ${page}`, () => {
+            const html = fs.readFileSync(path.join(FIXTURES_DIR, page), 'utf8');
+            if (expected[page].error) {
+                assert.throws(() => parseResults(html), { message: expected[page].error });
+                return;
+            }
+            const results = parseResults(html).map(({ title, url, snippet }) => ({ title, url, snippet }));
+            assert.deepEqual(results, expected[page].results);
+        });
+    }
+
+    it('drops ads and duplicate pages', () => {
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, 'ads-and-duplicates.html'), 'utf8');
+        const urls = parseResults(html).map(r => r.url);
+        assert.ok(!urls.some(url => /vaultly|keysafe|duckduckgo/.test(url)));
+        assert.equal(urls.filter(url => url.includes('security.example')).length, 1);
+    });
+
+    it('stops at maxResults', () => {
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, 'nodejs-release.html'), 'utf8');
+        assert.equal(parseResults(html, 2).length, 2);
+    });
+
+    it('resolves redirect links to their target', () => {
+        assert.equal(resolveResultUrl('//duckduckgo.com/l/?uddg=https%3A%2F%2Fexample.com%2Fa%3Fb%3D1&rut=abc'), 'https://example.com/a?b=1');
+        assert.equal(resolveResultUrl('https://example.org/page'), 'https://example.org/page');
+        assert.equal(resolveResultUrl('//duckduckgo.com/l/?uddg=javascript%3Aalert(1)'), null);
+        assert.equal(resolveResultUrl('https://duckduckgo.com/y.js?ad_domain=example.com'), null);
+        assert.equal(resolveResultUrl(''), null);
+    });
+
+    it('canonicalizes URLs for deduplication', () => {
+        assert.equal(canonicalUrl('https://www.Example.com/guide/?utm_source=ddg&page=2#top'), 'example.com/guide?page=2');
+        assert.equal(canonicalUrl('http://example.com/guide?page=2'), 'example.com/guide?page=2');
+        assert.notEqual(canonicalUrl('https://example.com/guide?page=3'), canonicalUrl('https://example.com/guide?page=2'));
+    });
+});
+
+describe('chat with web search', () => {
+    let ctx;
+    let backend;
+
+    before(async () => {
+        backend = new ScriptedBackend({ fallback: 'Node.js publishes a new major release twice a year.' });
+        ctx = await startApp({ backend });
+    });
+    after(() => ctx.close());
+
+    it('feeds the results to the model and returns them as sources', async () => {
+        backend.calls = [];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'What is the latest Node.js release', useWebSearch: 'always', fast: false } });
+
+        assert.equal(body.usedWeb, true);
+        assert.equal(body.searchProvider, 'duckduckgo');
+        assert.equal(body.searchError, null);
+        assert.equal(body.sources.length, 3);
+        assert.equal(body.sources[0].title, 'Node.js — Node.js Releases');
+        assert.equal(body.sources[1].url, 'https://github.com/nodejs/node/releases');
+        assert.match(backend.calls.at(-1).webContext, /Releases · nodejs\/node · GitHub/);
+    });
+
+    it('only searches in auto mode when the message calls for it', async () => {
+        backend.calls = [];
+        const { body } = await ctx.request('POST', '/api/chat', { body: { message: 'Write a haiku', useWebSearch: 'auto', fast: false } });
+        assert.equal(body.usedWeb, false);
+        assert.equal(backend.calls[0].webContext, null);
+
+        const never = await ctx.request('POST', '/api/chat', { body: { message: 'What is the latest Node.js release', useWebSearch: 'never', fast: false } });
+        assert.equal(never.body.usedWeb, false);
+    });
+
+    it('answers without sources when the search fails', async () => {
+        const failing = await startApp({ app: { searchProviders: [recordedDuckDuckGo({ status: 500 })] } });
+        try {
+            const { status, body } = await failing.request('POST', '/api/chat', { body: { message: 'What is the latest Node.js release', useWebSearch: 'always', fast: false } });
+            assert.equal(status, 200);
+            assert.equal(body.usedWeb, false);
+            assert.deepEqual(body.sources, []);
+            assert.equal(body.searchError, 'Web search failed. Please try again later.');
+        } finally {
+            await failing.close();
+        }
+    });
+});
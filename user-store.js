@@ -0,0 +1,161 @@
+/**
+ * Persistent user store
+ * Accounts live in data/users.json with scrypt-hashed passwords.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N must be a power of two); stored alongside each hash so they can change later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LEN = 64;
+
+const USERNAME_RE = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+class UserStore {
+    constructor(config = {}) {
+        this.file = config.file || path.join(__dirname, 'data', 'users.json');
+        this._users = null; // username (lowercase) -> account, loaded lazily
+        this._mtimeMs = 0;
+    }
+
+    _load() {
+        // Reload when the file changed on disk (e.g. edited by the admin CLI while the server runs)
+        let mtimeMs = 0;
+        try { mtimeMs = fs.statSync(this.file).mtimeMs; } catch (e) { /* not created yet */ }
+        if (this._users && mtimeMs === this._mtimeMs) return this._users;
+
+        this._users = new Map();
+        this._mtimeMs = mtimeMs;
+        try {
+            if (mtimeMs) {
+                const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                (parsed.users || []).forEach(u => this._users.set(u.username.toLowerCase(), u));
+            }
+        } catch (e) {
+            console.warn('[UserStore] Failed to read users file:', e.message);
+        }
+        return this._users;
+    }
+
+    _save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const tmp = this.file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify({ users: Array.from(this._users.values()) }, null, 2));
+        fs.renameSync(tmp, this.file);
+        try { this._mtimeMs = fs.statSync(this.file).mtimeMs; } catch (e) { this._mtimeMs = 0; }
+    }
+
+    // Public view of an account (never exposes the password hash)
+    _public(account) {
+        return {
+            id: account.id,
+            username: account.username,
+            role: account.role,
+            disabled: !!account.disabled,
+            createdAt: account.createdAt
+        };
+    }
+
+    count() {
+        return this._load().size;
+    }
+
+    list() {
+        return Array.from(this._load().values()).map(a => this._public(a));
+    }
+
+    get(username) {
+        const account = this._load().get(String(username || '').toLowerCase());
+        return account ? this._public(account) : null;
+    }
+
+    // Returns an error message for an invalid username/password pair, or null
+    validateCredentials(username, password) {
+        if (typeof username !== 'string' || !USERNAME_RE.test(username)) {
+            return 'Username must be 3-32 characters (letters, digits, "_", "." or "-")';
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    async create(username, password, { role = 'user', id } = {}) {
+        const invalid = this.validateCredentials(username, password);
+        if (invalid) throw new Error(invalid);
+        const key = username.toLowerCase();
+        if (this._load().has(key)) throw new Error('Username already taken');
+        const passwordHash = await this._hash(password);
+        // Re-check after hashing: another request may have taken the name meanwhile
+        const users = this._load();
+        if (users.has(key)) throw new Error('Username already taken');
+        const account = {
+            id: id || `user-${crypto.randomUUID()}`,
+            username,
+            role: role === 'admin' ? 'admin' : 'user',
+            passwordHash,
+            disabled: false,
+            createdAt: new Date().toISOString()
+        };
+        users.set(key, account);
+        this._save();
+        return this._public(account);
+    }
+
+    // Returns the public account when the password matches, otherwise null
+    async verify(username, password) {
+        const account = this._load().get(String(username || '').toLowerCase());
+        if (!account || typeof password !== 'string') return null;
+        return (await this._check(password, account.passwordHash)) ? this._public(account) : null;
+    }
+
+    async setPassword(username, password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        const passwordHash = await this._hash(password);
+        const account = this._load().get(String(username || '').toLowerCase());
+        if (!account) throw new Error('User not found');
+        account.passwordHash = passwordHash;
+        this._save();
+        return this._public(account);
+    }
+
+    update(username, { disabled, role } = {}) {
+        const account = this._load().get(String(username || '').toLowerCase());
+        if (!account) return null;
+        if (typeof disabled === 'boolean') account.disabled = disabled;
+        if (role === 'admin' || role === 'user') account.role = role;
+        this._save();
+        return this._public(account);
+    }
+
+    async _hash(password) {
+        const salt = crypto.randomBytes(16);
+        const key = await scrypt(password, salt, KEY_LEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+        return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+    }
+
+    async _check(password, stored) {
+        try {
+            const [algo, n, r, p, salt, hash] = String(stored || '').split('$');
+            if (algo !== 'scrypt') return false;
+            const expected = Buffer.from(hash, 'base64');
+            const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(n), r: Number(r), p: Number(p) });
+            return crypto.timingSafeEqual(key, expected);
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+module.exports = { UserStore };
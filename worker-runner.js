@@ -0,0 +1,343 @@
+/**
+ * Supervised inference worker
+ * WorkerRunner has the same interface as LocalGGUFRunner but runs the model in a child process
+ * (gguf-worker.js). The worker is pinged for health, killed when it stops answering, and restarted with
+ * exponential backoff after a crash; requests in flight at that moment fail with a retriable
+ * ModelRestartingError instead of taking the server down.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { QueueFullError } = require('./gguf-runner');
+const { InferenceBackend } = require('./inference-backend');
+
+const WORKER_SCRIPT = path.join(__dirname, 'gguf-worker.js');
+// A worker that stayed up this long is considered healthy again: the next crash restarts it without delay growth
+const STABLE_AFTER_MS = 60 * 1000;
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+// Raised for requests cut short by a worker crash, or sent while the worker restarts; safe to retry
+class ModelRestartingError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'ModelRestartingError';
+        this.code = 'MODEL_RESTARTING';
+        this.retriable = true;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Parent-side view of the worker's InferenceScheduler, refreshed from the state snapshots the worker sends.
+ * The worker's own queue stays authoritative: it still rejects with QueueFullError when full.
+ */
+class SchedulerMirror {
+    constructor(maxQueue) {
+        this._stats = { slots: 0, busy: 0, queued: 0, interactive: 0, background: 0, maxQueue, avgJobMs: 5000 };
+    }
+
+    update(stats) {
+        if (stats) this._stats = stats;
+    }
+
+    // Worker gone: nothing is running or queued any more
+    reset() {
+        this._stats = Object.assign({}, this._stats, { slots: 0, busy: 0, queued: 0, interactive: 0, background: 0 });
+    }
+
+    stats() {
+        return Object.assign({}, this._stats);
+    }
+
+    isFull() {
+        return this._stats.queued >= this._stats.maxQueue;
+    }
+
+    // Same estimate as InferenceScheduler.retryAfter()
+    retryAfter() {
+        const slots = Math.max(1, this._stats.slots);
+        return Math.max(1, Math.ceil((this._stats.queued / slots + 1) * this._stats.avgJobMs / 1000));
+    }
+}
+
+class WorkerRunner extends InferenceBackend {
+    constructor(config = {}) {
+        super(config);
+        this.backend = 'local-gguf';
+        this.config = config;
+        this.name = config.name || '';
+        this.modelPath = config.modelPath || '';
+        // Worker entry point (tests start one with a fake model)
+        this.script = config.script || WORKER_SCRIPT;
+
+        this.pingIntervalMs = Number(process.env.LUCKAI_WORKER_PING_MS || 10 * 1000);
+        this.pingTimeoutMs = Number(process.env.LUCKAI_WORKER_PING_TIMEOUT_MS || 30 * 1000);
+        this.backoffBaseMs = Number(process.env.LUCKAI_WORKER_BACKOFF_MS || 1000);
+        this.backoffMaxMs = Number(process.env.LUCKAI_WORKER_BACKOFF_MAX_MS || 60 * 1000);
+
+        // Same states as LocalGGUFRunner, plus 'restarting' while waiting to respawn a crashed worker
+        this.assembly = null;
+        this.scheduler = new SchedulerMirror(Number(config.maxQueue || process.env.LUCKAI_QUEUE_MAX || 32));
+
+        this._child = null;
+        this._info = null;
+        this._nextId = 1;
+        this._calls = new Map(); // id -> { resolve, reject, handlers }
+        this._wanted = false; // should a model be loaded (drives restarts)
+        this._stopping = false;
+        this._initPromise = null;
+        this._crashes = 0; // consecutive, reset once a worker has been stable
+        this._restarts = 0;
+        this._restartAt = 0;
+        this._restartTimer = null;
+        this._lastExit = null;
+        this._lastPong = null;
+    }
+
+    _spawn() {
+        if (this._child) return;
+        const child = fork(this.script, [], { stdio: 'inherit' });
+        this._child = child;
+        this._startedAt = Date.now();
+        this._lastPong = Date.now();
+        child.on('message', (message) => this._onMessage(message));
+        child.on('error', (e) => console.error('[Worker] Process error:', e.message));
+        child.on('exit', (code, signal) => this._onExit(child, code, signal));
+
+        // Health pings: a worker that stops answering (stuck native call, frozen event loop) is killed and restarted
+        this._pingTimer = setInterval(() => {
+            if (Date.now() - this._lastPong > this.pingTimeoutMs) {
+                console.error(`[Worker] ${this._label()} did not answer pings for ${this.pingTimeoutMs}ms; killing it`);
+                child.kill('SIGKILL');
+                return;
+            }
+            this._send({ type: 'ping', id: 0 });
+        }, this.pingIntervalMs);
+        if (this._pingTimer.unref) this._pingTimer.unref();
+        console.log(`[Worker] Started ${this._label()} (pid ${child.pid})`);
+    }
+
+    _label() {
+        return this.name || path.basename(this.modelPath || 'model');
+    }
+
+    _send(message) {
+        if (this._child && this._child.connected) this._child.send(message);
+    }
+
+    // Send a request and settle with its reply; `handlers` receive the worker's events for it
+    _call(message, handlers = {}, id = this._nextId++) {
+        return new Promise((resolve, reject) => {
+            this._calls.set(id, { resolve, reject, handlers });
+            this._send(Object.assign({}, message, { id }));
+        });
+    }
+
+    _onMessage(message) {
+        if (!message || typeof message !== 'object') return;
+        if (message.type === 'pong') {
+            this._lastPong = Date.now();
+        } else if (message.type === 'state') {
+            this._applySnapshot(message.snapshot);
+        } else if (message.type === 'event') {
+            const call = this._calls.get(message.id);
+            const handler = call && call.handlers[message.event];
+            if (handler) {
+                try { handler(...(message.args || [])); } catch (e) { /* ignore consumer errors */ }
+            }
+        } else if (message.type === 'reply') {
+            const call = this._calls.get(message.id);
+            if (!call) return;
+            this._calls.delete(message.id);
+            if (message.error) call.reject(this._toError(message.error));
+            else call.resolve(message.result);
+        }
+    }
+
+    _applySnapshot(snapshot) {
+        if (!snapshot) return;
+        this.state = snapshot.state;
+        this.available = !!snapshot.available;
+        this.loadError = snapshot.loadError || null;
+        this.assembly = snapshot.assembly || null;
+        if (snapshot.modelPath) this.modelPath = snapshot.modelPath;
+        if (snapshot.info) this._info = snapshot.info;
+        this.scheduler.update(snapshot.scheduler);
+    }
+
+    // Rebuild the error classes the server checks for (QUEUE_FULL and ABORTED keep their codes)
+    _toError(data) {
+        if (data.code === 'QUEUE_FULL') return new QueueFullError(data.retryAfter);
+        const error = new Error(data.message);
+        if (data.code) error.code = data.code;
+        return error;
+    }
+
+    _onExit(child, code, signal) {
+        if (child !== this._child) return;
+        clearInterval(this._pingTimer);
+        this._child = null;
+        this._lastExit = { code, signal, at: new Date().toISOString() };
+        this.available = false;
+        this.scheduler.reset();
+
+        const expected = this._stopping || !this._wanted;
+        if (expected) {
+            this.state = 'unloaded';
+            this._failCalls(new Error('Model unloaded'));
+            return;
+        }
+
+        // Crash: back off exponentially, unless the worker had been up long enough to count as stable
+        if (Date.now() - this._startedAt > STABLE_AFTER_MS) this._crashes = 0;
+        this._crashes++;
+        const delay = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, this._crashes - 1));
+        this.state = 'restarting';
+        this._restartAt = Date.now() + delay;
+        console.error(`[Worker] ${this._label()} exited (${signal || `code ${code}`}); restarting in ${delay}ms`);
+        this._failCalls(new ModelRestartingError(`Model ${this._label()} crashed and is restarting, please retry`, this._retryAfter()));
+
+        this._restartTimer = setTimeout(() => {
+            this._restartTimer = null;
+            if (!this._wanted) return;
+            this._restarts++;
+            this.init().catch(() => {});
+        }, delay);
+    }
+
+    _failCalls(error) {
+        const calls = Array.from(this._calls.values());
+        this._calls.clear();
+        calls.forEach(call => call.reject(error));
+    }
+
+    // Seconds until the restarted worker is likely to accept requests (backoff left, plus a little to load)
+    _retryAfter() {
+        return Math.max(1, Math.ceil((this._restartAt - Date.now()) / 1000) + 5);
+    }
+
+    async init() {
+        if (this.available) return true;
+        if (this.state === 'restarting' && this._restartTimer) return false;
+        if (this._initPromise) return this._initPromise;
+        this._wanted = true;
+        this._stopping = false;
+        this._initPromise = (async () => {
+            this._spawn();
+            try {
+                return !!(await this._call({ type: 'init', config: this.config }));
+            } catch (e) {
+                console.error(`[Worker] ${this._label()} failed to load:`, e.message);
+                return false;
+            }
+        })().finally(() => { this._initPromise = null; });
+        return this._initPromise;
+    }
+
+    isIdle() {
+        return this._calls.size === 0;
+    }
+
+    // Stop the worker process: frees everything the model used
+    async unload() {
+        this._wanted = false;
+        if (this._restartTimer) {
+            clearTimeout(this._restartTimer);
+            this._restartTimer = null;
+        }
+        const child = this._child;
+        this.available = false;
+        this.state = 'unloaded';
+        if (!child) return;
+        this._stopping = true;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        this._send({ type: 'shutdown' });
+        const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_TIMEOUT_MS);
+        await exited;
+        clearTimeout(timer);
+        this._stopping = false;
+    }
+
+    /**
+     * Same contract as LocalGGUFRunner.processQuery: callbacks and the AbortSignal in `options` are
+     * relayed over IPC. Rejects with ModelRestartingError while the worker is down.
+     */
+    async processQuery(message, conversationHistory = [], webContext = null, options = {}) {
+        if (this.state === 'restarting') {
+            throw new ModelRestartingError(`Model ${this._label()} is restarting, please retry`, this._retryAfter());
+        }
+        if (!this.available || !this._child) throw new Error('LocalGGUF indisponible');
+
+        const plain = {};
+        Object.keys(options || {}).forEach(key => {
+            if (key !== 'signal' && typeof options[key] !== 'function') plain[key] = options[key];
+        });
+        const handlers = {
+            token: options.onToken,
+            start: options.onStart,
+            progress: options.onProgress,
+            queue: options.onQueue
+        };
+        const callbacks = {};
+        Object.keys(handlers).forEach(key => { callbacks[key] = typeof handlers[key] === 'function'; });
+
+        const id = this._nextId++;
+        return this._withAbort(id, options.signal, this._call({ type: 'generate', message, history: conversationHistory, webContext, options: plain, callbacks }, handlers, id));
+    }
+
+    // Relay `signal` to the worker as an abort of request `id` until `pending` settles
+    async _withAbort(id, signal, pending) {
+        const onAbort = () => this._send({ type: 'abort', id });
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+        try {
+            return await pending;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // tokenize() and embed() run in the worker, on its loaded model
+    async tokenize(text) {
+        return this._callMethod('tokenize', [text]);
+    }
+
+    // The worker's scheduler queues the texts for `owner`; aborting `signal` drops them from its queue
+    async embed(texts, { owner, signal } = {}) {
+        return this._callMethod('embed', [texts, { owner }], signal);
+    }
+
+    _callMethod(method, args, signal = null) {
+        if (this.state === 'restarting') {
+            return Promise.reject(new ModelRestartingError(`Model ${this._label()} is restarting, please retry`, this._retryAfter()));
+        }
+        if (!this.available || !this._child) return Promise.reject(new Error('LocalGGUF indisponible'));
+        const id = this._nextId++;
+        return this._withAbort(id, signal, this._call({ type: 'call', method, args }, {}, id));
+    }
+
+    // Worker process details for the status endpoint
+    workerInfo() {
+        return {
+            pid: this._child ? this._child.pid : null,
+            restarts: this._restarts,
+            lastExit: this._lastExit,
+            restartInMs: this.state === 'restarting' ? Math.max(0, this._restartAt - Date.now()) : null,
+            lastPongAt: this._child && this._lastPong ? new Date(this._lastPong).toISOString() : null
+        };
+    }
+
+    info() {
+        return Object.assign({}, this._info || { backend: this.backend, modelPath: this.modelPath || null, name: this.name || null }, {
+            loaded: this.available,
+            state: this.state,
+            error: this.loadError,
+            assembly: this.assembly,
+            worker: this.workerInfo()
+        });
+    }
+}
+
+module.exports = { WorkerRunner, ModelRestartingError };